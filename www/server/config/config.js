@@ -0,0 +1,133 @@
+"use strict";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import dotenv from "dotenv";
+
+/*
+  Server configuration, read from the environment.
+
+  Variables can also be set in the .env file at the root of the project (see .env.example),
+  which is shared with the Vite client. Variables already set in the environment take
+  precedence over the ones in the file.
+*/
+
+// Root of the project (www/), where .env is and relative paths start from
+const projectRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+
+dotenv.config({ path: path.join(projectRoot, ".env") });
+
+const errors = [];
+
+function required(name) {
+    const value = process.env[name];
+    if (value === undefined || value.trim() === "") {
+        errors.push(`${name} is required`);
+    }
+    return value;
+}
+
+function optional(name, defaultValue) {
+    const value = process.env[name];
+    return value === undefined || value.trim() === "" ? defaultValue : value;
+}
+
+function port(name, defaultValue) {
+    const value = Number(optional(name, defaultValue));
+    if (!Number.isInteger(value) || value < 1 || value > 65535) {
+        errors.push(`${name} must be a port number between 1 and 65535`);
+    }
+    return value;
+}
+
+function positiveInteger(name, defaultValue) {
+    const value = Number(optional(name, defaultValue));
+    if (!Number.isInteger(value) || value < 1) {
+        errors.push(`${name} must be a positive integer`);
+    }
+    return value;
+}
+
+function flag(name, defaultValue) {
+    const value = optional(name, defaultValue).toLowerCase();
+    if (value !== "true" && value !== "false") {
+        errors.push(`${name} must be true or false`);
+    }
+    return value === "true";
+}
+
+function oneOf(name, defaultValue, values) {
+    const value = optional(name, defaultValue);
+    if (!values.includes(value)) {
+        errors.push(`${name} must be one of: ${values.join(", ")}`);
+    }
+    return value;
+}
+
+function list(name, defaultValue) {
+    return optional(name, defaultValue).split(",").map(item => item.trim()).filter(item => item);
+}
+
+// Durations such as "2d" or "12h", in hours
+function hoursList(name, defaultValue) {
+    const values = list(name, defaultValue).map(item => {
+        const match = /^(\d+)\s*([dh])$/i.exec(item);
+        return match ? Number(match[1]) * (match[2].toLowerCase() === "d" ? 24 : 1) : NaN;
+    });
+    if (!values.length || values.some(value => !Number.isInteger(value) || value < 1)) {
+        errors.push(`${name} must be a comma-separated list of durations such as 2d or 12h`);
+    }
+    return values.sort((a, b) => a - b);
+}
+
+function timeOfDay(name, defaultValue) {
+    const value = optional(name, defaultValue);
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) {
+        errors.push(`${name} must be a time of the day such as 03:00`);
+    }
+    return value;
+}
+
+const config = {
+    port: port("PORT", "3000"),
+    allowedOrigins: list("CORS_ORIGINS", "http://localhost:5173"),
+    sessionHours: positiveInteger("SESSION_HOURS", "12"),
+    uploadsDir: path.resolve(projectRoot, optional("UPLOADS_DIR", "uploads")),
+    feeGraceDays: positiveInteger("FEE_GRACE_DAYS", "30"),
+    mail: {
+        transport: oneOf("MAIL_TRANSPORT", "console", ["console", "file", "smtp"]),
+        from: optional("MAIL_FROM", "ESTSBike <noreply@estsbike.pt>"),
+        dir: path.resolve(projectRoot, optional("MAIL_DIR", "mail")),
+        intervalSeconds: positiveInteger("MAIL_INTERVAL_SECONDS", "30"),
+        maxAttempts: positiveInteger("MAIL_MAX_ATTEMPTS", "5"),
+        smtp: {
+            host: optional("SMTP_HOST", "localhost"),
+            port: port("SMTP_PORT", "587"),
+            secure: flag("SMTP_SECURE", "false"),
+            user: optional("SMTP_USER", ""),
+            password: optional("SMTP_PASSWORD", "")
+        }
+    },
+    jobs: {
+        enabled: flag("JOBS_ENABLED", "true"),
+        reminderHours: hoursList("REMINDER_BEFORE", "2d"),
+        reminderIntervalMinutes: positiveInteger("REMINDER_INTERVAL_MINUTES", "60"),
+        closeEventsAt: timeOfDay("CLOSE_EVENTS_AT", "03:00"),
+        trashDays: positiveInteger("TRASH_DAYS", "30"),
+        purgeTrashAt: timeOfDay("PURGE_TRASH_AT", "04:00")
+    },
+    database: {
+        host: optional("DB_HOST", "localhost"),
+        port: port("DB_PORT", "3306"),
+        user: required("DB_USER"),
+        password: optional("DB_PASSWORD", ""),
+        database: required("DB_NAME")
+    }
+};
+
+if (errors.length) {
+    console.error(`❌ Invalid configuration:\n${errors.map(error => `  - ${error}`).join("\n")}`);
+    console.error("Set the variables in the environment or in the .env file (see .env.example).");
+    process.exit(1);
+}
+
+export default config;
@@ -1,6 +1,9 @@
+import config from "./config.js";
+
 export default {
-    "host": "localhost",
-    "user": "estsbike_user",
-    "password": "pw@20242025",
-    "database": "estsbike"
+    "host": config.database.host,
+    "port": config.database.port,
+    "user": config.database.user,
+    "password": config.database.password,
+    "database": config.database.database
 };
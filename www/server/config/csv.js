@@ -0,0 +1,92 @@
+"use strict";
+
+/*
+  CSV (RFC 4180) reading and writing, for the import and export of records.
+
+  Files are written with a comma as separator. When reading, the separator is the one
+  found in the header line, a comma or a semicolon (used by spreadsheets in Portuguese).
+  Values with separators, quotes or line breaks are quoted, with quotes doubled.
+*/
+
+/**
+ * Parses CSV text into rows of values.
+ * @param {string} text - The CSV text, optionally starting with a byte order mark.
+ * @returns {string[][]} The rows, without the empty lines.
+ */
+function parseCsv(text) {
+    const content = String(text).replace(/^\uFEFF/, "");
+    const headerLine = content.split(/\r?\n/, 1)[0];
+    const separator = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ";" : ",";
+
+    const rows = [];
+    let row = [];
+    let value = "";
+    let quoted = false;
+
+    for (let index = 0; index < content.length; index++) {
+        const character = content[index];
+        if (quoted) {
+            if (character === '"' && content[index + 1] === '"') {
+                value += '"';
+                index++;
+            } else if (character === '"') {
+                quoted = false;
+            } else {
+                value += character;
+            }
+        } else if (character === '"') {
+            quoted = true;
+        } else if (character === separator) {
+            row.push(value);
+            value = "";
+        } else if (character === "\n" || character === "\r") {
+            if (character === "\r" && content[index + 1] === "\n") {
+                index++;
+            }
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = "";
+        } else {
+            value += character;
+        }
+    }
+    row.push(value);
+    rows.push(row);
+
+    return rows.filter(values => values.some(item => item.trim() !== ""));
+}
+
+/**
+ * Parses CSV text into records, using the first row as the names of the fields.
+ * @param {string} text - The CSV text.
+ * @returns {Object[]} The records, with the header names (trimmed and in lower case) as keys.
+ */
+function readCsv(text) {
+    const [header = [], ...rows] = parseCsv(text);
+    const names = header.map(name => name.trim().toLowerCase());
+    return rows.map(values => Object.fromEntries(names.map((name, index) => [name, values[index] ?? ""])));
+}
+
+/**
+ * Quotes a value when needed.
+ * @param {*} value - The value; null and undefined are written as empty.
+ * @returns {string} The CSV value.
+ */
+function csvValue(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes records as CSV text.
+ * @param {string[]} columns - The names of the fields, written in the header.
+ * @param {Object[]} records - The records.
+ * @returns {string} The CSV text, with CRLF line endings.
+ */
+function writeCsv(columns, records) {
+    const lines = [columns, ...records.map(record => columns.map(column => record[column]))];
+    return lines.map(values => values.map(csvValue).join(",")).join("\r\n") + "\r\n";
+}
+
+export { parseCsv, readCsv, writeCsv };
@@ -1,17 +1,88 @@
 "use strict";
 import mysql from "mysql2/promise";
 import connectionOptions from "./connection-options.js";
+import { errorBody } from "./errors.js";
 
-async function execute(command, parameters = []) {
-    let connection;
+const pool = mysql.createPool({
+    ...connectionOptions,
+    waitForConnections: true,
+    connectionLimit: 10
+});
+
+/**
+ * Error raised by the database layer, with the HTTP status that best describes it.
+ * The `code` tells the kind of failure: DUPLICATE_KEY, FOREIGN_KEY_VIOLATION,
+ * CONNECTION_FAILED or QUERY_FAILED.
+ */
+class DatabaseError extends Error {
+    constructor(message, code, status, cause) {
+        super(message);
+        this.name = "DatabaseError";
+        this.code = code;
+        this.status = status;
+        this.cause = cause;
+    }
+}
+
+const connectionErrors = [
+    "ECONNREFUSED", "ECONNRESET", "ETIMEDOUT", "ENOTFOUND", "PROTOCOL_CONNECTION_LOST",
+    "ER_ACCESS_DENIED_ERROR", "ER_BAD_DB_ERROR", "ER_CON_COUNT_ERROR"
+];
+
+function toDatabaseError(error) {
+    if (error instanceof DatabaseError) {
+        return error;
+    }
+    switch (error.code) {
+        case "ER_DUP_ENTRY":
+            return new DatabaseError("A record with the same data already exists", "DUPLICATE_KEY", 409, error);
+        case "ER_NO_REFERENCED_ROW":
+        case "ER_NO_REFERENCED_ROW_2":
+            return new DatabaseError("The record references data that does not exist", "FOREIGN_KEY_VIOLATION", 400, error);
+        case "ER_ROW_IS_REFERENCED":
+        case "ER_ROW_IS_REFERENCED_2":
+            return new DatabaseError("The record is referenced by other data", "FOREIGN_KEY_VIOLATION", 409, error);
+    }
+    if (connectionErrors.includes(error.code)) {
+        return new DatabaseError("Could not connect to the database", "CONNECTION_FAILED", 503, error);
+    }
+    return new DatabaseError("Database query failed", "QUERY_FAILED", 500, error);
+}
+
+async function execute(command, parameters = [], connection = pool) {
     try {
-        connection = await mysql.createConnection(connectionOptions);
         let [result] = await connection.execute(command, parameters);
         return result;
     } catch (error) {
-        return void 0;
+        throw toDatabaseError(error);
+    }
+}
+
+/**
+ * Runs `work` inside a transaction, on a connection taken from the pool.
+ * The transaction is committed when `work` resolves and rolled back when it throws.
+ * Queries that belong to the transaction must be run with `execute(command, parameters, connection)`.
+ * 
+ * @param {Function} work - Async function receiving the connection of the transaction.
+ * @returns {Promise<*>} The value returned by `work`.
+ */
+async function withTransaction(work) {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+    } catch (error) {
+        throw toDatabaseError(error);
+    }
+    try {
+        await connection.beginTransaction();
+        const result = await work(connection);
+        await connection.commit();
+        return result;
+    } catch (error) {
+        await connection.rollback().catch(() => {});
+        throw toDatabaseError(error);
     } finally {
-        connection?.end();
+        connection.release();
     }
 }
 
@@ -44,8 +115,30 @@ function toBoolean(value) {
     return Boolean(value);
 }
 
-function sendError(response, error = "", status = 400) {
-    response.status(status).end(typeof error === "string" ? error : "");
+/**
+ * Answers with the JSON error body `{ error: { code, message, details } }`.
+ * Does nothing if a response was already sent, so a handler cannot answer twice.
+ * 
+ * @param {Object} response - The HTTP response object.
+ * @param {string} [error=""] - The message of the error.
+ * @param {number} [status=400] - The HTTP status.
+ * @param {string} [code] - The code of the error, chosen from the status when not given.
+ * @param {*} [details=null] - Extra data about the error.
+ */
+function sendError(response, error = "", status = 400, code = undefined, details = null) {
+    if (response.headersSent) {
+        console.error(`Response already sent, not sending error: ${error}`);
+        return;
+    }
+    response.status(status).json(errorBody(typeof error === "string" ? error : "", status, code, details));
+}
+
+function sendDatabaseError(response, error, message = "Database query failed") {
+    if (error instanceof DatabaseError) {
+        sendError(response, error.message, error.status, error.code);
+    } else {
+        sendError(response, message, 500);
+    }
 }
 
 async function sendResponse(response, query, params, transform = (rows) => rows, status = 200) {
@@ -57,7 +150,7 @@ async function sendResponse(response, query, params, transform = (rows) => rows,
                 return { status: 404, data: { message: "No data found or affected" } };
             }
 
-            return { status, data: { message: `${result.affectedRows} row(s) affected` } };
+            return { status, data: transform(result) };
         }
 
         if (!result || !Array.isArray(result) || result.length === 0) {
@@ -68,9 +161,12 @@ async function sendResponse(response, query, params, transform = (rows) => rows,
 
     } catch (error) {
         console.error("Error executing query:", error);
-        return { status: 500, data: { error: "Database query failed" } };
+        return { status: error.status || 500, data: { message: error.message, code: error.code } };
     }
 }
 
 
-export { execute, number, string, date, boolean, toBoolean, sendError, sendResponse };
+export {
+    DatabaseError, execute, withTransaction, number, string, date, boolean, toBoolean,
+    sendError, sendDatabaseError, sendResponse
+};
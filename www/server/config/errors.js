@@ -0,0 +1,53 @@
+"use strict";
+
+/*
+  Errors of the API.
+
+  Every error response has the same JSON body:
+
+    { "error": { "code": "NOT_FOUND", "message": "Event not found", "details": null } }
+
+  `code` is stable and meant for programs, `message` is meant for people and `details`
+  carries extra data, such as the invalid fields of a 422 response.
+*/
+
+const errorCodes = {
+    400: "BAD_REQUEST",
+    401: "UNAUTHORIZED",
+    403: "FORBIDDEN",
+    404: "NOT_FOUND",
+    409: "CONFLICT",
+    413: "PAYLOAD_TOO_LARGE",
+    415: "UNSUPPORTED_MEDIA_TYPE",
+    422: "VALIDATION_FAILED",
+    500: "INTERNAL_ERROR",
+    503: "SERVICE_UNAVAILABLE"
+};
+
+/**
+ * Error that handlers can throw to answer with a given status.
+ * It is turned into the error response by the error handling middleware.
+ */
+class HttpError extends Error {
+    constructor(status, message, code = errorCodes[status] || "ERROR", details = null) {
+        super(message);
+        this.name = "HttpError";
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Builds the JSON body of an error response.
+ * @param {string} message - The message of the error.
+ * @param {number} status - The HTTP status, used to choose the code when none is given.
+ * @param {string} [code] - The code of the error.
+ * @param {*} [details=null] - Extra data about the error.
+ * @returns {Object} The body `{ error: { code, message, details } }`.
+ */
+function errorBody(message, status, code, details = null) {
+    return { error: { code: code || errorCodes[status] || "ERROR", message, details } };
+}
+
+export { HttpError, errorCodes, errorBody };
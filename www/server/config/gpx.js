@@ -0,0 +1,110 @@
+"use strict";
+
+/*
+  GPX (GPS Exchange Format) routes, for the rides of the events.
+
+  The points are read from the track (<trkpt>), or from the route (<rtept>) of files
+  without a track. Distances follow the great circle between consecutive points.
+  Changes of elevation under 3 metres are treated as GPS noise and do not count as
+  climbing; they add up until they go over it.
+*/
+
+const earthRadius = 6371008.8;  // Mean radius of the Earth, in metres
+const elevationThreshold = 3;
+const profileSize = 200;
+
+/**
+ * Reads a numeric attribute of an XML tag.
+ * @param {string} attributes - The attributes of the tag, as written in the file.
+ * @param {string} name - The name of the attribute.
+ * @returns {number} The value, or NaN if it is missing or not a number.
+ */
+function attribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+    return match ? parseFloat(match[1]) : NaN;
+}
+
+/**
+ * Parses the points of a GPX file.
+ * @param {string} text - The content of the file.
+ * @returns {Array<{lat: number, lon: number, ele: number|null}>} The points, in order.
+ */
+function parseGpx(text) {
+    const content = String(text);
+    for (const tag of ["trkpt", "rtept"]) {
+        const pattern = new RegExp(`<(?:\\w+:)?${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:\\w+:)?${tag}>)`, "g");
+        const points = [];
+        for (const [, attributes, body = ""] of content.matchAll(pattern)) {
+            const lat = attribute(attributes, "lat");
+            const lon = attribute(attributes, "lon");
+            if (Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+                const ele = parseFloat(body.match(/<(?:\w+:)?ele>\s*([^<]*?)\s*</)?.[1]);
+                points.push({ lat, lon, ele: Number.isFinite(ele) ? ele : null });
+            }
+        }
+        if (points.length) {
+            return points;
+        }
+    }
+    return [];
+}
+
+/**
+ * Calculates the distance between two points, along the surface of the Earth.
+ * @param {{lat: number, lon: number}} from - The first point.
+ * @param {{lat: number, lon: number}} to - The second point.
+ * @returns {number} The distance, in metres.
+ */
+function distance(from, to) {
+    const radians = (degrees) => degrees * Math.PI / 180;
+    const dLat = radians(to.lat - from.lat);
+    const dLon = radians(to.lon - from.lon);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * earthRadius * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Summarises a route: its length, climb, ends and elevation profile.
+ * @param {Array<{lat: number, lon: number, ele: number|null}>} points - The points of the route, from parseGpx.
+ * @returns {{distance: number, elevationGain: number|null, start: {lat: number, lon: number},
+ *   end: {lat: number, lon: number}, profile: Array<{distance: number, elevation: number}>}}
+ *   Distance and climb in metres (the climb is null without elevations), and up to 200
+ *   profile points with the distance from the start and the elevation, in metres.
+ */
+function summariseRoute(points) {
+    let total = 0;
+    let gain = 0;
+    let reference = null;  // Last elevation that counted, to skip small changes
+    const profile = [];
+
+    points.forEach((point, index) => {
+        if (index > 0) {
+            total += distance(points[index - 1], point);
+        }
+        if (point.ele === null) {
+            return;
+        }
+        if (reference === null || Math.abs(point.ele - reference) >= elevationThreshold) {
+            if (reference !== null && point.ele > reference) {
+                gain += point.ele - reference;
+            }
+            reference = point.ele;
+        }
+        profile.push({ distance: total, elevation: point.ele });
+    });
+
+    const step = Math.max(1, Math.ceil((profile.length - 1) / (profileSize - 1)));
+    const sampled = profile.filter((item, index) => index % step === 0 || index === profile.length - 1);
+
+    const [first, last] = [points[0], points[points.length - 1]];
+    return {
+        distance: Math.round(total),
+        elevationGain: profile.length ? Math.round(gain) : null,
+        start: { lat: first.lat, lon: first.lon },
+        end: { lat: last.lat, lon: last.lon },
+        profile: sampled.map(item => ({ distance: Math.round(item.distance), elevation: Math.round(item.elevation) }))
+    };
+}
+
+export { parseGpx, summariseRoute };
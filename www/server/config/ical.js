@@ -0,0 +1,137 @@
+"use strict";
+
+/*
+  iCalendar (RFC 5545) feeds.
+
+  Events are all-day entries. Each one keeps the same UID for its whole life, and its
+  SEQUENCE grows on every update, so calendar applications replace the entry they
+  already have instead of adding another. Deleted events are sent with STATUS:CANCELLED.
+*/
+
+const productId = "-//ESTSBike//Eventos//PT";
+const uidDomain = "estsbike";
+
+/**
+ * Escapes the characters that have a meaning in iCalendar text values.
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Folds a content line so that no line is longer than 75 octets.
+ * @param {string} line - The content line.
+ * @returns {string} The folded line, continued lines starting with a space.
+ */
+function fold(line) {
+    const parts = [];
+    let current = "";
+    let size = 0;
+    for (const character of line) {
+        const length = Buffer.byteLength(character);
+        if (size + length > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = "";
+            size = 0;
+        }
+        current += character;
+        size += length;
+    }
+    parts.push(current);
+    return parts.join("\r\n ");
+}
+
+/**
+ * Formats a date as a UTC date-time, e.g. 20261018T093000Z.
+ * @param {Date} value - The date.
+ * @returns {string} The iCalendar date-time.
+ */
+function dateTime(value) {
+    return value.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Formats a day as an iCalendar date, e.g. 20261018.
+ * @param {string} day - The day, as YYYY-MM-DD.
+ * @param {number} [offset=0] - Days to add.
+ * @returns {string} The iCalendar date.
+ */
+function day(day, offset = 0) {
+    const value = new Date(`${day}T00:00:00Z`);
+    value.setUTCDate(value.getUTCDate() + offset);
+    return value.toISOString().slice(0, 10).replace(/-/g, "");
+}
+
+/**
+ * Creates the lines of one event.
+ * @param {Object} event - The event, with `id`, `name`, `type_name`, `day` (YYYY-MM-DD),
+ *   `sequence`, `updated_at` and optionally `cancelled` and `tentative`.
+ * @param {Date} now - The time the feed was created.
+ * @returns {string[]} The lines of the VEVENT.
+ */
+function eventLines(event, now) {
+    const lines = [
+        "BEGIN:VEVENT",
+        `UID:event-${event.id}@${uidDomain}`,
+        `DTSTAMP:${dateTime(now)}`,
+        `DTSTART;VALUE=DATE:${day(event.day)}`,
+        `DTEND;VALUE=DATE:${day(event.day, 1)}`,
+        `SUMMARY:${escapeText(event.name)}`,
+        `SEQUENCE:${event.sequence}`
+    ];
+    if (event.type_name) {
+        lines.push(`CATEGORIES:${escapeText(event.type_name)}`);
+    }
+    if (event.updated_at) {
+        lines.push(`LAST-MODIFIED:${dateTime(new Date(event.updated_at))}`);
+    }
+    if (event.cancelled) {
+        lines.push("STATUS:CANCELLED");
+    } else {
+        lines.push(event.tentative ? "STATUS:TENTATIVE" : "STATUS:CONFIRMED");
+    }
+    lines.push("TRANSP:TRANSPARENT", "END:VEVENT");
+    return lines;
+}
+
+/**
+ * Creates an iCalendar feed.
+ * @param {string} name - The name of the calendar, shown by calendar applications.
+ * @param {Object[]} events - The events, as described in eventLines.
+ * @returns {string} The feed, with CRLF line endings.
+ */
+function calendar(name, events) {
+    const now = new Date();
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        `PRODID:${productId}`,
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...events.flatMap(event => eventLines(event, now)),
+        "END:VCALENDAR"
+    ];
+    return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+/**
+ * Sends an iCalendar feed as a file download.
+ * @param {Object} response - The HTTP response object.
+ * @param {string} filename - The name of the file, ending in .ics.
+ * @param {string} content - The feed.
+ */
+function sendCalendar(response, filename, content) {
+    response.status(200)
+        .attachment(filename)
+        .type("text/calendar; charset=utf-8")
+        .send(content);
+}
+
+export { calendar, sendCalendar, escapeText, fold };
@@ -0,0 +1,91 @@
+"use strict";
+import { number } from "./db.js";
+
+/*
+  Pagination and sorting of list endpoints.
+
+  List endpoints accept ?page=&pageSize=&sort=&order= and respond with the envelope
+  { data, total, page, pageSize }, where total is the number of rows matching the filters.
+  Without page and pageSize every row is returned and pageSize is null.
+*/
+
+const defaultPageSize = 20;
+const maxPageSize = 100;
+
+/**
+ * Parses the pagination and sorting options of a list request.
+ * @param {Object} query - The query string parameters of the request.
+ * @param {Object} sortColumns - Maps the accepted `sort` values to SQL expressions. Must include `id`.
+ * @param {string} [defaultSort="id"] - The sort used when `sort` is not given.
+ * @returns {Object} The options, with `orderBy` and `limit` SQL clauses, or `{ error }` if a parameter is invalid.
+ */
+function listOptions(query, sortColumns, defaultSort = "id") {
+    const page = query.page === undefined ? 1 : number(query.page);
+    if (!Number.isInteger(page) || page < 1) {
+        return { error: "page must be a positive integer" };
+    }
+
+    let pageSize = null;
+    if (query.pageSize !== undefined) {
+        pageSize = number(query.pageSize);
+    } else if (query.page !== undefined) {
+        pageSize = defaultPageSize;
+    }
+    if (pageSize !== null && (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > maxPageSize)) {
+        return { error: `pageSize must be an integer between 1 and ${maxPageSize}` };
+    }
+
+    const sort = query.sort === undefined ? defaultSort : String(query.sort);
+    if (!Object.hasOwn(sortColumns, sort)) {
+        return { error: `sort must be one of: ${Object.keys(sortColumns).join(", ")}` };
+    }
+
+    const order = query.order === undefined ? "asc" : String(query.order).toLowerCase();
+    if (order !== "asc" && order !== "desc") {
+        return { error: "order must be asc or desc" };
+    }
+
+    // The ID breaks ties, so pages do not overlap. Page sizes are validated integers,
+    // so they are written in the query instead of being sent as parameters.
+    const direction = order.toUpperCase();
+    const columns = sort === "id" ? [sortColumns.id] : [sortColumns[sort], sortColumns.id];
+    return {
+        page,
+        pageSize,
+        sort,
+        order,
+        orderBy: `ORDER BY ${columns.map(column => `${column} ${direction}`).join(", ")}`,
+        limit: pageSize === null ? "" : `LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}`
+    };
+}
+
+/**
+ * Builds a WHERE clause from a list of conditions.
+ * @param {string[]} conditions - SQL conditions, joined with AND.
+ * @returns {string} The WHERE clause, or an empty string when there are no conditions.
+ */
+function where(conditions) {
+    return conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+}
+
+/**
+ * Escapes the wildcards of a search text, for use in a LIKE pattern.
+ * @param {string} text - The text to search for.
+ * @returns {string} The pattern matching any value that contains the text.
+ */
+function contains(text) {
+    return `%${String(text).replace(/[\\%_]/g, (match) => `\\${match}`)}%`;
+}
+
+/**
+ * Builds the response envelope of a list endpoint.
+ * @param {Object[]} data - The rows of the page.
+ * @param {number} total - The number of rows matching the filters.
+ * @param {Object} options - The options returned by listOptions.
+ * @returns {Object} The envelope `{ data, total, page, pageSize }`.
+ */
+function listEnvelope(data, total, options) {
+    return { data, total, page: options.page, pageSize: options.pageSize };
+}
+
+export { listOptions, where, contains, listEnvelope };
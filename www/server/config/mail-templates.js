@@ -0,0 +1,105 @@
+"use strict";
+
+/*
+  Templates of the emails sent to the members, in Portuguese.
+
+  Each template receives the `member` (with `name`), the `event` (with `name` and `date`)
+  and, for changed events, the `previous` name and date, and returns the subject and
+  the text of the email.
+*/
+
+const signature = "\n\nAté breve,\nESTSBike";
+
+/**
+ * Returns the day of the date of an event. Dates read from the database are at midnight
+ * in the time zone of the server, and the ones received by the API are YYYY-MM-DD strings.
+ * @param {Date|string} value - The date.
+ * @returns {string} The day, as YYYY-MM-DD.
+ */
+function eventDay(value) {
+    if (value instanceof Date) {
+        const pad = (number) => String(number).padStart(2, "0");
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return String(value).slice(0, 10);
+}
+
+/**
+ * Formats the date of an event in Portuguese, e.g. "domingo, 18 de outubro de 2026".
+ * @param {Date|string} value - The date.
+ * @returns {string} The formatted date.
+ */
+function formatDate(value) {
+    return new Date(`${eventDay(value)}T00:00:00Z`)
+        .toLocaleDateString("pt-PT", { weekday: "long", day: "numeric", month: "long", year: "numeric", timeZone: "UTC" });
+}
+
+const templates = {
+    registered: ({ member, event }) => ({
+        subject: `Inscrição confirmada: ${event.name}`,
+        text: `Olá ${member.name},\n\nA sua inscrição no evento "${event.name}", a ${formatDate(event.date)}, está confirmada.`
+    }),
+    waitlisted: ({ member, event }) => ({
+        subject: `Lista de espera: ${event.name}`,
+        text: `Olá ${member.name},\n\nO evento "${event.name}", a ${formatDate(event.date)}, está completo, por isso ficou na lista de espera. ` +
+            "Avisamos assim que houver um lugar para si."
+    }),
+    unregistered: ({ member, event }) => ({
+        subject: `Inscrição anulada: ${event.name}`,
+        text: `Olá ${member.name},\n\nA sua inscrição no evento "${event.name}", a ${formatDate(event.date)}, foi anulada.`
+    }),
+    promoted: ({ member, event }) => ({
+        subject: `Já tem lugar: ${event.name}`,
+        text: `Olá ${member.name},\n\nAbriu uma vaga no evento "${event.name}", a ${formatDate(event.date)}, e saiu da lista de espera: ` +
+            "a sua inscrição está confirmada."
+    }),
+    eventChanged: ({ member, event, previous }) => {
+        const changes = [];
+        if (previous.name !== event.name) {
+            changes.push(`- Nome: "${previous.name}" passou a "${event.name}"`);
+        }
+        if (formatDate(previous.date) !== formatDate(event.date)) {
+            changes.push(`- Data: ${formatDate(previous.date)} passou a ${formatDate(event.date)}`);
+        }
+        return {
+            subject: `Evento alterado: ${event.name}`,
+            text: `Olá ${member.name},\n\nO evento "${previous.name}", em que está inscrito, foi alterado:\n\n${changes.join("\n")}`
+        };
+    },
+    reminder: ({ member, event }) => {
+        const days = Math.round((new Date(event.date).setHours(0, 0, 0, 0) - new Date().setHours(0, 0, 0, 0)) / 86400000);
+        const when = days <= 1 ? "amanhã" : `daqui a ${days} dias`;
+        return {
+            subject: `Lembrete: ${event.name}`,
+            text: `Olá ${member.name},\n\nLembramos que o evento "${event.name}", em que está inscrito, é ${when}, ${formatDate(event.date)}. ` +
+                "Se já não puder ir, anule a inscrição para deixar o lugar a outro membro."
+        };
+    },
+    eventCancelled: ({ member, event }) => ({
+        subject: `Evento cancelado: ${event.name}`,
+        text: `Olá ${member.name},\n\nLamentamos, mas o evento "${event.name}", marcado para ${formatDate(event.date)}, foi cancelado.`
+    }),
+    eventRestored: ({ member, event }) => ({
+        subject: `Evento retomado: ${event.name}`,
+        text: `Olá ${member.name},\n\nO evento "${event.name}", marcado para ${formatDate(event.date)}, já não está cancelado ` +
+            "e a sua inscrição voltou a contar. Se já não puder ir, anule a inscrição para deixar o lugar a outro membro."
+    })
+};
+
+/**
+ * Renders the email of a template.
+ * @param {string} name - The name of the template, e.g. "registered".
+ * @param {Object} data - The data of the template: member, event and, for changes, previous.
+ * @returns {{subject: string, text: string}} The subject and the text of the email.
+ * @throws {Error} If the template does not exist.
+ */
+function render(name, data) {
+    const template = templates[name];
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+    const { subject, text } = template(data);
+    return { subject, text: text + signature };
+}
+
+export { render, formatDate, eventDay };
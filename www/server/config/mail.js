@@ -0,0 +1,149 @@
+"use strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import os from "node:os";
+import nodemailer from "nodemailer";
+
+/*
+  Email transports.
+
+  Every transport has `send({ from, to, subject, text })`, which resolves once the email
+  is delivered and rejects when it cannot be:
+  - console: logs the email, for development.
+  - file: writes the email as an .eml file (RFC 5322) to a directory, for development and tests.
+  - smtp: sends the email through an SMTP server with nodemailer, with STARTTLS when the server
+    offers it, or over TLS from the start with `secure`. With a user, STARTTLS is required, so
+    the credentials never travel in clear text.
+
+  Emails are plain text in UTF-8; the file transport writes them as base64 so any reader accepts them.
+*/
+
+const timeout = 30000;
+
+/**
+ * Encodes a header value with non-ASCII characters as an RFC 2047 encoded word.
+ * @param {string} value - The header value.
+ * @returns {string} The value, encoded when needed.
+ */
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`;
+}
+
+/**
+ * Encodes the display name of an address such as "ESTSBike <noreply@estsbike.pt>".
+ * @param {string} address - The address, with or without a display name.
+ * @returns {string} The address, with the name encoded when needed.
+ */
+function encodeAddress(address) {
+    const match = /^\s*(.*?)\s*<([^>]+)>\s*$/.exec(address);
+    return match && match[1] ? `${encodeHeader(match[1])} <${match[2]}>` : address.trim();
+}
+
+/**
+ * Extracts the email address, e.g. from "ESTSBike <noreply@estsbike.pt>".
+ * @param {string} address - The address, with or without a display name.
+ * @returns {string} The bare email address.
+ */
+function bareAddress(address) {
+    const match = /<([^>]+)>/.exec(address);
+    return (match ? match[1] : address).trim();
+}
+
+/**
+ * Builds the message of an email, with its headers and the text as base64.
+ * @param {Object} mail - The email: from, to, subject and text.
+ * @returns {string} The message, with CRLF line breaks.
+ */
+function buildMessage({ from, to, subject, text }) {
+    const body = Buffer.from(text.replace(/\r?\n/g, "\r\n")).toString("base64").replace(/.{76}/g, "$&\r\n");
+    return [
+        `From: ${encodeAddress(from)}`,
+        `To: ${encodeAddress(to)}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString().replace("GMT", "+0000")}`,
+        `Message-ID: <${crypto.randomUUID()}@${bareAddress(from).split("@")[1] || os.hostname()}>`,
+        "MIME-Version: 1.0",
+        "Content-Type: text/plain; charset=utf-8",
+        "Content-Transfer-Encoding: base64",
+        "",
+        body
+    ].join("\r\n");
+}
+
+/**
+ * Creates the transport that logs the emails.
+ * @returns {Object} The transport.
+ */
+function consoleTransport() {
+    return {
+        async send({ from, to, subject, text }) {
+            console.log(`📧 Email from ${from} to ${to}: ${subject}\n${text}`);
+        }
+    };
+}
+
+/**
+ * Creates the transport that writes each email to a file of a directory.
+ * @param {string} dir - The directory, created when needed.
+ * @returns {Object} The transport.
+ */
+function fileTransport(dir) {
+    return {
+        async send(mail) {
+            await fs.mkdir(dir, { recursive: true });
+            const name = `${new Date().toISOString().replace(/[:.]/g, "-")}-${crypto.randomUUID().slice(0, 8)}.eml`;
+            await fs.writeFile(path.join(dir, name), buildMessage(mail));
+        }
+    };
+}
+
+/**
+ * Creates the transport that sends the emails through an SMTP server, with nodemailer.
+ * Credentials are only sent over TLS: without `secure`, the server must offer STARTTLS
+ * when there is a user, or the delivery fails.
+ * @param {Object} options - The server: host, port, secure, user and password.
+ * @returns {Object} The transport.
+ */
+function smtpTransport({ host, port, secure, user, password }) {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        requireTLS: Boolean(user) && !secure,
+        auth: user ? { user, pass: password } : undefined,
+        connectionTimeout: timeout,
+        greetingTimeout: timeout,
+        socketTimeout: timeout
+    });
+    return {
+        async send({ from, to, subject, text }) {
+            try {
+                await transporter.sendMail({ from, to, subject, text });
+            } catch (error) {
+                if (user && !secure && /STARTTLS/i.test(error.message)) {
+                    throw new Error(`SMTP server ${host} does not offer STARTTLS, so the credentials are not sent: ${error.message}`);
+                }
+                throw error;
+            }
+        }
+    };
+}
+
+/**
+ * Creates the transport chosen in the configuration.
+ * @param {Object} options - The mail configuration: transport, dir and smtp.
+ * @returns {Object} The transport, with `send(mail)`.
+ */
+function createTransport({ transport, dir, smtp }) {
+    switch (transport) {
+        case "file":
+            return fileTransport(dir);
+        case "smtp":
+            return smtpTransport(smtp);
+        default:
+            return consoleTransport();
+    }
+}
+
+export { createTransport, buildMessage };
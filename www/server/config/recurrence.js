@@ -0,0 +1,138 @@
+"use strict";
+
+/*
+  Recurrence rules of event series, a small subset of the RRULE of iCalendar (RFC 5545).
+
+  A rule has a `frequency` ("weekly" or "monthly") and an `interval` (every how many
+  weeks or months). Weekly series happen on the `byWeekday` days (1 is Monday and 7
+  is Sunday), by default the weekday of the first event. Monthly series happen on the
+  day of the month of the first event, skipping the months without that day.
+  A series ends on the `until` day or after `count` occurrences, whichever comes first;
+  the `exceptions` are days left out, which still count towards `count`.
+*/
+
+const maxOccurrences = 500;
+const dayLength = 86400000;
+
+/**
+ * Converts a day into a Date at midnight UTC.
+ * @param {string} day - The day, as YYYY-MM-DD.
+ * @returns {Date} The date.
+ */
+function toDate(day) {
+    return new Date(`${day}T00:00:00Z`);
+}
+
+/**
+ * Converts a Date into a day.
+ * @param {Date} date - The date, at midnight UTC.
+ * @returns {string} The day, as YYYY-MM-DD.
+ */
+function toDay(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Adds days to a day.
+ * @param {string} day - The day, as YYYY-MM-DD.
+ * @param {number} days - The days to add, negative to go back.
+ * @returns {string} The resulting day.
+ */
+function addDays(day, days) {
+    return toDay(new Date(toDate(day).getTime() + days * dayLength));
+}
+
+/**
+ * Counts the days from one day to another.
+ * @param {string} from - The first day, as YYYY-MM-DD.
+ * @param {string} to - The second day.
+ * @returns {number} The number of days, negative if `to` is before `from`.
+ */
+function daysBetween(from, to) {
+    return Math.round((toDate(to) - toDate(from)) / dayLength);
+}
+
+/**
+ * Returns the weekday of a day, from 1 (Monday) to 7 (Sunday).
+ * @param {string} day - The day, as YYYY-MM-DD.
+ * @returns {number} The weekday.
+ */
+function weekday(day) {
+    return toDate(day).getUTCDay() || 7;
+}
+
+/**
+ * Lists the candidate days of a rule, in order, from the first day of the series.
+ * @param {string} start - The first day of the series.
+ * @param {Object} rule - The recurrence rule.
+ * @returns {Generator<string>} The days, without end.
+ */
+function* candidates(start, { frequency, interval = 1, byWeekday }) {
+    if (frequency === "weekly") {
+        const weekdays = [...new Set(byWeekday?.length ? byWeekday : [weekday(start)])].sort((a, b) => a - b);
+        for (let monday = addDays(start, 1 - weekday(start)); ; monday = addDays(monday, 7 * interval)) {
+            for (const day of weekdays.map(item => addDays(monday, item - 1))) {
+                if (day >= start) {
+                    yield day;
+                }
+            }
+        }
+    }
+    const first = toDate(start);
+    for (let months = 0; ; months += interval) {
+        const date = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + months, first.getUTCDate()));
+        if (date.getUTCDate() === first.getUTCDate()) {
+            yield toDay(date);
+        }
+    }
+}
+
+/**
+ * Lists the days of the events of a series.
+ * @param {string} start - The day of the first event, as YYYY-MM-DD.
+ * @param {Object} rule - The recurrence rule: frequency, interval, byWeekday, until, count and exceptions.
+ * @returns {{days: string[]}|{error: string}} The days, or the reason the rule cannot be used.
+ */
+function occurrences(start, rule) {
+    if (!rule.until && !rule.count) {
+        return { error: "must have until or count" };
+    }
+    if (rule.until && rule.until < start) {
+        return { error: "must not end before the date of the first event" };
+    }
+    if (rule.frequency !== "weekly" && rule.byWeekday?.length) {
+        return { error: "can only have byWeekday in weekly series" };
+    }
+
+    const exceptions = new Set(rule.exceptions || []);
+    const days = [];
+    let count = 0;
+    for (const day of candidates(start, rule)) {
+        if ((rule.until && day > rule.until) || (rule.count && count >= rule.count)) {
+            break;
+        }
+        count++;
+        if (!exceptions.has(day)) {
+            days.push(day);
+        }
+        if (days.length > maxOccurrences) {
+            return { error: `must not have more than ${maxOccurrences} events` };
+        }
+    }
+    if (!days.length) {
+        return { error: "has no events outside the exceptions" };
+    }
+    return { days };
+}
+
+/**
+ * Moves weekdays by a number of days, e.g. when the events of a weekly series move.
+ * @param {number[]} weekdays - The weekdays, 1 (Monday) to 7 (Sunday).
+ * @param {number} days - The days the events moved, negative if earlier.
+ * @returns {number[]} The new weekdays, in order.
+ */
+function shiftWeekdays(weekdays, days) {
+    return weekdays.map(item => ((item - 1 + days) % 7 + 7) % 7 + 1).sort((a, b) => a - b);
+}
+
+export { occurrences, addDays, daysBetween, shiftWeekdays, maxOccurrences };
@@ -0,0 +1,187 @@
+"use strict";
+import { execute } from "./db.js";
+
+/*
+  Background jobs of the server.
+
+  A job has a `name`, a `schedule` and an async `run` function, which may resolve with a
+  summary of what it did, such as `{ sent: 3 }`. Schedules are `{ everySeconds }` or
+  `{ dailyAt: "HH:MM" }`, in the server's time zone.
+
+  The state of the jobs is kept in the `jobs` table. Every few seconds the server looks
+  for the jobs whose `next_run_at` has passed, and claims each one by setting its
+  `running_since` before running it, so a job never runs twice at once, even with several
+  servers, and a restart does not run it again before its time. A job missed while the
+  server was stopped runs once when it starts. Failures are recorded in `job_failures`,
+  and the job runs again at its next time.
+*/
+
+const tickSeconds = 5;
+// A run that started longer ago is taken as interrupted, e.g. by a restart, and claimed again
+const staleMinutes = 60;
+
+const insertJob = "INSERT IGNORE INTO jobs (name, next_run_at) VALUES (?, ?)";
+const selectDueJobs = `
+  SELECT name FROM jobs
+  WHERE next_run_at <= NOW() AND (running_since IS NULL OR running_since < DATE_SUB(NOW(), INTERVAL ${staleMinutes} MINUTE))
+`;
+const claimJob = `
+  UPDATE jobs SET running_since = NOW()
+  WHERE name = ? AND next_run_at <= NOW() AND (running_since IS NULL OR running_since < DATE_SUB(NOW(), INTERVAL ${staleMinutes} MINUTE))
+`;
+const finishJob = `
+  UPDATE jobs SET running_since = NULL, next_run_at = ?, last_run_at = ?, last_duration_ms = ?, last_status = ?,
+    last_result = ?, runs = runs + 1, failures = failures + ?
+  WHERE name = ?
+`;
+const insertJobFailure = "INSERT INTO job_failures (job, started_at, error) VALUES (?, ?, ?)";
+const runJobNow = "UPDATE jobs SET next_run_at = NOW() WHERE name = ?";
+const selectJobs = "SELECT * FROM jobs ORDER BY name";
+const selectJobFailures = "SELECT id, started_at, error, failed_at FROM job_failures WHERE job = ? ORDER BY id DESC LIMIT 5";
+
+const registered = new Map();
+let saved = false;
+let lastTickError = null;
+
+/**
+ * Computes the next run of a schedule.
+ * @param {Object} schedule - `{ everySeconds }` or `{ dailyAt: "HH:MM" }`.
+ * @param {Date} [from=new Date()] - The time to count from, usually the end of the last run.
+ * @returns {Date} The next run.
+ */
+function nextRun(schedule, from = new Date()) {
+    if (schedule.everySeconds) {
+        return new Date(from.getTime() + schedule.everySeconds * 1000);
+    }
+    const [hours, minutes] = schedule.dailyAt.split(":").map(Number);
+    const next = new Date(from);
+    next.setHours(hours, minutes, 0, 0);
+    if (next <= from) {
+        next.setDate(next.getDate() + 1);
+    }
+    return next;
+}
+
+/**
+ * Describes a schedule, e.g. "every 30 seconds" or "daily at 03:00".
+ * @param {Object} schedule - The schedule.
+ * @returns {string} The description.
+ */
+function describeSchedule(schedule) {
+    return schedule.everySeconds ? `every ${schedule.everySeconds} seconds` : `daily at ${schedule.dailyAt}`;
+}
+
+/**
+ * Runs a job if it is due and no other run claimed it, recording the result.
+ * @param {Object} job - The job: name, schedule and run.
+ * @returns {Promise<void>}
+ */
+async function runIfDue(job) {
+    const claimed = await execute(claimJob, [job.name]);
+    if (!claimed.affectedRows) {
+        return;
+    }
+
+    const startedAt = new Date();
+    let status = "succeeded";
+    let result = null;
+    try {
+        result = await job.run();
+    } catch (error) {
+        status = "failed";
+        console.error(`Job ${job.name} failed:`, error);
+        await execute(insertJobFailure, [job.name, startedAt, String(error.message).slice(0, 1000)]).catch(() => {});
+    }
+
+    const finishedAt = new Date();
+    const summary = result === null || result === undefined ? null : JSON.stringify(result);
+    await execute(finishJob, [
+        nextRun(job.schedule, finishedAt), startedAt, finishedAt - startedAt, status,
+        summary && summary.length <= 255 ? summary : null, status === "failed" ? 1 : 0, job.name
+    ]);
+}
+
+/**
+ * Runs the jobs that are due, one after the other, after adding the new jobs to the
+ * `jobs` table. Errors reaching the database are logged once until they change, not on every tick.
+ * @returns {Promise<void>}
+ */
+async function tick() {
+    try {
+        if (!saved) {
+            for (const job of registered.values()) {
+                await execute(insertJob, [job.name, nextRun(job.schedule)]);
+            }
+            saved = true;
+        }
+        const due = await execute(selectDueJobs);
+        for (const { name } of due) {
+            if (registered.has(name)) {
+                await runIfDue(registered.get(name));
+            }
+        }
+        lastTickError = null;
+    } catch (error) {
+        if (error.message !== lastTickError) {
+            console.error("Error running the background jobs:", error.message);
+            lastTickError = error.message;
+        }
+    }
+}
+
+/**
+ * Starts running the jobs.
+ * @param {Object[]} jobs - The jobs: name, description, schedule and run.
+ */
+function startJobs(jobs) {
+    jobs.forEach(job => registered.set(job.name, job));
+
+    let running = false;
+    setInterval(async () => {
+        if (running) {
+            return;
+        }
+        running = true;
+        await tick();
+        running = false;
+    }, tickSeconds * 1000).unref();
+    console.log(`⏱️ Background jobs: ${jobs.map(job => `${job.name} (${describeSchedule(job.schedule)})`).join(", ")}`);
+}
+
+/**
+ * Lists the registered jobs with their state and their last failures.
+ * @returns {Promise<Object[]>} The jobs: name, description, schedule, running, next_run_at, last_run_at,
+ *   last_duration_ms, last_status, last_result, runs, failures and recent_failures.
+ */
+async function listJobs() {
+    const rows = await execute(selectJobs);
+    const jobs = [];
+    for (const row of rows.filter(item => registered.has(item.name))) {
+        const { description, schedule } = registered.get(row.name);
+        const { running_since, last_result, ...state } = row;
+        jobs.push({
+            ...state,
+            description,
+            schedule: describeSchedule(schedule),
+            running: running_since !== null,
+            last_result: last_result ? JSON.parse(last_result) : null,
+            recent_failures: await execute(selectJobFailures, [row.name])
+        });
+    }
+    return jobs;
+}
+
+/**
+ * Makes a job run on the next tick, in a few seconds.
+ * @param {string} name - The name of the job.
+ * @returns {Promise<boolean>} False if there is no such job.
+ */
+async function runJobSoon(name) {
+    if (!registered.has(name)) {
+        return false;
+    }
+    await execute(runJobNow, [name]);
+    return true;
+}
+
+export { startJobs, listJobs, runJobSoon, nextRun };
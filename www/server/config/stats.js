@@ -0,0 +1,56 @@
+"use strict";
+
+/*
+  Calendar helpers of the statistics of the members.
+
+  Weeks run from Monday to Sunday, and days are YYYY-MM-DD strings read as UTC, so the
+  results do not depend on the time zone of the server.
+*/
+
+/**
+ * Returns the number of the week of a day, counting weeks from Monday to Sunday.
+ * @param {string} day - The day, as YYYY-MM-DD.
+ * @returns {number} The week, counted from the first week of 1970.
+ */
+function weekNumber(day) {
+    // 1 January 1970 was a Thursday, 3 days after the Monday that starts its week
+    return Math.floor((Date.parse(`${day}T00:00:00Z`) / 86400000 + 3) / 7);
+}
+
+/**
+ * Calculates the streaks of consecutive weeks with at least one ride.
+ * @param {string[]} days - The days of the rides, as YYYY-MM-DD.
+ * @param {string} today - The current day, as YYYY-MM-DD.
+ * @returns {{longest_weeks: number, current_weeks: number}} The longest streak, and the
+ *   one still going on: ending this week, or last week when there was no ride yet this week.
+ */
+function weekStreaks(days, today) {
+    const weeks = [...new Set(days.map(weekNumber))].sort((a, b) => a - b);
+    let longest = 0;
+    let length = 0;
+    weeks.forEach((week, index) => {
+        length = index > 0 && week === weeks[index - 1] + 1 ? length + 1 : 1;
+        longest = Math.max(longest, length);
+    });
+
+    const current = weekNumber(today);
+    const last = weeks[weeks.length - 1];
+    return { longest_weeks: longest, current_weeks: last === current || last === current - 1 ? length : 0 };
+}
+
+/**
+ * Lists the months shown in the statistics of a member: the twelve months of the season,
+ * or the last twelve months without a season.
+ * @param {number|undefined} season - The year.
+ * @param {string} today - The current day, as YYYY-MM-DD.
+ * @returns {string[]} The months, as YYYY-MM.
+ */
+function statsMonths(season, today) {
+    const end = season ? new Date(Date.UTC(season, 11, 1)) : new Date(`${today.slice(0, 7)}-01T00:00:00Z`);
+    return Array.from({ length: 12 }, (item, index) => {
+        const month = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - 11 + index, 1));
+        return month.toISOString().slice(0, 7);
+    });
+}
+
+export { weekNumber, weekStreaks, statsMonths };
@@ -0,0 +1,57 @@
+"use strict";
+import mysql from "mysql2/promise";
+import connectionOptions from "../config/connection-options.js";
+import { hashPassword } from "../middleware/auth.js";
+
+/*
+  Creates a login account, or resets the password and role of an existing one.
+
+  Usage:
+    node server/database/create-account.js <username> <password> <admin|organiser|member> [memberId] [eventTypeIds]
+
+  eventTypeIds is a comma-separated list of the event types an organiser manages.
+*/
+
+const roles = ["admin", "organiser", "member"];
+
+const upsertAccount = `
+  INSERT INTO accounts (username, password_hash, role, member_id) VALUES (?, ?, ?, ?)
+  ON DUPLICATE KEY UPDATE password_hash = VALUES(password_hash), role = VALUES(role), member_id = VALUES(member_id)
+`;
+const selectAccountId = "SELECT id FROM accounts WHERE username = ?";
+const deleteOrganiserEventTypes = "DELETE FROM organiser_event_types WHERE account_id = ?";
+const insertOrganiserEventType = "INSERT INTO organiser_event_types (account_id, event_type_id) VALUES (?, ?)";
+
+async function main() {
+    const [username, password, role, memberId, eventTypeIds] = process.argv.slice(2);
+    if (!username || !password || !roles.includes(role)) {
+        console.error("Usage: node server/database/create-account.js <username> <password> <admin|organiser|member> [memberId] [eventTypeIds]");
+        process.exitCode = 1;
+        return;
+    }
+
+    let connection;
+    try {
+        connection = await mysql.createConnection(connectionOptions);
+        await connection.beginTransaction();
+
+        await connection.execute(upsertAccount, [username, await hashPassword(password), role, memberId ? Number(memberId) : null]);
+        const [[account]] = await connection.execute(selectAccountId, [username]);
+
+        await connection.execute(deleteOrganiserEventTypes, [account.id]);
+        for (const typeId of (eventTypeIds || "").split(",").filter(id => id.trim())) {
+            await connection.execute(insertOrganiserEventType, [account.id, Number(typeId)]);
+        }
+
+        await connection.commit();
+        console.log(`✅ Account ${username} (${role}) saved.`);
+    } catch (error) {
+        await connection?.rollback().catch(() => {});
+        console.error("❌ Could not save the account:", error.message);
+        process.exitCode = 1;
+    } finally {
+        await connection?.end();
+    }
+}
+
+main();
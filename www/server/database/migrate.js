@@ -0,0 +1,167 @@
+"use strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import mysql from "mysql2/promise";
+import connectionOptions from "../config/connection-options.js";
+
+/*
+  Migration and seed runner for the estsbike database.
+
+  Usage:
+    node server/database/migrate.js up        Applies all pending migrations
+    node server/database/migrate.js down      Rolls back the last applied migration
+    node server/database/migrate.js status    Lists the migrations and whether they are applied
+    node server/database/migrate.js seed      Loads the sample data in seeds/
+
+  Migrations live in migrations/ as pairs of files named <version>_<name>.up.sql and
+  <version>_<name>.down.sql, and are applied in version order. Applied versions are
+  recorded in the schema_migrations table.
+*/
+
+const directory = path.dirname(fileURLToPath(import.meta.url));
+const migrationsDirectory = path.join(directory, "migrations");
+const seedsDirectory = path.join(directory, "seeds");
+
+const createMigrationsTable = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(255) PRIMARY KEY,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB
+`;
+const selectAppliedVersions = "SELECT version FROM schema_migrations ORDER BY version";
+const insertVersion = "INSERT INTO schema_migrations (version) VALUES (?)";
+const deleteVersion = "DELETE FROM schema_migrations WHERE version = ?";
+
+/**
+ * Lists the migrations available on disk, ordered by version.
+ * @returns {Promise<Array<{version: string, up: string, down: string}>>} The migrations, with the paths of their files.
+ */
+async function listMigrations() {
+    const files = await fs.readdir(migrationsDirectory);
+    return files
+        .filter(file => file.endsWith(".up.sql"))
+        .sort()
+        .map(file => {
+            const version = file.slice(0, -".up.sql".length);
+            return {
+                version,
+                up: path.join(migrationsDirectory, file),
+                down: path.join(migrationsDirectory, `${version}.down.sql`)
+            };
+        });
+}
+
+/**
+ * Reads the versions already applied to the database.
+ * @param {Object} connection - The database connection.
+ * @returns {Promise<string[]>} The applied versions, in order.
+ */
+async function appliedVersions(connection) {
+    await connection.query(createMigrationsTable);
+    const [rows] = await connection.query(selectAppliedVersions);
+    return rows.map(row => row.version);
+}
+
+/**
+ * Runs the SQL statements in a file.
+ * @param {Object} connection - The database connection, with multiple statements enabled.
+ * @param {string} file - The path of the SQL file.
+ */
+async function runFile(connection, file) {
+    const sql = await fs.readFile(file, "utf8");
+    await connection.query(sql);
+}
+
+/**
+ * Applies all the migrations that are not yet recorded in schema_migrations.
+ * @param {Object} connection - The database connection.
+ */
+async function migrate(connection) {
+    const applied = await appliedVersions(connection);
+    const pending = (await listMigrations()).filter(migration => !applied.includes(migration.version));
+
+    if (!pending.length) {
+        console.log("Database is up to date.");
+        return;
+    }
+
+    for (const migration of pending) {
+        console.log(`Applying ${migration.version}...`);
+        await runFile(connection, migration.up);
+        await connection.query(insertVersion, [migration.version]);
+    }
+    console.log(`✅ Applied ${pending.length} migration(s).`);
+}
+
+/**
+ * Rolls back the last applied migration.
+ * @param {Object} connection - The database connection.
+ */
+async function rollback(connection) {
+    const applied = await appliedVersions(connection);
+    const version = applied[applied.length - 1];
+
+    if (!version) {
+        console.log("There are no migrations to roll back.");
+        return;
+    }
+
+    const migration = (await listMigrations()).find(migration => migration.version === version);
+    if (!migration) {
+        throw new Error(`Migration ${version} is applied but its files were not found`);
+    }
+
+    console.log(`Rolling back ${version}...`);
+    await runFile(connection, migration.down);
+    await connection.query(deleteVersion, [version]);
+    console.log(`✅ Rolled back ${version}.`);
+}
+
+/**
+ * Prints every migration and whether it is applied.
+ * @param {Object} connection - The database connection.
+ */
+async function status(connection) {
+    const applied = await appliedVersions(connection);
+    for (const migration of await listMigrations()) {
+        console.log(`${applied.includes(migration.version) ? "applied" : "pending"}  ${migration.version}`);
+    }
+}
+
+/**
+ * Loads the seed files, in name order.
+ * @param {Object} connection - The database connection.
+ */
+async function seed(connection) {
+    const files = (await fs.readdir(seedsDirectory)).filter(file => file.endsWith(".sql")).sort();
+    for (const file of files) {
+        console.log(`Seeding ${file}...`);
+        await runFile(connection, path.join(seedsDirectory, file));
+    }
+    console.log(`✅ Loaded ${files.length} seed file(s).`);
+}
+
+const commands = { up: migrate, down: rollback, status, seed };
+
+async function main() {
+    const command = commands[process.argv[2]];
+    if (!command) {
+        console.error("Usage: node server/database/migrate.js <up|down|status|seed>");
+        process.exitCode = 1;
+        return;
+    }
+
+    let connection;
+    try {
+        connection = await mysql.createConnection({ ...connectionOptions, multipleStatements: true });
+        await command(connection);
+    } catch (error) {
+        console.error("❌ Migration failed:", error.message);
+        process.exitCode = 1;
+    } finally {
+        await connection?.end();
+    }
+}
+
+main();
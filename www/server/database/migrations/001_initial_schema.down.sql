@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS member_events;
+DROP TABLE IF EXISTS member_preferred_event_types;
+DROP TABLE IF EXISTS events;
+DROP TABLE IF EXISTS members;
+DROP TABLE IF EXISTS event_types;
@@ -0,0 +1,57 @@
+/*
+  # Initial database schema for ESTSBike Club
+
+  1. Tables
+    - event_types: Stores different types of cycling events
+    - events: Stores cycling events with references to their types
+    - members: Stores club members
+    - member_preferred_event_types: Junction table for member preferences
+    - member_events: Junction table for event registrations
+
+  2. Relationships
+    - events -> event_types (many-to-one)
+    - members <-> event_types (many-to-many through member_preferred_event_types)
+    - members <-> events (many-to-many through member_events)
+*/
+
+CREATE TABLE event_types (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB;
+
+CREATE TABLE members (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(200) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB;
+
+CREATE TABLE events (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  type_id INT NOT NULL,
+  name VARCHAR(200) NOT NULL,
+  date DATE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_event_type FOREIGN KEY (type_id) REFERENCES event_types(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+CREATE TABLE member_preferred_event_types (
+  member_id INT NOT NULL,
+  event_type_id INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (member_id, event_type_id),
+  CONSTRAINT fk_member_preferred FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  CONSTRAINT fk_event_type_preferred FOREIGN KEY (event_type_id) REFERENCES event_types(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+CREATE TABLE member_events (
+  member_id INT NOT NULL,
+  event_id INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (member_id, event_id),
+  CONSTRAINT fk_member_event FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  CONSTRAINT fk_event FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS member_event_waitlist;
+
+ALTER TABLE events DROP COLUMN max_participants;
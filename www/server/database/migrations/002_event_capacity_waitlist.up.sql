@@ -0,0 +1,18 @@
+/*
+  # Event capacity and waitlist
+
+  - events.max_participants: Maximum number of registrations (NULL for no limit)
+  - member_event_waitlist: Ordered waitlist for events that reached their capacity
+*/
+
+ALTER TABLE events ADD COLUMN max_participants INT NULL AFTER date;
+
+CREATE TABLE member_event_waitlist (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  member_id INT NOT NULL,
+  event_id INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_member_event_waitlist (member_id, event_id),
+  CONSTRAINT fk_member_waitlist FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  CONSTRAINT fk_event_waitlist FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
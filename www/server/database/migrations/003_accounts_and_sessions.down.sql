@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS sessions;
+DROP TABLE IF EXISTS organiser_event_types;
+DROP TABLE IF EXISTS accounts;
@@ -0,0 +1,36 @@
+/*
+  # Accounts, sessions and roles
+
+  - accounts: Login accounts, optionally linked to a member, with a role
+    (admin, organiser or member) and a scrypt password hash
+  - organiser_event_types: Event types whose events an organiser can manage
+  - sessions: Login sessions, identified by the token sent by the client
+*/
+
+CREATE TABLE accounts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  member_id INT NULL UNIQUE,
+  username VARCHAR(100) NOT NULL UNIQUE,
+  password_hash VARCHAR(255) NOT NULL,
+  role ENUM('admin', 'organiser', 'member') NOT NULL DEFAULT 'member',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_account_member FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+CREATE TABLE organiser_event_types (
+  account_id INT NOT NULL,
+  event_type_id INT NOT NULL,
+  PRIMARY KEY (account_id, event_type_id),
+  CONSTRAINT fk_organiser_account FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE CASCADE,
+  CONSTRAINT fk_organiser_event_type FOREIGN KEY (event_type_id) REFERENCES event_types(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+CREATE TABLE sessions (
+  token CHAR(64) PRIMARY KEY,
+  account_id INT NOT NULL,
+  expires_at DATETIME NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_sessions_account (account_id),
+  CONSTRAINT fk_session_account FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS event_cancellations;
+ALTER TABLE events DROP COLUMN sequence;
@@ -0,0 +1,20 @@
+/*
+  # Calendar feeds
+
+  - events.sequence: Revision of the event, increased on every update, so calendar
+    applications replace the entry they already have
+  - event_cancellations: Deleted events, kept so the feeds can tell calendar
+    applications to remove them
+*/
+
+ALTER TABLE events ADD COLUMN sequence INT NOT NULL DEFAULT 0 AFTER max_participants;
+
+CREATE TABLE event_cancellations (
+  event_id INT PRIMARY KEY,
+  type_id INT NOT NULL,
+  name VARCHAR(200) NOT NULL,
+  date DATE NOT NULL,
+  sequence INT NOT NULL,
+  cancelled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_event_cancellations_type (type_id)
+) ENGINE=InnoDB;
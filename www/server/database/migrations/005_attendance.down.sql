@@ -0,0 +1,4 @@
+ALTER TABLE member_events
+  DROP INDEX idx_member_events_status,
+  DROP COLUMN status_updated_at,
+  DROP COLUMN status;
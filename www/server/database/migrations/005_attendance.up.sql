@@ -0,0 +1,13 @@
+/*
+  # Attendance
+
+  - member_events.status: What happened to the registration. Members are 'registered'
+    until the attendance is recorded after the event ('attended' or 'no-show'), or
+    'cancelled' when they gave up without being unregistered. Cancelled registrations
+    do not take a place in the event.
+*/
+
+ALTER TABLE member_events
+  ADD COLUMN status ENUM('registered', 'attended', 'no-show', 'cancelled') NOT NULL DEFAULT 'registered' AFTER event_id,
+  ADD COLUMN status_updated_at TIMESTAMP NULL AFTER status,
+  ADD INDEX idx_member_events_status (event_id, status);
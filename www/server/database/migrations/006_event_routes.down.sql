@@ -0,0 +1,8 @@
+ALTER TABLE events
+  DROP COLUMN end_lon,
+  DROP COLUMN end_lat,
+  DROP COLUMN start_lon,
+  DROP COLUMN start_lat,
+  DROP COLUMN elevation_gain_m,
+  DROP COLUMN distance_m,
+  DROP COLUMN route_name;
@@ -0,0 +1,17 @@
+/*
+  # Event routes
+
+  - events.route_name: Name of the GPX file uploaded with the route of the event.
+    The file is stored in UPLOADS_DIR as routes/event-<id>.gpx.
+  - events.distance_m, elevation_gain_m: Length of the route and total climb, in metres.
+  - events.start_lat, start_lon, end_lat, end_lon: Where the route starts and ends.
+*/
+
+ALTER TABLE events
+  ADD COLUMN route_name VARCHAR(255) NULL,
+  ADD COLUMN distance_m INT UNSIGNED NULL,
+  ADD COLUMN elevation_gain_m INT UNSIGNED NULL,
+  ADD COLUMN start_lat DOUBLE NULL,
+  ADD COLUMN start_lon DOUBLE NULL,
+  ADD COLUMN end_lat DOUBLE NULL,
+  ADD COLUMN end_lon DOUBLE NULL;
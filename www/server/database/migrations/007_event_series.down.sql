@@ -0,0 +1,5 @@
+ALTER TABLE events
+  DROP FOREIGN KEY fk_event_series,
+  DROP COLUMN series_id;
+DROP TABLE IF EXISTS event_series_exceptions;
+DROP TABLE IF EXISTS event_series;
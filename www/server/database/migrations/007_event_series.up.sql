@@ -0,0 +1,33 @@
+/*
+  # Event series
+
+  - event_series: Recurrence rule of events that repeat (see server/config/recurrence.js).
+    `by_weekday` is a comma-separated list of weekdays, 1 (Monday) to 7 (Sunday).
+    The series ends on `until_date` or after `occurrences` events.
+  - event_series_exceptions: Days of the series without an event, given when the
+    series was created or left by deleting one of its events
+  - events.series_id: Series the event was generated by, if any
+*/
+
+CREATE TABLE event_series (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  frequency ENUM('weekly', 'monthly') NOT NULL,
+  interval_count INT NOT NULL DEFAULT 1,
+  by_weekday VARCHAR(20) NULL,
+  start_date DATE NOT NULL,
+  until_date DATE NULL,
+  occurrences INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB;
+
+CREATE TABLE event_series_exceptions (
+  series_id INT NOT NULL,
+  date DATE NOT NULL,
+  PRIMARY KEY (series_id, date),
+  CONSTRAINT fk_series_exception FOREIGN KEY (series_id) REFERENCES event_series(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+ALTER TABLE events
+  ADD COLUMN series_id INT NULL AFTER type_id,
+  ADD CONSTRAINT fk_event_series FOREIGN KEY (series_id) REFERENCES event_series(id) ON DELETE SET NULL;
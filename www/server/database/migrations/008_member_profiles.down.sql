@@ -0,0 +1,11 @@
+ALTER TABLE members
+  DROP INDEX idx_members_status,
+  DROP INDEX idx_members_membership_number,
+  DROP COLUMN status,
+  DROP COLUMN emergency_contact_phone,
+  DROP COLUMN emergency_contact_name,
+  DROP COLUMN join_date,
+  DROP COLUMN membership_number,
+  DROP COLUMN birth_date,
+  DROP COLUMN phone,
+  DROP COLUMN email;
@@ -0,0 +1,23 @@
+/*
+  # Member profiles
+
+  - members.email, phone, birth_date: Contact data of the member.
+  - members.membership_number: Number of the member in the club, unique when given.
+  - members.join_date: Day the member joined the club, the day of the record for existing members.
+  - members.emergency_contact_name, emergency_contact_phone: Who to call if something happens on a ride.
+  - members.status: 'active' members can register for events, 'suspended' and 'former' ones cannot.
+*/
+
+ALTER TABLE members
+  ADD COLUMN email VARCHAR(254) NULL AFTER name,
+  ADD COLUMN phone VARCHAR(30) NULL AFTER email,
+  ADD COLUMN birth_date DATE NULL AFTER phone,
+  ADD COLUMN membership_number VARCHAR(20) NULL AFTER birth_date,
+  ADD COLUMN join_date DATE NULL AFTER membership_number,
+  ADD COLUMN emergency_contact_name VARCHAR(200) NULL AFTER join_date,
+  ADD COLUMN emergency_contact_phone VARCHAR(30) NULL AFTER emergency_contact_name,
+  ADD COLUMN status ENUM('active', 'suspended', 'former') NOT NULL DEFAULT 'active' AFTER emergency_contact_phone,
+  ADD UNIQUE INDEX idx_members_membership_number (membership_number),
+  ADD INDEX idx_members_status (status);
+
+UPDATE members SET join_date = DATE(created_at);
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS payments;
+ALTER TABLE events
+  DROP COLUMN fee_cents;
+DROP TABLE IF EXISTS membership_fees;
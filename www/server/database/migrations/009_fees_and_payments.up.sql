@@ -0,0 +1,38 @@
+/*
+  # Fees and payments
+
+  Amounts are in cents.
+
+  - membership_fees: Dues of a member for a period, such as a year, to be paid by `due_date`.
+  - events.fee_cents: Fee of an event, charged to every member registered in it (unless
+    cancelled) on the day of the event.
+  - payments: Money received from a member. Payments are not tied to a charge: they pay
+    the oldest charges first.
+*/
+
+CREATE TABLE membership_fees (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  member_id INT NOT NULL,
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  amount_cents INT UNSIGNED NOT NULL,
+  due_date DATE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_membership_fee_period (member_id, period_start),
+  CONSTRAINT fk_membership_fee_member FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+ALTER TABLE events
+  ADD COLUMN fee_cents INT UNSIGNED NULL AFTER max_participants;
+
+CREATE TABLE payments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  member_id INT NOT NULL,
+  amount_cents INT UNSIGNED NOT NULL,
+  date DATE NOT NULL,
+  method ENUM('cash', 'transfer', 'mbway', 'card', 'other') NOT NULL,
+  reference VARCHAR(100) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_payments_member (member_id, date),
+  CONSTRAINT fk_payment_member FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
@@ -0,0 +1,33 @@
+/*
+  # Email notifications
+
+  - notifications: Emails queued for the members, rendered when queued. Pending emails are
+    sent by the server; after a failure they are tried again at `next_attempt_at`, waiting
+    longer each time, until they are `failed` after the last attempt.
+  - notification_failures: Every failed attempt to send an email, with the error.
+*/
+
+CREATE TABLE notifications (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  member_id INT NULL,
+  recipient VARCHAR(255) NOT NULL,
+  template VARCHAR(50) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  body TEXT NOT NULL,
+  status ENUM('pending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+  attempts INT UNSIGNED NOT NULL DEFAULT 0,
+  next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  sent_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_notifications_pending (status, next_attempt_at),
+  CONSTRAINT fk_notification_member FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE SET NULL
+) ENGINE=InnoDB;
+
+CREATE TABLE notification_failures (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  notification_id INT NOT NULL,
+  attempt INT UNSIGNED NOT NULL,
+  error VARCHAR(1000) NOT NULL,
+  failed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_notification_failure FOREIGN KEY (notification_id) REFERENCES notifications(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
@@ -0,0 +1,6 @@
+ALTER TABLE events
+  DROP INDEX idx_events_closed,
+  DROP COLUMN closed_at;
+DROP TABLE IF EXISTS event_reminders;
+DROP TABLE IF EXISTS job_failures;
+DROP TABLE IF EXISTS jobs;
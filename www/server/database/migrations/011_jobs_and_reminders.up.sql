@@ -0,0 +1,48 @@
+/*
+  # Background jobs and event reminders
+
+  - jobs: Jobs run by the server on a schedule, with their next run and the result of the
+    last one. A job is claimed by setting `running_since`, so it never runs twice at once,
+    even with several servers, and a restart does not run it again before `next_run_at`.
+  - job_failures: Every failed run of a job, with the error.
+  - event_reminders: Reminders already sent to the members registered in an event, one per
+    member and time before the event (`lead_hours`), so they are never sent twice.
+  - events.closed_at: When the event was closed, after its day. Closed events take no
+    more registrations.
+*/
+
+CREATE TABLE jobs (
+  name VARCHAR(50) PRIMARY KEY,
+  next_run_at DATETIME NOT NULL,
+  running_since DATETIME NULL,
+  last_run_at DATETIME NULL,
+  last_duration_ms INT UNSIGNED NULL,
+  last_status ENUM('succeeded', 'failed') NULL,
+  last_result VARCHAR(255) NULL,
+  runs INT UNSIGNED NOT NULL DEFAULT 0,
+  failures INT UNSIGNED NOT NULL DEFAULT 0
+) ENGINE=InnoDB;
+
+CREATE TABLE job_failures (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  job VARCHAR(50) NOT NULL,
+  started_at DATETIME NOT NULL,
+  error VARCHAR(1000) NOT NULL,
+  failed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_job_failures_job (job, id),
+  CONSTRAINT fk_job_failure_job FOREIGN KEY (job) REFERENCES jobs(name) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+CREATE TABLE event_reminders (
+  event_id INT NOT NULL,
+  member_id INT NOT NULL,
+  lead_hours INT UNSIGNED NOT NULL,
+  sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (event_id, member_id, lead_hours),
+  CONSTRAINT fk_event_reminder_event FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+  CONSTRAINT fk_event_reminder_member FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+ALTER TABLE events
+  ADD COLUMN closed_at DATETIME NULL AFTER fee_cents,
+  ADD INDEX idx_events_closed (closed_at, date);
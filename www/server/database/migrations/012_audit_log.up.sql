@@ -0,0 +1,28 @@
+/*
+  # Audit log
+
+  - audit_log: Every change made through the API to members, events, event types and
+    registrations, with the account that made it, the IP address of the request and the
+    record before and after the change. Registrations are logged on the event, with the
+    member as the related record. Entries outlive the records and the accounts they name:
+    the username is kept in `actor`.
+*/
+
+CREATE TABLE audit_log (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  account_id INT NULL,
+  actor VARCHAR(100) NULL,
+  action VARCHAR(20) NOT NULL,
+  entity VARCHAR(20) NOT NULL,
+  entity_id INT NOT NULL,
+  related_entity VARCHAR(20) NULL,
+  related_id INT NULL,
+  before_data JSON NULL,
+  after_data JSON NULL,
+  ip VARCHAR(45) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_audit_entity (entity, entity_id),
+  INDEX idx_audit_related (related_entity, related_id),
+  INDEX idx_audit_created (created_at),
+  CONSTRAINT fk_audit_account FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE SET NULL
+) ENGINE=InnoDB;
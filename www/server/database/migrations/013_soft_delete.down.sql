@@ -0,0 +1,13 @@
+DROP TABLE IF EXISTS deleted_registrations;
+
+ALTER TABLE event_types
+  DROP INDEX idx_event_types_deleted,
+  DROP COLUMN deleted_at;
+
+ALTER TABLE events
+  DROP INDEX idx_events_deleted,
+  DROP COLUMN deleted_at;
+
+ALTER TABLE members
+  DROP INDEX idx_members_deleted,
+  DROP COLUMN deleted_at;
@@ -0,0 +1,35 @@
+/*
+  # Soft delete
+
+  - members.deleted_at, events.deleted_at, event_types.deleted_at: When the record was
+    deleted. Deleted records are left out of the API until they are restored, and are
+    removed for good by the purge-trash job some days later.
+  - deleted_registrations: Registrations and waitlist entries of deleted members and
+    events, moved out of member_events and member_event_waitlist so they take no place
+    in the events, and moved back when both the member and the event are restored.
+*/
+
+ALTER TABLE members
+  ADD COLUMN deleted_at DATETIME NULL,
+  ADD INDEX idx_members_deleted (deleted_at);
+
+ALTER TABLE events
+  ADD COLUMN deleted_at DATETIME NULL,
+  ADD INDEX idx_events_deleted (deleted_at);
+
+ALTER TABLE event_types
+  ADD COLUMN deleted_at DATETIME NULL,
+  ADD INDEX idx_event_types_deleted (deleted_at);
+
+CREATE TABLE deleted_registrations (
+  member_id INT NOT NULL,
+  event_id INT NOT NULL,
+  waitlisted BOOLEAN NOT NULL DEFAULT FALSE,
+  status ENUM('registered', 'attended', 'no-show', 'cancelled') NULL,
+  status_updated_at TIMESTAMP NULL,
+  registered_at TIMESTAMP NULL,
+  PRIMARY KEY (member_id, event_id),
+  INDEX idx_deleted_registrations_event (event_id),
+  CONSTRAINT fk_deleted_registration_member FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  CONSTRAINT fk_deleted_registration_event FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
@@ -0,0 +1,8 @@
+ALTER TABLE event_types
+  DROP FOREIGN KEY fk_event_type_parent,
+  DROP COLUMN default_duration_minutes,
+  DROP COLUMN default_difficulty,
+  DROP COLUMN icon,
+  DROP COLUMN color,
+  DROP COLUMN description,
+  DROP COLUMN parent_id;
@@ -0,0 +1,21 @@
+/*
+  # Event type details
+
+  - event_types.parent_id: The broader type a type belongs to, e.g. Estrada and BTT under
+    Competição. Only one level: a type with a parent cannot be the parent of another.
+    Members who prefer a parent type can register in the events of its child types.
+  - event_types.description: What the events of the type are like.
+  - event_types.color, icon: How the type is shown, as a #RRGGBB colour and a short text
+    such as an emoji.
+  - event_types.default_difficulty, default_duration_minutes: What to expect from the events
+    of the type, unless told otherwise.
+*/
+
+ALTER TABLE event_types
+  ADD COLUMN parent_id INT NULL AFTER id,
+  ADD COLUMN description VARCHAR(1000) NULL AFTER name,
+  ADD COLUMN color CHAR(7) NULL AFTER description,
+  ADD COLUMN icon VARCHAR(16) NULL AFTER color,
+  ADD COLUMN default_difficulty ENUM('easy', 'moderate', 'hard', 'extreme') NULL AFTER icon,
+  ADD COLUMN default_duration_minutes SMALLINT UNSIGNED NULL AFTER default_difficulty,
+  ADD CONSTRAINT fk_event_type_parent FOREIGN KEY (parent_id) REFERENCES event_types(id) ON DELETE SET NULL;
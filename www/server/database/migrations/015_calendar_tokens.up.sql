@@ -0,0 +1,9 @@
+/*
+  # Calendar tokens
+
+  - accounts.calendar_token: SHA-256 hash of the token calendar applications send as
+    `?token=` to read the calendar feeds, as they cannot log in. Creating a new token
+    replaces the previous one, which stops working.
+*/
+
+ALTER TABLE accounts ADD COLUMN calendar_token CHAR(64) NULL UNIQUE AFTER password_hash;
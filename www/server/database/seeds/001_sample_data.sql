@@ -0,0 +1,48 @@
+-- Sample data for development. Safe to run more than once.
+
+INSERT INTO event_types (id, parent_id, name, description, color, icon, default_difficulty, default_duration_minutes) VALUES
+  (1, NULL, 'Passeio', 'Voltas em grupo a ritmo calmo, abertas a todos os membros.', '#009688', '🚲', 'easy', 180),
+  (2, NULL, 'Competição', 'Provas em que o clube participa.', '#FF5722', '🏆', 'hard', 240),
+  (3, NULL, 'Treino', 'Sessões de treino orientado.', '#3F51B5', '⏱️', 'moderate', 120),
+  (4, 2, 'Estrada', 'Provas de ciclismo de estrada.', '#E64A19', '🚴', 'hard', 240),
+  (5, 2, 'BTT', 'Provas de bicicleta todo-o-terreno.', '#795548', '🚵', 'extreme', 180)
+ON DUPLICATE KEY UPDATE parent_id = VALUES(parent_id), name = VALUES(name), description = VALUES(description),
+  color = VALUES(color), icon = VALUES(icon), default_difficulty = VALUES(default_difficulty),
+  default_duration_minutes = VALUES(default_duration_minutes);
+
+INSERT INTO members (id, name) VALUES
+  (1, 'Alice Oliveira'),
+  (2, 'Bruno Silva'),
+  (3, 'Carlos Santos'),
+  (4, 'Daniela Costa')
+ON DUPLICATE KEY UPDATE name = VALUES(name);
+
+INSERT INTO events (id, type_id, name, date) VALUES
+  (1, 1, 'Passeio pelo parque', '2025-03-10'),
+  (2, 2, 'Competição de estrada', '2025-03-15'),
+  (3, 3, 'Treino de resistência', '2025-03-20'),
+  (4, 1, 'Passeio pela praia', '2025-03-25'),
+  (5, 2, 'Competição de MTB', '2025-04-01')
+ON DUPLICATE KEY UPDATE type_id = VALUES(type_id), name = VALUES(name), date = VALUES(date);
+
+INSERT INTO member_preferred_event_types (member_id, event_type_id) VALUES
+  (1, 1),  -- Alice prefers Passeio
+  (1, 2),  -- Alice prefers Competição
+  (2, 1),  -- Bruno prefers Passeio
+  (2, 3),  -- Bruno prefers Treino
+  (3, 2),  -- Carlos prefers Competição
+  (3, 3),  -- Carlos prefers Treino
+  (4, 1),  -- Daniela prefers Passeio
+  (4, 3)   -- Daniela prefers Treino
+ON DUPLICATE KEY UPDATE member_id = member_id;
+
+INSERT INTO member_events (member_id, event_id) VALUES
+  (1, 1),  -- Alice participates in Passeio pelo parque
+  (1, 2),  -- Alice participates in Competição de estrada
+  (2, 1),  -- Bruno participates in Passeio pelo parque
+  (2, 3),  -- Bruno participates in Treino de resistência
+  (3, 2),  -- Carlos participates in Competição de estrada
+  (3, 5),  -- Carlos participates in Competição de MTB
+  (4, 1),  -- Daniela participates in Passeio pelo parque
+  (4, 3)   -- Daniela participates in Treino de resistência
+ON DUPLICATE KEY UPDATE member_id = member_id;
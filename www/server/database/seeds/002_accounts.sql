@@ -0,0 +1,12 @@
+-- Sample accounts for development. Safe to run more than once.
+-- The password of every account is "estsbike".
+
+INSERT INTO accounts (id, member_id, username, password_hash, role) VALUES
+  (1, 1, 'alice', 'scrypt$1cf52f63a7f36afbeb282794e18f8192$d9d53a075e210f7b9f630bb07d9d6624b3d15c463a588566e12005b71b6d0d8c151e5a9db4b974f1605c9aa3ab60a003ae2b0d420ed67dd562b9f988a80ff205', 'admin'),
+  (2, 3, 'carlos', 'scrypt$c32d2a2da5e2a70658f78532496b19bf$b1cd10a9d43d47cda49b13dc2ebe7e40ea9d6fc0bd18841550bb9b7dfcebc9d0acbcb3e42a0b8240f978f075da98ecbd52770280e85a67e458f35c7e45f19354', 'organiser'),
+  (3, 2, 'bruno', 'scrypt$8aa3c42e48a30c60f82168e87d268e66$6db4ad466dcda9e824338a37b5e27b619fffc2d3a3c7d44e6d044a7ba31eaf20d48b063b8e4d9ea00e1a96e0f61a9f0346beca8aeed4dc068a92c59e65a1fdb3', 'member')
+ON DUPLICATE KEY UPDATE member_id = VALUES(member_id), username = VALUES(username), role = VALUES(role);
+
+INSERT INTO organiser_event_types (account_id, event_type_id) VALUES
+  (2, 2)  -- Carlos organises Competição events
+ON DUPLICATE KEY UPDATE account_id = account_id;
@@ -0,0 +1,227 @@
+"use strict";
+import crypto from "node:crypto";
+import { promisify } from "node:util";
+import { execute, number, sendError, sendDatabaseError } from "../config/db.js";
+
+/*
+  Authentication and authorization middleware.
+
+  Clients send the token received from POST /auth/login in the Authorization header
+  ("Bearer <token>"). Only the SHA-256 hash of the token is stored in the sessions table.
+
+  Calendar applications cannot log in, so the calendar feeds are read with the calendar token
+  of an account instead, sent as `?token=`. It is created with POST /auth/calendar-token and
+  only its hash is stored, in accounts.calendar_token.
+
+  Roles:
+    admin      Manages everything
+    organiser  Manages the events of the event types assigned in organiser_event_types
+    member     Registers and unregisters themselves in events
+*/
+
+const scrypt = promisify(crypto.scrypt);
+const keyLength = 64;
+
+const selectSessionAccount = `
+  SELECT a.id, a.member_id, a.username, a.role, m.name as member_name,
+    GROUP_CONCAT(oet.event_type_id) as event_types
+  FROM sessions s
+  JOIN accounts a ON a.id = s.account_id
+  LEFT JOIN members m ON m.id = a.member_id
+  LEFT JOIN organiser_event_types oet ON oet.account_id = a.id
+  WHERE s.token = ? AND s.expires_at > NOW() AND m.deleted_at IS NULL
+  GROUP BY a.id
+`;
+
+const selectCalendarTokenAccount = `
+  SELECT a.id, a.member_id, a.username, a.role, m.name as member_name,
+    GROUP_CONCAT(oet.event_type_id) as event_types
+  FROM accounts a
+  LEFT JOIN members m ON m.id = a.member_id
+  LEFT JOIN organiser_event_types oet ON oet.account_id = a.id
+  WHERE a.calendar_token = ? AND m.deleted_at IS NULL
+  GROUP BY a.id
+`;
+
+/**
+ * Hashes a password with scrypt and a random salt.
+ * @param {string} password - The plain text password.
+ * @returns {Promise<string>} The hash, as "scrypt$<salt>$<key>" in hexadecimal.
+ */
+export async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString("hex");
+    const key = await scrypt(password, salt, keyLength);
+    return `scrypt$${salt}$${key.toString("hex")}`;
+}
+
+/**
+ * Checks a password against a hash created by hashPassword.
+ * @param {string} password - The plain text password.
+ * @param {string} hash - The stored hash.
+ * @returns {Promise<boolean>} True if the password matches.
+ */
+export async function verifyPassword(password, hash) {
+    const [algorithm, salt, key] = String(hash).split("$");
+    if (algorithm !== "scrypt" || !salt || !key) {
+        return false;
+    }
+    const expected = Buffer.from(key, "hex");
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Creates a new random session token.
+ * @returns {string} The token, in hexadecimal.
+ */
+export function createToken() {
+    return crypto.randomBytes(32).toString("hex");
+}
+
+/**
+ * Hashes a session token for storage and lookup.
+ * @param {string} token - The token sent by the client.
+ * @returns {string} The SHA-256 hash of the token, in hexadecimal.
+ */
+export function hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Converts an account row into the account attached to requests and sent to the client.
+ * @param {Object} row - The account row, with the `member_name` and `event_types` columns.
+ * @returns {Object} The account.
+ */
+export function toAccount(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        role: row.role,
+        memberId: row.member_id ?? null,
+        memberName: row.member_name ?? null,
+        eventTypes: row.event_types ? String(row.event_types).split(",").map(Number) : []
+    };
+}
+
+/**
+ * Reads the session token from the Authorization header.
+ * @param {Object} request - The HTTP request object.
+ * @returns {string|null} The token, or null if the header is missing or malformed.
+ */
+function readToken(request) {
+    const match = /^Bearer\s+([0-9a-f]{64})$/i.exec(request.get("Authorization") || "");
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Rejects requests without a valid session and attaches the logged in account
+ * to `request.account` and its token to `request.token`.
+ * @param {Object} request - The HTTP request object.
+ * @param {Object} response - The HTTP response object.
+ * @param {Function} next - Passes control to the next handler.
+ */
+export async function authenticate(request, response, next) {
+    const token = readToken(request);
+    if (!token) {
+        return sendError(response, "Authentication required", 401);
+    }
+
+    try {
+        const [row] = await execute(selectSessionAccount, [hashToken(token)]);
+        if (!row) {
+            return sendError(response, "Session expired or invalid", 401);
+        }
+        request.token = token;
+        request.account = toAccount(row);
+        next();
+    } catch (error) {
+        console.error("Error checking session:", error);
+        sendDatabaseError(response, error, "Error checking session");
+    }
+}
+
+/**
+ * Rejects requests to the calendar feeds without a valid calendar token in the `token`
+ * query parameter, and attaches its account to `request.account`.
+ * @param {Object} request - The HTTP request object.
+ * @param {Object} response - The HTTP response object.
+ * @param {Function} next - Passes control to the next handler.
+ */
+export async function authenticateCalendar(request, response, next) {
+    const token = String(request.query.token || "");
+    if (!/^[0-9a-f]{64}$/i.test(token)) {
+        return sendError(response, "Calendar token required", 401);
+    }
+
+    try {
+        const [row] = await execute(selectCalendarTokenAccount, [hashToken(token.toLowerCase())]);
+        if (!row) {
+            return sendError(response, "Calendar token invalid", 401);
+        }
+        request.account = toAccount(row);
+        next();
+    } catch (error) {
+        console.error("Error checking calendar token:", error);
+        sendDatabaseError(response, error, "Error checking calendar token");
+    }
+}
+
+/**
+ * Only lets through accounts with one of the given roles.
+ * @param {...string} roles - The allowed roles.
+ * @returns {Function} The middleware.
+ */
+export function authorize(...roles) {
+    return (request, response, next) => {
+        if (!roles.includes(request.account?.role)) {
+            return sendError(response, "You do not have permission to do this", 403);
+        }
+        next();
+    };
+}
+
+/**
+ * Only lets through requests for the records in the trash (`?includeDeleted=true`) from
+ * accounts with one of the given roles. Must come after the validation of the query.
+ * @param {...string} roles - The roles allowed to list deleted records.
+ * @returns {Function} The middleware.
+ */
+export function authorizeDeleted(...roles) {
+    return (request, response, next) => {
+        if (request.query.includeDeleted === true && !roles.includes(request.account?.role)) {
+            return sendError(response, "You do not have permission to list deleted records", 403);
+        }
+        next();
+    };
+}
+
+/**
+ * Only lets through the account of the member in the route, or accounts with one of the given roles.
+ * @param {string} parameter - The name of the route parameter with the member ID.
+ * @param {...string} roles - The roles allowed to act on any member.
+ * @returns {Function} The middleware.
+ */
+export function authorizeMember(parameter, ...roles) {
+    return (request, response, next) => {
+        const account = request.account;
+        const memberId = number(request.params[parameter]);
+        if (!roles.includes(account?.role) && (!account?.memberId || account.memberId !== memberId)) {
+            return sendError(response, "You can only do this for yourself", 403);
+        }
+        next();
+    };
+}
+
+/**
+ * Checks if an account can manage the events of an event type.
+ * Admins manage all event types, organisers only the ones assigned to them.
+ * @param {Object} account - The logged in account.
+ * @param {number} typeId - The ID of the event type.
+ * @returns {boolean} True if the account can create, change or delete events of the type.
+ */
+export function canManageEventType(account, typeId) {
+    if (account?.role === "admin") {
+        return true;
+    }
+    return account?.role === "organiser" && account.eventTypes.includes(Number(typeId));
+}
@@ -0,0 +1,60 @@
+"use strict";
+import { DatabaseError, sendError } from "../config/db.js";
+import { HttpError } from "../config/errors.js";
+
+/**
+ * Wraps an async route handler so that the errors it throws, or the promises it
+ * rejects, reach the error handling middleware instead of leaving the request hanging.
+ * @param {Function} handler - The route handler.
+ * @returns {Function} The wrapped handler.
+ */
+export function asyncHandler(handler) {
+    return (request, response, next) => {
+        Promise.resolve()
+            .then(() => handler(request, response, next))
+            .catch(next);
+    };
+}
+
+/**
+ * Answers requests that did not match any route.
+ * @param {Object} request - The HTTP request object.
+ * @param {Object} response - The HTTP response object.
+ */
+export function notFoundHandler(request, response) {
+    sendError(response, `Route not found: ${request.method} ${request.path}`, 404);
+}
+
+/**
+ * Turns errors thrown by the middleware and the route handlers into the JSON error response.
+ * Unexpected errors are logged and answered with 500, without their internal message.
+ * @param {Error} error - The error.
+ * @param {Object} request - The HTTP request object.
+ * @param {Object} response - The HTTP response object.
+ * @param {Function} next - Passes the error to the default Express handler.
+ */
+export function errorHandler(error, request, response, next) {
+    if (response.headersSent) {
+        console.error(`Error after the response to ${request.method} ${request.originalUrl} was sent:`, error);
+        return next(error);
+    }
+
+    if (error instanceof HttpError) {
+        return sendError(response, error.message, error.status, error.code, error.details);
+    }
+    if (error instanceof DatabaseError) {
+        console.error(`Database error in ${request.method} ${request.originalUrl}:`, error);
+        return sendError(response, error.message, error.status, error.code);
+    }
+
+    // Errors raised by body-parser
+    if (error.type === "entity.parse.failed") {
+        return sendError(response, "The request body is not valid JSON", 400, "INVALID_JSON");
+    }
+    if (error.type === "entity.too.large") {
+        return sendError(response, "The request body is too large", 413);
+    }
+
+    console.error(`Unexpected error in ${request.method} ${request.originalUrl}:`, error);
+    sendError(response, "Internal server error", 500);
+}
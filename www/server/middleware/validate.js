@@ -0,0 +1,262 @@
+"use strict";
+import { execute, date, sendError, sendDatabaseError } from "../config/db.js";
+
+/*
+  Declarative request validation.
+
+  A schema describes the params, query and body of a request, field by field:
+
+    {
+      params: { id: { type: "id", required: true } },
+      body: {
+        name: { type: "string", required: true, maxLength: 100 },
+        type_id: { type: "id", required: true, references: "eventType" }
+      }
+    }
+
+  Rules:
+    type        "id" (positive integer), "integer", "string", "date" (YYYY-MM-DD),
+                "boolean", "enum", "array" or "object"
+    required    The field must be present and not empty
+    nullable    null or an empty string are accepted, and become null
+    min, max    Limits of integers, or of dates (as YYYY-MM-DD)
+    minLength, maxLength   Limits of the length of strings, or of the number of items of arrays
+    trim        Strings are trimmed unless this is false
+    pattern     A regular expression strings must match, with `patternMessage` as the error
+    values      The accepted values of an enum
+    items       The rule of the items of an array
+    fields      The rules of the fields of an object (only type, required and their own rules)
+    unique      The items of an array cannot be repeated
+    notBefore   Name of another date field of the same part that this date cannot precede
+    references  Name of a table in `references` below, where the ID must exist
+
+  Valid values replace the received ones in the request, converted to their type, so the
+  handlers can use them as they are. When any field is invalid the request is answered with
+  422 and the list of errors in the details of the error, as [{ location, field, message }].
+*/
+
+const references = {
+    eventType: { query: "SELECT id FROM event_types WHERE id = ? AND deleted_at IS NULL", message: "Event type does not exist" },
+    member: { query: "SELECT id FROM members WHERE id = ? AND deleted_at IS NULL", message: "Member does not exist" },
+    event: { query: "SELECT id FROM events WHERE id = ? AND deleted_at IS NULL", message: "Event does not exist" }
+};
+
+function isEmpty(value) {
+    return value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+}
+
+/**
+ * Converts and checks one value against its rule.
+ * @param {*} value - The received value, not empty.
+ * @param {Object} rule - The rule of the field.
+ * @returns {{value: *}|{error: string}} The converted value, or the error message.
+ */
+function check(value, rule) {
+    switch (rule.type) {
+        case "id":
+        case "integer": {
+            const result = typeof value === "string" && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+            if (!Number.isInteger(result) || (rule.type === "id" && result < 1)) {
+                return { error: rule.type === "id" ? "must be a valid ID" : "must be an integer" };
+            }
+            if (rule.min !== undefined && result < rule.min) {
+                return { error: `must be at least ${rule.min}` };
+            }
+            if (rule.max !== undefined && result > rule.max) {
+                return { error: `must be at most ${rule.max}` };
+            }
+            return { value: result };
+        }
+        case "string": {
+            if (typeof value !== "string" && typeof value !== "number") {
+                return { error: "must be a text" };
+            }
+            const result = rule.trim === false ? String(value) : String(value).trim();
+            if (rule.minLength !== undefined && result.length < rule.minLength) {
+                return { error: `must have at least ${rule.minLength} characters` };
+            }
+            if (rule.maxLength !== undefined && result.length > rule.maxLength) {
+                return { error: `must have at most ${rule.maxLength} characters` };
+            }
+            if (rule.pattern && !rule.pattern.test(result)) {
+                return { error: rule.patternMessage || "has an invalid format" };
+            }
+            return { value: result };
+        }
+        case "date": {
+            const result = typeof value === "string" || value instanceof Date ? date(value) : undefined;
+            if (!result) {
+                return { error: "must be a valid date" };
+            }
+            if (rule.min !== undefined && result < rule.min) {
+                return { error: `must not be before ${rule.min}` };
+            }
+            if (rule.max !== undefined && result > rule.max) {
+                return { error: `must not be after ${rule.max}` };
+            }
+            return { value: result };
+        }
+        case "boolean": {
+            if (typeof value === "boolean") {
+                return { value };
+            }
+            const text = String(value).toLowerCase();
+            if (text === "true" || text === "false") {
+                return { value: text === "true" };
+            }
+            return { error: "must be true or false" };
+        }
+        case "enum": {
+            if (!rule.values.includes(value)) {
+                return { error: `must be one of: ${rule.values.join(", ")}` };
+            }
+            return { value };
+        }
+        case "array": {
+            if (!Array.isArray(value)) {
+                return { error: "must be a list" };
+            }
+            if (rule.minLength !== undefined && value.length < rule.minLength) {
+                return { error: `must have at least ${rule.minLength} items` };
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return { error: `must have at most ${rule.maxLength} items` };
+            }
+            const result = [];
+            for (const item of value) {
+                const checked = rule.items ? check(item, rule.items) : { value: item };
+                if (checked.error) {
+                    return { error: `has an item that ${checked.error}` };
+                }
+                result.push(checked.value);
+            }
+            if (rule.unique && new Set(result).size !== result.length) {
+                return { error: "must not have repeated items" };
+            }
+            return { value: result };
+        }
+        case "object": {
+            if (typeof value !== "object" || value === null || Array.isArray(value)) {
+                return { error: "must be an object" };
+            }
+            const result = {};
+            for (const [field, fieldRule] of Object.entries(rule.fields || {})) {
+                if (isEmpty(value[field])) {
+                    if (fieldRule.required) {
+                        return { error: `must have ${field}` };
+                    }
+                    continue;
+                }
+                const checked = check(value[field], fieldRule);
+                if (checked.error) {
+                    return { error: `has ${field} that ${checked.error}` };
+                }
+                result[field] = checked.value;
+            }
+            return { value: result };
+        }
+        default:
+            throw new Error(`Unknown validation type: ${rule.type}`);
+    }
+}
+
+/**
+ * Checks that the IDs of a field exist in the table the rule references.
+ * @param {number|number[]} value - The converted ID, or list of IDs.
+ * @param {string} name - The name of the reference, a key of `references`.
+ * @returns {Promise<string|null>} The error message, or null if every ID exists.
+ */
+async function checkReference(value, name) {
+    const reference = references[name];
+    for (const id of Array.isArray(value) ? value : [value]) {
+        const rows = await execute(reference.query, [id]);
+        if (!rows.length) {
+            return Array.isArray(value) ? `${reference.message}: ${id}` : reference.message;
+        }
+    }
+    return null;
+}
+
+/**
+ * Validates the params, query and body of a request against a schema.
+ * @param {Object} schema - The rules of each part of the request.
+ * @param {Object} request - The HTTP request object. Valid values are converted in place.
+ * @returns {Promise<Array<{location: string, field: string, message: string}>>} The errors, empty if the request is valid.
+ */
+export async function validateRequest(schema, request) {
+    const errors = [];
+
+    for (const location of ["params", "query", "body"]) {
+        const rules = schema[location];
+        if (!rules) {
+            continue;
+        }
+        if (location === "body" && (typeof request.body !== "object" || request.body === null || Array.isArray(request.body))) {
+            request.body = {};
+        }
+        const values = request[location];
+        const invalid = new Set();
+
+        for (const [field, rule] of Object.entries(rules)) {
+            const value = values[field];
+            if (isEmpty(value)) {
+                if (rule.required) {
+                    errors.push({ location, field, message: "is required" });
+                    invalid.add(field);
+                } else if (rule.nullable && value !== undefined) {
+                    values[field] = null;
+                }
+                continue;
+            }
+
+            const checked = check(value, rule);
+            if (checked.error) {
+                errors.push({ location, field, message: checked.error });
+                invalid.add(field);
+                continue;
+            }
+            values[field] = checked.value;
+
+            if (rule.references) {
+                const message = await checkReference(checked.value, rule.references);
+                if (message) {
+                    errors.push({ location, field, message });
+                    invalid.add(field);
+                }
+            }
+        }
+
+        // Date ranges are checked once both ends are valid
+        for (const [field, rule] of Object.entries(rules)) {
+            const other = rule.notBefore;
+            if (other && !invalid.has(field) && !invalid.has(other) && !isEmpty(values[field]) && !isEmpty(values[other])
+                && values[field] < values[other]) {
+                errors.push({ location, field, message: `must not be before ${other}` });
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Creates a middleware that validates requests against a schema, answering
+ * 422 with the list of invalid fields when the request is not valid.
+ * @param {Object} schema - The rules of the params, query and body of the request.
+ * @returns {Function} The middleware.
+ */
+export function validate(schema) {
+    return async (request, response, next) => {
+        try {
+            const errors = await validateRequest(schema, request);
+            if (errors.length) {
+                console.error("Invalid request:", errors);
+                return sendError(response, "The request has invalid fields", 422, "VALIDATION_FAILED", errors);
+            }
+            next();
+        } catch (error) {
+            console.error("Error validating request:", error);
+            sendDatabaseError(response, error, "Error validating request");
+        }
+    };
+}
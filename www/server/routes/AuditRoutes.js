@@ -0,0 +1,136 @@
+"use strict";
+import { execute, sendError, sendDatabaseError } from "../config/db.js";
+import { listOptions, where, listEnvelope } from "../config/listing.js";
+
+/*
+  Audit log of the changes to members, events, event types and registrations.
+
+  The handlers that change data record an entry with `audit`, in the transaction of the
+  change, so an entry is only kept when the change is saved and a change cannot be saved
+  without its entry. Each entry has the account and the IP address of the request, the
+  action, the record and, as JSON, the record before and after the change, read with
+  `snapshot`. Registrations are recorded on the event, with the member as the related
+  record, so they show up in the history of both.
+*/
+
+const insertAuditEntry = `
+  INSERT INTO audit_log (account_id, actor, action, entity, entity_id, related_entity, related_id, before_data, after_data, ip)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`;
+
+// The record of each entity, as kept before and after its changes
+const snapshotQueries = {
+    member: `
+      SELECT m.*, GROUP_CONCAT(p.event_type_id ORDER BY p.event_type_id) as preferred_event_types
+      FROM members m
+      LEFT JOIN member_preferred_event_types p ON p.member_id = m.id
+      WHERE m.id = ?
+      GROUP BY m.id
+    `,
+    event: "SELECT * FROM events WHERE id = ?",
+    eventType: "SELECT * FROM event_types WHERE id = ?"
+};
+
+// The names of the event and the member of an entry, while they exist
+const selectAuditLog = `
+  SELECT a.id, a.account_id, a.actor, a.action, a.entity, a.entity_id, a.related_entity, a.related_id,
+    a.before_data, a.after_data, a.ip, a.created_at, e.name as event_name, m.name as member_name
+  FROM audit_log a
+  LEFT JOIN events e ON a.entity = 'event' AND e.id = a.entity_id
+  LEFT JOIN members m ON m.id = IF(a.entity = 'member', a.entity_id, IF(a.related_entity = 'member', a.related_id, NULL))
+`;
+const auditSortColumns = {
+    id: "a.id",
+    createdAt: "a.created_at"
+};
+
+/**
+ * Reads a record as it is kept in the audit log.
+ * @param {string} entity - "member", "event" or "eventType".
+ * @param {number} id - The ID of the record.
+ * @param {Object} [connection] - The connection of the transaction in progress, if any.
+ * @returns {Promise<Object|null>} The record, or null if it does not exist. Members have
+ *   their `preferred_event_types` as an array of IDs.
+ */
+export async function snapshot(entity, id, connection) {
+    const [row] = await execute(snapshotQueries[entity], [id], connection);
+    if (!row) {
+        return null;
+    }
+    if (entity === "member") {
+        row.preferred_event_types = row.preferred_event_types ? String(row.preferred_event_types).split(",").map(Number) : [];
+    }
+    return row;
+}
+
+/**
+ * Records a change in the audit log.
+ * @param {Object|null} request - The HTTP request that made the change, with the `account`;
+ *   null for the changes made by the server itself.
+ * @param {string} action - What was done: "create", "update", "delete", "register", "waitlist",
+ *   "unregister", "promote", "attendance", "restore" or "purge".
+ * @param {string} entity - "member", "event" or "eventType".
+ * @param {number} entityId - The ID of the record.
+ * @param {Object} [changes] - The record `before` and `after` the change, and the `related` record
+ *   of registrations, as `{ entity, id }`.
+ * @param {Object} [connection] - The connection of the transaction in progress, if any.
+ * @returns {Promise<void>}
+ */
+export async function audit(request, action, entity, entityId, { before = null, after = null, related = null } = {}, connection) {
+    const account = request?.account;
+    const json = (value) => value === null ? null : JSON.stringify(value);
+    await execute(insertAuditEntry, [
+        account?.id ?? null, account?.username ?? null, action, entity, entityId,
+        related?.entity ?? null, related?.id ?? null, json(before), json(after), request?.ip ?? null
+    ], connection);
+}
+
+/**
+ * Retrieves the audit log, newest first by default, one page at a time.
+ * Filters: `entity` and `id` (the history of a record, including the registrations of
+ * members and events), and `from` and `to` (dates, inclusive).
+ * @param {Object} request - The HTTP request object, with the filters, sorting and pagination.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function getAuditLog(request, response) {
+    console.log("Handling GET request for the audit log");
+
+    const options = listOptions({ order: "desc", ...request.query }, auditSortColumns, "id");
+    if (options.error) {
+        console.error("Invalid list parameters:", options.error);
+        return sendError(response, options.error, 400);
+    }
+
+    const { entity, id, from, to } = request.query;
+    const conditions = [];
+    const params = [];
+    if (entity && id) {
+        conditions.push("((a.entity = ? AND a.entity_id = ?) OR (a.related_entity = ? AND a.related_id = ?))");
+        params.push(entity, id, entity, id);
+    } else if (entity) {
+        conditions.push("a.entity = ?");
+        params.push(entity);
+    } else if (id) {
+        conditions.push("a.entity_id = ?");
+        params.push(id);
+    }
+    if (from) {
+        conditions.push("a.created_at >= ?");
+        params.push(from);
+    }
+    if (to) {
+        conditions.push("a.created_at < DATE_ADD(?, INTERVAL 1 DAY)");
+        params.push(to);
+    }
+
+    try {
+        const [{ total }] = await execute(`SELECT COUNT(*) as total FROM audit_log a ${where(conditions)}`, params);
+        const rows = await execute(`${selectAuditLog} ${where(conditions)} ${options.orderBy} ${options.limit}`, params);
+
+        console.log(`Returning ${rows.length} of ${total} audit entries.`);
+        response.status(200).json(listEnvelope(rows, total, options));
+    } catch (error) {
+        console.error("Error fetching the audit log:", error);
+        sendDatabaseError(response, error, "Error fetching the audit log");
+    }
+}
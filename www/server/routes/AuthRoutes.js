@@ -0,0 +1,103 @@
+"use strict";
+import config from "../config/config.js";
+import { execute, sendError, sendDatabaseError } from "../config/db.js";
+import { createToken, hashToken, toAccount, verifyPassword } from "../middleware/auth.js";
+
+// SQL Queries for login sessions
+const selectAccountByUsername = `
+  SELECT a.*, m.name as member_name, GROUP_CONCAT(oet.event_type_id) as event_types
+  FROM accounts a
+  LEFT JOIN members m ON m.id = a.member_id
+  LEFT JOIN organiser_event_types oet ON oet.account_id = a.id
+  WHERE a.username = ? AND m.deleted_at IS NULL
+  GROUP BY a.id
+`;
+const insertSession = "INSERT INTO sessions (token, account_id, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))";
+const deleteSession = "DELETE FROM sessions WHERE token = ?";
+const deleteExpiredSessions = "DELETE FROM sessions WHERE expires_at <= NOW()";
+const updateCalendarToken = "UPDATE accounts SET calendar_token = ? WHERE id = ?";
+
+/**
+ * Logs in with a username and password.
+ *
+ * This function handles the POST request to start a session. When the credentials
+ * are valid, it creates a session and responds with its token and the account.
+ * The token must be sent in the Authorization header of the following requests.
+ *
+ * @param {Object} request - The HTTP request object, with `username` and `password` in the body.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function login(request, response) {
+    const { username, password } = request.body;
+    console.log("Handling login request");
+
+    if (!username || !password) {
+        return sendError(response, "Username and password are required", 400);
+    }
+
+    try {
+        const [row] = await execute(selectAccountByUsername, [String(username).trim()]);
+        if (!row || !(await verifyPassword(String(password), row.password_hash))) {
+            console.log("Login refused: invalid credentials");
+            return sendError(response, "Invalid username or password", 401);
+        }
+
+        const token = createToken();
+        await execute(deleteExpiredSessions);
+        await execute(insertSession, [hashToken(token), row.id, config.sessionHours]);
+
+        console.log(`Account ${row.id} logged in`);
+        response.status(200).json({ token, account: toAccount(row) });
+    } catch (error) {
+        console.error("Error logging in:", error);
+        sendDatabaseError(response, error, "Error logging in");
+    }
+}
+
+/**
+ * Logs out, ending the session of the token sent in the request.
+ *
+ * @param {Object} request - The HTTP request object, authenticated.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function logout(request, response) {
+    try {
+        await execute(deleteSession, [hashToken(request.token)]);
+        console.log(`Account ${request.account.id} logged out`);
+        response.status(204).end();
+    } catch (error) {
+        console.error("Error logging out:", error);
+        sendDatabaseError(response, error, "Error logging out");
+    }
+}
+
+/**
+ * Responds with the account of the current session.
+ *
+ * @param {Object} request - The HTTP request object, authenticated.
+ * @param {Object} response - The HTTP response object.
+ */
+export function getCurrentAccount(request, response) {
+    response.status(200).json(request.account);
+}
+
+/**
+ * Creates the calendar token of the current account, replacing the previous one.
+ *
+ * The token is sent as `?token=` by calendar applications to read the calendar feeds,
+ * and is only shown now: just its hash is stored.
+ *
+ * @param {Object} request - The HTTP request object, authenticated.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function createCalendarToken(request, response) {
+    try {
+        const token = createToken();
+        await execute(updateCalendarToken, [hashToken(token), request.account.id]);
+        console.log(`Calendar token of account ${request.account.id} created`);
+        response.status(201).json({ token });
+    } catch (error) {
+        console.error("Error creating calendar token:", error);
+        sendDatabaseError(response, error, "Error creating calendar token");
+    }
+}
@@ -0,0 +1,101 @@
+"use strict";
+import { execute, number, sendError, sendDatabaseError } from "../config/db.js";
+import { calendar, sendCalendar } from "../config/ical.js";
+
+// Events and cancelled events in the shape expected by config/ical.js
+const selectCalendarEvents = `
+  SELECT e.id, e.name, et.name as type_name, DATE_FORMAT(e.date, '%Y-%m-%d') as day,
+    e.sequence, e.updated_at, 0 as cancelled
+  FROM events e
+  JOIN event_types et ON e.type_id = et.id
+  WHERE e.deleted_at IS NULL
+`;
+
+const selectCancelledEvents = `
+  SELECT c.event_id as id, c.name, COALESCE(et.name, '') as type_name, DATE_FORMAT(c.date, '%Y-%m-%d') as day,
+    c.sequence, c.cancelled_at as updated_at, 1 as cancelled
+  FROM event_cancellations c
+  LEFT JOIN event_types et ON c.type_id = et.id
+`;
+
+// Members on the waitlist of an event get it as tentative, and cancelled registrations as cancelled
+const selectMemberCalendarEvents = `
+  SELECT e.id, e.name, et.name as type_name, DATE_FORMAT(e.date, '%Y-%m-%d') as day,
+    e.sequence, e.updated_at, 0 as tentative, me.status = 'cancelled' as cancelled
+  FROM events e
+  JOIN event_types et ON e.type_id = et.id
+  JOIN member_events me ON e.id = me.event_id
+  WHERE me.member_id = ? AND e.deleted_at IS NULL
+  UNION ALL
+  SELECT e.id, e.name, et.name as type_name, DATE_FORMAT(e.date, '%Y-%m-%d') as day,
+    e.sequence, e.updated_at, 1 as tentative, 0 as cancelled
+  FROM events e
+  JOIN event_types et ON e.type_id = et.id
+  JOIN member_event_waitlist mw ON e.id = mw.event_id
+  WHERE mw.member_id = ? AND e.deleted_at IS NULL
+  ORDER BY day
+`;
+
+const selectEventTypeName = "SELECT name FROM event_types WHERE id = ? AND deleted_at IS NULL";
+const selectMemberName = "SELECT name FROM members WHERE id = ? AND deleted_at IS NULL";
+
+/**
+ * Sends the club events as an iCalendar feed, with the deleted events as cancellations.
+ * Accepts `typeId` to only include the events of one event type.
+ * @param {Object} request - The HTTP request object.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function getEventsCalendar(request, response) {
+    const typeId = request.query.typeId;
+    console.log(`Handling GET request for the events calendar${typeId ? ` of type ${typeId}` : ""}`);
+
+    try {
+        let name = "ESTSBike - Eventos";
+        if (typeId) {
+            const [type] = await execute(selectEventTypeName, [typeId]);
+            if (!type) {
+                return sendError(response, "Event type not found", 404);
+            }
+            name = `ESTSBike - ${type.name}`;
+        }
+
+        const filter = typeId ? "AND e.type_id = ?" : "";
+        const cancelledFilter = typeId ? "WHERE c.type_id = ?" : "";
+        const params = typeId ? [typeId] : [];
+
+        const events = await execute(`${selectCalendarEvents} ${filter} ORDER BY e.date`, params);
+        const cancelled = await execute(`${selectCancelledEvents} ${cancelledFilter} ORDER BY c.date`, params);
+
+        console.log(`Sending calendar with ${events.length} events and ${cancelled.length} cancellations.`);
+        sendCalendar(response, typeId ? `eventos-${typeId}.ics` : "eventos.ics", calendar(name, [...events, ...cancelled]));
+    } catch (error) {
+        console.error("Error creating the events calendar:", error);
+        sendDatabaseError(response, error, "Error creating the events calendar");
+    }
+}
+
+/**
+ * Sends the events a member is registered in as an iCalendar feed.
+ * Events where the member is on the waitlist are marked as tentative.
+ * @param {Object} request - The HTTP request object, with the member `id`.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function getMemberCalendar(request, response) {
+    const memberId = number(request.params.id);
+    console.log(`Handling GET request for the calendar of member ${memberId}`);
+
+    try {
+        const [member] = await execute(selectMemberName, [memberId]);
+        if (!member) {
+            return sendError(response, "Member not found", 404);
+        }
+
+        const events = await execute(selectMemberCalendarEvents, [memberId, memberId]);
+
+        console.log(`Sending calendar with ${events.length} events of member ${memberId}.`);
+        sendCalendar(response, `membro-${memberId}.ics`, calendar(`ESTSBike - ${member.name}`, events));
+    } catch (error) {
+        console.error(`Error creating the calendar of member ${memberId}:`, error);
+        sendDatabaseError(response, error, "Error creating the member calendar");
+    }
+}
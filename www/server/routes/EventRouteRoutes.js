@@ -0,0 +1,200 @@
+"use strict";
+import path from "node:path";
+import { mkdir, readFile, writeFile, rm } from "node:fs/promises";
+import config from "../config/config.js";
+import { execute, withTransaction, number, sendError, sendDatabaseError } from "../config/db.js";
+import { parseGpx, summariseRoute } from "../config/gpx.js";
+import { canManageEventType } from "../middleware/auth.js";
+import { audit, snapshot } from "./AuditRoutes.js";
+
+/*
+  GPX routes of the events. The uploaded file is kept in UPLOADS_DIR as
+  routes/event-<id>.gpx, and its distance, climb and ends are stored in the event,
+  so the lists can show and sort by them without reading the files. Attaching and
+  removing a route are recorded in the audit log as updates of the event.
+*/
+
+const selectEventRoute = "SELECT type_id, route_name FROM events WHERE id = ? AND deleted_at IS NULL";
+const updateEventRoute = `
+  UPDATE events SET route_name = ?, distance_m = ?, elevation_gain_m = ?,
+    start_lat = ?, start_lon = ?, end_lat = ?, end_lon = ?
+  WHERE id = ?
+`;
+
+/**
+ * Returns the path of the GPX file of an event.
+ * @param {number} eventId - The ID of the event.
+ * @returns {string} The path of the file, inside the uploads directory.
+ */
+function routeFile(eventId) {
+    return path.join(config.uploadsDir, "routes", `event-${eventId}.gpx`);
+}
+
+/**
+ * Removes the GPX file of an event, if there is one.
+ * @param {number} eventId - The ID of the event.
+ * @returns {Promise<void>}
+ */
+export async function removeRouteFile(eventId) {
+    await rm(routeFile(eventId), { force: true });
+}
+
+/**
+ * Converts a route summary into the response of the route routes.
+ * @param {string} name - The name of the GPX file.
+ * @param {Object} summary - The summary, from summariseRoute.
+ * @returns {Object} The route: `name`, `distance_m`, `elevation_gain_m`, `start`, `end` and `profile`.
+ */
+function toRoute(name, { distance, elevationGain, start, end, profile }) {
+    return { name, distance_m: distance, elevation_gain_m: elevationGain, start, end, profile };
+}
+
+/**
+ * Retrieves the route of an event, with the elevation profile read from its GPX file.
+ * @param {Object} request - The HTTP request object, with the event `id`.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function getEventRoute(request, response) {
+    const id = number(request.params.id);
+    console.log(`Handling GET request for the route of event ${id}`);
+
+    try {
+        const [event] = await execute(selectEventRoute, [id]);
+        if (!event) {
+            return sendError(response, "Event not found", 404);
+        }
+        if (!event.route_name) {
+            return sendError(response, "The event has no route", 404);
+        }
+
+        const content = await readFile(routeFile(id), "utf8").catch(() => null);
+        if (content === null) {
+            console.error(`The route file of event ${id} is missing: ${routeFile(id)}`);
+            return sendError(response, "The route file of the event is missing", 404);
+        }
+
+        response.status(200).json(toRoute(event.route_name, summariseRoute(parseGpx(content))));
+    } catch (error) {
+        console.error(`Error fetching the route of event ${id}:`, error);
+        sendDatabaseError(response, error, "Error fetching the event route");
+    }
+}
+
+/**
+ * Sends the GPX file of an event as a download, with the name it was uploaded with.
+ * @param {Object} request - The HTTP request object, with the event `id`.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function downloadEventRoute(request, response) {
+    const id = number(request.params.id);
+    console.log(`Handling GET request for the GPX file of event ${id}`);
+
+    try {
+        const [event] = await execute(selectEventRoute, [id]);
+        if (!event?.route_name) {
+            return sendError(response, event ? "The event has no route" : "Event not found", 404);
+        }
+
+        const content = await readFile(routeFile(id)).catch(() => null);
+        if (content === null) {
+            return sendError(response, "The route file of the event is missing", 404);
+        }
+
+        response.status(200)
+            .attachment(event.route_name)
+            .type("application/gpx+xml")
+            .send(content);
+    } catch (error) {
+        console.error(`Error sending the GPX file of event ${id}:`, error);
+        sendDatabaseError(response, error, "Error fetching the event route");
+    }
+}
+
+/**
+ * Changes the route columns of an event, recording the change in the audit log.
+ * @param {Object} request - The HTTP request that changes the route.
+ * @param {number} id - The ID of the event.
+ * @param {Array} values - The route name, distance, climb and the coordinates of the ends, or nulls.
+ * @returns {Promise<void>}
+ */
+async function saveEventRoute(request, id, values) {
+    await withTransaction(async (connection) => {
+        const before = await snapshot("event", id, connection);
+        await execute(updateEventRoute, [...values, id], connection);
+        await audit(request, "update", "event", id, { before, after: await snapshot("event", id, connection) }, connection);
+    });
+}
+
+/**
+ * Attaches a GPX file to an event, replacing its route. The file is the body of the
+ * request, sent as application/gpx+xml, and its name is given in `?name=`.
+ * Answers with the route, as in getEventRoute.
+ * @param {Object} request - The HTTP request object, with the event `id`.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function uploadEventRoute(request, response) {
+    const id = number(request.params.id);
+    const name = request.query.name || `evento-${id}.gpx`;
+    console.log(`Handling PUT request for the route of event ${id}: ${name}`);
+
+    if (typeof request.body !== "string") {
+        return sendError(response, "The GPX file must be sent with the Content-Type application/gpx+xml", 415);
+    }
+    const points = parseGpx(request.body);
+    if (points.length < 2) {
+        return sendError(response, "The file is not a GPX route with at least two points", 400);
+    }
+
+    try {
+        const [event] = await execute(selectEventRoute, [id]);
+        if (!event) {
+            return sendError(response, "Event not found", 404);
+        }
+        if (!canManageEventType(request.account, event.type_id)) {
+            return sendError(response, "You can only manage events of your event types", 403);
+        }
+
+        const summary = summariseRoute(points);
+        await mkdir(path.dirname(routeFile(id)), { recursive: true });
+        await writeFile(routeFile(id), request.body, "utf8");
+        await saveEventRoute(request, id, [
+            name, summary.distance, summary.elevationGain,
+            summary.start.lat, summary.start.lon, summary.end.lat, summary.end.lon
+        ]);
+
+        console.log(`Route of event ${id} saved: ${points.length} points, ${summary.distance} m, ${summary.elevationGain ?? "no"} m of climb.`);
+        response.status(200).json(toRoute(name, summary));
+    } catch (error) {
+        console.error(`Error saving the route of event ${id}:`, error);
+        sendDatabaseError(response, error, "Error saving the event route");
+    }
+}
+
+/**
+ * Removes the route of an event, with its GPX file.
+ * @param {Object} request - The HTTP request object, with the event `id`.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function deleteEventRoute(request, response) {
+    const id = number(request.params.id);
+    console.log(`Handling DELETE request for the route of event ${id}`);
+
+    try {
+        const [event] = await execute(selectEventRoute, [id]);
+        if (!event?.route_name) {
+            return sendError(response, event ? "The event has no route" : "Event not found", 404);
+        }
+        if (!canManageEventType(request.account, event.type_id)) {
+            return sendError(response, "You can only manage events of your event types", 403);
+        }
+
+        await saveEventRoute(request, id, [null, null, null, null, null, null, null]);
+        await removeRouteFile(id);
+
+        console.log(`Route of event ${id} removed`);
+        response.status(200).json({ count: 1 });
+    } catch (error) {
+        console.error(`Error removing the route of event ${id}:`, error);
+        sendDatabaseError(response, error, "Error removing the event route");
+    }
+}
@@ -1,48 +1,388 @@
 "use strict";
 
 // Import necessary utilities and configuration
-import { number, sendResponse, sendError } from "../config/db.js";
+import { execute, number, date, withTransaction, sendResponse, sendError, sendDatabaseError } from "../config/db.js";
+import { listOptions, where, contains, listEnvelope } from "../config/listing.js";
+import { promoteFromWaitlist, archiveRegistrations, restoreRegistrations } from "./MemberEventsRoutes.js";
+import { notifyMember, notifyEventMembers, eventChanged } from "./NotificationRoutes.js";
+import { audit, snapshot } from "./AuditRoutes.js";
+import { occurrences, addDays, daysBetween, shiftWeekdays } from "../config/recurrence.js";
+import { canManageEventType } from "../middleware/auth.js";
+
+// Details of the type of an event, taken from its parent type when the type has none
+const eventTypeDetails = `
+  et.name as type_name, COALESCE(et.color, pt.color) as type_color, COALESCE(et.icon, pt.icon) as type_icon,
+  COALESCE(et.default_difficulty, pt.default_difficulty) as type_difficulty,
+  COALESCE(et.default_duration_minutes, pt.default_duration_minutes) as type_duration_minutes
+`;
 
 // SQL Queries for CRUD operations on events
 const selectAllEvents = `
-  SELECT e.*, et.name as type_name 
+  SELECT e.*, ${eventTypeDetails},
+    (SELECT COUNT(*) FROM member_events me WHERE me.event_id = e.id AND me.status <> 'cancelled') as participants,
+    (SELECT COUNT(*) FROM member_event_waitlist mw WHERE mw.event_id = e.id) as waitlisted
   FROM events e 
   JOIN event_types et ON e.type_id = et.id
+  LEFT JOIN event_types pt ON pt.id = et.parent_id
 `;
 
+const countEvents = "SELECT COUNT(*) as total FROM events e";
+
+// Columns the events can be sorted by, with ?sort=
+const eventSortColumns = {
+    id: "e.id",
+    type: "et.name",
+    name: "e.name",
+    date: "e.date",
+    participants: "participants",
+    distance: "e.distance_m",
+    elevation: "e.elevation_gain_m"
+};
+
 const selectEventById = `
-  SELECT e.*, et.name as type_name 
+  SELECT e.*, ${eventTypeDetails},
+    (SELECT COUNT(*) FROM member_events me WHERE me.event_id = e.id AND me.status <> 'cancelled') as participants,
+    (SELECT COUNT(*) FROM member_event_waitlist mw WHERE mw.event_id = e.id) as waitlisted
   FROM events e 
   JOIN event_types et ON e.type_id = et.id 
-  WHERE e.id = ?
+  LEFT JOIN event_types pt ON pt.id = et.parent_id
+  WHERE e.id = ? AND e.deleted_at IS NULL
+`;
+
+const insertEvent = "INSERT INTO events (type_id, name, date, max_participants, fee_cents) VALUES (?, ?, ?, ?, ?)";
+// The sequence tells calendar applications that the event changed (see config/ical.js).
+// An event moved to today or later is open again; the new date is already set when closed_at is.
+const updateEvent = `
+  UPDATE events SET type_id = ?, name = ?, date = ?, max_participants = ?, fee_cents = ?, sequence = sequence + 1,
+    closed_at = IF(date >= CURDATE(), NULL, closed_at)
+  WHERE id = ?
+`;
+// Deleted events stay until the purge-trash job removes them; restored ones are changed
+// twice for the calendar applications, which saw them cancelled
+const deleteEvent = "UPDATE events SET deleted_at = NOW() WHERE id = ? AND deleted_at IS NULL";
+const restoreEvent = "UPDATE events SET deleted_at = NULL, sequence = sequence + 2 WHERE id = ?";
+const deleteCancellation = "DELETE FROM event_cancellations WHERE event_id = ?";
+const selectDeletedEvent = `
+  SELECT id, type_id, series_id, name, date, DATE_FORMAT(date, '%Y-%m-%d') as day, closed_at
+  FROM events WHERE id = ? AND deleted_at IS NOT NULL
+`;
+const selectEventTypeDeleted = "SELECT deleted_at FROM event_types WHERE id = ?";
+const insertCancellation = `
+  INSERT INTO event_cancellations (event_id, type_id, name, date, sequence)
+  SELECT id, type_id, name, date, sequence + 1 FROM events WHERE id = ?
+`;
+const selectEventType = "SELECT type_id FROM events WHERE id = ? AND deleted_at IS NULL";
+// Name and date of an event, as told to its members by email
+const selectEventNotice = "SELECT id, name, date FROM events WHERE id = ?";
+
+// Series of events (see config/recurrence.js)
+const selectSeries = `
+  SELECT id, frequency, interval_count, by_weekday, DATE_FORMAT(start_date, '%Y-%m-%d') as start_date,
+    DATE_FORMAT(until_date, '%Y-%m-%d') as until_date, occurrences,
+    (SELECT GROUP_CONCAT(DATE_FORMAT(x.date, '%Y-%m-%d') ORDER BY x.date) FROM event_series_exceptions x WHERE x.series_id = s.id) as exceptions
+  FROM event_series s WHERE id = ?
+`;
+const insertSeries = "INSERT INTO event_series (frequency, interval_count, by_weekday, start_date, until_date, occurrences) VALUES (?, ?, ?, ?, ?, ?)";
+const insertSeriesException = "INSERT IGNORE INTO event_series_exceptions (series_id, date) VALUES (?, ?)";
+const insertSeriesEvent = "INSERT INTO events (type_id, series_id, name, date, max_participants, fee_cents) VALUES (?, ?, ?, ?, ?, ?)";
+const selectEventSeries = "SELECT id, type_id, series_id, DATE_FORMAT(date, '%Y-%m-%d') as date FROM events WHERE id = ? AND deleted_at IS NULL";
+const countEarlierSeriesEvents = "SELECT COUNT(*) as count FROM events WHERE series_id = ? AND date < ? AND deleted_at IS NULL";
+const selectSeriesEvents = `
+  SELECT id, type_id, name, DATE_FORMAT(date, '%Y-%m-%d') as date FROM events
+  WHERE series_id = ? AND date >= ? AND deleted_at IS NULL ORDER BY date
+`;
+const updateSeriesEvent = `
+  UPDATE events SET type_id = ?, series_id = ?, name = ?, date = ?, max_participants = ?, fee_cents = ?, sequence = sequence + 1,
+    closed_at = IF(date >= CURDATE(), NULL, closed_at)
+  WHERE id = ?
 `;
+const updateSeriesRule = "UPDATE event_series SET by_weekday = ?, start_date = ?, until_date = ?, occurrences = ? WHERE id = ?";
+const endSeries = "UPDATE event_series SET until_date = ?, occurrences = NULL WHERE id = ?";
+// Exceptions are moved starting from the end they move towards, so no two share a day on the way
+const moveSeriesExceptions = (days) => `
+  UPDATE event_series_exceptions SET series_id = ?, date = DATE_ADD(date, INTERVAL ? DAY)
+  WHERE series_id = ? AND date >= ?
+  ORDER BY date ${days > 0 ? "DESC" : "ASC"}
+`;
+const deleteSeriesException = "DELETE FROM event_series_exceptions WHERE series_id = ? AND date = ?";
+
+// Attendance of the members registered in an event
+const selectAttendance = `
+  SELECT me.member_id, m.name, me.status, me.status_updated_at
+  FROM member_events me
+  JOIN members m ON m.id = me.member_id
+  WHERE me.event_id = ?
+  ORDER BY m.name
+`;
+const selectEventStarted = "SELECT date <= CURDATE() as started FROM events WHERE id = ? AND deleted_at IS NULL";
+
+// Events of the previous days are closed, and their waitlists emptied
+const closeEvents = "UPDATE events SET closed_at = NOW() WHERE closed_at IS NULL AND deleted_at IS NULL AND date < CURDATE()";
+const deleteClosedWaitlists = `
+  DELETE mw FROM member_event_waitlist mw
+  JOIN events e ON e.id = mw.event_id
+  WHERE e.closed_at IS NOT NULL
+`;
+const updateAttendanceStatus = "UPDATE member_events SET status = ?, status_updated_at = NOW() WHERE event_id = ? AND member_id = ?";
+// Cancelled registrations that are taken back need a free place in the event
+const lockEventCapacity = "SELECT max_participants FROM events WHERE id = ? FOR UPDATE";
+const countParticipants = "SELECT COUNT(*) as count FROM member_events WHERE event_id = ? AND status <> 'cancelled'";
+const deleteWaitlistEntry = "DELETE FROM member_event_waitlist WHERE event_id = ? AND member_id = ?";
+
+/**
+ * Parses the maximum number of participants of an event.
+ * An empty value means the event has no limit.
+ * @param {*} value - The value received in the request body.
+ * @returns {number|null|undefined} The limit, null when there is no limit, or undefined if invalid.
+ */
+function maxParticipants(value) {
+    if (value === undefined || value === null || value === "") {
+        return null;
+    }
+    let result = number(value);
+    return Number.isInteger(result) && result > 0 ? result : void 0;
+}
+
+/**
+ * Checks that the logged in account can manage an existing event, given its current type.
+ * Sends a 404 or 403 error response when it cannot.
+ * @param {Object} request - The HTTP request object, authenticated.
+ * @param {Object} response - The HTTP response object.
+ * @param {number} eventId - The ID of the event.
+ * @returns {Promise<boolean>} True if the request can go on.
+ */
+async function checkEventAccess(request, response, eventId) {
+    const result = await sendResponse(response, selectEventType, [eventId]);
+    if (result.status !== 200) {
+        sendError(response, result.status === 404 ? "Event not found" : result.data.message, result.status, result.data.code);
+        return false;
+    }
+    if (!canManageEventType(request.account, result.data[0].type_id)) {
+        sendError(response, "You can only manage events of your event types", 403);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Converts a series row into the series sent with its events.
+ * @param {Object} row - The series row, with the concatenated exceptions.
+ * @returns {Object} The series, with `interval`, and `by_weekday` and `exceptions` as arrays.
+ */
+function toSeries({ interval_count, by_weekday, exceptions, ...series }) {
+    return {
+        ...series,
+        interval: interval_count,
+        by_weekday: by_weekday ? by_weekday.split(",").map(Number) : [],
+        exceptions: exceptions ? exceptions.split(",") : []
+    };
+}
+
+/**
+ * Finds the events of a series changed or deleted along with one of them: only the event
+ * ("this"), the event and the following ones ("following") or the whole series ("series").
+ * "following" from the first event of the series is the whole series.
+ * @param {number} eventId - The ID of the event.
+ * @param {string} scope - "this", "following" or "series".
+ * @returns {Promise<Object|null>} The `event` (with `series_id` and `date`), the `events` of the
+ *   scope ordered by date, and the `scope`; null when the event is not part of a series.
+ */
+async function seriesEvents(eventId, scope) {
+    const [event] = await execute(selectEventSeries, [eventId]);
+    if (!event?.series_id) {
+        return null;
+    }
+    if (scope === "this") {
+        return { event, events: [event], scope };
+    }
+    if (scope === "following") {
+        const [earlier] = await execute(countEarlierSeriesEvents, [event.series_id, event.date]);
+        scope = earlier.count > 0 ? "following" : "series";
+    }
+    const events = await execute(selectSeriesEvents, [event.series_id, scope === "following" ? event.date : "1000-01-01"]);
+    return { event, events, scope };
+}
 
-const insertEvent = "INSERT INTO events (type_id, name, date) VALUES (?, ?, ?)";
-const updateEvent = "UPDATE events SET type_id = ?, name = ?, date = ? WHERE id = ?";
-const deleteEvent = "DELETE FROM events WHERE id = ?";
-const checkEventRegistrations = "SELECT COUNT(*) as count FROM member_events WHERE event_id = ?";
+/**
+ * Checks that the logged in account can manage every event of a series scope,
+ * sending a 403 error response when it cannot.
+ * @param {Object} request - The HTTP request object, authenticated.
+ * @param {Object} response - The HTTP response object.
+ * @param {Object[]} events - The events, with their `type_id`.
+ * @returns {boolean} True if the request can go on.
+ */
+function checkSeriesAccess(request, response, events) {
+    if (!events.every(event => canManageEventType(request.account, event.type_id))) {
+        sendError(response, "You can only manage events of your event types", 403);
+        return false;
+    }
+    return true;
+}
 
 /**
- * Retrieves all events from the database along with their type.
+ * Creates a series of events from a recurrence rule: one event on each day of the rule.
+ * @param {Object} request - The HTTP request object, with the `recurrence` in the body.
+ * @param {Object} response - The HTTP response object.
+ * @param {Object} values - The validated `type_id`, `name`, `date` (the first day), `limit` and `fee` of the events.
+ */
+async function createSeries(request, response, { type_id, name, date, limit, fee }) {
+    const { frequency, interval = 1, byWeekday = [], until = null, count = null, exceptions = [] } = request.body.recurrence;
+    const { days, error } = occurrences(date, request.body.recurrence);
+    if (error) {
+        return sendError(response, "The request has invalid fields", 422, "VALIDATION_FAILED",
+            [{ location: "body", field: "recurrence", message: error }]);
+    }
+
+    try {
+        const { seriesId, ids } = await withTransaction(async (connection) => {
+            const series = await execute(insertSeries, [frequency, interval, byWeekday.join(",") || null, date, until, count], connection);
+            for (const day of exceptions) {
+                await execute(insertSeriesException, [series.insertId, day], connection);
+            }
+            const ids = [];
+            for (const day of days) {
+                const result = await execute(insertSeriesEvent, [type_id, series.insertId, name, day, limit, fee], connection);
+                await audit(request, "create", "event", result.insertId, { after: await snapshot("event", result.insertId, connection) }, connection);
+                ids.push(result.insertId);
+            }
+            return { seriesId: series.insertId, ids };
+        });
+
+        console.log(`Series ${seriesId} created with ${ids.length} events, from ${days[0]} to ${days[days.length - 1]}`);
+        response.status(201).json({ id: ids[0], type_id, name, date: days[0], max_participants: limit, fee_cents: fee, series_id: seriesId, events: ids.length });
+    } catch (error) {
+        console.error("Error creating series of events:", error);
+        sendDatabaseError(response, error, "Error creating series of events");
+    }
+}
+
+/**
+ * Updates the following events of a series, or the whole series, with the same values.
+ * A new date moves every event by the same number of days, along with the rule of the series.
+ * The following events become a new series, and the previous one ends the day before them.
+ * The members of the events whose name or day changed are notified by email, and each event
+ * is recorded in the audit log.
+ * @param {Object} request - The HTTP request object.
+ * @param {Object} response - The HTTP response object.
+ * @param {Object} series - The event, the events of the scope and the scope, from seriesEvents.
+ * @param {Object} values - The validated `type_id`, `name`, `date`, `limit` and `fee`.
+ */
+async function updateSeries(request, response, { event, events, scope }, { type_id, name, date, limit, fee }) {
+    if (!checkSeriesAccess(request, response, events)) {
+        return;
+    }
+    const days = daysBetween(event.date, date);
+    const shift = (day) => day && addDays(day, days);
+
+    try {
+        const [row] = await execute(selectSeries, [event.series_id]);
+        const rule = toSeries(row);
+        const weekdays = shiftWeekdays(rule.by_weekday, days).join(",") || null;
+
+        const { seriesId, promoted } = await withTransaction(async (connection) => {
+            let seriesId = event.series_id;
+            if (scope === "following") {
+                const created = await execute(insertSeries, [
+                    rule.frequency, rule.interval, weekdays, date, shift(rule.until_date || events[events.length - 1].date), null
+                ], connection);
+                seriesId = created.insertId;
+                await execute(endSeries, [addDays(event.date, -1), event.series_id], connection);
+                await execute(moveSeriesExceptions(days), [seriesId, days, event.series_id, event.date], connection);
+            } else {
+                await execute(updateSeriesRule, [weekdays, shift(rule.start_date), shift(rule.until_date), rule.occurrences, seriesId], connection);
+                await execute(moveSeriesExceptions(days), [seriesId, days, seriesId, "1000-01-01"], connection);
+            }
+
+            // Raised limits free places for members on the waitlists
+            const promoted = [];
+            for (const item of events) {
+                const changed = { name, date: addDays(item.date, days) };
+                const before = await snapshot("event", item.id, connection);
+                await execute(updateSeriesEvent, [type_id, seriesId, name, changed.date, limit, fee, item.id], connection);
+                await audit(request, "update", "event", item.id, { before, after: await snapshot("event", item.id, connection) }, connection);
+                if (eventChanged(item, changed)) {
+                    await notifyEventMembers("eventChanged", item.id, { event: changed, previous: item }, connection);
+                }
+                promoted.push(...await promoteFromWaitlist(item.id, connection, request));
+            }
+            return { seriesId, promoted };
+        });
+
+        console.log(`${events.length} events of series ${seriesId} updated, members promoted from the waitlists: ${promoted.length}`);
+        response.status(200).json({ id: event.id, type_id, name, date, max_participants: limit, fee_cents: fee, series_id: seriesId, events: events.length });
+    } catch (error) {
+        console.error(`Error updating series of event ${event.id}:`, error);
+        sendDatabaseError(response, error, "Error updating series of events");
+    }
+}
+
+/**
+ * Builds the filters of the events list from the query string:
+ * `typeId` (event type, including its child types), `from` and `to` (date range, inclusive), `q` (text in the name)
+ * and `includeDeleted` (deleted events are left out unless it is true).
+ * @param {Object} query - The query string parameters of the request.
+ * @returns {Object} The `conditions` and their `params`, or `{ error }` if a filter is invalid.
+ */
+function eventFilters({ typeId, from, to, q, includeDeleted }) {
+    const conditions = [];
+    const params = [];
+
+    if (includeDeleted !== true) {
+        conditions.push("e.deleted_at IS NULL");
+    }
+
+    if (typeId !== undefined && typeId !== "") {
+        const id = number(typeId);
+        if (!Number.isInteger(id) || id < 1) {
+            return { error: "typeId must be a valid event type ID" };
+        }
+        conditions.push("e.type_id IN (SELECT id FROM event_types WHERE id = ? OR parent_id = ?)");
+        params.push(id, id);
+    }
+    for (const [name, value, operator] of [["from", from, ">="], ["to", to, "<="]]) {
+        if (value !== undefined && value !== "") {
+            const day = date(value);
+            if (!day) {
+                return { error: `${name} must be a valid date` };
+            }
+            conditions.push(`e.date ${operator} ?`);
+            params.push(day);
+        }
+    }
+    if (q) {
+        conditions.push("e.name LIKE ?");
+        params.push(contains(q));
+    }
+    return { conditions, params };
+}
+
+/**
+ * Retrieves the events from the database along with their type, one page at a time.
+ * Accepts the pagination, sorting and filter parameters described in eventFilters and listOptions.
  * @param {Object} request - The HTTP request object.
  * @param {Object} response - The HTTP response object.
  */
 export async function getAllEvents(request, response) {
     console.log("Handling GET request for all events");
+
+    const options = listOptions(request.query, eventSortColumns);
+    const filters = eventFilters(request.query);
+    const error = options.error || filters.error;
+    if (error) {
+        console.error("Invalid list parameters:", error);
+        return sendError(response, error, 400);
+    }
+
     try {
-        // Fetch events from the database
-        const result = await sendResponse(response, selectAllEvents, [], (rows) => rows);
+        const filter = where(filters.conditions);
+        const [{ total }] = await execute(`${countEvents} ${filter}`, filters.params);
+        const rows = await execute(`${selectAllEvents} ${filter} ${options.orderBy} ${options.limit}`, filters.params);
 
-        // Check the result status and send the appropriate response
-        if (result.status === 200) {
-            response.status(result.status).json(result.data);
-        } else {
-            sendError(response, result.data.message, result.status);
-        }
-        console.log("Successfully retrieved all events.");
+        console.log(`Successfully retrieved ${rows.length} of ${total} events.`);
+        response.status(200).json(listEnvelope(rows, total, options));
     } catch (error) {
         console.error("Error fetching all events:", error);
-        sendError(response, "Error fetching events", 500);
+        sendDatabaseError(response, error, "Error fetching events");
     }
 }
 
@@ -58,24 +398,25 @@ export async function getEventById(request, response) {
     if (id) {
         try {
             // Fetch event by ID from the database
-            const result = await sendResponse(response, selectEventById, [id], (rows) => {
-                if (rows.length) {
-                    console.log(`Event found: ${JSON.stringify(rows[0])}`);
-                    return rows[0]; // Respond with the event data
-                } else {
-                    console.log(`Event with ID ${id} not found`);
-                    return sendError(response, "Event not found", 404); // Error if event not found
-                }
-            });
+            // sendResponse answers 404 when there are no rows, so the transform always has the event
+            const result = await sendResponse(response, selectEventById, [id], (rows) => rows[0]);
 
             if (result.status === 200) {
+                // Events of a series come with its rule, to edit them together
+                if (result.data.series_id) {
+                    const [series] = await execute(selectSeries, [result.data.series_id]);
+                    result.data.series = series ? toSeries(series) : null;
+                }
                 response.status(result.status).json(result.data); // Send JSON response
+            } else if (result.status === 404) {
+                console.log(`Event with ID ${id} not found`);
+                sendError(response, "Event not found", 404);
             } else {
-                sendError(response, result.data.message, result.status);
+                sendError(response, result.data.message, result.status, result.data.code);
             }
         } catch (error) {
             console.error(`Error fetching event with ID ${id}:`, error);
-            sendError(response, "Error fetching event", 500); // Send error if something goes wrong
+            sendDatabaseError(response, error, "Error fetching event"); // Send error if something goes wrong
         }
     } else {
         console.error("Invalid event ID");
@@ -89,16 +430,11 @@ export async function getEventById(request, response) {
  * @param {Object} response - The HTTP response object.
  */
 export async function createEvent(request, response) {
-    let { type_id, name, date } = request.body;
-
-    // Log the received data to ensure it's being sent correctly
-    console.log("Received data:", { type_id, name, date });
+    let { type_id, name, date, max_participants } = request.body;
+    console.log("Handling POST request to create an event");
 
     // Make sure type_id is an integer
     type_id = parseInt(type_id, 10);
-    
-    // Log the parsed type_id and date
-    console.log("Parsed data:", { type_id, name, date });
 
     // Check if the required fields are present
     if (!type_id || !name || !date) {
@@ -113,36 +449,53 @@ export async function createEvent(request, response) {
         return sendError(response, "Invalid date format", 400);
     }
 
+    // Ensure the participants limit is a positive integer, when given
+    const limit = maxParticipants(max_participants);
+    if (limit === undefined) {
+        console.error("Invalid maximum number of participants");
+        return sendError(response, "Max participants must be a positive integer", 400);
+    }
+
+    // Organisers can only create events of their event types
+    if (!canManageEventType(request.account, type_id)) {
+        return sendError(response, "You can only manage events of your event types", 403);
+    }
+
+    // Events without a fee are free
+    const fee = request.body.fee_cents ?? null;
+
+    // A recurrence rule creates all the events of the series at once
+    if (request.body.recurrence) {
+        return createSeries(request, response, { type_id, name, date, limit, fee });
+    }
+
     try {
-        // Insert new event into the database
-        const result = await sendResponse(response, insertEvent, [type_id, name, formattedDate], (result) => {
-            console.log(`Event created with ID: ${result.insertId}`);
-            return { id: result.insertId, type_id, name, date: formattedDate };
+        // Insert new event into the database, recording it in the audit log
+        const id = await withTransaction(async (connection) => {
+            const result = await execute(insertEvent, [type_id, name, formattedDate, limit, fee], connection);
+            await audit(request, "create", "event", result.insertId, { after: await snapshot("event", result.insertId, connection) }, connection);
+            return result.insertId;
         });
 
-        // Check result status and respond accordingly
-        if (result.status === 201) {
-            response.status(result.status).json(result.data);
-        } else {
-            console.error("Error from database:", result.data.message);
-            sendError(response, result.data.message || "Error creating event", result.status);
-        }
+        console.log(`Event created with ID: ${id}`);
+        response.status(201).json({ id, type_id, name, date: formattedDate, max_participants: limit, fee_cents: fee });
     } catch (error) {
         console.error("Error creating event:", error);
-        sendError(response, "Error creating event", 500);
+        sendDatabaseError(response, error, "Error creating event");
     }
 }
 
 /**
  * Updates an event by its ID in the database.
+ * When its name or day changes, the registered members and the ones on the waitlist are notified by email.
+ * The event before and after the change is recorded in the audit log.
  * @param {Object} request - The HTTP request object containing event update data.
  * @param {Object} response - The HTTP response object.
  */
 export async function updateEventById(request, response) {
-    const { type_id, name, date } = request.body;
+    const { type_id, name, date, max_participants } = request.body;
+    console.log(`Handling PUT request for event with ID: ${request.params.id}`);
 
-    console.log(`Received data for update: type_id=${type_id}, name=${name}, date=${date}`);
-    
     // Ensure type_id is a number and the date is valid
     if (!type_id || !name || !date) {
         console.error("Missing required fields: Type ID, name, and date are required");
@@ -161,44 +514,78 @@ export async function updateEventById(request, response) {
 
     const mysqlFormattedDate = formattedDate.toISOString().slice(0, 19).replace('T', ' '); // Convert to 'YYYY-MM-DD HH:MM:SS'
 
-    console.log(`Event ID to update: ${eventId}`);
-    console.log(`Trimmed name: "${trimmedName}"`);
-    console.log(`Formatted Date for MySQL: "${mysqlFormattedDate}"`);
+    // Ensure the participants limit is a positive integer, when given
+    const limit = maxParticipants(max_participants);
+    if (limit === undefined) {
+        console.error("Invalid maximum number of participants");
+        return sendError(response, "Max participants must be a positive integer", 400);
+    }
+
+    // Organisers can only manage events of their event types, before and after the change
+    if (!canManageEventType(request.account, type_id)) {
+        return sendError(response, "You can only manage events of your event types", 403);
+    }
+    if (!(await checkEventAccess(request, response, eventId))) {
+        return;
+    }
+
+    const fee = request.body.fee_cents ?? null;
+
+    // The following events of a series, or the whole series, change together
+    const scope = request.query.scope || "this";
+    if (scope !== "this") {
+        try {
+            const series = await seriesEvents(eventId, scope);
+            if (series) {
+                return updateSeries(request, response, series, { type_id, name: trimmedName, date, limit, fee });
+            }
+        } catch (error) {
+            console.error(`Error fetching series of event ${eventId}:`, error);
+            return sendDatabaseError(response, error, "Error updating event");
+        }
+    }
 
     // Proceed with the update logic
     try {
-        console.log("Executing update query...");
-        console.log("Update Query Parameters:", [type_id, trimmedName, mysqlFormattedDate, eventId]);
-
         // Perform the update in the database
-        const result = await sendResponse(response, updateEvent, [type_id, trimmedName, mysqlFormattedDate, eventId], (result) => {
-            console.log("Query Result:", result);
+        const promoted = await withTransaction(async (connection) => {
+            const previous = await snapshot("event", eventId, connection);
+            if (!previous) {
+                return null;
+            }
+            await execute(updateEvent, [type_id, trimmedName, mysqlFormattedDate, limit, fee, eventId], connection);
+            await audit(request, "update", "event", eventId, { before: previous, after: await snapshot("event", eventId, connection) }, connection);
 
-            if (result.affectedRows > 0) {
-                console.log(`Event with ID ${eventId} updated successfully`);
-                return { id: eventId, type_id, name: trimmedName, date: mysqlFormattedDate };
-            } else {
-                console.log(`Event with ID ${eventId} not found or no changes made`);
-                return sendError(response, "Event not found or no change made", 404);
+            const event = { name: trimmedName, date };
+            if (eventChanged(previous, event)) {
+                await notifyEventMembers("eventChanged", eventId, { event, previous }, connection);
             }
+            // A raised limit frees places for members on the waitlist
+            return promoteFromWaitlist(eventId, connection, request);
         });
 
-        // Check result status and respond accordingly
-        if (result.status === 200) {
-            console.log("Update successful, sending response.");
-            response.status(result.status).json(result.data);
+        // Check the result and respond accordingly
+        if (promoted) {
+            console.log(`Event with ID ${eventId} updated successfully`);
+            console.log(`Members promoted from the waitlist: ${promoted.length}`);
+            response.status(200).json({ id: eventId, type_id, name: trimmedName, date: mysqlFormattedDate, max_participants: limit, fee_cents: fee });
         } else {
-            console.error("Error from database:", result.data.message);
-            sendError(response, result.data.message, result.status);
+            sendError(response, "Event not found", 404);
         }
     } catch (error) {
         console.error(`Error updating event: ${error.message}`);
-        sendError(response, "Error updating event", 500);
+        sendDatabaseError(response, error, "Error updating event");
     }
 }
 
 /**
- * Deletes an event by its ID from the database.
+ * Deletes an event by its ID, moving it to the trash.
+ * With a `scope` in the query, events of a series can be deleted along with the following
+ * events ("following") or the whole series ("series"); deleting only one event of a series
+ * keeps its day as an exception of the rule. The registered members and the ones on the
+ * waitlists are told by email that the events are cancelled, and their registrations are
+ * kept apart until the events are restored or purged. Each deleted event is recorded in
+ * the audit log.
  * @param {Object} request - The HTTP request object containing event ID.
  * @param {Object} response - The HTTP response object.
  */
@@ -211,37 +598,220 @@ export async function deleteEventById(request, response) {
         return sendError(response, "You must indicate the event ID", 400);
     }
 
+    if (!(await checkEventAccess(request, response, id))) {
+        return;
+    }
+
     try {
-        // Check if there are any member registrations for this event
-        const registrationsResult = await sendResponse(response, checkEventRegistrations, [id], (rows) => rows);
-        const registrations = registrationsResult.data[0];
-        console.log(`Registrations count for event ${id}: ${registrations.count}`);
-
-        // Prevent deletion if there are any member registrations
-        if (registrations.count > 0) {
-            console.error("Cannot delete event that has registered members");
-            return sendError(response, "Cannot delete event that has registered members", 400);
+        const series = await seriesEvents(id, request.query.scope || "this");
+        const events = series ? series.events : [{ id }];
+        if (series && !checkSeriesAccess(request, response, events)) {
+            return;
         }
+        const ids = events.map(event => event.id);
 
-        // Proceed with deleting the event
-        const deleteResult = await sendResponse(response, deleteEvent, [id], (result) => {
-            if (result.affectedRows) {
-                console.log(`Event with ID ${id} deleted successfully`);
-                return { count: result.affectedRows };
-            } else {
-                console.log(`Event with ID ${id} not found`);
-                return sendError(response, "Event not found", 404);
+        // Delete the events, keeping cancellations for the calendar feeds
+        const count = await withTransaction(async (connection) => {
+            let count = 0;
+            for (const eventId of ids) {
+                const event = await snapshot("event", eventId, connection);
+                if (!event || event.deleted_at) {
+                    continue;
+                }
+                await notifyEventMembers("eventCancelled", eventId, { event }, connection);
+                await execute(insertCancellation, [eventId], connection);
+                await archiveRegistrations("event", eventId, connection);
+                const result = await execute(deleteEvent, [eventId], connection);
+                await audit(request, "delete", "event", eventId, { before: event, after: await snapshot("event", eventId, connection) }, connection);
+                count += result.affectedRows;
             }
+
+            // The rule of a deleted series is kept, for its events to be restored
+            if (series?.scope === "following") {
+                await execute(endSeries, [addDays(series.event.date, -1), series.event.series_id], connection);
+            } else if (series?.scope === "this") {
+                await execute(insertSeriesException, [series.event.series_id, series.event.date], connection);
+            }
+            return count;
         });
-        
+
         // Send the response with the deletion result
-        if (deleteResult.status === 200) {
-            response.status(deleteResult.status).json(deleteResult.data);
+        if (count > 0) {
+            console.log(`Events with IDs ${ids.join(", ")} moved to the trash`);
+            response.status(200).json({ count });
         } else {
-            sendError(response, deleteResult.data.message, deleteResult.status);
+            sendError(response, "Event not found", 404);
         }
     } catch (error) {
         console.error(`Error deleting event with ID ${id}:`, error);
-        sendError(response, "Error deleting event", 500);
+        sendDatabaseError(response, error, "Error deleting event");
+    }
+}
+
+/**
+ * Restores a deleted event, with the registrations and the waitlist it had. The members whose
+ * place was meanwhile taken go to the waitlist, and the free places go to the first members on it.
+ * An event of a series gets its day back in the rule, and the calendar feeds show it again.
+ * The members are told by email that the event is back, unless it is already closed.
+ * Events of a deleted event type cannot be restored until the type is.
+ * @param {Object} request - The HTTP request object, with the event `id`.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function restoreEventById(request, response) {
+    const id = number(request.params.id);
+    console.log(`Handling POST request to restore event ${id}`);
+
+    try {
+        const [event] = await execute(selectDeletedEvent, [id]);
+        if (!event) {
+            return sendError(response, "Deleted event not found", 404);
+        }
+        if (!canManageEventType(request.account, event.type_id)) {
+            return sendError(response, "You can only manage events of your event types", 403);
+        }
+        const [type] = await execute(selectEventTypeDeleted, [event.type_id]);
+        if (type.deleted_at) {
+            return sendError(response, "The event type of the event is deleted, restore it first", 409, "EVENT_TYPE_DELETED");
+        }
+
+        const { restored, promoted } = await withTransaction(async (connection) => {
+            const before = await snapshot("event", id, connection);
+            await execute(restoreEvent, [id], connection);
+            await execute(deleteCancellation, [id], connection);
+            if (event.series_id) {
+                await execute(deleteSeriesException, [event.series_id, event.day], connection);
+            }
+            const restored = await restoreRegistrations("event", id, connection);
+            await audit(request, "restore", "event", id, { before, after: await snapshot("event", id, connection) }, connection);
+            const promoted = await promoteFromWaitlist(id, connection, request);
+            if (!event.closed_at) {
+                await notifyEventMembers("eventRestored", id, { event: { name: event.name, date: event.date } }, connection);
+            }
+            return { restored, promoted };
+        });
+
+        console.log(`Event ${id} restored with ${restored.registered} registrations and ${restored.waitlisted} on the waitlist, members promoted: ${promoted.length}`);
+        response.status(200).json({ id, registered: restored.registered, waitlisted: restored.waitlisted, promoted });
+    } catch (error) {
+        console.error(`Error restoring event ${id}:`, error);
+        sendDatabaseError(response, error, "Error restoring event");
+    }
+}
+
+/**
+ * Retrieves the members registered in an event, with the status of their registration.
+ * @param {Object} request - The HTTP request object, with the event `id`.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function getEventAttendance(request, response) {
+    const id = number(request.params.id);
+    console.log(`Handling GET request for the attendance of event ${id}`);
+
+    try {
+        const events = await execute(selectEventType, [id]);
+        if (!events.length) {
+            return sendError(response, "Event not found", 404);
+        }
+        const rows = await execute(selectAttendance, [id]);
+        response.status(200).json(rows);
+    } catch (error) {
+        console.error(`Error fetching the attendance of event ${id}:`, error);
+        sendDatabaseError(response, error, "Error fetching attendance");
+    }
+}
+
+/**
+ * Records the attendance of many members of an event at once, from the body
+ * `{ attendance: [{ memberId, status }] }`. Members can only be marked as attended
+ * or no-show from the day of the event. Cancelled registrations free their place,
+ * which goes to the first members on the waitlist; the members whose registration is
+ * cancelled are told by email. A cancelled registration can only be taken back while the
+ * event has a free place for it (409 EVENT_FULL otherwise), and takes the member off the
+ * waitlist. Every status that changes is recorded in the audit log.
+ * Answers with the attendance of the event and the IDs of the promoted members.
+ * @param {Object} request - The HTTP request object, with the event `id`.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function updateEventAttendance(request, response) {
+    const id = number(request.params.id);
+    const { attendance } = request.body;
+    console.log(`Handling PATCH request for the attendance of event ${id}: ${attendance.length} members`);
+
+    if (!(await checkEventAccess(request, response, id))) {
+        return;
     }
+
+    const memberIds = attendance.map(item => item.memberId);
+    if (new Set(memberIds).size !== memberIds.length) {
+        return sendError(response, "The request has invalid fields", 422, "VALIDATION_FAILED",
+            [{ location: "body", field: "attendance", message: "must not have repeated members" }]);
+    }
+
+    try {
+        const [event] = await execute(selectEventStarted, [id]);
+        if (!event.started && attendance.some(item => item.status === "attended" || item.status === "no-show")) {
+            return sendError(response, "Attendance can only be recorded from the day of the event", 409);
+        }
+
+        const registered = new Map((await execute(selectAttendance, [id])).map(row => [row.member_id, row.status]));
+        const unknown = memberIds.filter(memberId => !registered.has(memberId));
+        if (unknown.length) {
+            return sendError(response, "The request has invalid fields", 422, "VALIDATION_FAILED",
+                [{ location: "body", field: "attendance", message: `Members not registered in the event: ${unknown.join(", ")}` }]);
+        }
+
+        const promoted = await withTransaction(async (connection) => {
+            const [capacity] = await execute(lockEventCapacity, [id], connection);
+            const reinstated = attendance.filter(item => registered.get(item.memberId) === "cancelled" && item.status !== "cancelled");
+            if (reinstated.length && capacity.max_participants !== null) {
+                const [participants] = await execute(countParticipants, [id], connection);
+                const cancelled = attendance.filter(item => registered.get(item.memberId) !== "cancelled" && item.status === "cancelled");
+                if (participants.count + reinstated.length - cancelled.length > capacity.max_participants) {
+                    return "full";
+                }
+            }
+
+            const [notice] = await execute(selectEventNotice, [id], connection);
+            for (const { memberId, status } of attendance) {
+                await execute(updateAttendanceStatus, [status, id, memberId], connection);
+                if (registered.get(memberId) === "cancelled" && status !== "cancelled") {
+                    await execute(deleteWaitlistEntry, [id, memberId], connection);
+                }
+                if (status === registered.get(memberId)) {
+                    continue;
+                }
+                await audit(request, "attendance", "event", id, {
+                    before: { status: registered.get(memberId) }, after: { status }, related: { entity: "member", id: memberId }
+                }, connection);
+                if (status === "cancelled") {
+                    await notifyMember("unregistered", memberId, { event: notice }, connection);
+                }
+            }
+            return attendance.some(item => item.status === "cancelled") ? promoteFromWaitlist(id, connection, request) : [];
+        });
+
+        if (promoted === "full") {
+            return sendError(response, "The event is full, so cancelled registrations cannot be taken back", 409, "EVENT_FULL");
+        }
+        console.log(`Attendance of event ${id} updated, members promoted from the waitlist: ${promoted.length}`);
+        const rows = await execute(selectAttendance, [id]);
+        response.status(200).json({ attendance: rows, promoted });
+    } catch (error) {
+        console.error(`Error updating the attendance of event ${id}:`, error);
+        sendDatabaseError(response, error, "Error updating attendance");
+    }
+}
+
+/**
+ * Closes the events of the previous days, which then take no more registrations, and
+ * empties their waitlists. Run every night by the close-past-events job.
+ * @returns {Promise<{closed: number, waitlisted: number}>} The number of events closed and of waitlist entries removed.
+ */
+export async function closePastEvents() {
+    return withTransaction(async (connection) => {
+        const closed = await execute(closeEvents, [], connection);
+        const waitlisted = await execute(deleteClosedWaitlists, [], connection);
+        console.log(`Past events closed: ${closed.affectedRows}, waitlist entries removed: ${waitlisted.affectedRows}`);
+        return { closed: closed.affectedRows, waitlisted: waitlisted.affectedRows };
+    });
 }
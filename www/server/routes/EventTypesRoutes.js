@@ -1,32 +1,127 @@
 "use strict";
-import { number, sendResponse, sendError } from "../config/db.js";
+import { execute, withTransaction, number, sendResponse, sendError, sendDatabaseError } from "../config/db.js";
+import { listOptions, listEnvelope } from "../config/listing.js";
+import { audit, snapshot } from "./AuditRoutes.js";
 
-// SQL Queries for CRUD operations
-const selectAllEventTypes = "SELECT * FROM event_types";
-const selectEventTypeById = "SELECT * FROM event_types WHERE id = ?";
-const insertEventType = "INSERT INTO event_types (name) VALUES (?)";
-const updateEventType = "UPDATE event_types SET name = ? WHERE id = ?";
-const deleteEventType = "DELETE FROM event_types WHERE id = ?";
-const checkEventsWithType = "SELECT COUNT(*) as count FROM events WHERE type_id = ?";
-const checkMembersWithType = "SELECT COUNT(*) as count FROM member_preferred_event_types WHERE event_type_id = ?";
+// Details of an event type, besides the name, as named in the requests and the table
+export const detailFields = ["parent_id", "description", "color", "icon", "default_difficulty", "default_duration_minutes"];
+
+// SQL Queries for CRUD operations, with the name of the parent type
+const selectAllEventTypes = `
+  SELECT t.*, p.name as parent_name FROM event_types t
+  LEFT JOIN event_types p ON p.id = t.parent_id
+`;
+const countEventTypes = "SELECT COUNT(*) as total FROM event_types t";
+const selectEventTypeById = `${selectAllEventTypes} WHERE t.id = ? AND t.deleted_at IS NULL`;
+const insertEventType = `INSERT INTO event_types (name, ${detailFields.join(", ")}) VALUES (?, ${detailFields.map(() => "?").join(", ")})`;
+// Only the details sent in the request are changed
+const updateEventType = (fields) => `UPDATE event_types SET ${["name", ...fields].map(field => `${field} = ?`).join(", ")} WHERE id = ?`;
+// Types have one level of parents: a child type cannot be the parent of another
+const selectParentType = "SELECT parent_id, deleted_at FROM event_types WHERE id = ?";
+const countChildTypes = "SELECT COUNT(*) as count FROM event_types WHERE parent_id = ? AND deleted_at IS NULL";
+// Deleted event types stay until the purge-trash job removes them, keeping their names
+// unique, so a type with the name of a deleted one is refused until that one is restored or purged
+export const nameInTrash = "An event type with this name is in the trash, restore it";
+const selectDeletedTypeByName = "SELECT id FROM event_types WHERE name = ? AND id <> ? AND deleted_at IS NOT NULL";
+const deleteEventType = "UPDATE event_types SET deleted_at = NOW() WHERE id = ?";
+const restoreEventType = "UPDATE event_types SET deleted_at = NULL WHERE id = ?";
+const checkEventsWithType = "SELECT COUNT(*) as count FROM events WHERE type_id = ? AND deleted_at IS NULL";
+const checkMembersWithType = `
+    SELECT COUNT(*) as count FROM member_preferred_event_types p
+    JOIN members m ON m.id = p.member_id
+    WHERE p.event_type_id = ? AND m.deleted_at IS NULL
+`;
+
+// Columns the event types can be sorted by, with ?sort=
+const eventTypeSortColumns = {
+    id: "t.id",
+    name: "t.name"
+};
+
+/**
+ * Checks the parent of an event type: it cannot be the type itself nor have a parent, and
+ * a type with child types cannot get a parent. Its existence is checked by the validation.
+ * @param {number|null} id - The ID of the event type, or null when it is being created.
+ * @param {number|null|undefined} parentId - The ID of the parent type, if any.
+ * @returns {Promise<string|null>} The reason the parent is not valid, or null if it is.
+ */
+async function checkParent(id, parentId) {
+    if (!parentId) {
+        return null;
+    }
+    if (parentId === id) {
+        return "must be another event type";
+    }
+    const [parent] = await execute(selectParentType, [parentId]);
+    if (parent.parent_id !== null) {
+        return "must be an event type without a parent";
+    }
+    if (id) {
+        const [children] = await execute(countChildTypes, [id]);
+        if (children.count > 0) {
+            return "cannot be set on an event type that has child types";
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds a deleted event type with the name of the one being created or changed.
+ * @param {string} name - The name.
+ * @param {number|null} id - The ID of the event type, or null when it is being created.
+ * @returns {Promise<number|null>} The ID of the deleted event type, or null if there is none.
+ */
+async function deletedTypeWithName(name, id) {
+    const [type] = await execute(selectDeletedTypeByName, [name, id ?? 0]);
+    return type ? type.id : null;
+}
+
+/**
+ * Sends the 409 error response of a name taken by a deleted event type.
+ * @param {Object} response - The response object.
+ * @param {number} id - The ID of the deleted event type, which can be restored.
+ */
+function sendNameInTrashError(response, id) {
+    sendError(response, nameInTrash, 409, "EVENT_TYPE_IN_TRASH", { id });
+}
+
+/**
+ * Sends the 422 error response of an invalid parent type.
+ * @param {Object} response - The response object.
+ * @param {string} message - The reason the parent is not valid.
+ */
+function sendParentError(response, message) {
+    sendError(response, "The request has invalid fields", 422, "VALIDATION_FAILED",
+        [{ location: "body", field: "parent_id", message }]);
+}
 
 /**
  * Get all event types.
  * 
- * This function handles the GET request to fetch all event types from the database.
- * It uses the `selectAllEventTypes` SQL query to retrieve all event types.
- * If successful, the event types are returned in the response with a 200 status.
+ * This function handles the GET request to fetch the event types from the database.
+ * It uses the `selectAllEventTypes` SQL query, with the pagination and sorting parameters
+ * of the request, and responds with the list envelope `{ data, total, page, pageSize }`.
+ * Each event type has the `parent_name` of its parent type, if any.
+ * Deleted event types are left out, unless `includeDeleted` is true.
  * If an error occurs, an error response with an appropriate status and message is returned.
  * 
  * @param {Object} request - The request object.
  * @param {Object} response - The response object.
  */
 export async function getAllEventTypes(request, response) {
-    const result = await sendResponse(response, selectAllEventTypes, [], (rows) => rows);
-    if (result.status === 200) {
-        response.status(result.status).json(result.data);
-    } else {
-        sendError(response, result.data.message, result.status);
+    const options = listOptions(request.query, eventTypeSortColumns);
+    if (options.error) {
+        return sendError(response, options.error, 400);
+    }
+
+    try {
+        const filter = request.query.includeDeleted === true ? "" : "WHERE t.deleted_at IS NULL";
+        const [{ total }] = await execute(`${countEventTypes} ${filter}`);
+        const rows = await execute(`${selectAllEventTypes} ${filter} ${options.orderBy} ${options.limit}`);
+        response.status(200).json(listEnvelope(rows, total, options));
+    } catch (error) {
+        console.error("Error fetching event types:", error);
+        sendDatabaseError(response, error, "Error fetching event types");
     }
 }
 
@@ -44,11 +139,13 @@ export async function getAllEventTypes(request, response) {
 export async function getEventTypeById(request, response) {
     let id = number(request.params.id);
     if (id) {
-        const result = await sendResponse(response, selectEventTypeById, [id], (rows) => rows.length ? rows[0] : sendError(response, "Event type not found", 404));
+        const result = await sendResponse(response, selectEventTypeById, [id], (rows) => rows[0]);
         if (result.status === 200) {
             response.status(result.status).json(result.data);
+        } else if (result.status === 404) {
+            sendError(response, "Event type not found", 404);
         } else {
-            sendError(response, result.data.message, result.status);
+            sendError(response, result.data.message, result.status, result.data.code);
         }
     } else {
         sendError(response, "Invalid event type ID", 400);
@@ -59,8 +156,12 @@ export async function getEventTypeById(request, response) {
  * Create a new event type.
  * 
  * This function handles the POST request to create a new event type.
- * It checks that the `name` field is provided in the request body.
- * If valid, the event type is inserted into the database using the `insertEventType` query.
+ * It checks that the `name` field is provided in the request body, along with the optional
+ * details: description, colour, icon, default difficulty and duration, and parent type.
+ * If valid, the event type is inserted into the database using the `insertEventType` query,
+ * and recorded in the audit log in the same transaction.
+ * The name of an event type in the trash is refused with 409 EVENT_TYPE_IN_TRASH, which
+ * carries the ID of the deleted type to restore.
  * A successful creation returns the newly created event type with a 201 status.
  * If an error occurs or the `name` is missing, an error response is returned.
  * 
@@ -73,12 +174,28 @@ export async function createEventType(request, response) {
     if (!name) {
         return sendError(response, "Name is required", 400);
     }
+    const details = detailFields.map(field => request.body[field] ?? null);
 
-    const result = await sendResponse(response, insertEventType, [name], (result) => ({ id: result.insertId, name }), 201);
-    if (result.status === 201) {
-        response.status(result.status).json(result.data);
-    } else {
-        sendError(response, result.data.message, result.status);
+    try {
+        const parentError = await checkParent(null, request.body.parent_id);
+        if (parentError) {
+            return sendParentError(response, parentError);
+        }
+        const deletedId = await deletedTypeWithName(name, null);
+        if (deletedId) {
+            return sendNameInTrashError(response, deletedId);
+        }
+
+        const type = await withTransaction(async (connection) => {
+            const result = await execute(insertEventType, [name, ...details], connection);
+            const after = await snapshot("eventType", result.insertId, connection);
+            await audit(request, "create", "eventType", result.insertId, { after }, connection);
+            return after;
+        });
+        response.status(201).json(type);
+    } catch (error) {
+        console.error("Error creating event type:", error);
+        sendDatabaseError(response, error, "Error creating event type");
     }
 }
 
@@ -86,8 +203,10 @@ export async function createEventType(request, response) {
  * Update an existing event type by its ID.
  * 
  * This function handles the PUT request to update an existing event type.
- * It checks that both the `id` and `name` are provided in the request.
- * The event type is updated using the `updateEventType` query.
+ * It checks that both the `id` and `name` are provided in the request; only the details
+ * sent in the request are changed, and a parent type and the name are checked as on creation.
+ * The event type is updated using the `updateEventType` query, and recorded before and
+ * after the change in the audit log, in the same transaction.
  * A successful update returns the updated event type with a 200 status.
  * If the event type is not found, an error response is returned.
  * 
@@ -101,15 +220,36 @@ export async function updateEventTypeById(request, response) {
     if (!id || !name) {
         return sendError(response, "Name is required", 400);
     }
+    const fields = detailFields.filter(field => request.body[field] !== undefined);
+
+    try {
+        const parentError = await checkParent(id, request.body.parent_id);
+        if (parentError) {
+            return sendParentError(response, parentError);
+        }
+        const deletedId = await deletedTypeWithName(name, id);
+        if (deletedId) {
+            return sendNameInTrashError(response, deletedId);
+        }
 
-    const result = await sendResponse(response, updateEventType, [name, id], (result) => {
-        return result.affectedRows ? { id, name } : sendError(response, "Event type not found", 404);
-    });
+        const type = await withTransaction(async (connection) => {
+            const before = await snapshot("eventType", id, connection);
+            if (!before || before.deleted_at) {
+                return null;
+            }
+            await execute(updateEventType(fields), [name, ...fields.map(field => request.body[field]), id], connection);
+            const after = await snapshot("eventType", id, connection);
+            await audit(request, "update", "eventType", id, { before, after }, connection);
+            return after;
+        });
 
-    if (result.status === 200) {
-        response.status(result.status).json(result.data);
-    } else {
-        sendError(response, result.data.message, result.status);
+        if (!type) {
+            return sendError(response, "Event type not found", 404);
+        }
+        response.status(200).json(type);
+    } catch (error) {
+        console.error("Error updating event type:", error);
+        sendDatabaseError(response, error, "Error updating event type");
     }
 }
 
@@ -117,9 +257,11 @@ export async function updateEventTypeById(request, response) {
  * Delete an event type by its ID.
  * 
  * This function handles the DELETE request to remove an event type by its ID.
- * Before deleting, it checks if the event type is used by any events or preferred by members.
- * If there are any dependencies (e.g., events or members), the deletion is prevented.
- * If the event type can be deleted, it is removed from the database.
+ * Before deleting, it checks if the event type is used by any events, preferred by members or
+ * the parent of other event types that are not deleted. If there are any dependencies
+ * (e.g., events, members or child types), the deletion is prevented.
+ * If the event type can be deleted, it is moved to the trash, setting its `deleted_at`, and recorded
+ * in the audit log; the purge-trash job removes it for good later.
  * A successful deletion returns a 200 status with the count of deleted rows.
  * If any dependencies exist or the event type is not found, an error response is returned.
  * 
@@ -132,27 +274,83 @@ export async function deleteEventTypeById(request, response) {
         return sendError(response, "You must indicate the event type ID", 400);
     }
 
-    const result = await sendResponse(response, checkEventsWithType, [id], (rows) => rows);
-    const events = result.data[0];
+    try {
+        const [events] = await execute(checkEventsWithType, [id]);
+        if (events.count > 0) {
+            return sendError(response, "Cannot delete event type that is being used by events", 400);
+        }
 
-    if (events.count > 0) {
-        return sendError(response, "Cannot delete event type that is being used by events", 400);
-    }
+        const [members] = await execute(checkMembersWithType, [id]);
+        if (members.count > 0) {
+            return sendError(response, "Cannot delete event type that is preferred by members", 400);
+        }
 
-    const resultMembers = await sendResponse(response, checkMembersWithType, [id], (rows) => rows);
-    const members = resultMembers.data[0];
+        const [children] = await execute(countChildTypes, [id]);
+        if (children.count > 0) {
+            return sendError(response, "Cannot delete event type that has child types", 400);
+        }
 
-    if (members.count > 0) {
-        return sendError(response, "Cannot delete event type that is preferred by members", 400);
+        const count = await withTransaction(async (connection) => {
+            const before = await snapshot("eventType", id, connection);
+            if (!before || before.deleted_at) {
+                return 0;
+            }
+            const result = await execute(deleteEventType, [id], connection);
+            await audit(request, "delete", "eventType", id, { before }, connection);
+            return result.affectedRows;
+        });
+
+        if (!count) {
+            return sendError(response, "Event type not found", 404);
+        }
+        response.status(200).json({ count });
+    } catch (error) {
+        console.error("Error deleting event type:", error);
+        sendDatabaseError(response, error, "Error deleting event type");
     }
+}
 
-    const deleteResult = await sendResponse(response, deleteEventType, [id], (result) => {
-        return result.affectedRows ? { count: result.affectedRows } : sendError(response, "Event type not found", 404);
-    });
+/**
+ * Restore a deleted event type.
+ * 
+ * This function handles the POST request to bring an event type back from the trash,
+ * recording it in the audit log in the same transaction.
+ * A successful restore returns the event type with a 200 status.
+ * If the event type is not deleted, or its parent type is, an error response is returned.
+ * 
+ * @param {Object} request - The request object.
+ * @param {Object} response - The response object.
+ */
+export async function restoreEventTypeById(request, response) {
+    const id = number(request.params.id);
 
-    if (deleteResult.status === 200) {
-        response.status(deleteResult.status).json(deleteResult.data);
-    } else {
-        sendError(response, deleteResult.data.message, deleteResult.status);
+    try {
+        const type = await withTransaction(async (connection) => {
+            const before = await snapshot("eventType", id, connection);
+            if (!before?.deleted_at) {
+                return null;
+            }
+            if (before.parent_id) {
+                const [parent] = await execute(selectParentType, [before.parent_id], connection);
+                if (parent.deleted_at) {
+                    return { parentDeleted: true };
+                }
+            }
+            await execute(restoreEventType, [id], connection);
+            const after = await snapshot("eventType", id, connection);
+            await audit(request, "restore", "eventType", id, { before, after }, connection);
+            return after;
+        });
+
+        if (!type) {
+            return sendError(response, "Deleted event type not found", 404);
+        }
+        if (type.parentDeleted) {
+            return sendError(response, "The parent type of the event type is deleted, restore it first", 409, "PARENT_TYPE_DELETED");
+        }
+        response.status(200).json(type);
+    } catch (error) {
+        console.error("Error restoring event type:", error);
+        sendDatabaseError(response, error, "Error restoring event type");
     }
 }
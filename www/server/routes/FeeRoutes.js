@@ -0,0 +1,325 @@
+"use strict";
+import config from "../config/config.js";
+import { execute, number, sendError, sendDatabaseError } from "../config/db.js";
+import { listOptions, where, contains, listEnvelope } from "../config/listing.js";
+
+/*
+  Membership fees, event fees and payments. Amounts are in cents.
+
+  Members are charged each of their membership fees on its due date, and the fee of every
+  event they are registered in, unless cancelled, on the day of the event. Payments are not
+  tied to a charge: they pay the oldest charges first. A charge is overdue when it is still
+  unpaid FEE_GRACE_DAYS after it was due, and members with overdue charges cannot register
+  for events (see MemberEventsRoutes.js).
+*/
+
+// Every charge of every member, with the day it is due
+const allCharges = `
+  SELECT member_id, amount_cents, due_date FROM membership_fees
+  UNION ALL
+  SELECT me.member_id, e.fee_cents, DATE(e.date) FROM member_events me
+  JOIN events e ON e.id = me.event_id
+  WHERE me.status <> 'cancelled' AND e.fee_cents > 0 AND e.deleted_at IS NULL
+`;
+// Totals of each member: the overdue charges are the ones due before the grace period
+const selectBalances = `
+  SELECT m.id, m.name, m.membership_number, m.status,
+    CAST(COALESCE(c.charged, 0) AS SIGNED) as charged_cents,
+    CAST(COALESCE(p.paid, 0) AS SIGNED) as paid_cents,
+    CAST(GREATEST(COALESCE(c.due, 0) - COALESCE(p.paid, 0), 0) AS SIGNED) as due_cents,
+    CAST(GREATEST(COALESCE(c.overdue, 0) - COALESCE(p.paid, 0), 0) AS SIGNED) as overdue_cents
+  FROM members m
+  LEFT JOIN (
+    SELECT member_id, SUM(amount_cents) as charged,
+      SUM(IF(due_date <= CURDATE(), amount_cents, 0)) as due,
+      SUM(IF(due_date < CURDATE() - INTERVAL ? DAY, amount_cents, 0)) as overdue
+    FROM (${allCharges}) x GROUP BY member_id
+  ) c ON c.member_id = m.id
+  LEFT JOIN (SELECT member_id, SUM(amount_cents) as paid FROM payments GROUP BY member_id) p ON p.member_id = m.id
+  WHERE m.deleted_at IS NULL
+`;
+// With the days the states of the charges are told by, taken from the database like the totals
+const selectMemberBalance = `
+  SELECT b.*, DATE_FORMAT(CURDATE(), '%Y-%m-%d') as today,
+    DATE_FORMAT(CURDATE() - INTERVAL ? DAY, '%Y-%m-%d') as overdue_before
+  FROM (${selectBalances}) b WHERE b.id = ?
+`;
+
+// Columns the balances can be sorted by, with ?sort=
+const balanceSortColumns = {
+    id: "b.id",
+    name: "b.name",
+    membershipNumber: "b.membership_number",
+    due: "b.due_cents",
+    overdue: "b.overdue_cents"
+};
+const balanceStates = {
+    overdue: "b.overdue_cents > 0",
+    due: "b.due_cents > 0",
+    all: "b.charged_cents > 0 OR b.paid_cents > 0"
+};
+
+const selectMemberCharges = `
+  SELECT 'fee' as kind, f.id, NULL as name, DATE_FORMAT(f.period_start, '%Y-%m-%d') as period_start,
+    DATE_FORMAT(f.period_end, '%Y-%m-%d') as period_end, f.amount_cents, DATE_FORMAT(f.due_date, '%Y-%m-%d') as due_date
+  FROM membership_fees f WHERE f.member_id = ?
+  UNION ALL
+  SELECT 'event', e.id, e.name, NULL, NULL, e.fee_cents, DATE_FORMAT(e.date, '%Y-%m-%d')
+  FROM member_events me
+  JOIN events e ON e.id = me.event_id
+  WHERE me.member_id = ? AND me.status <> 'cancelled' AND e.fee_cents > 0 AND e.deleted_at IS NULL
+  ORDER BY due_date, kind, id
+`;
+const selectMemberPayments = `
+  SELECT id, amount_cents, DATE_FORMAT(date, '%Y-%m-%d') as date, method, reference
+  FROM payments WHERE member_id = ? ORDER BY date, id
+`;
+const insertMemberFee = "INSERT INTO membership_fees (member_id, period_start, period_end, amount_cents, due_date) VALUES (?, ?, ?, ?, ?)";
+// Members that already have a fee starting on the same day keep it
+const insertActiveMembersFees = `
+  INSERT IGNORE INTO membership_fees (member_id, period_start, period_end, amount_cents, due_date)
+  SELECT id, ?, ?, ?, ? FROM members WHERE status = 'active' AND deleted_at IS NULL
+`;
+const deleteMemberFee = "DELETE FROM membership_fees WHERE id = ?";
+const insertPayment = "INSERT INTO payments (member_id, amount_cents, date, method, reference) VALUES (?, ?, ?, ?, ?)";
+const deletePayment = "DELETE FROM payments WHERE id = ?";
+const selectMember = "SELECT id, name FROM members WHERE id = ? AND deleted_at IS NULL";
+
+/**
+ * Returns the amount a member owes past the grace period.
+ * @param {number} memberId - The ID of the member.
+ * @param {Object} [connection] - The connection of a transaction in progress.
+ * @returns {Promise<number>} The overdue amount, in cents; 0 when nothing is overdue.
+ */
+export async function overdueCents(memberId, connection) {
+    const [balance] = await execute(selectMemberBalance, [config.feeGraceDays, config.feeGraceDays, memberId], connection);
+    return balance ? balance.overdue_cents : 0;
+}
+
+/**
+ * Pays the charges of a member with the total of their payments, oldest charges first,
+ * and tells the state of each one: "paid", "overdue" (unpaid after the grace period),
+ * "due" (unpaid, within the grace period) or "upcoming" (not due yet).
+ * @param {Object[]} charges - The charges, ordered by due date, with `amount_cents` and `due_date`.
+ * @param {number} paid - The total of the payments, in cents.
+ * @param {string} today - The current day, as YYYY-MM-DD.
+ * @param {string} overdueBefore - Charges due before this day are overdue when unpaid.
+ * @returns {Object[]} The charges, with `paid_cents`, `outstanding_cents` and `state`.
+ */
+function allocatePayments(charges, paid, today, overdueBefore) {
+    let left = paid;
+    return charges.map(charge => {
+        const paidCents = Math.min(left, charge.amount_cents);
+        left -= paidCents;
+        const outstanding = charge.amount_cents - paidCents;
+        let state = "paid";
+        if (outstanding > 0) {
+            state = charge.due_date > today ? "upcoming" : charge.due_date < overdueBefore ? "overdue" : "due";
+        }
+        return { ...charge, paid_cents: paidCents, outstanding_cents: outstanding, state };
+    });
+}
+
+/**
+ * Sends the 404 error of a member that does not exist.
+ * @param {Object} response - The HTTP response object.
+ * @param {number} memberId - The ID of the member.
+ * @returns {Promise<boolean>} True if the member exists.
+ */
+async function checkMember(response, memberId) {
+    const members = await execute(selectMember, [memberId]);
+    if (!members.length) {
+        sendError(response, "Member not found", 404);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Retrieves the balance of a member: the charges, each one with the part already paid and
+ * its state, the payments and the totals. `balance_cents` is what the member owes in total,
+ * negative when they paid in advance, `due_cents` what is already due and `overdue_cents`
+ * what is due past the grace period. `blocked` tells whether the member can no longer
+ * register for events.
+ * @param {Object} request - The HTTP request object, with the member `id`.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function getMemberBalance(request, response) {
+    const memberId = number(request.params.id);
+    console.log(`Handling GET request for the balance of member ${memberId}`);
+
+    try {
+        const [balance] = await execute(selectMemberBalance, [config.feeGraceDays, config.feeGraceDays, memberId]);
+        if (!balance) {
+            return sendError(response, "Member not found", 404);
+        }
+        const charges = await execute(selectMemberCharges, [memberId, memberId]);
+        const payments = await execute(selectMemberPayments, [memberId]);
+
+        const { id, name, charged_cents, paid_cents, due_cents, overdue_cents, today, overdue_before } = balance;
+        response.status(200).json({
+            member: { id, name },
+            grace_days: config.feeGraceDays,
+            charged_cents,
+            paid_cents,
+            balance_cents: charged_cents - paid_cents,
+            due_cents,
+            overdue_cents,
+            blocked: overdue_cents > 0,
+            charges: allocatePayments(charges, paid_cents, today, overdue_before),
+            payments
+        });
+    } catch (error) {
+        console.error(`Error fetching the balance of member ${memberId}:`, error);
+        sendDatabaseError(response, error, "Error fetching the balance");
+    }
+}
+
+/**
+ * Retrieves the balances of the members, one page at a time. By default only the members
+ * with overdue charges are listed; `state` can also be "due" (members with charges already
+ * due) or "all" (members with any charge or payment). `q` searches the name and the
+ * membership number.
+ * @param {Object} request - The HTTP request object, with the filters, sorting and pagination.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function getBalances(request, response) {
+    const state = request.query.state || "overdue";
+    console.log(`Handling GET request for the balances of the members (${state})`);
+
+    const options = listOptions(request.query, balanceSortColumns, "overdue");
+    if (options.error) {
+        console.error("Invalid list parameters:", options.error);
+        return sendError(response, options.error, 400);
+    }
+
+    try {
+        const conditions = [`(${balanceStates[state]})`];
+        const params = [config.feeGraceDays];
+        if (request.query.q) {
+            conditions.push("(b.name LIKE ? OR b.membership_number LIKE ?)");
+            params.push(contains(request.query.q), contains(request.query.q));
+        }
+
+        const from = `FROM (${selectBalances}) b ${where(conditions)}`;
+        const [{ total }] = await execute(`SELECT COUNT(*) as total ${from}`, params);
+        const rows = await execute(`SELECT * ${from} ${options.orderBy} ${options.limit}`, params);
+
+        console.log(`Returning ${rows.length} of ${total} balances.`);
+        response.status(200).json({ grace_days: config.feeGraceDays, ...listEnvelope(rows, total, options) });
+    } catch (error) {
+        console.error("Error fetching balances:", error);
+        sendDatabaseError(response, error, "Error fetching balances");
+    }
+}
+
+/**
+ * Charges a membership fee to a member.
+ * @param {Object} request - The HTTP request object, with the member `id` and the fee:
+ *   `period_start`, `period_end`, `amount_cents` and `due_date`.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function createMemberFee(request, response) {
+    const memberId = number(request.params.id);
+    const { period_start, period_end, amount_cents, due_date } = request.body;
+    console.log(`Handling POST request for a fee of member ${memberId}`);
+
+    try {
+        if (!(await checkMember(response, memberId))) {
+            return;
+        }
+        const result = await execute(insertMemberFee, [memberId, period_start, period_end, amount_cents, due_date]);
+        console.log(`Fee ${result.insertId} charged to member ${memberId}`);
+        response.status(201).json({ id: result.insertId, member_id: memberId, period_start, period_end, amount_cents, due_date });
+    } catch (error) {
+        console.error(`Error creating a fee of member ${memberId}:`, error);
+        sendDatabaseError(response, error, "Error creating fee");
+    }
+}
+
+/**
+ * Charges the membership fee of a period to every active member. Members that already
+ * have a fee starting on the same day are skipped, so a period can be charged again
+ * to reach the members that joined since.
+ * @param {Object} request - The HTTP request object, with the fee in the body.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function createFees(request, response) {
+    const { period_start, period_end, amount_cents, due_date } = request.body;
+    console.log(`Handling POST request for the fees of ${period_start} to ${period_end}`);
+
+    try {
+        const result = await execute(insertActiveMembersFees, [period_start, period_end, amount_cents, due_date]);
+        console.log(`Fees charged to ${result.affectedRows} members`);
+        response.status(201).json({ created: result.affectedRows, period_start, period_end, amount_cents, due_date });
+    } catch (error) {
+        console.error("Error creating fees:", error);
+        sendDatabaseError(response, error, "Error creating fees");
+    }
+}
+
+/**
+ * Deletes a membership fee, e.g. one charged by mistake.
+ * @param {Object} request - The HTTP request object, with the fee `id`.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function deleteFee(request, response) {
+    const id = number(request.params.id);
+    console.log(`Handling DELETE request for fee ${id}`);
+
+    try {
+        const result = await execute(deleteMemberFee, [id]);
+        if (!result.affectedRows) {
+            return sendError(response, "Fee not found", 404);
+        }
+        response.status(200).json({ count: result.affectedRows });
+    } catch (error) {
+        console.error(`Error deleting fee ${id}:`, error);
+        sendDatabaseError(response, error, "Error deleting fee");
+    }
+}
+
+/**
+ * Records a payment of a member.
+ * @param {Object} request - The HTTP request object, with the member `id` and the payment:
+ *   `amount_cents`, `date`, `method` and an optional `reference`, such as a receipt number.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function createPayment(request, response) {
+    const memberId = number(request.params.id);
+    const { amount_cents, date, method, reference = null } = request.body;
+    console.log(`Handling POST request for a payment of member ${memberId}`);
+
+    try {
+        if (!(await checkMember(response, memberId))) {
+            return;
+        }
+        const result = await execute(insertPayment, [memberId, amount_cents, date, method, reference]);
+        console.log(`Payment ${result.insertId} of member ${memberId} recorded`);
+        response.status(201).json({ id: result.insertId, member_id: memberId, amount_cents, date, method, reference });
+    } catch (error) {
+        console.error(`Error recording a payment of member ${memberId}:`, error);
+        sendDatabaseError(response, error, "Error recording payment");
+    }
+}
+
+/**
+ * Deletes a payment, e.g. one recorded by mistake.
+ * @param {Object} request - The HTTP request object, with the payment `id`.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function deletePaymentById(request, response) {
+    const id = number(request.params.id);
+    console.log(`Handling DELETE request for payment ${id}`);
+
+    try {
+        const result = await execute(deletePayment, [id]);
+        if (!result.affectedRows) {
+            return sendError(response, "Payment not found", 404);
+        }
+        response.status(200).json({ count: result.affectedRows });
+    } catch (error) {
+        console.error(`Error deleting payment ${id}:`, error);
+        sendDatabaseError(response, error, "Error deleting payment");
+    }
+}
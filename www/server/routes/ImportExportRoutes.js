@@ -0,0 +1,294 @@
+"use strict";
+import { execute, withTransaction, sendError, sendDatabaseError } from "../config/db.js";
+import { readCsv, writeCsv } from "../config/csv.js";
+import { validateRequest } from "../middleware/validate.js";
+import { canManageEventType } from "../middleware/auth.js";
+import { profileFields } from "./MemberRoutes.js";
+import { detailFields, nameInTrash } from "./EventTypesRoutes.js";
+import { audit, snapshot } from "./AuditRoutes.js";
+import * as schemas from "./schemas.js";
+
+/*
+  Import and export of members, events and event types, as CSV or JSON.
+
+  Exported files use the same fields the imports accept. Event types are written by
+  name: the `type` of an event, the `parent` of an event type and the `preferred_event_types`
+  of a member (separated by "|" in CSV, a list in JSON). Imported IDs are ignored, every valid record is created.
+
+  Each imported record is validated with the schema of the create route. Records that
+  repeat an existing one, or an earlier one of the same file, are refused: members and
+  event types by name, events by name and date. Refused records are reported with their
+  number in the file, starting at 1, and skipped; with ?dryRun=true nothing is created.
+  Every created record is recorded in the audit log, in the transaction of the import.
+*/
+
+const selectEventTypes = "SELECT id, name, parent_id FROM event_types WHERE deleted_at IS NULL";
+const insertMember = `
+    INSERT INTO members (name, email, phone, birth_date, membership_number, join_date, emergency_contact_name, emergency_contact_phone, status)
+    VALUES (?, ?, ?, ?, ?, COALESCE(?, CURDATE()), ?, ?, ?)
+`;
+const insertPreferredEventType = "INSERT INTO member_preferred_event_types (member_id, event_type_id) VALUES (?, ?)";
+const insertEvent = "INSERT INTO events (type_id, name, date, max_participants, fee_cents) VALUES (?, ?, ?, ?, ?)";
+const insertEventType = `INSERT INTO event_types (name, ${detailFields.join(", ")}) VALUES (?, ${detailFields.map(() => "?").join(", ")})`;
+// Details of an event type in the files, where the parent is written by name
+const typeDetailFields = detailFields.filter(field => field !== "parent_id");
+
+/**
+ * Splits a list of event type names, given as a list or as text separated by "|".
+ * @param {*} value - The received value.
+ * @returns {string[]} The names, trimmed and without empty ones.
+ */
+function typeNames(value) {
+    const names = Array.isArray(value) ? value : String(value ?? "").split("|");
+    return names.map(name => String(name).trim()).filter(name => name !== "");
+}
+
+const entities = {
+    members: {
+        filename: "membros",
+        auditEntity: "member",
+        columns: ["id", "name", ...profileFields, "preferred_event_types"],
+        select: `
+            SELECT m.id, m.name, m.email, m.phone, DATE_FORMAT(m.birth_date, '%Y-%m-%d') as birth_date, m.membership_number,
+                DATE_FORMAT(m.join_date, '%Y-%m-%d') as join_date, m.emergency_contact_name, m.emergency_contact_phone, m.status,
+                GROUP_CONCAT(et.name ORDER BY et.name SEPARATOR '|') as preferred_event_types
+            FROM members m
+            LEFT JOIN member_preferred_event_types p ON p.member_id = m.id
+            LEFT JOIN event_types et ON et.id = p.event_type_id
+            WHERE m.deleted_at IS NULL
+            GROUP BY m.id
+            ORDER BY m.id
+        `,
+        existing: "SELECT name FROM members WHERE deleted_at IS NULL",
+        schema: schemas.createMember,
+        fields: { preferredEventTypes: "preferred_event_types" },
+        duplicate: "A member with this name already exists",
+        toJSON: (row) => ({ ...row, preferred_event_types: typeNames(row.preferred_event_types) }),
+        key: (values) => values.name.toLowerCase(),
+        prepare(record, types) {
+            const errors = [];
+            const preferredEventTypes = [];
+            for (const name of typeNames(record.preferred_event_types)) {
+                const type = types.get(name.toLowerCase());
+                if (type) {
+                    preferredEventTypes.push(type.id);
+                } else {
+                    errors.push({ field: "preferred_event_types", message: `Unknown event type: ${name}` });
+                }
+            }
+            const profile = Object.fromEntries(profileFields.map(field => [field, record[field]]));
+            return { values: { name: record.name, ...profile, preferredEventTypes: [...new Set(preferredEventTypes)] }, errors };
+        },
+        async insert(values, connection) {
+            const profile = profileFields.map(field => field === "status" ? values.status || "active" : values[field] ?? null);
+            const result = await execute(insertMember, [values.name, ...profile], connection);
+            for (const typeId of values.preferredEventTypes) {
+                await execute(insertPreferredEventType, [result.insertId, typeId], connection);
+            }
+            return result.insertId;
+        }
+    },
+    events: {
+        filename: "eventos",
+        auditEntity: "event",
+        columns: ["id", "type", "name", "date", "max_participants", "fee_cents"],
+        select: `
+            SELECT e.id, et.name as type, e.name, DATE_FORMAT(e.date, '%Y-%m-%d') as date, e.max_participants, e.fee_cents
+            FROM events e
+            JOIN event_types et ON e.type_id = et.id
+            WHERE e.deleted_at IS NULL
+            ORDER BY e.date, e.id
+        `,
+        existing: "SELECT name, DATE_FORMAT(date, '%Y-%m-%d') as date FROM events WHERE deleted_at IS NULL",
+        schema: schemas.createEvent,
+        fields: { type_id: "type" },
+        duplicate: "An event with this name already exists on this date",
+        toJSON: (row) => row,
+        key: (values) => `${values.name.toLowerCase()}|${values.date}`,
+        prepare(record, types, account) {
+            const errors = [];
+            const name = String(record.type ?? "").trim();
+            const type = types.get(name.toLowerCase());
+            if (!name) {
+                errors.push({ field: "type", message: "is required" });
+            } else if (!type) {
+                errors.push({ field: "type", message: `Unknown event type: ${name}` });
+            } else if (!canManageEventType(account, type.id)) {
+                errors.push({ field: "type", message: "You can only manage events of your event types" });
+            }
+            return {
+                values: {
+                    type_id: type?.id, name: record.name, date: record.date,
+                    max_participants: record.max_participants, fee_cents: record.fee_cents
+                },
+                errors
+            };
+        },
+        async insert(values, connection) {
+            const result = await execute(insertEvent, [values.type_id, values.name, values.date, values.max_participants ?? null, values.fee_cents ?? null], connection);
+            return result.insertId;
+        }
+    },
+    eventTypes: {
+        filename: "tipos-de-evento",
+        auditEntity: "eventType",
+        columns: ["id", "name", "parent", ...typeDetailFields],
+        select: `
+            SELECT t.id, t.name, p.name as parent, ${typeDetailFields.map(field => `t.${field}`).join(", ")}
+            FROM event_types t
+            LEFT JOIN event_types p ON p.id = t.parent_id
+            WHERE t.deleted_at IS NULL
+            ORDER BY t.id
+        `,
+        // Deleted event types keep their names until they are purged
+        existing: "SELECT name, deleted_at FROM event_types",
+        schema: schemas.createEventType,
+        fields: { parent_id: "parent" },
+        duplicate: "An event type with this name already exists",
+        deleted: nameInTrash,
+        toJSON: (row) => row,
+        key: (values) => values.name.toLowerCase(),
+        // The parent must already exist, and have no parent itself
+        prepare(record, types) {
+            const errors = [];
+            const name = String(record.parent ?? "").trim();
+            const parent = types.get(name.toLowerCase());
+            if (name && !parent) {
+                errors.push({ field: "parent", message: `Unknown event type: ${name}` });
+            } else if (parent && parent.parent_id !== null) {
+                errors.push({ field: "parent", message: "must be an event type without a parent" });
+            }
+            const details = Object.fromEntries(typeDetailFields.map(field => [field, record[field]]));
+            return { values: { name: record.name, parent_id: parent?.id ?? null, ...details }, errors };
+        },
+        async insert(values, connection) {
+            const result = await execute(insertEventType, [values.name, ...detailFields.map(field => values[field] ?? null)], connection);
+            return result.insertId;
+        }
+    }
+};
+
+/**
+ * Reads the records of an imported file.
+ * @param {string} format - "csv" or "json".
+ * @param {string} content - The content of the file.
+ * @returns {{records: Object[]}|{error: string}} The records, or the reason the file cannot be read.
+ */
+function readRecords(format, content) {
+    if (format === "csv") {
+        return { records: readCsv(content) };
+    }
+    let records;
+    try {
+        records = JSON.parse(content);
+    } catch {
+        return { error: "The content is not valid JSON" };
+    }
+    if (!Array.isArray(records) || records.some(record => typeof record !== "object" || record === null || Array.isArray(record))) {
+        return { error: "The JSON content must be a list of records" };
+    }
+    return { records };
+}
+
+/**
+ * Creates the handler that exports every record of an entity.
+ * Accepts `format`, "csv" (the default) or "json".
+ * @param {string} name - The entity: "members", "events" or "eventTypes".
+ * @returns {Function} The route handler.
+ */
+export function exportRecords(name) {
+    const entity = entities[name];
+    return async (request, response) => {
+        const format = request.query.format || "csv";
+        console.log(`Handling export of ${name} as ${format}`);
+
+        try {
+            const rows = await execute(entity.select);
+            console.log(`Exporting ${rows.length} ${name}.`);
+
+            response.attachment(`${entity.filename}.${format}`);
+            if (format === "json") {
+                response.status(200).json(rows.map(entity.toJSON));
+            } else {
+                response.status(200).type("text/csv; charset=utf-8").send(writeCsv(entity.columns, rows));
+            }
+        } catch (error) {
+            console.error(`Error exporting ${name}:`, error);
+            sendDatabaseError(response, error, `Error exporting ${name}`);
+        }
+    };
+}
+
+/**
+ * Creates the handler that imports records of an entity from a CSV or JSON file,
+ * sent as `{ format, content }`. With `?dryRun=true` the records are only checked.
+ * Answers with `{ dryRun, total, valid, imported, errors }`, where `errors` lists the
+ * refused records as `{ row, field, message }`.
+ * @param {string} name - The entity: "members", "events" or "eventTypes".
+ * @returns {Function} The route handler.
+ */
+export function importRecords(name) {
+    const entity = entities[name];
+    return async (request, response) => {
+        const { format, content } = request.body;
+        const dryRun = request.query.dryRun === true;
+        console.log(`Handling ${dryRun ? "dry run of the " : ""}import of ${name} from ${format}`);
+
+        const { records, error } = readRecords(format, content);
+        if (error) {
+            return sendError(response, error, 400);
+        }
+        if (!records.length) {
+            return sendError(response, "The file has no records", 400);
+        }
+
+        try {
+            const types = new Map((await execute(selectEventTypes)).map(type => [type.name.toLowerCase(), type]));
+            // Existing records are kept with the message of their duplicates, the ones of the file with their number
+            const keys = new Map((await execute(entity.existing)).map(row => [entity.key(row), row.deleted_at ? entity.deleted : entity.duplicate]));
+
+            const errors = [];
+            const valid = [];
+            for (const [index, record] of records.entries()) {
+                const row = index + 1;
+                const prepared = entity.prepare(record, types, request.account);
+                // Errors of the schema are reported with the names of the fields in the file
+                const invalid = (await validateRequest(entity.schema, { body: prepared.values }))
+                    .map(({ field, message }) => ({ field: entity.fields[field] || field, message }));
+                const rowErrors = [
+                    ...prepared.errors,
+                    ...invalid.filter(item => !prepared.errors.some(other => other.field === item.field))
+                ];
+
+                if (!rowErrors.length) {
+                    const key = entity.key(prepared.values);
+                    if (keys.has(key)) {
+                        const first = keys.get(key);
+                        rowErrors.push({ field: "name", message: typeof first === "number" ? `Repeats record ${first} of the file` : first });
+                    } else {
+                        keys.set(key, row);
+                        valid.push(prepared.values);
+                    }
+                }
+                errors.push(...rowErrors.map(item => ({ row, ...item })));
+            }
+
+            if (!dryRun && valid.length) {
+                await withTransaction(async (connection) => {
+                    for (const values of valid) {
+                        const id = await entity.insert(values, connection);
+                        const after = await snapshot(entity.auditEntity, id, connection);
+                        await audit(request, "create", entity.auditEntity, id, { after }, connection);
+                    }
+                });
+            }
+
+            const imported = dryRun ? 0 : valid.length;
+            console.log(`Import of ${name}: ${records.length} records, ${valid.length} valid, ${imported} imported.`);
+            response.status(200).json({ dryRun, total: records.length, valid: valid.length, imported, errors });
+        } catch (error) {
+            console.error(`Error importing ${name}:`, error);
+            sendDatabaseError(response, error, `Error importing ${name}`);
+        }
+    };
+}
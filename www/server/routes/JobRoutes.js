@@ -0,0 +1,85 @@
+"use strict";
+import config from "../config/config.js";
+import { sendError, sendDatabaseError } from "../config/db.js";
+import { startJobs, listJobs, runJobSoon } from "../config/scheduler.js";
+import { deliverPending, sendEventReminders } from "./NotificationRoutes.js";
+import { closePastEvents } from "./EventRoutes.js";
+import { purgeTrash } from "./TrashRoutes.js";
+
+// Background jobs of the server (see config/scheduler.js)
+const jobs = [
+    {
+        name: "deliver-notifications",
+        description: "Sends the queued emails",
+        schedule: { everySeconds: config.mail.intervalSeconds },
+        run: deliverPending
+    },
+    {
+        name: "event-reminders",
+        description: `Reminds the registered members of the events ${config.jobs.reminderHours.map(hours => `${hours}h`).join(", ")} before`,
+        schedule: { everySeconds: config.jobs.reminderIntervalMinutes * 60 },
+        run: sendEventReminders
+    },
+    {
+        name: "close-past-events",
+        description: "Closes the events of the previous days",
+        schedule: { dailyAt: config.jobs.closeEventsAt },
+        run: closePastEvents
+    },
+    {
+        name: "purge-trash",
+        description: `Removes for good what was deleted more than ${config.jobs.trashDays} days ago`,
+        schedule: { dailyAt: config.jobs.purgeTrashAt },
+        run: purgeTrash
+    }
+];
+
+/**
+ * Starts the background jobs, unless JOBS_ENABLED is false.
+ */
+export function startBackgroundJobs() {
+    if (!config.jobs.enabled) {
+        console.log("Background jobs are disabled (JOBS_ENABLED=false)");
+        return;
+    }
+    startJobs(jobs);
+}
+
+/**
+ * Lists the background jobs, with their schedule, last and next run, and recent failures.
+ * @param {Object} request - The HTTP request object.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function getJobs(request, response) {
+    console.log("Handling GET request for the background jobs");
+
+    try {
+        response.status(200).json({ enabled: config.jobs.enabled, jobs: await listJobs() });
+    } catch (error) {
+        console.error("Error fetching jobs:", error);
+        sendDatabaseError(response, error, "Error fetching jobs");
+    }
+}
+
+/**
+ * Makes a background job run in the next few seconds, instead of waiting for its time.
+ * @param {Object} request - The HTTP request object, with the job `name`.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function runJob(request, response) {
+    const { name } = request.params;
+    console.log(`Handling POST request to run job ${name}`);
+
+    if (!config.jobs.enabled) {
+        return sendError(response, "Background jobs are disabled in this server", 409);
+    }
+    try {
+        if (!(await runJobSoon(name))) {
+            return sendError(response, "Job not found", 404);
+        }
+        response.status(202).json({ name, next_run_at: new Date() });
+    } catch (error) {
+        console.error(`Error running job ${name}:`, error);
+        sendDatabaseError(response, error, "Error running job");
+    }
+}
@@ -1,22 +1,220 @@
 "use strict";
-import { number, sendResponse, sendError } from "../config/db.js";
+import { execute, withTransaction, number, sendResponse, sendError, sendDatabaseError } from "../config/db.js";
+import { canManageEventType } from "../middleware/auth.js";
+import { overdueCents } from "./FeeRoutes.js";
+import { notifyMember } from "./NotificationRoutes.js";
+import { audit } from "./AuditRoutes.js";
 
 // SQL Queries for Member Event operations
-const registerMemberEvent = "INSERT INTO member_events (member_id, event_id) VALUES (?, ?)";
+const selectMemberEvents = `
+    SELECT e.*, et.name as type_name, 0 as on_waitlist, me.status FROM events e
+    JOIN event_types et ON e.type_id = et.id
+    JOIN member_events me ON e.id = me.event_id
+    WHERE me.member_id = ? AND e.deleted_at IS NULL
+    UNION ALL
+    SELECT e.*, et.name as type_name, 1 as on_waitlist, NULL as status FROM events e
+    JOIN event_types et ON e.type_id = et.id
+    JOIN member_event_waitlist mw ON e.id = mw.event_id
+    WHERE mw.member_id = ? AND e.deleted_at IS NULL
+    ORDER BY date
+`;
+// A cancelled registration of the same member is registered again
+const registerMemberEvent = `
+    INSERT INTO member_events (member_id, event_id) VALUES (?, ?)
+    ON DUPLICATE KEY UPDATE status = 'registered', status_updated_at = NULL
+`;
+const selectRegistrationStatus = "SELECT status FROM member_events WHERE member_id = ? AND event_id = ?";
 const deleteMemberEvent = "DELETE FROM member_events WHERE member_id = ? AND event_id = ?";
-const checkMemberExists = "SELECT * FROM members WHERE id = ?";
-const checkEventExists = "SELECT * FROM events WHERE id = ?";
-const checkMemberPreference = "SELECT COUNT(*) as count FROM member_preferred_event_types WHERE member_id = ? AND event_type_id = ?";
+const checkMemberExists = "SELECT * FROM members WHERE id = ? AND deleted_at IS NULL";
+const checkEventExists = "SELECT * FROM events WHERE id = ? AND deleted_at IS NULL";
+const selectEventPast = "SELECT *, date < CURDATE() as past FROM events WHERE id = ? AND deleted_at IS NULL";
+const lockEvent = "SELECT * FROM events WHERE id = ? FOR UPDATE";
+// Preferring a parent type counts as preferring each of its child types
+const checkMemberPreference = `
+    SELECT COUNT(*) as count FROM member_preferred_event_types p
+    JOIN event_types t ON p.event_type_id IN (t.id, t.parent_id)
+    WHERE p.member_id = ? AND t.id = ?
+`;
+const checkRegistration = "SELECT COUNT(*) as count FROM member_events WHERE member_id = ? AND event_id = ? AND status <> 'cancelled'";
+const checkWaitlist = "SELECT COUNT(*) as count FROM member_event_waitlist WHERE member_id = ? AND event_id = ?";
+const countParticipants = "SELECT COUNT(*) as count FROM member_events WHERE event_id = ? AND status <> 'cancelled'";
+const insertWaitlist = "INSERT INTO member_event_waitlist (member_id, event_id) VALUES (?, ?)";
+const deleteWaitlist = "DELETE FROM member_event_waitlist WHERE member_id = ? AND event_id = ?";
+// Suspended and former members stay on the waitlist, but are not promoted
+const selectWaitlist = `
+    SELECT mw.member_id FROM member_event_waitlist mw
+    JOIN members m ON m.id = mw.member_id
+    WHERE mw.event_id = ? AND m.status = 'active'
+    ORDER BY mw.id
+`;
+
+// Registrations and waitlist entries of deleted members and events are kept in deleted_registrations,
+// and come back when both the member and the event are not deleted
+const insertArchivedRegistrations = (column) => `
+    INSERT INTO deleted_registrations (member_id, event_id, waitlisted, status, status_updated_at, registered_at)
+    SELECT member_id, event_id, FALSE, status, status_updated_at, created_at FROM member_events WHERE ${column} = ?
+    UNION ALL
+    SELECT member_id, event_id, TRUE, NULL, NULL, created_at FROM member_event_waitlist WHERE ${column} = ?
+`;
+const deleteRegistrations = (column) => `DELETE FROM member_events WHERE ${column} = ?`;
+const deleteWaitlistEntries = (column) => `DELETE FROM member_event_waitlist WHERE ${column} = ?`;
+const selectArchivedRegistrations = (column) => `
+    SELECT r.member_id, r.event_id, r.waitlisted, r.status, r.status_updated_at, r.registered_at
+    FROM deleted_registrations r
+    JOIN members m ON m.id = r.member_id AND m.deleted_at IS NULL
+    JOIN events e ON e.id = r.event_id AND e.deleted_at IS NULL
+    WHERE r.${column} = ?
+    ORDER BY r.waitlisted, r.registered_at
+`;
+const restoreRegistration = `
+    INSERT INTO member_events (member_id, event_id, status, status_updated_at, created_at)
+    VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+`;
+const restoreWaitlistEntry = "INSERT INTO member_event_waitlist (member_id, event_id, created_at) VALUES (?, ?, COALESCE(?, CURRENT_TIMESTAMP))";
+const deleteArchivedRegistration = "DELETE FROM deleted_registrations WHERE member_id = ? AND event_id = ?";
+const archiveColumns = { member: "member_id", event: "event_id" };
+
+/**
+ * Promote members from the waitlist of an event.
+ * 
+ * Members are moved from the waitlist to the event registrations, in the order they
+ * joined the waitlist, while the event still has free places, skipping the members
+ * that are no longer active. Events without
+ * `max_participants` have no limit, so the whole waitlist is promoted.
+ * The promoted members are notified by email, and the promotions are audited.
+ * Must run inside a transaction, since it locks the event row.
+ * 
+ * @param {number} eventId - The ID of the event.
+ * @param {Object} connection - The connection of the transaction in progress.
+ * @param {Object} [request=null] - The HTTP request whose change freed the places, for the audit log.
+ * @returns {Promise<number[]>} The IDs of the promoted members.
+ */
+export async function promoteFromWaitlist(eventId, connection, request = null) {
+    const [event] = await execute(lockEvent, [eventId], connection);
+    if (!event) {
+        return [];
+    }
+
+    const [participants] = await execute(countParticipants, [eventId], connection);
+    const waitlist = await execute(selectWaitlist, [eventId], connection);
+    const freePlaces = event.max_participants === null ? waitlist.length : event.max_participants - participants.count;
+
+    const promoted = waitlist.slice(0, Math.max(freePlaces, 0)).map(({ member_id }) => member_id);
+    for (const memberId of promoted) {
+        await execute(registerMemberEvent, [memberId, eventId], connection);
+        await execute(deleteWaitlist, [memberId, eventId], connection);
+        await notifyMember("promoted", memberId, { event }, connection);
+        await audit(request, "promote", "event", eventId, {
+            before: { waitlisted: true }, after: { status: "registered" }, related: { entity: "member", id: memberId }
+        }, connection);
+    }
+    return promoted;
+}
+
+/**
+ * Moves the registrations and waitlist entries of a member or an event that is being deleted
+ * to deleted_registrations, so they take no place in the events and can be restored.
+ * The places freed by a member are given to the waitlists by the caller, with promoteFromWaitlist.
+ * Must run inside the transaction that deletes the member or the event.
+ * 
+ * @param {string} by - "member" or "event".
+ * @param {number} id - The ID of the member or the event.
+ * @param {Object} connection - The connection of the transaction in progress.
+ * @returns {Promise<void>}
+ */
+export async function archiveRegistrations(by, id, connection) {
+    const column = archiveColumns[by];
+    await execute(insertArchivedRegistrations(column), [id, id], connection);
+    await execute(deleteRegistrations(column), [id], connection);
+    await execute(deleteWaitlistEntries(column), [id], connection);
+}
+
+/**
+ * Brings back the registrations and waitlist entries of a restored member or event, leaving
+ * in deleted_registrations the ones whose member or event is still deleted. Registrations of open
+ * events that are full by now go to the end of the waitlist; closed events get their
+ * registrations back as they were, with their attendance. The caller gives the free places of
+ * the events to their waitlists, with promoteFromWaitlist.
+ * Must run inside the transaction that restores the member or the event.
+ * 
+ * @param {string} by - "member" or "event".
+ * @param {number} id - The ID of the member or the event.
+ * @param {Object} connection - The connection of the transaction in progress.
+ * @returns {Promise<{registered: number, waitlisted: number, events: number[]}>} The number of
+ *   registrations and of waitlist entries restored, and the IDs of their events.
+ */
+export async function restoreRegistrations(by, id, connection) {
+    const archived = await execute(selectArchivedRegistrations(archiveColumns[by]), [id], connection);
+    const restored = { registered: 0, waitlisted: 0, events: [...new Set(archived.map(row => row.event_id))] };
+    for (const row of archived) {
+        const [event] = await execute(lockEvent, [row.event_id], connection);
+        const [participants] = await execute(countParticipants, [row.event_id], connection);
+        const full = event.max_participants !== null && participants.count >= event.max_participants;
+        const takesPlace = !row.waitlisted && row.status !== "cancelled";
+
+        if (row.waitlisted || (takesPlace && full && !event.closed_at)) {
+            await execute(restoreWaitlistEntry, [row.member_id, row.event_id, row.registered_at], connection);
+            restored.waitlisted++;
+        } else {
+            await execute(restoreRegistration, [row.member_id, row.event_id, row.status, row.status_updated_at, row.registered_at], connection);
+            restored.registered++;
+        }
+        await execute(deleteArchivedRegistration, [row.member_id, row.event_id], connection);
+    }
+    return restored;
+}
+
+/**
+ * Get the events a member is registered in.
+ * 
+ * This function handles the GET request to list the events of a specific member.
+ * It validates the `memberId` and checks that the member exists in the database.
+ * The events are returned ordered by date, each one with the name of its type,
+ * the `status` of the registration and an `on_waitlist` flag set for the events
+ * where the member is still on the waitlist (which have no status).
+ * A member without registrations gets an empty array.
+ * 
+ * @param {Object} request - The request object containing the `memberId`.
+ * @param {Object} response - The response object to return the result or error.
+ */
+export async function getMemberEvents(request, response) {
+    let memberId = number(request.params.memberId);
+    if (!memberId) {
+        return sendError(response, "Invalid member ID", 400);
+    }
+
+    const members = await sendResponse(response, checkMemberExists, [memberId]);
+    if (members.status === 404) {
+        return sendError(response, "Member not found", 404);
+    } else if (members.status !== 200) {
+        return sendError(response, members.data.message, members.status, members.data.code);
+    }
+
+    const events = await sendResponse(response, selectMemberEvents, [memberId, memberId]);
+    if (events.status === 200) {
+        response.status(200).json(events.data);
+    } else if (events.status === 404) {
+        response.status(200).json([]);
+    } else {
+        sendError(response, events.data.message, events.status, events.data.code);
+    }
+}
 
 /**
  * Register a member to an event.
  * 
  * This function handles the POST request to register a member for a specific event.
  * It validates that both `memberId` and `eventId` are provided in the request parameters.
- * It checks if the member exists in the database and if the event exists.
- * It also checks if the member prefers the event's type before allowing the registration.
- * If successful, the member is registered for the event, and a success response is returned.
- * If any validation fails, an appropriate error message is returned.
+ * It checks if the member exists in the database, is active and has no overdue fees,
+ * and if the event exists and is neither closed nor past.
+ * It also checks if the member prefers the event's type, or its parent type, before allowing
+ * the registration, and refuses to register the same member twice in the same event.
+ * When the event has reached its `max_participants`, the member is added to the end
+ * of the event's waitlist instead, and the response reports `waitlisted: true`.
+ * The capacity check and the registration run in a transaction that locks the event,
+ * so concurrent registrations cannot go over the limit.
+ * The member is told by email whether they are registered or on the waitlist,
+ * and the registration is audited.
  * 
  * @param {Object} request - The request object containing the `memberId` and `eventId`.
  * @param {Object} response - The response object to return the result or error.
@@ -29,25 +227,93 @@ export async function registerMemberToEvent(request, response) {
     }
 
     // Check if the member exists in the database
-    const [members] = await sendResponse(response, checkMemberExists, [memberId], (rows) => rows);
-    if (!members.length) {
-        return sendError(response, "Member not found", 404);
+    const members = await sendResponse(response, checkMemberExists, [memberId]);
+    if (members.status !== 200) {
+        return sendError(response, members.status === 404 ? "Member not found" : members.data.message, members.status, members.data.code);
+    }
+
+    // Suspended and former members cannot register
+    if (members.data[0].status !== "active") {
+        return sendError(response, "Only active members can register for events", 409, "MEMBER_NOT_ACTIVE");
+    }
+
+    // Members with fees unpaid past the grace period cannot register
+    try {
+        if (await overdueCents(memberId) > 0) {
+            return sendError(response, "Member has overdue fees and cannot register for events", 409, "FEES_OVERDUE");
+        }
+    } catch (error) {
+        console.error("Error checking the balance of the member:", error);
+        return sendDatabaseError(response, error, "Error registering member to event");
     }
 
     // Check if the event exists in the database
-    const [events] = await sendResponse(response, checkEventExists, [eventId], (rows) => rows);
-    if (!events.length) {
-        return sendError(response, "Event not found", 404);
+    const events = await sendResponse(response, selectEventPast, [eventId]);
+    if (events.status !== 200) {
+        return sendError(response, events.status === 404 ? "Event not found" : events.data.message, events.status, events.data.code);
+    }
+
+    // Events of the previous days take no registrations, even before the close-past-events job closes them
+    if (events.data[0].closed_at || events.data[0].past) {
+        return sendError(response, "The event is closed and takes no more registrations", 409, "EVENT_CLOSED");
+    }
+
+    // Organisers can only register other members in the events they manage
+    if (request.account.memberId !== memberId && !canManageEventType(request.account, events.data[0].type_id)) {
+        return sendError(response, "You can only register other members in events you manage", 403);
     }
 
-    // Check if the member prefers the event's type
-    const [preferences] = await sendResponse(response, checkMemberPreference, [memberId, events[0].type_id], (rows) => rows);
-    if (preferences.count === 0) {
+    // Check if the member prefers the event's type or its parent type
+    const preferences = await sendResponse(response, checkMemberPreference, [memberId, events.data[0].type_id]);
+    if (preferences.status !== 200) {
+        return sendError(response, preferences.data.message, preferences.status, preferences.data.code);
+    }
+    if (preferences.data[0].count === 0) {
         return sendError(response, "Member does not prefer this event type", 400);
     }
 
-    // Register the member to the event
-    await sendResponse(response, registerMemberEvent, [memberId, eventId], () => ({ success: true }), 201);
+    // Check if the member is already registered in the event or on its waitlist
+    const registrations = await sendResponse(response, checkRegistration, [memberId, eventId]);
+    if (registrations.status !== 200) {
+        return sendError(response, registrations.data.message, registrations.status, registrations.data.code);
+    }
+    if (registrations.data[0].count > 0) {
+        return sendError(response, "Member is already registered in this event", 409);
+    }
+
+    const waitlisted = await sendResponse(response, checkWaitlist, [memberId, eventId]);
+    if (waitlisted.status !== 200) {
+        return sendError(response, waitlisted.data.message, waitlisted.status, waitlisted.data.code);
+    }
+    if (waitlisted.data[0].count > 0) {
+        return sendError(response, "Member is already on the waitlist of this event", 409);
+    }
+
+    // Register the member, or put them on the waitlist if the event is full
+    try {
+        const onWaitlist = await withTransaction(async (connection) => {
+            const [event] = await execute(lockEvent, [eventId], connection);
+            const [participants] = await execute(countParticipants, [eventId], connection);
+            const related = { entity: "member", id: memberId };
+            if (event.max_participants !== null && participants.count >= event.max_participants) {
+                await execute(insertWaitlist, [memberId, eventId], connection);
+                await notifyMember("waitlisted", memberId, { event }, connection);
+                await audit(request, "waitlist", "event", eventId, { after: { waitlisted: true }, related }, connection);
+                return true;
+            }
+            const [previous] = await execute(selectRegistrationStatus, [memberId, eventId], connection);
+            await execute(registerMemberEvent, [memberId, eventId], connection);
+            await notifyMember("registered", memberId, { event }, connection);
+            await audit(request, "register", "event", eventId, {
+                before: previous ? { status: previous.status } : null, after: { status: "registered" }, related
+            }, connection);
+            return false;
+        });
+        response.status(201).json({ memberId, eventId, waitlisted: onWaitlist });
+    } catch (error) {
+        console.error("Error registering member to event:", error);
+        sendDatabaseError(response, error, "Error registering member to event");
+    }
 }
 
 /**
@@ -56,8 +322,14 @@ export async function registerMemberToEvent(request, response) {
  * This function handles the DELETE request to unregister a member from a specific event.
  * It validates that both `memberId` and `eventId` are provided in the request parameters.
  * The function then attempts to delete the registration for the given member and event.
- * If the registration is found and successfully deleted, a success response is returned.
- * If the registration is not found, an error response is returned.
+ * If the registration is found and successfully deleted, the first members on the event's
+ * waitlist are promoted to fill the freed place and a success response is returned.
+ * A member that is only on the waitlist is removed from it.
+ * If neither the registration nor the waitlist entry are found, an error response is returned.
+ * Registrations of closed or past events, and the ones with their attendance recorded, are kept
+ * for the attendance and the statistics, and cannot be removed (409).
+ * Both steps run in a single transaction, which also queues the email telling the member
+ * and records the change in the audit log.
  * 
  * @param {Object} request - The request object containing the `memberId` and `eventId`.
  * @param {Object} response - The response object to return the result or error.
@@ -69,8 +341,54 @@ export async function unregisterMemberFromEvent(request, response) {
         return sendError(response, "Invalid member or event ID", 400);
     }
 
-    // Attempt to delete the member's registration for the event
-    await sendResponse(response, deleteMemberEvent, [memberId, eventId], (result) => {
-        return result.affectedRows ? { success: true } : sendError(response, "Registration not found", 404);
-    });
+    const events = await sendResponse(response, selectEventPast, [eventId]);
+    if (events.status !== 200) {
+        return sendError(response, events.status === 404 ? "Event not found" : events.data.message, events.status, events.data.code);
+    }
+
+    // Organisers can only unregister other members from the events they manage
+    if (request.account.memberId !== memberId && !canManageEventType(request.account, events.data[0].type_id)) {
+        return sendError(response, "You can only unregister other members from events you manage", 403);
+    }
+    if (events.data[0].closed_at || events.data[0].past) {
+        return sendError(response, "The event already took place, so its registrations are kept", 409, "EVENT_CLOSED");
+    }
+
+    try {
+        const promoted = await withTransaction(async (connection) => {
+            // Attempt to delete the member's registration for the event
+            const [event] = await execute(checkEventExists, [eventId], connection);
+            const related = { entity: "member", id: memberId };
+            const [previous] = await execute(selectRegistrationStatus, [memberId, eventId], connection);
+            if (previous && ["attended", "no-show"].includes(previous.status)) {
+                return "recorded";
+            }
+            const registration = await execute(deleteMemberEvent, [memberId, eventId], connection);
+            if (registration.affectedRows) {
+                await notifyMember("unregistered", memberId, { event }, connection);
+                await audit(request, "unregister", "event", eventId, { before: { status: previous.status }, related }, connection);
+                return promoteFromWaitlist(eventId, connection, request);
+            }
+
+            // Otherwise the member may only be on the waitlist
+            const waitlist = await execute(deleteWaitlist, [memberId, eventId], connection);
+            if (!waitlist.affectedRows) {
+                return null;
+            }
+            await notifyMember("unregistered", memberId, { event }, connection);
+            await audit(request, "unregister", "event", eventId, { before: { waitlisted: true }, related }, connection);
+            return [];
+        });
+
+        if (!promoted) {
+            return sendError(response, "Registration not found", 404);
+        }
+        if (promoted === "recorded") {
+            return sendError(response, "The attendance of the registration is recorded, so it is kept", 409, "ATTENDANCE_RECORDED");
+        }
+        response.status(200).json({ memberId, eventId, promoted });
+    } catch (error) {
+        console.error("Error unregistering member from event:", error);
+        sendDatabaseError(response, error, "Error unregistering member from event");
+    }
 }
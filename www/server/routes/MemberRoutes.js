@@ -1,56 +1,179 @@
 "use strict";
-import { number, sendResponse, sendError } from "../config/db.js";
+import { execute, withTransaction, number, sendResponse, sendError, sendDatabaseError } from "../config/db.js";
+import { listOptions, where, contains, listEnvelope } from "../config/listing.js";
+import { promoteFromWaitlist, archiveRegistrations, restoreRegistrations } from "./MemberEventsRoutes.js";
+import { audit, snapshot } from "./AuditRoutes.js";
 
 // SQL Queries for Member operations
-const getAllMembers = "SELECT * FROM members";
-const getMemberById = "SELECT * FROM members WHERE id = ?";
-const getPreferredEventTypes = `
-    SELECT et.* FROM event_types et
-    JOIN member_preferred_event_types mpet ON et.id = mpet.event_type_id
-    WHERE mpet.member_id = ?
+// Members with their profile, their preferences, the events where attendance was recorded and the ones they missed
+const memberColumns = `
+    m.id, m.name, m.email, m.phone, DATE_FORMAT(m.birth_date, '%Y-%m-%d') as birth_date, m.membership_number,
+    DATE_FORMAT(m.join_date, '%Y-%m-%d') as join_date, m.emergency_contact_name, m.emergency_contact_phone, m.status,
+    m.created_at, m.updated_at, m.deleted_at, GROUP_CONCAT(mpet.event_type_id) as preferred_event_types,
+    (SELECT COUNT(*) FROM member_events x JOIN events xe ON xe.id = x.event_id
+      WHERE x.member_id = m.id AND x.status IN ('attended', 'no-show') AND xe.deleted_at IS NULL) as checked_events,
+    (SELECT COUNT(*) FROM member_events x JOIN events xe ON xe.id = x.event_id
+      WHERE x.member_id = m.id AND x.status = 'no-show' AND xe.deleted_at IS NULL) as no_shows
 `;
-const getRegisteredEvents = `
-    SELECT e.* FROM events e
-    JOIN member_events me ON e.id = me.event_id
-    WHERE me.member_id = ?
+const getAllMembers = `
+    SELECT ${memberColumns} FROM members m
+    LEFT JOIN member_preferred_event_types mpet ON m.id = mpet.member_id
 `;
-const insertMember = "INSERT INTO members (name) VALUES (?)";
-const updateMember = "UPDATE members SET name = ? WHERE id = ?";
-const deleteMember = "DELETE FROM members WHERE id = ?";
-const deleteMemberEvents = "DELETE FROM member_events WHERE member_id = ?";
+const countMembers = "SELECT COUNT(*) as total FROM members m";
+const prefersEventType = "EXISTS (SELECT 1 FROM member_preferred_event_types p WHERE p.member_id = m.id AND p.event_type_id = ?)";
+
+// Columns the members can be sorted by, with ?sort=
+const memberSortColumns = {
+    id: "m.id",
+    name: "m.name",
+    membershipNumber: "m.membership_number",
+    joinDate: "m.join_date",
+    status: "m.status"
+};
+const getMemberById = `
+    SELECT ${memberColumns} FROM members m
+    LEFT JOIN member_preferred_event_types mpet ON m.id = mpet.member_id
+    WHERE m.id = ? AND m.deleted_at IS NULL
+    GROUP BY m.id
+`;
+const lockMember = "SELECT id FROM members WHERE id = ? AND deleted_at IS NULL FOR UPDATE";
+const lockDeletedMember = "SELECT id FROM members WHERE id = ? AND deleted_at IS NOT NULL FOR UPDATE";
+// Members join the club on the day they are created, unless told otherwise
+const insertMember = `
+    INSERT INTO members (name, email, phone, birth_date, membership_number, join_date, emergency_contact_name, emergency_contact_phone, status)
+    VALUES (?, ?, ?, ?, ?, COALESCE(?, CURDATE()), ?, ?, ?)
+`;
+// Only the profile fields sent in the request are changed
+const updateMember = (fields) => `UPDATE members SET ${["name", ...fields].map(field => `${field} = ?`).join(", ")} WHERE id = ?`;
+// Deleted members keep their preferences, and their registrations wait in deleted_registrations
+const deleteMember = "UPDATE members SET deleted_at = NOW() WHERE id = ?";
+const restoreMember = "UPDATE members SET deleted_at = NULL WHERE id = ?";
+const selectMemberEventIds = "SELECT event_id, status FROM member_events WHERE member_id = ?";
 const deletePreferredEventTypes = "DELETE FROM member_preferred_event_types WHERE member_id = ?";
-const insertPreferredEventTypes = "INSERT INTO member_preferred_event_types (member_id, event_type_id) VALUES ?";
+const insertPreferredEventType = "INSERT INTO member_preferred_event_types (member_id, event_type_id) VALUES (?, ?)";
+
+// Profile fields of a member, besides the name, as named in the requests and the table
+export const profileFields = [
+    "email", "phone", "birth_date", "membership_number", "join_date",
+    "emergency_contact_name", "emergency_contact_phone", "status"
+];
+// Fields only admins can change, even in their own profile
+const adminFields = ["membership_number", "join_date", "status"];
+// Personal data only admins and the member themselves can see
+const privateFields = ["email", "phone", "birth_date", "emergency_contact_name", "emergency_contact_phone"];
+
+/**
+ * Converts a member row into the member sent to the client, replacing the
+ * concatenated preferences with an array of event type IDs.
+ * 
+ * @param {Object} row - The member row, with the `preferred_event_types` column.
+ * @returns {Object} The member with its `preferredEventTypes`.
+ */
+function toMember({ preferred_event_types, ...member }) {
+    return {
+        ...member,
+        preferredEventTypes: preferred_event_types ? preferred_event_types.split(",").map(Number) : []
+    };
+}
+
+/**
+ * Leaves the personal data of a member out, unless the account is an admin's or the member's own.
+ * 
+ * @param {Object} member - The member, as returned by toMember.
+ * @param {Object} account - The logged in account.
+ * @returns {Object} The member as the account can see it.
+ */
+function visibleMember(member, account) {
+    if (account.role === "admin" || account.memberId === member.id) {
+        return member;
+    }
+    const visible = { ...member };
+    privateFields.forEach(field => delete visible[field]);
+    return visible;
+}
+
+/**
+ * Inserts the preferred event types of a member, as part of a transaction.
+ * 
+ * @param {Object} connection - The connection of the transaction in progress.
+ * @param {number} memberId - The ID of the member.
+ * @param {number[]} typeIds - The IDs of the preferred event types.
+ */
+async function insertPreferences(connection, memberId, typeIds) {
+    for (const typeId of typeIds) {
+        await execute(insertPreferredEventType, [memberId, typeId], connection);
+    }
+}
+
+/**
+ * Builds the filters of the members list from the query string: `q` (text in the name,
+ * email or membership number), `prefersType` (ID of a preferred event type) and `status`.
+ * Deleted members are left out, unless `includeDeleted` is true. Only admins search the emails.
+ * 
+ * @param {Object} query - The query string parameters of the request.
+ * @param {Object} account - The logged in account.
+ * @returns {Object} The `conditions` and their `params`, or `{ error }` if a filter is invalid.
+ */
+function memberFilters({ q, prefersType, status, includeDeleted }, account) {
+    const conditions = includeDeleted === true ? [] : ["m.deleted_at IS NULL"];
+    const params = [];
+
+    if (q && account.role === "admin") {
+        conditions.push("(m.name LIKE ? OR m.email LIKE ? OR m.membership_number LIKE ?)");
+        params.push(contains(q), contains(q), contains(q));
+    } else if (q) {
+        conditions.push("(m.name LIKE ? OR m.membership_number LIKE ?)");
+        params.push(contains(q), contains(q));
+    }
+    if (status) {
+        conditions.push("m.status = ?");
+        params.push(status);
+    }
+    if (prefersType !== undefined && prefersType !== "") {
+        const typeId = number(prefersType);
+        if (!Number.isInteger(typeId) || typeId < 1) {
+            return { error: "prefersType must be a valid event type ID" };
+        }
+        conditions.push(prefersEventType);
+        params.push(typeId);
+    }
+    return { conditions, params };
+}
 
 /**
- * Fetch all members from the database.
+ * Fetch the members from the database.
  * 
- * This function handles the GET request to retrieve all members from the database.
- * It fetches the list of all members and returns them as a JSON response.
- * If no members are found, an empty array is returned.
+ * This function handles the GET request to retrieve the members from the database.
+ * It fetches the members matching the filters, with the IDs of their preferred event types,
+ * one page at a time, and returns them in the list envelope `{ data, total, page, pageSize }`.
+ * The personal data of other members is only returned to admins.
+ * If no members are found, `data` is an empty array.
  * In case of any error, an appropriate error message is returned.
  * 
- * @param {Object} request - The request object (not used in this function).
+ * @param {Object} request - The request object, with the pagination, sorting and filter parameters.
  * @param {Object} response - The response object to return the result or error.
  */
 export async function getMembers(request, response) {
-    console.log("Fetching all members...");
-    
-    try {
-        const members = await sendResponse(response, getAllMembers, [], (rows) => {
-            console.log("Members fetched from DB:", rows);  
-            return rows;
-        });
+    console.log("Fetching members...");
 
-        if (!members || members.length === 0) {
-            console.warn("No members found in the database.");
-            return response.json([]);  
-        }
+    const options = listOptions(request.query, memberSortColumns);
+    const filters = memberFilters(request.query, request.account);
+    const error = options.error || filters.error;
+    if (error) {
+        return sendError(response, error, 400);
+    }
+
+    try {
+        const filter = where(filters.conditions);
+        const [{ total }] = await execute(`${countMembers} ${filter}`, filters.params);
+        const rows = await execute(`${getAllMembers} ${filter} GROUP BY m.id ${options.orderBy} ${options.limit}`, filters.params);
 
-        console.log("Returning members:", members);
-        response.json(members);
+        console.log(`Returning ${rows.length} of ${total} members`);
+        const members = rows.map(row => visibleMember(toMember(row), request.account));
+        response.json(listEnvelope(members, total, options));
     } catch (error) {
         console.error("Error fetching members:", error);
-        sendError(response, "Error fetching members", 500);
+        sendDatabaseError(response, error, "Error fetching members");
     }
 }
 
@@ -58,7 +181,9 @@ export async function getMembers(request, response) {
  * Fetch a specific member by their ID.
  * 
  * This function handles the GET request to retrieve a member by their unique ID.
- * If the member with the given ID is found, the member details are returned.
+ * If the member with the given ID is found, the member details are returned,
+ * including the IDs of their preferred event types. Their personal data is only
+ * returned to admins and to the member themselves.
  * If the member is not found, an error message is returned.
  * 
  * @param {Object} request - The request object containing the `id` of the member.
@@ -70,22 +195,28 @@ export async function getMember(request, response) {
         return sendError(response, "Invalid member ID", 400);
     }
 
-    const members = await sendResponse(response, getMemberById, [memberId], (rows) => rows);
+    const members = await sendResponse(response, getMemberById, [memberId], (rows) => rows.map(toMember));
 
-    if (!members || members.length === 0) {
+    if (members.status === 404) {
         return sendError(response, "Member not found", 404);
+    } else if (members.status !== 200) {
+        return sendError(response, members.data.message, members.status, members.data.code);
     }
 
-    response.json(members[0]);
+    response.json(visibleMember(members.data[0], request.account));
 }
 
 /**
  * Create a new member.
  * 
  * This function handles the POST request to create a new member in the database.
- * It accepts the `name` and optional `preferredEventTypes` in the request body.
+ * It accepts the `name`, the optional profile fields (contact data, birth date, membership
+ * number, join date, emergency contact and `status`, 'active' by default) and
+ * `preferredEventTypes` in the request body.
  * If the `name` is provided, the member is created. If any preferred event types are specified,
  * they are associated with the member.
+ * The member and its preferences are inserted in a single transaction, so an invalid
+ * event type leaves no member behind.
  * If the member is created successfully, a success message is returned with the member details.
  * If any error occurs, an error message is returned.
  * 
@@ -99,39 +230,37 @@ export async function createMember(request, response) {
         return sendError(response, "Name is required", 400);
     }
 
-    try {
-        const result = await sendResponse(response, insertMember, [name], (res) => res);
+    const typeIds = Array.isArray(preferredEventTypes) ? preferredEventTypes : [];
+    const profile = Object.fromEntries(profileFields.map(field => [field, request.body[field] ?? null]));
+    profile.status = profile.status || "active";
 
-        if (result.status !== 200) {
-            return sendError(response, result.data.message || "Failed to create member", result.status);
-        }
-
-        const memberId = result.data.insertId; 
-
-        if (preferredEventTypes && preferredEventTypes.length > 0) {
-            const values = preferredEventTypes.map(typeId => [memberId, typeId]);
-            const insertEventTypesResult = await sendResponse(response, insertPreferredEventTypes, [values], (res) => res);
-
-            if (insertEventTypesResult.status !== 200) {
-                return sendError(response, insertEventTypesResult.data.message || "Failed to insert preferred event types", insertEventTypesResult.status);
-            }
-        }
+    try {
+        const memberId = await withTransaction(async (connection) => {
+            const result = await execute(insertMember, [name, ...Object.values(profile)], connection);
+            await insertPreferences(connection, result.insertId, typeIds);
+            await audit(request, "create", "member", result.insertId, { after: await snapshot("member", result.insertId, connection) }, connection);
+            return result.insertId;
+        });
 
         response.status(200).json({
             message: "Member created successfully",
-            member: { id: memberId, name, preferredEventTypes: preferredEventTypes || [] }
+            member: { id: memberId, name, ...profile, preferredEventTypes: typeIds }
         });
     } catch (error) {
         console.error("Error creating member:", error);
-        return sendError(response, "Error creating member", 500);
+        return sendDatabaseError(response, error, "Error creating member");
     }
 }
 
 /**
  * Update a member's information.
  * 
- * This function handles the PUT request to update a member's information, including their `name`
- * and `preferredEventTypes`. It first updates the member's name and then manages their event type preferences.
+ * This function handles the PUT request to update a member's information, including their `name`,
+ * the profile fields sent in the request and `preferredEventTypes`. Profile fields left out are kept,
+ * and sent empty are cleared. The membership number, join date and status are only changed by admins,
+ * and ignored for members editing their own profile.
+ * It first updates the member and then replaces their event type preferences, all in a single transaction
+ * that also records the member before and after the change in the audit log.
  * If successful, it returns the updated member details. If any validation fails, an error message is returned.
  * 
  * @param {Object} request - The request object containing the `id`, `name`, and `preferredEventTypes` of the member.
@@ -140,37 +269,57 @@ export async function createMember(request, response) {
 export async function updateMemberInfo(request, response) {
     let memberId = number(request.params.id);
     const { name, preferredEventTypes } = request.body;
+    if (!memberId) {
+        return sendError(response, "Invalid member ID", 400);
+    }
     if (!name) {
         return sendError(response, "Name is required", 400);
     }
 
-    const result = await sendResponse(response, updateMember, [name, memberId], (res) => res);
+    const typeIds = Array.isArray(preferredEventTypes) ? preferredEventTypes : [];
+    // The status cannot be cleared, so an empty status is left out like a missing one
+    const sent = (field) => field === "status" ? Boolean(request.body.status) : request.body[field] !== undefined;
+    const fields = profileFields.filter(field => sent(field) && (request.account.role === "admin" || !adminFields.includes(field)));
+    const profile = Object.fromEntries(fields.map(field => [field, request.body[field]]));
 
-    if (!result || !result.status) {
-        return sendError(response, "Unexpected error occurred", 500);
-    }
+    try {
+        const found = await withTransaction(async (connection) => {
+            const members = await execute(lockMember, [memberId], connection);
+            if (!members.length) {
+                return false;
+            }
 
-    if (result.status === 404) {
-        return sendError(response, "Member not found", 404);
-    }
+            const before = await snapshot("member", memberId, connection);
+            await execute(updateMember(fields), [name, ...Object.values(profile), memberId], connection);
+
+            // Remove old preferences and insert new ones
+            await execute(deletePreferredEventTypes, [memberId], connection);
+            await insertPreferences(connection, memberId, typeIds);
+            await audit(request, "update", "member", memberId, { before, after: await snapshot("member", memberId, connection) }, connection);
+            return true;
+        });
 
-    // Remove old preferences and insert new ones
-    await sendResponse(response, deletePreferredEventTypes, [memberId], () => ({}));
+        if (!found) {
+            return sendError(response, "Member not found", 404);
+        }
 
-    if (preferredEventTypes && preferredEventTypes.length > 0) {
-        const values = preferredEventTypes.map(typeId => [memberId, typeId]);
-        await sendResponse(response, insertPreferredEventTypes, [values], () => ({}));
+        response.status(200).json({ id: memberId, name, ...profile, preferredEventTypes: typeIds });
+    } catch (error) {
+        console.error("Error updating member:", error);
+        return sendDatabaseError(response, error, "Error updating member");
     }
-
-    response.status(result.status).json({ id: memberId, name, preferredEventTypes: preferredEventTypes || [] });
 }
 
 /**
  * Delete a member by their ID.
  * 
- * This function handles the DELETE request to remove a member from the database.
- * It first checks if the member exists, then deletes their event registrations and preferences.
- * Finally, it deletes the member record from the database.
+ * This function handles the DELETE request to move a member to the trash.
+ * It first checks if the member exists, then sets their `deleted_at` and moves their event
+ * registrations and waitlist entries to deleted_registrations, promoting waitlisted members into
+ * the places the member leaves free. Their preferences, fees and payments are kept, so
+ * restoreMemberById brings everything back; the purge-trash job removes the member for good later.
+ * All the steps run in a single transaction, which records the member, with their registrations,
+ * in the audit log.
  * If successful, a 204 (No Content) response is returned. If the member is not found or any error occurs,
  * an error message is returned.
  * 
@@ -178,32 +327,38 @@ export async function updateMemberInfo(request, response) {
  * @param {Object} response - The response object to return the result or error.
  */
 export async function deleteMemberById(request, response) {
-    let memberId = Number(request.params.id);
+    let memberId = number(request.params.id);
     console.log("Attempting to delete member with ID:", memberId);  
 
-    if (isNaN(memberId)) {
+    if (!memberId) {
         console.error("Invalid member ID:", request.params.id);
         return sendError(response, "Invalid member ID", 400);
     }
 
     try {
-        const existingMember = await sendResponse(response, getMemberById, [memberId], (rows) => rows);
-        if (!existingMember || existingMember.length === 0) {
-            console.error("Member not found before deletion:", memberId);
-            return sendError(response, "Member not found", 404);
-        }
+        const found = await withTransaction(async (connection) => {
+            const members = await execute(lockMember, [memberId], connection);
+            if (!members.length) {
+                return false;
+            }
 
-        console.log("Deleting events and preferences for member ID:", memberId);
+            console.log("Moving the registrations of member ID to the trash:", memberId);
 
-        // Delete the member's events and preferences
-        await sendResponse(response, deleteMemberEvents, [memberId], () => ({}));
-        await sendResponse(response, deletePreferredEventTypes, [memberId], () => ({}));
+            // Keep the member's events and waitlist entries aside until the member is restored
+            const events = await execute(selectMemberEventIds, [memberId], connection);
+            const before = { ...await snapshot("member", memberId, connection), events };
+            await archiveRegistrations("member", memberId, connection);
+            await execute(deleteMember, [memberId], connection);
+            await audit(request, "delete", "member", memberId, { before }, connection);
 
-        const result = await sendResponse(response, deleteMember, [memberId], (res) => res);
-        console.log("Delete query result:", result);
+            for (const { event_id } of events) {
+                await promoteFromWaitlist(event_id, connection, request);
+            }
+            return true;
+        });
 
-        if (!result || !result.affectedRows) {
-            console.error("Delete failed, no affected rows:", memberId);
+        if (!found) {
+            console.error("Member not found before deletion:", memberId);
             return sendError(response, "Member not found", 404);
         }
 
@@ -211,6 +366,52 @@ export async function deleteMemberById(request, response) {
         return response.status(204).send();
     } catch (error) {
         console.error("Error deleting member:", error);
-        return sendError(response, "Error deleting member", 500);
+        return sendDatabaseError(response, error, "Error deleting member");
+    }
+}
+
+/**
+ * Restore a deleted member.
+ * 
+ * This function handles the POST request to bring a member back from the trash, with their
+ * registrations and waitlist entries in the events that are not deleted. Registrations in open
+ * events that are full by now go to the end of the waitlist. The member, before and after,
+ * is recorded in the audit log, all in a single transaction.
+ * If successful, it returns the number of registrations and waitlist entries restored.
+ * If the member is not deleted, an error message is returned.
+ * 
+ * @param {Object} request - The request object containing the `id` of the member to restore.
+ * @param {Object} response - The response object to return the result or error.
+ */
+export async function restoreMemberById(request, response) {
+    const memberId = number(request.params.id);
+    console.log("Attempting to restore member with ID:", memberId);
+
+    try {
+        const restored = await withTransaction(async (connection) => {
+            const members = await execute(lockDeletedMember, [memberId], connection);
+            if (!members.length) {
+                return null;
+            }
+
+            const before = await snapshot("member", memberId, connection);
+            await execute(restoreMember, [memberId], connection);
+            const registrations = await restoreRegistrations("member", memberId, connection);
+            for (const eventId of registrations.events) {
+                await promoteFromWaitlist(eventId, connection, request);
+            }
+            await audit(request, "restore", "member", memberId, { before, after: await snapshot("member", memberId, connection) }, connection);
+            return registrations;
+        });
+
+        if (!restored) {
+            return sendError(response, "Deleted member not found", 404);
+        }
+
+        console.log(`Member ${memberId} restored with ${restored.registered} registrations and ${restored.waitlisted} waitlist entries`);
+        response.status(200).json({ id: memberId, registered: restored.registered, waitlisted: restored.waitlisted });
+    } catch (error) {
+        console.error("Error restoring member:", error);
+        return sendDatabaseError(response, error, "Error restoring member");
     }
 }
@@ -0,0 +1,245 @@
+"use strict";
+import config from "../config/config.js";
+import { execute, withTransaction, number, sendError, sendDatabaseError } from "../config/db.js";
+import { listOptions, where, listEnvelope } from "../config/listing.js";
+import { createTransport } from "../config/mail.js";
+import { render, eventDay } from "../config/mail-templates.js";
+
+/*
+  Email notifications of the members.
+
+  Emails are queued in the `notifications` table, usually in the transaction of the change
+  they tell about, so an email is only sent when the change is saved. The deliver-notifications
+  job sends the pending emails every MAIL_INTERVAL_SECONDS through the MAIL_TRANSPORT. A failed email
+  is tried again later, waiting twice as long after each failure, and is given up after
+  MAIL_MAX_ATTEMPTS; every failure is kept in `notification_failures`. Members without an
+  email address are not notified.
+*/
+
+const selectMemberRecipient = "SELECT id, name, email FROM members WHERE id = ? AND deleted_at IS NULL AND email IS NOT NULL AND email <> ''";
+// Registered members (unless cancelled) and the members on the waitlist of an event
+const selectEventRecipients = `
+  SELECT m.id, m.name, m.email FROM members m
+  JOIN member_events me ON me.member_id = m.id
+  WHERE me.event_id = ? AND me.status <> 'cancelled' AND m.email IS NOT NULL AND m.email <> ''
+  UNION
+  SELECT m.id, m.name, m.email FROM members m
+  JOIN member_event_waitlist mw ON mw.member_id = m.id
+  WHERE mw.event_id = ? AND m.email IS NOT NULL AND m.email <> ''
+`;
+const insertNotification = "INSERT INTO notifications (member_id, recipient, template, subject, body) VALUES (?, ?, ?, ?, ?)";
+
+const deliveryBatch = 50;
+const selectPending = `
+  SELECT id, recipient, subject, body, attempts FROM notifications
+  WHERE status = 'pending' AND next_attempt_at <= NOW()
+  ORDER BY id LIMIT ${deliveryBatch}
+`;
+const markSent = "UPDATE notifications SET status = 'sent', attempts = attempts + 1, sent_at = NOW() WHERE id = ?";
+const markFailed = "UPDATE notifications SET status = ?, attempts = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? MINUTE) WHERE id = ?";
+const insertFailure = "INSERT INTO notification_failures (notification_id, attempt, error) VALUES (?, ?, ?)";
+// Minutes before the second attempt; each following one waits twice as long
+const retryMinutes = 5;
+
+const selectNotifications = `
+  SELECT n.id, n.member_id, n.recipient, n.template, n.subject, n.status, n.attempts, n.next_attempt_at, n.sent_at, n.created_at,
+    (SELECT f.error FROM notification_failures f WHERE f.notification_id = n.id ORDER BY f.id DESC LIMIT 1) as last_error
+  FROM notifications n
+`;
+const notificationSortColumns = {
+    id: "n.id",
+    createdAt: "n.created_at",
+    status: "n.status"
+};
+const selectNotificationStatus = "SELECT status FROM notifications WHERE id = ?";
+const retryFailed = "UPDATE notifications SET status = 'pending', attempts = 0, next_attempt_at = NOW() WHERE id = ?";
+
+// Registered members of the events starting within the longest reminder time, with the
+// shortest reminder time they were already sent
+const selectReminderCandidates = `
+  SELECT e.id, e.name, e.date, me.member_id, TIMESTAMPDIFF(MINUTE, NOW(), e.date) as minutes_left,
+    (SELECT MIN(r.lead_hours) FROM event_reminders r WHERE r.event_id = e.id AND r.member_id = me.member_id) as reminded_hours
+  FROM events e
+  JOIN member_events me ON me.event_id = e.id
+  WHERE me.status = 'registered' AND e.closed_at IS NULL AND e.deleted_at IS NULL AND e.date > NOW() AND e.date <= DATE_ADD(NOW(), INTERVAL ? HOUR)
+`;
+const insertReminder = "INSERT IGNORE INTO event_reminders (event_id, member_id, lead_hours) VALUES (?, ?, ?)";
+
+const transport = createTransport(config.mail);
+
+/**
+ * Queues an email for each recipient.
+ * @param {string} template - The name of the template (see config/mail-templates.js).
+ * @param {Object[]} recipients - The members, with `id`, `name` and `email`.
+ * @param {Object} data - The data of the template besides the member: event and, for changes, previous.
+ * @param {Object} [connection] - The connection of the transaction in progress, if any.
+ * @returns {Promise<number>} The number of emails queued.
+ */
+async function queue(template, recipients, data, connection) {
+    for (const member of recipients) {
+        const { subject, text } = render(template, { ...data, member });
+        await execute(insertNotification, [member.id, member.email, template, subject, text], connection);
+    }
+    if (recipients.length) {
+        console.log(`Queued ${recipients.length} "${template}" emails`);
+    }
+    return recipients.length;
+}
+
+/**
+ * Queues an email to a member, when the member has an email address.
+ * @param {string} template - The name of the template, e.g. "registered".
+ * @param {number} memberId - The ID of the member.
+ * @param {Object} data - The data of the template besides the member, e.g. `{ event }`.
+ * @param {Object} [connection] - The connection of the transaction in progress, if any.
+ * @returns {Promise<number>} The number of emails queued, 0 or 1.
+ */
+export async function notifyMember(template, memberId, data, connection) {
+    const recipients = await execute(selectMemberRecipient, [memberId], connection);
+    return queue(template, recipients, data, connection);
+}
+
+/**
+ * Queues an email to the members registered in an event and to the ones on its waitlist.
+ * Runs before the registrations are removed when the event is deleted.
+ * @param {string} template - The name of the template, e.g. "eventChanged".
+ * @param {number} eventId - The ID of the event.
+ * @param {Object} data - The data of the template besides the member: `{ event, previous }`.
+ * @param {Object} [connection] - The connection of the transaction in progress, if any.
+ * @returns {Promise<number>} The number of emails queued.
+ */
+export async function notifyEventMembers(template, eventId, data, connection) {
+    const recipients = await execute(selectEventRecipients, [eventId, eventId], connection);
+    return queue(template, recipients, data, connection);
+}
+
+/**
+ * Tells whether the name or the day of an event changed, which the members are told about.
+ * @param {Object} previous - The event before the change, with `name` and `date`.
+ * @param {Object} event - The event after the change.
+ * @returns {boolean} True if the members should be notified.
+ */
+export function eventChanged(previous, event) {
+    return previous.name !== event.name || eventDay(previous.date) !== eventDay(event.date);
+}
+
+/**
+ * Sends the pending emails that are due, recording the failures and when to try them again.
+ * Run by the deliver-notifications job.
+ * @returns {Promise<{sent: number, failed: number}>} The number of emails sent and of failed attempts.
+ */
+export async function deliverPending() {
+    const pending = await execute(selectPending);
+    let sent = 0;
+    for (const notification of pending) {
+        try {
+            await transport.send({ from: config.mail.from, to: notification.recipient, subject: notification.subject, text: notification.body });
+            await execute(markSent, [notification.id]);
+            sent++;
+        } catch (error) {
+            const attempt = notification.attempts + 1;
+            const status = attempt >= config.mail.maxAttempts ? "failed" : "pending";
+            console.error(`Error sending email ${notification.id} (attempt ${attempt}):`, error.message);
+            await execute(insertFailure, [notification.id, attempt, String(error.message).slice(0, 1000)]);
+            await execute(markFailed, [status, attempt, retryMinutes * 2 ** (attempt - 1), notification.id]);
+        }
+    }
+    if (pending.length) {
+        console.log(`Emails sent: ${sent} of ${pending.length}`);
+    }
+    return { sent, failed: pending.length - sent };
+}
+
+/**
+ * Reminds the registered members of the events starting within one of the REMINDER_BEFORE
+ * times. Each member gets the reminder of the shortest time the event is within, once: an event
+ * 10 hours away gets only the 12h reminder when the times are 2d and 12h, and none of them
+ * again after a later run. Run by the event-reminders job.
+ * @returns {Promise<{reminded: number}>} The number of reminders recorded.
+ */
+export async function sendEventReminders() {
+    const hours = config.jobs.reminderHours;
+    const candidates = await execute(selectReminderCandidates, [hours[hours.length - 1]]);
+    let reminded = 0;
+    for (const { id, name, date, member_id, minutes_left, reminded_hours } of candidates) {
+        const leadHours = hours.find(item => minutes_left <= item * 60);
+        if (reminded_hours !== null && reminded_hours <= leadHours) {
+            continue;
+        }
+        await withTransaction(async (connection) => {
+            const result = await execute(insertReminder, [id, member_id, leadHours], connection);
+            if (result.affectedRows) {
+                await notifyMember("reminder", member_id, { event: { name, date } }, connection);
+                reminded++;
+            }
+        });
+    }
+    if (reminded) {
+        console.log(`Event reminders queued: ${reminded}`);
+    }
+    return { reminded };
+}
+
+/**
+ * Retrieves the queued emails, newest first by default, one page at a time.
+ * Filters: `status` ("pending", "sent" or "failed") and `memberId`. Each email has
+ * the `last_error` of its failed attempts.
+ * @param {Object} request - The HTTP request object, with the filters, sorting and pagination.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function getNotifications(request, response) {
+    console.log("Handling GET request for the notifications");
+
+    const options = listOptions({ order: "desc", ...request.query }, notificationSortColumns, "id");
+    if (options.error) {
+        console.error("Invalid list parameters:", options.error);
+        return sendError(response, options.error, 400);
+    }
+
+    try {
+        const conditions = [];
+        const params = [];
+        if (request.query.status) {
+            conditions.push("n.status = ?");
+            params.push(request.query.status);
+        }
+        if (request.query.memberId) {
+            conditions.push("n.member_id = ?");
+            params.push(number(request.query.memberId));
+        }
+
+        const [{ total }] = await execute(`SELECT COUNT(*) as total FROM notifications n ${where(conditions)}`, params);
+        const rows = await execute(`${selectNotifications} ${where(conditions)} ${options.orderBy} ${options.limit}`, params);
+
+        console.log(`Returning ${rows.length} of ${total} notifications.`);
+        response.status(200).json(listEnvelope(rows, total, options));
+    } catch (error) {
+        console.error("Error fetching notifications:", error);
+        sendDatabaseError(response, error, "Error fetching notifications");
+    }
+}
+
+/**
+ * Sends a failed email again, with the next delivery.
+ * @param {Object} request - The HTTP request object, with the notification `id`.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function retryNotification(request, response) {
+    const id = number(request.params.id);
+    console.log(`Handling POST request to retry notification ${id}`);
+
+    try {
+        const [notification] = await execute(selectNotificationStatus, [id]);
+        if (!notification) {
+            return sendError(response, "Notification not found", 404);
+        }
+        if (notification.status !== "failed") {
+            return sendError(response, "Only failed notifications can be retried", 409);
+        }
+        await execute(retryFailed, [id]);
+        response.status(200).json({ id, status: "pending" });
+    } catch (error) {
+        console.error(`Error retrying notification ${id}:`, error);
+        sendDatabaseError(response, error, "Error retrying notification");
+    }
+}
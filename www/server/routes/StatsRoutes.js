@@ -0,0 +1,174 @@
+"use strict";
+import { execute, number, sendError, sendDatabaseError } from "../config/db.js";
+import { listOptions, where, listEnvelope } from "../config/listing.js";
+import { weekStreaks, statsMonths } from "../config/stats.js";
+
+/*
+  Statistics of the rides of the members.
+
+  A ride is a registration in an event that already took place, unless the member was
+  recorded as a no-show or cancelled it: registrations whose attendance was not recorded
+  count as rides. A season is a calendar year. Distances and climbs come from the routes
+  of the events (see EventRouteRoutes.js), so events without a route add no kilometres.
+  Events and members in the trash are left out.
+*/
+
+const rideCondition = "me.status IN ('registered', 'attended') AND e.date <= CURDATE() AND e.deleted_at IS NULL";
+
+const selectLeaderboard = `
+  SELECT m.id, m.name,
+    RANK() OVER (ORDER BY COUNT(*) DESC, COALESCE(SUM(e.distance_m), 0) DESC) as position,
+    COUNT(*) as events,
+    CAST(COALESCE(SUM(e.distance_m), 0) AS UNSIGNED) as distance_m,
+    CAST(COALESCE(SUM(e.elevation_gain_m), 0) AS UNSIGNED) as elevation_gain_m,
+    DATE_FORMAT(MAX(e.date), '%Y-%m-%d') as last_ride
+  FROM member_events me
+  JOIN members m ON m.id = me.member_id
+  JOIN events e ON e.id = me.event_id
+`;
+const countLeaderboard = `
+  SELECT COUNT(DISTINCT me.member_id) as total
+  FROM member_events me
+  JOIN members m ON m.id = me.member_id
+  JOIN events e ON e.id = me.event_id
+`;
+
+// Columns the leaderboard can be sorted by, with ?sort=
+const leaderboardSortColumns = {
+    id: "m.id",
+    rank: "position",
+    name: "m.name",
+    events: "events",
+    distance: "distance_m",
+    elevation: "elevation_gain_m",
+    lastRide: "last_ride"
+};
+
+const selectMember = "SELECT id, name FROM members WHERE id = ? AND deleted_at IS NULL";
+const selectMemberRides = `
+  SELECT e.id, e.name, e.type_id, et.name as type_name, DATE_FORMAT(e.date, '%Y-%m-%d') as date,
+    e.distance_m, e.elevation_gain_m
+  FROM member_events me
+  JOIN events e ON e.id = me.event_id
+  JOIN event_types et ON et.id = e.type_id
+`;
+const countMemberNoShows = `
+  SELECT COUNT(*) as count
+  FROM member_events me
+  JOIN events e ON e.id = me.event_id
+`;
+
+/**
+ * Returns the first and last day of a season.
+ * @param {number} season - The year.
+ * @returns {string[]} The first and last day, as YYYY-MM-DD.
+ */
+function seasonRange(season) {
+    return [`${season}-01-01`, `${season}-12-31`];
+}
+
+/**
+ * Retrieves the statistics of a member: rides, kilometres and climb, by event type and
+ * by month, the streaks of weeks with rides, the last ride and the no-shows.
+ * Accepts `season` (a year) to only count the rides of that year.
+ * @param {Object} request - The HTTP request object, with the member `id`.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function getMemberStats(request, response) {
+    const id = number(request.params.id);
+    const season = request.query.season;
+    console.log(`Handling GET request for the statistics of member ${id}${season ? ` in ${season}` : ""}`);
+
+    try {
+        const [member] = await execute(selectMember, [id]);
+        if (!member) {
+            return sendError(response, "Member not found", 404);
+        }
+
+        const conditions = ["me.member_id = ?"];
+        const params = [id];
+        if (season) {
+            conditions.push("e.date BETWEEN ? AND ?");
+            params.push(...seasonRange(season));
+        }
+        const rides = await execute(`${selectMemberRides} ${where([...conditions, rideCondition])} ORDER BY e.date`, params);
+        const [noShows] = await execute(`${countMemberNoShows} ${where([...conditions, "me.status = 'no-show'", "e.deleted_at IS NULL"])}`, params);
+
+        const today = new Date().toISOString().slice(0, 10);
+        const byType = new Map();
+        const byMonth = new Map(statsMonths(season, today).map(month => [month, { month, events: 0, distance_m: 0 }]));
+        for (const ride of rides) {
+            if (!byType.has(ride.type_id)) {
+                byType.set(ride.type_id, { type_id: ride.type_id, type_name: ride.type_name, events: 0, distance_m: 0 });
+            }
+            const type = byType.get(ride.type_id);
+            type.events++;
+            type.distance_m += ride.distance_m ?? 0;
+
+            const month = byMonth.get(ride.date.slice(0, 7));
+            if (month) {
+                month.events++;
+                month.distance_m += ride.distance_m ?? 0;
+            }
+        }
+
+        const last = rides[rides.length - 1];
+        const stats = {
+            member,
+            season: season ?? null,
+            events: rides.length,
+            distance_m: rides.reduce((total, ride) => total + (ride.distance_m ?? 0), 0),
+            elevation_gain_m: rides.reduce((total, ride) => total + (ride.elevation_gain_m ?? 0), 0),
+            no_shows: noShows.count,
+            last_ride: last ? { id: last.id, name: last.name, date: last.date } : null,
+            streaks: weekStreaks(rides.map(ride => ride.date), today),
+            by_type: [...byType.values()].sort((a, b) => b.events - a.events),
+            by_month: [...byMonth.values()]
+        };
+
+        console.log(`Statistics of member ${id}: ${stats.events} rides, ${stats.distance_m} m.`);
+        response.status(200).json(stats);
+    } catch (error) {
+        console.error(`Error fetching the statistics of member ${id}:`, error);
+        sendDatabaseError(response, error, "Error fetching member statistics");
+    }
+}
+
+/**
+ * Retrieves the leaderboard of a season: the members with rides, with their number of
+ * rides, kilometres, climb and last ride, ranked by rides and then by kilometres.
+ * Accepts `season` (a year, the current one by default), `typeId` (to only count the
+ * rides of an event type) and the pagination and sorting parameters of listOptions.
+ * @param {Object} request - The HTTP request object.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function getLeaderboard(request, response) {
+    const season = request.query.season ?? new Date().getFullYear();
+    const typeId = request.query.typeId;
+    console.log(`Handling GET request for the leaderboard of ${season}${typeId ? ` for event type ${typeId}` : ""}`);
+
+    const options = listOptions(request.query, leaderboardSortColumns, "rank");
+    if (options.error) {
+        console.error("Invalid list parameters:", options.error);
+        return sendError(response, options.error, 400);
+    }
+
+    try {
+        const conditions = [rideCondition, "m.deleted_at IS NULL", "e.date BETWEEN ? AND ?"];
+        const params = seasonRange(season);
+        if (typeId) {
+            conditions.push("e.type_id = ?");
+            params.push(typeId);
+        }
+
+        const filter = where(conditions);
+        const [{ total }] = await execute(`${countLeaderboard} ${filter}`, params);
+        const rows = await execute(`${selectLeaderboard} ${filter} GROUP BY m.id, m.name ${options.orderBy} ${options.limit}`, params);
+
+        console.log(`Leaderboard of ${season}: ${rows.length} of ${total} members.`);
+        response.status(200).json({ season, ...listEnvelope(rows, total, options) });
+    } catch (error) {
+        console.error(`Error fetching the leaderboard of ${season}:`, error);
+        sendDatabaseError(response, error, "Error fetching the leaderboard");
+    }
+}
@@ -0,0 +1,125 @@
+"use strict";
+import config from "../config/config.js";
+import { execute, withTransaction, sendError, sendDatabaseError } from "../config/db.js";
+import { listOptions, where, contains, listEnvelope } from "../config/listing.js";
+import { audit, snapshot } from "./AuditRoutes.js";
+import { removeRouteFile } from "./EventRouteRoutes.js";
+
+/*
+  Trash of the deleted members, events and event types.
+
+  Deleting one of them only sets its `deleted_at`, so it is left out of the API and can be
+  restored with its relationships (see the restore handlers of each one). The purge-trash job
+  removes for good the ones deleted more than TRASH_DAYS ago. Event types wait for their
+  deleted events to be removed, as removing a type removes its events.
+*/
+
+// The deleted records, with the day they are removed for good
+const selectTrash = `
+  SELECT entity, id, name, date, deleted_at, DATE_ADD(deleted_at, INTERVAL ${config.jobs.trashDays} DAY) as purge_at
+  FROM (
+    SELECT 'member' as entity, id, name, NULL as date, deleted_at FROM members WHERE deleted_at IS NOT NULL
+    UNION ALL
+    SELECT 'event', id, name, date, deleted_at FROM events WHERE deleted_at IS NOT NULL
+    UNION ALL
+    SELECT 'eventType', id, name, NULL, deleted_at FROM event_types WHERE deleted_at IS NOT NULL
+  ) t
+`;
+const trashSortColumns = {
+    id: "t.id",
+    name: "t.name",
+    deletedAt: "t.deleted_at"
+};
+
+const selectExpiredEvents = "SELECT id FROM events WHERE deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)";
+const selectExpiredMembers = "SELECT id FROM members WHERE deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)";
+const selectExpiredEventTypes = `
+  SELECT id FROM event_types t
+  WHERE deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY) AND NOT EXISTS (SELECT 1 FROM events e WHERE e.type_id = t.id)
+`;
+const purgeQueries = {
+    event: "DELETE FROM events WHERE id = ?",
+    member: "DELETE FROM members WHERE id = ?",
+    eventType: "DELETE FROM event_types WHERE id = ?"
+};
+// Series left without events, once their last events are removed
+const deleteEmptySeries = "DELETE FROM event_series WHERE NOT EXISTS (SELECT 1 FROM events e WHERE e.series_id = event_series.id)";
+
+/**
+ * Retrieves the deleted members, events and event types, the latest deleted first by default,
+ * one page at a time. Filters: `entity` ("member", "event" or "eventType") and `q` (text in the name).
+ * Each item has the day it is removed for good, `purge_at`.
+ * @param {Object} request - The HTTP request object, with the filters, sorting and pagination.
+ * @param {Object} response - The HTTP response object.
+ */
+export async function getTrash(request, response) {
+    console.log("Handling GET request for the trash");
+
+    const options = listOptions({ order: "desc", ...request.query }, trashSortColumns, "deletedAt");
+    if (options.error) {
+        console.error("Invalid list parameters:", options.error);
+        return sendError(response, options.error, 400);
+    }
+
+    const conditions = [];
+    const params = [];
+    if (request.query.entity) {
+        conditions.push("t.entity = ?");
+        params.push(request.query.entity);
+    }
+    if (request.query.q) {
+        conditions.push("t.name LIKE ?");
+        params.push(contains(request.query.q));
+    }
+
+    try {
+        const [{ total }] = await execute(`SELECT COUNT(*) as total FROM (${selectTrash}) t ${where(conditions)}`, params);
+        const rows = await execute(`${selectTrash} ${where(conditions)} ${options.orderBy} ${options.limit}`, params);
+
+        console.log(`Returning ${rows.length} of ${total} deleted items.`);
+        response.status(200).json(listEnvelope(rows, total, options));
+    } catch (error) {
+        console.error("Error fetching the trash:", error);
+        sendDatabaseError(response, error, "Error fetching the trash");
+    }
+}
+
+/**
+ * Removes for good the records of an entity deleted more than TRASH_DAYS ago, recording
+ * each one in the audit log. Must run inside a transaction.
+ * @param {string} entity - "event", "member" or "eventType".
+ * @param {string} query - The query selecting the IDs of the records to remove.
+ * @param {Object} connection - The connection of the transaction.
+ * @returns {Promise<number[]>} The IDs of the records removed.
+ */
+async function purge(entity, query, connection) {
+    const rows = await execute(query, [config.jobs.trashDays], connection);
+    for (const { id } of rows) {
+        const before = await snapshot(entity, id, connection);
+        await execute(purgeQueries[entity], [id], connection);
+        await audit(null, "purge", entity, id, { before }, connection);
+    }
+    return rows.map(row => row.id);
+}
+
+/**
+ * Empties the trash of the members, events and event types deleted more than TRASH_DAYS ago,
+ * with their kept registrations and the GPX files of the events. Events go first, so the
+ * event types whose events are all gone go in the same run. Run every night by the purge-trash job.
+ * @returns {Promise<{events: number, members: number, eventTypes: number}>} The number of records removed.
+ */
+export async function purgeTrash() {
+    const { events, members, eventTypes } = await withTransaction(async (connection) => {
+        const events = await purge("event", selectExpiredEvents, connection);
+        const members = await purge("member", selectExpiredMembers, connection);
+        const eventTypes = await purge("eventType", selectExpiredEventTypes, connection);
+        await execute(deleteEmptySeries, [], connection);
+        return { events, members, eventTypes };
+    });
+
+    for (const id of events) {
+        await removeRouteFile(id);
+    }
+    console.log(`Trash purged: ${events.length} events, ${members.length} members, ${eventTypes.length} event types`);
+    return { events: events.length, members: members.length, eventTypes: eventTypes.length };
+}
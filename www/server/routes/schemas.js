@@ -0,0 +1,293 @@
+"use strict";
+
+/*
+  Validation schemas of the API routes, applied in server.js with the validate middleware
+  (see middleware/validate.js for the rules). Lengths follow the columns of the database.
+*/
+
+const id = { type: "id", required: true };
+
+const listQuery = {
+    page: { type: "integer", min: 1 },
+    pageSize: { type: "integer", min: 1, max: 100 },
+    order: { type: "enum", values: ["asc", "desc"] }
+};
+
+const sort = (...values) => ({ type: "enum", values });
+
+// Deleted records are left out of the lists unless it is true, which only admins can send
+const includeDeleted = { type: "boolean" };
+
+const eventBody = {
+    type_id: { type: "id", required: true, references: "eventType" },
+    name: { type: "string", required: true, maxLength: 200 },
+    date: { type: "date", required: true, min: "1900-01-01", max: "2999-12-31" },
+    max_participants: { type: "integer", nullable: true, min: 1, max: 100000 },
+    fee_cents: { type: "integer", nullable: true, min: 0, max: 10000000 }
+};
+
+const difficulties = ["easy", "moderate", "hard", "extreme"];
+
+const eventTypeBody = {
+    name: { type: "string", required: true, maxLength: 100 },
+    parent_id: { type: "id", nullable: true, references: "eventType" },
+    description: { type: "string", nullable: true, maxLength: 1000 },
+    color: { type: "string", nullable: true, pattern: /^#[0-9a-fA-F]{6}$/, patternMessage: "must be a colour such as #FF5722" },
+    icon: { type: "string", nullable: true, maxLength: 16 },
+    default_difficulty: { type: "enum", nullable: true, values: difficulties },
+    default_duration_minutes: { type: "integer", nullable: true, min: 1, max: 10080 }
+};
+
+const phone = { type: "string", nullable: true, maxLength: 30, pattern: /^\+?[0-9 ()-]{6,}$/, patternMessage: "must be a phone number" };
+
+const memberStatuses = ["active", "suspended", "former"];
+
+const memberBody = {
+    name: { type: "string", required: true, maxLength: 200 },
+    email: { type: "string", nullable: true, maxLength: 254, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, patternMessage: "must be an email address" },
+    phone,
+    birth_date: { type: "date", nullable: true, min: "1900-01-01", max: "2999-12-31" },
+    membership_number: { type: "string", nullable: true, maxLength: 20 },
+    join_date: { type: "date", nullable: true, min: "1900-01-01", max: "2999-12-31", notBefore: "birth_date" },
+    emergency_contact_name: { type: "string", nullable: true, maxLength: 200 },
+    emergency_contact_phone: phone,
+    status: { type: "enum", values: memberStatuses },
+    preferredEventTypes: { type: "array", items: { type: "id" }, unique: true, references: "eventType" }
+};
+
+const fileFormat = { type: "enum", values: ["csv", "json"] };
+
+const attendanceStatuses = ["registered", "attended", "no-show", "cancelled"];
+
+// Recurrence rule of a series of events (see config/recurrence.js)
+const recurrence = {
+    type: "object",
+    nullable: true,
+    fields: {
+        frequency: { type: "enum", required: true, values: ["weekly", "monthly"] },
+        interval: { type: "integer", min: 1, max: 52 },
+        byWeekday: { type: "array", items: { type: "integer", min: 1, max: 7 }, unique: true, maxLength: 7 },
+        until: { type: "date", min: "1900-01-01", max: "2999-12-31" },
+        count: { type: "integer", min: 1, max: 500 },
+        exceptions: { type: "array", items: { type: "date" }, maxLength: 500 }
+    }
+};
+
+// Events of a series changed or deleted along with the requested one
+const seriesScope = { type: "enum", values: ["this", "following", "series"] };
+
+const season = { type: "integer", min: 2000, max: 2999 };
+
+// Amounts of money are in cents
+const feeBody = {
+    period_start: { type: "date", required: true, min: "1900-01-01", max: "2999-12-31" },
+    period_end: { type: "date", required: true, min: "1900-01-01", max: "2999-12-31", notBefore: "period_start" },
+    amount_cents: { type: "integer", required: true, min: 0, max: 10000000 },
+    due_date: { type: "date", required: true, min: "1900-01-01", max: "2999-12-31" }
+};
+
+const paymentBody = {
+    amount_cents: { type: "integer", required: true, min: 1, max: 10000000 },
+    date: { type: "date", required: true, min: "1900-01-01", max: "2999-12-31" },
+    method: { type: "enum", required: true, values: ["cash", "transfer", "mbway", "card", "other"] },
+    reference: { type: "string", nullable: true, maxLength: 100 }
+};
+
+export const login = {
+    body: {
+        username: { type: "string", required: true, maxLength: 100 },
+        password: { type: "string", required: true, maxLength: 200, trim: false }
+    }
+};
+
+export const byId = {
+    params: { id }
+};
+
+export const listEvents = {
+    query: {
+        ...listQuery,
+        sort: sort("id", "type", "name", "date", "participants", "distance", "elevation"),
+        typeId: { type: "id" },
+        from: { type: "date" },
+        to: { type: "date", notBefore: "from" },
+        q: { type: "string", maxLength: 200 },
+        includeDeleted
+    }
+};
+
+export const eventsCalendar = {
+    query: {
+        typeId: { type: "id", references: "eventType" }
+    }
+};
+
+export const eventRoute = {
+    params: { id },
+    query: {
+        name: { type: "string", maxLength: 255 }
+    }
+};
+
+export const eventAttendance = {
+    params: { id },
+    body: {
+        attendance: {
+            type: "array",
+            required: true,
+            minLength: 1,
+            maxLength: 1000,
+            items: {
+                type: "object",
+                fields: {
+                    memberId: id,
+                    status: { type: "enum", required: true, values: attendanceStatuses }
+                }
+            }
+        }
+    }
+};
+
+export const createEvent = {
+    body: { ...eventBody, recurrence }
+};
+
+export const updateEvent = {
+    params: { id },
+    query: { scope: seriesScope },
+    body: eventBody
+};
+
+export const deleteEvent = {
+    params: { id },
+    query: { scope: seriesScope }
+};
+
+export const listEventTypes = {
+    query: {
+        ...listQuery,
+        sort: sort("id", "name"),
+        includeDeleted
+    }
+};
+
+export const createEventType = {
+    body: eventTypeBody
+};
+
+export const updateEventType = {
+    params: { id },
+    body: eventTypeBody
+};
+
+export const listMembers = {
+    query: {
+        ...listQuery,
+        sort: sort("id", "name", "membershipNumber", "joinDate", "status"),
+        q: { type: "string", maxLength: 200 },
+        prefersType: { type: "id" },
+        status: { type: "enum", values: memberStatuses },
+        includeDeleted
+    }
+};
+
+export const createMember = {
+    body: memberBody
+};
+
+export const updateMember = {
+    params: { id },
+    body: memberBody
+};
+
+export const memberEvents = {
+    params: { memberId: id }
+};
+
+export const memberEvent = {
+    params: { memberId: id, eventId: id }
+};
+
+export const memberStats = {
+    params: { id },
+    query: { season }
+};
+
+export const leaderboard = {
+    query: {
+        ...listQuery,
+        sort: sort("id", "rank", "name", "events", "distance", "elevation", "lastRide"),
+        season,
+        typeId: { type: "id", references: "eventType" }
+    }
+};
+
+export const createMemberFee = {
+    params: { id },
+    body: feeBody
+};
+
+export const createFees = {
+    body: feeBody
+};
+
+export const createPayment = {
+    params: { id },
+    body: paymentBody
+};
+
+export const listBalances = {
+    query: {
+        ...listQuery,
+        sort: sort("id", "name", "membershipNumber", "due", "overdue"),
+        q: { type: "string", maxLength: 200 },
+        state: { type: "enum", values: ["overdue", "due", "all"] }
+    }
+};
+
+export const listNotifications = {
+    query: {
+        ...listQuery,
+        sort: sort("id", "createdAt", "status"),
+        status: { type: "enum", values: ["pending", "sent", "failed"] },
+        memberId: { type: "id" }
+    }
+};
+
+export const auditLog = {
+    query: {
+        ...listQuery,
+        sort: sort("id", "createdAt"),
+        entity: { type: "enum", values: ["member", "event", "eventType"] },
+        id: { type: "id" },
+        from: { type: "date" },
+        to: { type: "date", notBefore: "from" }
+    }
+};
+
+export const listTrash = {
+    query: {
+        ...listQuery,
+        sort: sort("id", "name", "deletedAt"),
+        entity: { type: "enum", values: ["member", "event", "eventType"] },
+        q: { type: "string", maxLength: 200 }
+    }
+};
+
+export const jobName = {
+    params: {
+        name: { type: "string", required: true, maxLength: 50 }
+    }
+};
+
+export const exportFile = {
+    query: { format: fileFormat }
+};
+
+export const importFile = {
+    query: { dryRun: { type: "boolean" } },
+    body: {
+        format: { ...fileFormat, required: true },
+        content: { type: "string", required: true, trim: false }
+    }
+};
@@ -1,14 +1,24 @@
 import express from "express";
 import bodyParser from "body-parser";
 import cors from "cors"; // Import cors middleware
+import config from "./config/config.js";
+import { authenticate, authenticateCalendar, authorize, authorizeMember, authorizeDeleted } from "./middleware/auth.js";
+import { validate } from "./middleware/validate.js";
+import { asyncHandler, notFoundHandler, errorHandler } from "./middleware/errors.js";
+import * as schemas from "./routes/schemas.js";
 
 // Import your route handlers
+import { login, logout, getCurrentAccount, createCalendarToken } from "./routes/AuthRoutes.js";
+
 import {
   getAllEvents,
   getEventById,
   createEvent,
   updateEventById,
-  deleteEventById
+  deleteEventById,
+  restoreEventById,
+  getEventAttendance,
+  updateEventAttendance
 } from "./routes/EventRoutes.js";
 
 import {
@@ -16,7 +26,8 @@ import {
   getEventTypeById,
   createEventType,
   updateEventTypeById,
-  deleteEventTypeById
+  deleteEventTypeById,
+  restoreEventTypeById
 } from "./routes/EventTypesRoutes.js";
 
 import {
@@ -24,38 +35,136 @@ import {
   getMember,
   createMember,
   updateMemberInfo,
-  deleteMemberById
+  deleteMemberById,
+  restoreMemberById
 } from "./routes/MemberRoutes.js";
 
+import {
+  getMemberEvents,
+  registerMemberToEvent,
+  unregisterMemberFromEvent
+} from "./routes/MemberEventsRoutes.js";
+
+import { getEventsCalendar, getMemberCalendar } from "./routes/CalendarRoutes.js";
+import { exportRecords, importRecords } from "./routes/ImportExportRoutes.js";
+import { getEventRoute, downloadEventRoute, uploadEventRoute, deleteEventRoute } from "./routes/EventRouteRoutes.js";
+import { getMemberStats, getLeaderboard } from "./routes/StatsRoutes.js";
+import {
+  getMemberBalance,
+  getBalances,
+  createMemberFee,
+  createFees,
+  deleteFee,
+  createPayment,
+  deletePaymentById
+} from "./routes/FeeRoutes.js";
+import { getNotifications, retryNotification } from "./routes/NotificationRoutes.js";
+import { getJobs, runJob, startBackgroundJobs } from "./routes/JobRoutes.js";
+import { getAuditLog } from "./routes/AuditRoutes.js";
+import { getTrash } from "./routes/TrashRoutes.js";
+
 const app = express();
 
 app.use(cors({
-  origin: "http://localhost:5173", 
-  methods: "GET,POST,PUT,DELETE",
-  allowedHeaders: "Content-Type"
+  origin: config.allowedOrigins,
+  methods: "GET,POST,PUT,PATCH,DELETE",
+  allowedHeaders: "Content-Type,Authorization"
 }));
 
-app.use(bodyParser.json()); 
-
-app.get("/events", getAllEvents);
-app.get("/events/:id", getEventById);
-app.post("/events", createEvent);
-app.put("/events/:id", updateEventById);
-app.delete("/events/:id", deleteEventById);
-
-app.get("/event-types", getAllEventTypes);
-app.get("/event-types/:id", getEventTypeById);
-app.post("/event-types", createEventType);
-app.put("/event-types/:id", updateEventTypeById);
-app.delete("/event-types/:id", deleteEventTypeById);
-
-app.get("/members", getMembers);
-app.get("/members/:id", getMember);
-app.post("/members", createMember);
-app.put("/members/:id", updateMemberInfo);
-app.delete("/members/:id", deleteMemberById);
-
-const PORT = 3000;
-app.listen(PORT, () => {
-  console.log(`✅ Server running on http://localhost:${PORT}`);
+// Imports send whole files, so the body can be larger than the default 100kb
+app.use(bodyParser.json({ limit: "2mb" })); 
+
+// Requests are validated against the schemas in routes/schemas.js, answering 422 when invalid
+app.post("/auth/login", validate(schemas.login), asyncHandler(login));
+
+// Calendar feeds (RFC 5545) of the club events and of the events of a member, read by calendar
+// applications with the calendar token of an account instead of a session
+app.get("/events.ics", authenticateCalendar, validate(schemas.eventsCalendar), asyncHandler(getEventsCalendar));
+app.get("/members/:id/events.ics", authenticateCalendar, validate(schemas.byId), authorizeMember("id", "admin"), asyncHandler(getMemberCalendar));
+
+// Every route below requires a logged in account
+app.use(authenticate);
+
+app.post("/auth/logout", asyncHandler(logout));
+app.get("/auth/me", asyncHandler(getCurrentAccount));
+app.post("/auth/calendar-token", asyncHandler(createCalendarToken));
+
+// Import and export as CSV or JSON, by the same roles, declared before the routes with an :id
+app.get("/events/export", authorize("admin", "organiser"), validate(schemas.exportFile), asyncHandler(exportRecords("events")));
+app.post("/events/import", authorize("admin", "organiser"), validate(schemas.importFile), asyncHandler(importRecords("events")));
+app.get("/event-types/export", authorize("admin"), validate(schemas.exportFile), asyncHandler(exportRecords("eventTypes")));
+app.post("/event-types/import", authorize("admin"), validate(schemas.importFile), asyncHandler(importRecords("eventTypes")));
+app.get("/members/export", authorize("admin"), validate(schemas.exportFile), asyncHandler(exportRecords("members")));
+app.post("/members/import", authorize("admin"), validate(schemas.importFile), asyncHandler(importRecords("members")));
+
+// Organisers are further limited to the events of their event types
+app.get("/events", validate(schemas.listEvents), authorizeDeleted("admin"), asyncHandler(getAllEvents));
+app.get("/events/:id", validate(schemas.byId), asyncHandler(getEventById));
+app.post("/events", authorize("admin", "organiser"), validate(schemas.createEvent), asyncHandler(createEvent));
+app.put("/events/:id", authorize("admin", "organiser"), validate(schemas.updateEvent), asyncHandler(updateEventById));
+app.delete("/events/:id", authorize("admin", "organiser"), validate(schemas.deleteEvent), asyncHandler(deleteEventById));
+app.post("/events/:id/restore", authorize("admin", "organiser"), validate(schemas.byId), asyncHandler(restoreEventById));
+app.get("/events/:id/attendance", validate(schemas.byId), asyncHandler(getEventAttendance));
+app.patch("/events/:id/attendance", authorize("admin", "organiser"), validate(schemas.eventAttendance), asyncHandler(updateEventAttendance));
+
+// GPX routes of the events, uploaded as the raw file
+const gpxBody = bodyParser.text({ type: ["application/gpx+xml", "application/xml", "text/xml"], limit: "10mb" });
+app.get("/events/:id/route", validate(schemas.byId), asyncHandler(getEventRoute));
+app.get("/events/:id/route.gpx", validate(schemas.byId), asyncHandler(downloadEventRoute));
+app.put("/events/:id/route", authorize("admin", "organiser"), gpxBody, validate(schemas.eventRoute), asyncHandler(uploadEventRoute));
+app.delete("/events/:id/route", authorize("admin", "organiser"), validate(schemas.byId), asyncHandler(deleteEventRoute));
+
+app.get("/event-types", validate(schemas.listEventTypes), authorizeDeleted("admin"), asyncHandler(getAllEventTypes));
+app.get("/event-types/:id", validate(schemas.byId), asyncHandler(getEventTypeById));
+app.post("/event-types", authorize("admin"), validate(schemas.createEventType), asyncHandler(createEventType));
+app.put("/event-types/:id", authorize("admin"), validate(schemas.updateEventType), asyncHandler(updateEventTypeById));
+app.delete("/event-types/:id", authorize("admin"), validate(schemas.byId), asyncHandler(deleteEventTypeById));
+app.post("/event-types/:id/restore", authorize("admin"), validate(schemas.byId), asyncHandler(restoreEventTypeById));
+
+app.get("/members", validate(schemas.listMembers), authorizeDeleted("admin"), asyncHandler(getMembers));
+app.get("/members/:id", validate(schemas.byId), asyncHandler(getMember));
+app.post("/members", authorize("admin"), validate(schemas.createMember), asyncHandler(createMember));
+app.put("/members/:id", validate(schemas.updateMember), authorizeMember("id", "admin"), asyncHandler(updateMemberInfo));
+app.delete("/members/:id", authorize("admin"), validate(schemas.byId), asyncHandler(deleteMemberById));
+app.post("/members/:id/restore", authorize("admin"), validate(schemas.byId), asyncHandler(restoreMemberById));
+
+// Members register and unregister themselves, organisers anyone in the events they manage
+app.get("/members/:memberId/events", validate(schemas.memberEvents), authorizeMember("memberId", "admin", "organiser"), asyncHandler(getMemberEvents));
+app.post("/members/:memberId/events/:eventId", validate(schemas.memberEvent), authorizeMember("memberId", "admin", "organiser"), asyncHandler(registerMemberToEvent));
+app.delete("/members/:memberId/events/:eventId", validate(schemas.memberEvent), authorizeMember("memberId", "admin", "organiser"), asyncHandler(unregisterMemberFromEvent));
+
+// Statistics of the rides, by member and by season
+app.get("/members/:id/stats", validate(schemas.memberStats), asyncHandler(getMemberStats));
+app.get("/stats/leaderboard", validate(schemas.leaderboard), asyncHandler(getLeaderboard));
+
+// Fees and payments: members see their own balance, admins manage everyone's
+app.get("/members/:id/balance", validate(schemas.byId), authorizeMember("id", "admin"), asyncHandler(getMemberBalance));
+app.post("/members/:id/fees", authorize("admin"), validate(schemas.createMemberFee), asyncHandler(createMemberFee));
+app.post("/members/:id/payments", authorize("admin"), validate(schemas.createPayment), asyncHandler(createPayment));
+app.get("/fees/balances", authorize("admin"), validate(schemas.listBalances), asyncHandler(getBalances));
+app.post("/fees", authorize("admin"), validate(schemas.createFees), asyncHandler(createFees));
+app.delete("/fees/:id", authorize("admin"), validate(schemas.byId), asyncHandler(deleteFee));
+app.delete("/payments/:id", authorize("admin"), validate(schemas.byId), asyncHandler(deletePaymentById));
+
+// Emails queued for the members, and the failed ones sent again
+app.get("/notifications", authorize("admin"), validate(schemas.listNotifications), asyncHandler(getNotifications));
+app.post("/notifications/:id/retry", authorize("admin"), validate(schemas.byId), asyncHandler(retryNotification));
+
+// Background jobs: reminders, closing past events, sending the emails and emptying the trash
+app.get("/admin/jobs", authorize("admin"), asyncHandler(getJobs));
+app.post("/admin/jobs/:name/run", authorize("admin"), validate(schemas.jobName), asyncHandler(runJob));
+
+// Who changed members, events, event types and registrations, and what they looked like before
+app.get("/audit", authorize("admin"), validate(schemas.auditLog), asyncHandler(getAuditLog));
+
+// Deleted members, events and event types, until they are restored or purged
+app.get("/trash", authorize("admin"), validate(schemas.listTrash), asyncHandler(getTrash));
+
+// Unknown routes and errors thrown by the handlers get the JSON error response
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+app.listen(config.port, () => {
+  console.log(`✅ Server running on http://localhost:${config.port}`);
+  startBackgroundJobs();
 });
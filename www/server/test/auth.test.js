@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// The middleware imports the database pool, which needs its configuration but connects lazily
+process.env.DB_USER ||= "test";
+process.env.DB_NAME ||= "test";
+const { authorizeDeleted, authorizeMember } = await import("../middleware/auth.js");
+
+/**
+ * Runs a middleware on a request.
+ * @param {Function} middleware - The middleware.
+ * @param {Object} request - The request: its account, params and query.
+ * @returns {{status: number|null, body: Object|null, next: boolean}} The response, or whether it called next.
+ */
+function run(middleware, request) {
+    const result = { status: null, body: null, next: false };
+    const response = {
+        headersSent: false,
+        status(status) {
+            result.status = status;
+            return this;
+        },
+        json(body) {
+            result.body = body;
+        }
+    };
+    middleware({ params: {}, query: {}, ...request }, response, () => { result.next = true; });
+    return result;
+}
+
+const admin = { id: 1, role: "admin", memberId: null, eventTypes: [] };
+const member = { id: 2, role: "member", memberId: 5, eventTypes: [] };
+
+test("authorizeDeleted refuses deleted records to member accounts", () => {
+    const result = run(authorizeDeleted("admin"), { account: member, query: { includeDeleted: true } });
+    assert.equal(result.next, false);
+    assert.equal(result.status, 403);
+    assert.equal(result.body.error.code, "FORBIDDEN");
+});
+
+test("authorizeDeleted lets admins list deleted records", () => {
+    assert.equal(run(authorizeDeleted("admin"), { account: admin, query: { includeDeleted: true } }).next, true);
+});
+
+test("authorizeDeleted lets every account list the records that are not deleted", () => {
+    assert.equal(run(authorizeDeleted("admin"), { account: member, query: {} }).next, true);
+    assert.equal(run(authorizeDeleted("admin"), { account: member, query: { includeDeleted: false } }).next, true);
+});
+
+test("authorizeMember only lets member accounts act for their own member", () => {
+    const middleware = authorizeMember("memberId", "admin", "organiser");
+    assert.equal(run(middleware, { account: member, params: { memberId: "5" } }).next, true);
+    assert.equal(run(middleware, { account: member, params: { memberId: "6" } }).status, 403);
+    assert.equal(run(middleware, { account: admin, params: { memberId: "6" } }).next, true);
+});
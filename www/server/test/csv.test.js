@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, readCsv, writeCsv } from "../config/csv.js";
+
+test("parseCsv splits rows and values, skipping empty lines", () => {
+    assert.deepEqual(parseCsv("a,b\r\n1,2\n\n3,4\r\n"), [["a", "b"], ["1", "2"], ["3", "4"]]);
+});
+
+test("parseCsv reads quoted values with separators, quotes and line breaks", () => {
+    assert.deepEqual(parseCsv('name,notes\n"Silva, Ana","Diz ""olá""\nadeus"\n'), [
+        ["name", "notes"],
+        ["Silva, Ana", 'Diz "olá"\nadeus']
+    ]);
+});
+
+test("parseCsv uses semicolons when the header has more of them than commas", () => {
+    assert.deepEqual(parseCsv("nome;notas\nAna;1,5\n"), [["nome", "notas"], ["Ana", "1,5"]]);
+});
+
+test("parseCsv ignores a byte order mark", () => {
+    assert.deepEqual(parseCsv("\uFEFFname\nAna"), [["name"], ["Ana"]]);
+});
+
+test("readCsv keys the records by the trimmed, lower case header", () => {
+    assert.deepEqual(readCsv(" Name ,EMAIL\nAna,ana@example.com\nRui\n"), [
+        { name: "Ana", email: "ana@example.com" },
+        { name: "Rui", email: "" }
+    ]);
+});
+
+test("readCsv returns no records for empty text", () => {
+    assert.deepEqual(readCsv(""), []);
+});
+
+test("writeCsv quotes values when needed and writes null as empty", () => {
+    const text = writeCsv(["name", "notes", "phone"], [{ name: "Silva, Ana", notes: 'Diz "olá"', phone: null }]);
+    assert.equal(text, 'name,notes,phone\r\n"Silva, Ana","Diz ""olá""",\r\n');
+});
+
+test("writeCsv output reads back to the same records", () => {
+    const records = [
+        { name: "Ana; Rui", notes: "linha 1\nlinha 2", distance: "42" },
+        { name: "Eva", notes: '"citação"', distance: "" }
+    ];
+    assert.deepEqual(readCsv(writeCsv(["name", "notes", "distance"], records)), records);
+});
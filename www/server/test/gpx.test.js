@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseGpx, summariseRoute } from "../config/gpx.js";
+
+test("parseGpx reads the track points with their elevations", () => {
+    const text = `<?xml version="1.0"?>
+<gpx:gpx xmlns:gpx="http://www.topografix.com/GPX/1/1">
+  <gpx:trk><gpx:trkseg>
+    <gpx:trkpt lat="38.52" lon='-8.89'><gpx:ele> 12.5 </gpx:ele></gpx:trkpt>
+    <gpx:trkpt lon="-8.88" lat="38.53"/>
+    <gpx:trkpt lat="95" lon="-8.87"><gpx:ele>20</gpx:ele></gpx:trkpt>
+  </gpx:trkseg></gpx:trk>
+</gpx:gpx>`;
+    assert.deepEqual(parseGpx(text), [
+        { lat: 38.52, lon: -8.89, ele: 12.5 },
+        { lat: 38.53, lon: -8.88, ele: null }
+    ]);
+});
+
+test("parseGpx reads the route points of files without a track", () => {
+    const text = '<gpx><rte><rtept lat="1" lon="2"/><rtept lat="3" lon="4"><ele>5</ele></rtept></rte></gpx>';
+    assert.deepEqual(parseGpx(text), [{ lat: 1, lon: 2, ele: null }, { lat: 3, lon: 4, ele: 5 }]);
+});
+
+test("parseGpx returns no points for files without any", () => {
+    assert.deepEqual(parseGpx("<gpx><wpt lat=\"1\" lon=\"2\"/></gpx>"), []);
+    assert.deepEqual(parseGpx("not a gpx file"), []);
+});
+
+test("summariseRoute measures the distance along the great circle", () => {
+    const summary = summariseRoute([{ lat: 0, lon: 0, ele: null }, { lat: 1, lon: 0, ele: null }]);
+    assert.equal(summary.distance, 111195);
+    assert.equal(summary.elevationGain, null);
+    assert.deepEqual(summary.profile, []);
+    assert.deepEqual(summary.start, { lat: 0, lon: 0 });
+    assert.deepEqual(summary.end, { lat: 1, lon: 0 });
+});
+
+test("summariseRoute ignores changes of elevation under 3 metres until they add up", () => {
+    const points = [100, 101, 102, 104, 102, 108, 90].map(ele => ({ lat: 0, lon: 0, ele }));
+    assert.equal(summariseRoute(points).elevationGain, 8);
+});
+
+test("summariseRoute samples the profile down to 200 points, keeping the last", () => {
+    const points = Array.from({ length: 1000 }, (item, index) => ({ lat: index / 1000, lon: 0, ele: index }));
+    const { profile, distance } = summariseRoute(points);
+    assert.ok(profile.length <= 200);
+    assert.deepEqual(profile[0], { distance: 0, elevation: 0 });
+    assert.deepEqual(profile[profile.length - 1], { distance, elevation: 999 });
+});
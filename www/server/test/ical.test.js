@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calendar, escapeText, fold } from "../config/ical.js";
+
+const event = { id: 7, name: "Volta, à Serra; longa", type_name: "Passeio", day: "2026-10-18", sequence: 3, updated_at: "2026-10-01T10:00:00Z" };
+
+/**
+ * Returns the lines of a feed, unfolded.
+ * @param {string} feed - The feed.
+ * @returns {string[]} The content lines.
+ */
+function lines(feed) {
+    return feed.replace(/\r\n /g, "").split("\r\n");
+}
+
+test("escapeText escapes backslashes, separators and line breaks", () => {
+    assert.equal(escapeText("a\\b;c,d\ne"), "a\\\\b\\;c\\,d\\ne");
+});
+
+test("fold keeps lines within 75 octets, counting multibyte characters", () => {
+    const folded = fold(`SUMMARY:${"é".repeat(60)}`);
+    for (const line of folded.split("\r\n")) {
+        assert.ok(Buffer.byteLength(line) <= 75);
+    }
+    assert.equal(folded.replace(/\r\n /g, ""), `SUMMARY:${"é".repeat(60)}`);
+});
+
+test("fold leaves short lines alone", () => {
+    assert.equal(fold("VERSION:2.0"), "VERSION:2.0");
+});
+
+test("calendar writes all-day events with a stable UID and their sequence", () => {
+    const feed = calendar("ESTSBike - Eventos", [event]);
+    const content = lines(feed);
+
+    assert.ok(feed.endsWith("END:VCALENDAR\r\n"));
+    assert.equal(content[0], "BEGIN:VCALENDAR");
+    assert.ok(content.includes("X-WR-CALNAME:ESTSBike - Eventos"));
+    assert.ok(content.includes("UID:event-7@estsbike"));
+    assert.ok(content.includes("DTSTART;VALUE=DATE:20261018"));
+    assert.ok(content.includes("DTEND;VALUE=DATE:20261019"));
+    assert.ok(content.includes("SUMMARY:Volta\\, à Serra\\; longa"));
+    assert.ok(content.includes("SEQUENCE:3"));
+    assert.ok(content.includes("CATEGORIES:Passeio"));
+    assert.ok(content.includes("LAST-MODIFIED:20261001T100000Z"));
+    assert.ok(content.includes("STATUS:CONFIRMED"));
+});
+
+test("calendar ends events at the turn of the month and the year", () => {
+    const content = lines(calendar("Eventos", [{ ...event, day: "2026-12-31" }]));
+    assert.ok(content.includes("DTEND;VALUE=DATE:20270101"));
+});
+
+test("calendar marks cancelled and tentative events", () => {
+    const content = lines(calendar("Eventos", [
+        { ...event, id: 1, cancelled: 1 },
+        { ...event, id: 2, tentative: 1 }
+    ]));
+    assert.deepEqual(content.filter(line => line.startsWith("STATUS:")), ["STATUS:CANCELLED", "STATUS:TENTATIVE"]);
+});
+
+test("calendar leaves out the categories of events without a type", () => {
+    const content = lines(calendar("Eventos", [{ ...event, type_name: "" }]));
+    assert.ok(!content.some(line => line.startsWith("CATEGORIES:")));
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Dates read from the database are at midnight in the time zone of the server, here 3 hours behind UTC
+process.env.TZ = "America/Sao_Paulo";
+// The routes import the database pool, which needs its configuration but connects lazily
+process.env.DB_USER ||= "test";
+process.env.DB_NAME ||= "test";
+const { eventChanged } = await import("../routes/NotificationRoutes.js");
+const { render, formatDate, eventDay } = await import("../config/mail-templates.js");
+
+const previous = { name: "Volta à Serra", date: new Date(2026, 9, 18) };
+
+test("eventDay reads dates of the database in the time zone of the server", () => {
+    assert.equal(eventDay(new Date(2026, 9, 18)), "2026-10-18");
+    assert.equal(eventDay("2026-10-18"), "2026-10-18");
+});
+
+test("eventChanged finds no change when the day is the same", () => {
+    assert.equal(eventChanged(previous, { name: "Volta à Serra", date: "2026-10-18" }), false);
+});
+
+test("eventChanged finds changes of the day and of the name", () => {
+    assert.equal(eventChanged(previous, { name: "Volta à Serra", date: "2026-10-19" }), true);
+    assert.equal(eventChanged(previous, { name: "Volta à Arrábida", date: "2026-10-18" }), true);
+});
+
+test("formatDate writes the day of the event, whatever the time zone", () => {
+    assert.equal(formatDate("2026-10-18"), "domingo, 18 de outubro de 2026");
+    assert.equal(formatDate(new Date(2026, 9, 18)), "domingo, 18 de outubro de 2026");
+});
+
+test("the eventChanged email only lists what changed", () => {
+    const { text } = render("eventChanged", {
+        member: { name: "Ana" }, previous, event: { name: "Volta à Arrábida", date: "2026-10-18" }
+    });
+    assert.match(text, /- Nome: "Volta à Serra" passou a "Volta à Arrábida"/);
+    assert.doesNotMatch(text, /- Data:/);
+});
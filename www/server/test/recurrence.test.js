@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { occurrences, addDays, daysBetween, shiftWeekdays, maxOccurrences } from "../config/recurrence.js";
+
+test("addDays and daysBetween cross months, years and leap days", () => {
+    assert.equal(addDays("2026-12-31", 1), "2027-01-01");
+    assert.equal(addDays("2028-03-01", -1), "2028-02-29");
+    assert.equal(daysBetween("2026-10-18", "2026-11-01"), 14);
+    assert.equal(daysBetween("2026-11-01", "2026-10-18"), -14);
+});
+
+test("shiftWeekdays wraps around the week and keeps the weekdays in order", () => {
+    assert.deepEqual(shiftWeekdays([1, 3, 7], 1), [1, 2, 4]);
+    assert.deepEqual(shiftWeekdays([1], -1), [7]);
+    assert.deepEqual(shiftWeekdays([2, 5], 14), [2, 5]);
+});
+
+test("occurrences repeats weekly series on the weekday of the first event", () => {
+    assert.deepEqual(occurrences("2026-10-14", { frequency: "weekly", count: 3 }), {
+        days: ["2026-10-14", "2026-10-21", "2026-10-28"]
+    });
+});
+
+test("occurrences repeats weekly series on the chosen weekdays, every interval weeks, until a day", () => {
+    const rule = { frequency: "weekly", interval: 2, byWeekday: [3, 1], until: "2026-11-10" };
+    assert.deepEqual(occurrences("2026-10-14", rule), {
+        days: ["2026-10-14", "2026-10-26", "2026-10-28", "2026-11-09"]
+    });
+});
+
+test("occurrences skips the months without the day of the first event in monthly series", () => {
+    assert.deepEqual(occurrences("2026-01-31", { frequency: "monthly", count: 4 }), {
+        days: ["2026-01-31", "2026-03-31", "2026-05-31", "2026-07-31"]
+    });
+});
+
+test("occurrences leaves out the exceptions, which still count towards count", () => {
+    const rule = { frequency: "weekly", count: 3, exceptions: ["2026-10-21"] };
+    assert.deepEqual(occurrences("2026-10-14", rule), { days: ["2026-10-14", "2026-10-28"] });
+});
+
+test("occurrences refuses rules that cannot be used", () => {
+    assert.deepEqual(occurrences("2026-10-14", { frequency: "weekly" }), { error: "must have until or count" });
+    assert.deepEqual(occurrences("2026-10-14", { frequency: "weekly", until: "2026-10-13" }), {
+        error: "must not end before the date of the first event"
+    });
+    assert.deepEqual(occurrences("2026-10-14", { frequency: "monthly", count: 2, byWeekday: [1] }), {
+        error: "can only have byWeekday in weekly series"
+    });
+    assert.deepEqual(occurrences("2026-10-14", { frequency: "weekly", count: 1, exceptions: ["2026-10-14"] }), {
+        error: "has no events outside the exceptions"
+    });
+    assert.deepEqual(occurrences("2026-01-01", { frequency: "weekly", byWeekday: [1, 2, 3, 4, 5, 6, 7], until: "2027-12-31" }), {
+        error: `must not have more than ${maxOccurrences} events`
+    });
+});
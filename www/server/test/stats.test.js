@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { weekNumber, weekStreaks, statsMonths } from "../config/stats.js";
+
+test("weekNumber counts weeks from Monday to Sunday", () => {
+    assert.equal(weekNumber("1970-01-01"), 0);
+    assert.equal(weekNumber("2026-10-12"), weekNumber("2026-10-18"));
+    assert.equal(weekNumber("2026-10-19"), weekNumber("2026-10-18") + 1);
+});
+
+test("weekStreaks counts consecutive weeks, however many rides they have", () => {
+    const days = ["2026-09-07", "2026-09-14", "2026-09-16", "2026-09-21", "2026-10-05", "2026-10-12"];
+    assert.deepEqual(weekStreaks(days, "2026-10-14"), { longest_weeks: 3, current_weeks: 2 });
+});
+
+test("weekStreaks keeps the current streak going until the end of the week after the last ride", () => {
+    const days = ["2026-10-05", "2026-10-12"];
+    assert.equal(weekStreaks(days, "2026-10-18").current_weeks, 2);
+    assert.equal(weekStreaks(days, "2026-10-19").current_weeks, 2);
+    assert.equal(weekStreaks(days, "2026-10-26").current_weeks, 0);
+});
+
+test("weekStreaks continues streaks across the turn of the year", () => {
+    assert.deepEqual(weekStreaks(["2025-12-31", "2026-01-05"], "2026-01-06"), { longest_weeks: 2, current_weeks: 2 });
+});
+
+test("weekStreaks returns no streaks without rides", () => {
+    assert.deepEqual(weekStreaks([], "2026-10-18"), { longest_weeks: 0, current_weeks: 0 });
+});
+
+test("statsMonths lists the months of a season", () => {
+    const months = statsMonths(2025, "2026-10-18");
+    assert.equal(months.length, 12);
+    assert.equal(months[0], "2025-01");
+    assert.equal(months[11], "2025-12");
+});
+
+test("statsMonths lists the last twelve months without a season", () => {
+    const months = statsMonths(undefined, "2026-03-31");
+    assert.equal(months[0], "2025-04");
+    assert.equal(months[11], "2026-03");
+});
@@ -2,6 +2,14 @@ import { Navigation } from './components/Navigation.js';
 import { MembersView } from './views/MembersView.js';
 import { EventsView } from './views/EventsView.js';
 import { EventTypesView } from './views/EventTypesView.js';
+import { CalendarView } from './views/CalendarView.js';
+import { StatisticsView } from './views/StatisticsView.js';
+import { FeesView } from './views/FeesView.js';
+import { TrashView } from './views/TrashView.js';
+import { LoginView } from './views/LoginView.js';
+import { api } from './services/ApiClient.js';
+import { AuthService } from './services/AuthService.js';
+import { router } from './Router.js';
 
 /**
  * App class that manages the main application logic.
@@ -18,9 +26,39 @@ export class App {
     }
 
     /**
-     * Initializes the app, sets up the navigation, and shows the default view.
+     * Initializes the app, restoring the previous session if it is still valid,
+     * or showing the login screen otherwise.
      */
     init() {
+        api.onUnauthorized = () => this.showLogin();
+        AuthService.restore().then(loggedIn => {
+            if (loggedIn) {
+                this.showApp();
+            } else {
+                this.showLogin();
+            }
+        });
+    }
+
+    /**
+     * Shows the login screen in place of the application.
+     */
+    showLogin() {
+        router.stop();
+        if (this.currentView) {
+            this.currentView.destroy();
+            this.currentView = null;
+        }
+        AuthService.clear();
+        this.container.textContent = '';
+        this.container.appendChild(new LoginView(() => this.showApp()).element);
+    }
+
+    /**
+     * Sets up the navigation and starts the router, once logged in. The view of
+     * the current URL is shown, so links to a record survive the login screen.
+     */
+    showApp() {
         this.navigation = new Navigation(this);
         this.container.textContent = '';
         this.container.appendChild(this.navigation.element);
@@ -29,28 +67,109 @@ export class App {
         this.mainContent.className = 'main-content';
         this.container.appendChild(this.mainContent);
 
-        this.showMembers();
+        router.start(this.createRoutes(), () => router.navigate('/members', { replace: true }));
+    }
+
+    /**
+     * Creates the routes of each section: the list, the form to create a record,
+     * a selected record and the form to edit it. The query keeps the search, filters,
+     * sorting and page of the list, e.g. '#/events?typeId=3'.
+     * @returns {Object<string, Function>} The route handlers, by path.
+     */
+    createRoutes() {
+        const sections = {
+            members: (state) => this.showMembers(state),
+            events: (state) => this.showEvents(state),
+            'event-types': (state) => this.showEventTypes(state)
+        };
+        const routes = {
+            '/': () => router.navigate('/members', { replace: true }),
+            '/calendar': (params, query) => this.showCalendar({ query }),
+            '/stats': (params, query) => this.showStatistics({ query }),
+            '/stats/:id': (params, query) => this.showStatistics({ query, selectedId: parseInt(params.id) || null }),
+            '/fees': (params, query) => this.showFees({ query }),
+            '/fees/:id': (params, query) => this.showFees({ query, selectedId: parseInt(params.id) || null }),
+            '/trash': (params, query) => this.showTrash({ query })
+        };
+        Object.entries(sections).forEach(([section, show]) => {
+            routes[`/${section}`] = (params, query) => show({ query });
+            routes[`/${section}/new`] = (params, query) => show({ query, form: 'new' });
+            routes[`/${section}/:id`] = (params, query) => show({ query, selectedId: parseInt(params.id) || null });
+            routes[`/${section}/:id/edit`] = (params, query) => show({ query, selectedId: parseInt(params.id) || null, form: 'edit' });
+        });
+        routes['/events/:id/attendance'] = (params, query) => this.showEvents({ query, selectedId: parseInt(params.id) || null, form: 'attendance' });
+        return routes;
+    }
+
+    /**
+     * Logs out and goes back to the login screen.
+     */
+    async logout() {
+        await AuthService.logout();
+        this.showLogin();
     }
 
     /**
      * Displays the Members view.
+     * @param {Object} [state={}] - The state of the view, restored from the URL.
      */
-    showMembers() {
-        this.setView(new MembersView());
+    showMembers(state = {}) {
+        this.setView(new MembersView(state));
+        this.navigation.setActive('members');
     }
 
     /**
      * Displays the Events view.
+     * @param {Object} [state={}] - The state of the view, restored from the URL.
      */
-    showEvents() {
-        this.setView(new EventsView());
+    showEvents(state = {}) {
+        this.setView(new EventsView(state));
+        this.navigation.setActive('events');
     }
 
     /**
      * Displays the Event Types view.
+     * @param {Object} [state={}] - The state of the view, restored from the URL.
+     */
+    showEventTypes(state = {}) {
+        this.setView(new EventTypesView(state));
+        this.navigation.setActive('event-types');
+    }
+
+    /**
+     * Displays the Calendar view.
+     * @param {Object} [state={}] - The state of the view, restored from the URL.
+     */
+    showCalendar(state = {}) {
+        this.setView(new CalendarView(state));
+        this.navigation.setActive('calendar');
+    }
+
+    /**
+     * Displays the Statistics view.
+     * @param {Object} [state={}] - The state of the view, restored from the URL.
+     */
+    showStatistics(state = {}) {
+        this.setView(new StatisticsView(state));
+        this.navigation.setActive('stats');
+    }
+
+    /**
+     * Displays the Fees view.
+     * @param {Object} [state={}] - The state of the view, restored from the URL.
+     */
+    showFees(state = {}) {
+        this.setView(new FeesView(state));
+        this.navigation.setActive('fees');
+    }
+
+    /**
+     * Displays the Trash view.
+     * @param {Object} [state={}] - The state of the view, restored from the URL.
      */
-    showEventTypes() {
-        this.setView(new EventTypesView());
+    showTrash(state = {}) {
+        this.setView(new TrashView(state));
+        this.navigation.setActive('trash');
     }
 
     /**
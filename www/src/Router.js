@@ -0,0 +1,133 @@
+/**
+ * Hash-based router. Routes are paths such as '/events/:id/edit', matched against
+ * the part of the URL after '#', with an optional query string ('#/events?typeId=3').
+ * Changing the hash, following a link or using back/forward runs the matching route.
+ */
+class Router {
+    /**
+     * Creates an instance of the Router, with no routes until it is started.
+     */
+    constructor() {
+        this.routes = [];
+        this.onNotFound = null;
+        this.onHashChange = () => this.resolve();
+    }
+
+    /**
+     * Starts listening to hash changes and runs the route of the current URL.
+     *
+     * @param {Object<string, Function>} routes - Maps route paths to handlers, called with the path parameters and the query.
+     * @param {Function} onNotFound - Called when no route matches the URL.
+     */
+    start(routes, onNotFound) {
+        this.routes = Object.entries(routes).map(([path, handler]) => ({ ...this.compile(path), handler }));
+        this.onNotFound = onNotFound;
+        window.addEventListener('hashchange', this.onHashChange);
+        this.resolve();
+    }
+
+    /**
+     * Stops listening to hash changes, e.g. after logging out.
+     */
+    stop() {
+        window.removeEventListener('hashchange', this.onHashChange);
+        this.routes = [];
+    }
+
+    /**
+     * Converts a route path into a regular expression capturing its parameters.
+     *
+     * @param {string} path - The route path, with parameters as ':name'.
+     *
+     * @returns {{pattern: RegExp, names: string[]}} The expression and the names of the parameters.
+     */
+    compile(path) {
+        const names = [];
+        const source = path.split('/').map(part => {
+            if (part.startsWith(':')) {
+                names.push(part.slice(1));
+                return '([^/]+)';
+            }
+            return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('/');
+        return { pattern: new RegExp(`^${source}/?$`), names };
+    }
+
+    /**
+     * Reads the path and the query of the current URL.
+     *
+     * @returns {{path: string, query: Object<string, string>}} The path and the query parameters.
+     */
+    current() {
+        const hash = window.location.hash.replace(/^#/, '') || '/';
+        const [path, queryString = ''] = hash.split('?');
+        return { path, query: Object.fromEntries(new URLSearchParams(queryString)) };
+    }
+
+    /**
+     * Runs the route matching the current URL.
+     */
+    resolve() {
+        const { path, query } = this.current();
+        for (const route of this.routes) {
+            const match = route.pattern.exec(path);
+            if (match) {
+                const params = Object.fromEntries(route.names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+                route.handler(params, query);
+                return;
+            }
+        }
+        this.onNotFound?.(path);
+    }
+
+    /**
+     * Builds a route URL from a path and query parameters, leaving out empty and default values.
+     *
+     * @param {string} path - The path, e.g. '/events'.
+     * @param {Object} [query={}] - The query parameters.
+     * @param {Object} [defaults={}] - Default values, left out of the query string.
+     *
+     * @returns {string} The path with its query string, e.g. '/events?typeId=3'.
+     */
+    build(path, query = {}, defaults = {}) {
+        const params = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '' && String(value) !== String(defaults[key] ?? '')) {
+                params.append(key, value);
+            }
+        });
+        const queryString = params.toString();
+        return queryString ? `${path}?${queryString}` : path;
+    }
+
+    /**
+     * Goes to a route, running its handler.
+     *
+     * @param {string} path - The route path, with its query string.
+     * @param {Object} [options={}] - Use `replace: true` to replace the current history entry.
+     */
+    navigate(path, { replace = false } = {}) {
+        if (replace) {
+            window.history.replaceState(null, '', `#${path}`);
+            this.resolve();
+        } else if (window.location.hash === `#${path}`) {
+            this.resolve();
+        } else {
+            window.location.hash = path;
+        }
+    }
+
+    /**
+     * Records a route in the URL and the history without running its handler, for views
+     * that already show the state of the route. Going back returns to the previous state.
+     *
+     * @param {string} path - The route path, with its query string.
+     */
+    update(path) {
+        if (window.location.hash !== `#${path}`) {
+            window.history.pushState(null, '', `#${path}`);
+        }
+    }
+}
+
+export const router = new Router();
@@ -0,0 +1,161 @@
+import { toast } from './Toast.js';
+import { EventStore, registrationStatusLabels } from '../models/Event.js';
+
+/**
+ * AttendanceSheet class lists the members registered in an event, with a checkbox
+ * for each one: checked members are recorded as present and the others as missing.
+ * Cancelled registrations are shown without a checkbox and left unchanged.
+ *
+ * @class AttendanceSheet
+ */
+export class AttendanceSheet {
+    /**
+     * Creates an instance of the AttendanceSheet.
+     *
+     * @param {Event} event - The event, from its day onwards.
+     * @param {Function} onSaved - Callback called after the attendance is saved.
+     * @param {Function} onCancel - Callback called when the sheet is closed without saving.
+     */
+    constructor(event, onSaved, onCancel) {
+        this.event = event;
+        this.onSaved = onSaved;
+        this.onCancel = onCancel;
+        this.checkboxes = new Map();  // Checkbox of each member that can be checked in, by member ID
+        this.element = this.createElement();
+    }
+
+    /**
+     * Creates the sheet, with the list filled in once the registrations are loaded.
+     *
+     * @returns {HTMLElement} The sheet element.
+     */
+    createElement() {
+        const sheet = document.createElement('div');
+        sheet.className = 'form attendance-sheet';
+
+        const title = document.createElement('h3');
+        title.textContent = `Presenças - ${this.event.name} (${this.event.date.toLocaleDateString()})`;
+
+        this.list = document.createElement('div');
+        this.list.className = 'attendance-list';
+        this.list.textContent = 'A carregar...';
+
+        const actions = document.createElement('div');
+        actions.className = 'form-actions';
+
+        const allBtn = document.createElement('button');
+        allBtn.type = 'button';
+        allBtn.textContent = 'Marcar todos';
+        allBtn.className = 'btn-secondary';
+        allBtn.onclick = () => this.checkAll(true);
+
+        const noneBtn = document.createElement('button');
+        noneBtn.type = 'button';
+        noneBtn.textContent = 'Desmarcar todos';
+        noneBtn.className = 'btn-secondary';
+        noneBtn.onclick = () => this.checkAll(false);
+
+        this.saveBtn = document.createElement('button');
+        this.saveBtn.type = 'button';
+        this.saveBtn.textContent = 'Gravar';
+        this.saveBtn.className = 'btn-primary';
+        this.saveBtn.disabled = true;
+        this.saveBtn.onclick = () => this.save();
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.textContent = 'Cancelar';
+        cancelBtn.className = 'btn-secondary';
+        cancelBtn.onclick = () => this.onCancel();
+
+        actions.append(allBtn, noneBtn, this.saveBtn, cancelBtn);
+        sheet.append(title, this.list, actions);
+
+        this.load();
+        return sheet;
+    }
+
+    /**
+     * Loads the registrations of the event and shows a row for each member.
+     */
+    async load() {
+        try {
+            const registrations = await EventStore.getAttendance(this.event.id);
+            this.list.textContent = '';
+
+            if (!registrations.length) {
+                this.list.textContent = 'Não há membros inscritos neste evento.';
+                return;
+            }
+
+            registrations.forEach(({ memberId, name, status }) => {
+                const row = document.createElement('label');
+                row.className = 'attendance-row';
+
+                const nameText = document.createElement('span');
+                nameText.textContent = name;
+
+                const statusText = document.createElement('span');
+                statusText.className = `attendance-status status-${status}`;
+                statusText.textContent = registrationStatusLabels[status];
+
+                if (status === 'cancelled') {
+                    row.classList.add('cancelled');
+                    row.append(document.createElement('span'), nameText, statusText);
+                } else {
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.checked = status === 'attended';
+                    this.checkboxes.set(memberId, checkbox);
+                    row.append(checkbox, nameText, statusText);
+                }
+                this.list.appendChild(row);
+            });
+            this.saveBtn.disabled = this.checkboxes.size === 0;
+        } catch (error) {
+            console.error('Error fetching attendance:', error);
+            this.list.textContent = '';
+            toast.error(`Erro ao carregar presenças: ${error.message}`);
+        }
+    }
+
+    /**
+     * Checks or unchecks every member.
+     *
+     * @param {boolean} checked - Whether the members are present.
+     */
+    checkAll(checked) {
+        this.checkboxes.forEach(checkbox => {
+            checkbox.checked = checked;
+        });
+    }
+
+    /**
+     * Saves the attendance: checked members as present and the others as missing.
+     */
+    async save() {
+        const attendance = Array.from(this.checkboxes, ([memberId, checkbox]) => ({
+            memberId,
+            status: checkbox.checked ? 'attended' : 'no-show'
+        }));
+        try {
+            await EventStore.updateAttendance(this.event.id, attendance);
+            const present = attendance.filter(({ status }) => status === 'attended').length;
+            toast.success(`Presenças gravadas: ${present} de ${attendance.length} membros presentes.`);
+            this.onSaved();
+        } catch (error) {
+            console.error('Error saving attendance:', error);
+            toast.error(`Erro ao gravar presenças: ${error.message}`);
+        }
+    }
+
+    /**
+     * Shows the sheet inside a container, replacing its content.
+     *
+     * @param {HTMLElement} container - The container element.
+     */
+    show(container) {
+        container.innerHTML = '';
+        container.appendChild(this.element);
+    }
+}
@@ -1,3 +1,39 @@
+/**
+ * Highlights the fields of a form rejected by the server, showing the message of each one
+ * below the field. Fields are found by their name, or by a `data-field` attribute.
+ * 
+ * @param {HTMLFormElement} form - The form element.
+ * @param {Array<{field: string, message: string}>} errors - The invalid fields, as returned by the API.
+ * @param {Object} [fieldNames={}] - Maps API field names to the names of the form fields, when they differ.
+ */
+export function showFieldErrors(form, errors, fieldNames = {}) {
+    clearFieldErrors(form);
+    errors.forEach(({ field, message }) => {
+        const name = fieldNames[field] || field;
+        const input = form.querySelector(`[name="${name}"], [data-field="${name}"]`);
+        const group = input?.closest('.form-group');
+        if (!group) {
+            return;
+        }
+        input.classList.add('invalid');
+
+        const text = document.createElement('span');
+        text.className = 'field-error';
+        text.textContent = message;
+        group.appendChild(text);
+    });
+}
+
+/**
+ * Removes the highlights added by showFieldErrors.
+ * 
+ * @param {HTMLFormElement} form - The form element.
+ */
+export function clearFieldErrors(form) {
+    form.querySelectorAll('.field-error').forEach(text => text.remove());
+    form.querySelectorAll('.invalid').forEach(input => input.classList.remove('invalid'));
+}
+
 /**
  * BaseForm class creates and manages a simple form with fields, submit, and cancel actions.
  * 
@@ -15,6 +51,7 @@ export class BaseForm {
         this.title = title;
         this.onSubmit = onSubmit;
         this.onCancel = onCancel;
+        this.multipleFields = new Set();  // Names of the fields with several values, such as checkboxes
         this.element = this.createElement();
     }
 
@@ -55,6 +92,9 @@ export class BaseForm {
             e.preventDefault();
             const formData = new FormData(form);
             const data = Object.fromEntries(formData.entries());
+            this.multipleFields.forEach(name => {
+                data[name] = formData.getAll(name);
+            });
             this.onSubmit(data);
         };
 
@@ -66,9 +106,10 @@ export class BaseForm {
      * 
      * @param {string} name - The name of the field (used as the input's name and ID).
      * @param {string} label - The label text for the field.
-     * @param {string} [type='text'] - The type of the field (e.g., 'text', 'select', etc.).
+     * @param {string} [type='text'] - The type of the field (e.g., 'text', 'select', 'textarea', etc.).
      * @param {string} [value=''] - The initial value for the field.
      * @param {Array<{value: string, label: string}>} [options=null] - An array of option objects for 'select' fields.
+     * @returns {HTMLElement} The input element of the field.
      */
     addField(name, label, type = 'text', value = '', options = null) {
         const container = document.createElement('div');
@@ -88,6 +129,9 @@ export class BaseForm {
                 optElement.textContent = option.label;
                 input.appendChild(optElement);
             });
+        } else if (type === 'textarea') {
+            input = document.createElement('textarea');
+            input.rows = 3;
         } else {
             input = document.createElement('input');
             input.type = type;
@@ -99,6 +143,62 @@ export class BaseForm {
         container.appendChild(input);
 
         this.element.querySelector('.form-fields').appendChild(container);
+        return input;
+    }
+
+    /**
+     * Adds a group of checkboxes sharing a name, submitted as an array of the checked values.
+     * 
+     * @param {string} name - The name of the checkboxes.
+     * @param {string} label - The label text for the group.
+     * @param {Array<{value: string, label: string}>} options - The checkboxes.
+     * @param {string[]} [values=[]] - The values checked initially.
+     * @returns {HTMLElement} The container of the checkboxes.
+     */
+    addCheckboxes(name, label, options, values = []) {
+        const container = document.createElement('div');
+        container.className = 'form-group';
+
+        const labelElement = document.createElement('label');
+        labelElement.textContent = label;
+        container.appendChild(labelElement);
+
+        const checkboxes = document.createElement('div');
+        checkboxes.className = 'checkboxes-container';
+        checkboxes.dataset.field = name;
+        options.forEach(option => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'checkbox-wrapper';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.name = name;
+            checkbox.value = option.value;
+            checkbox.id = `${name}-${option.value}`;
+            checkbox.checked = values.includes(option.value);
+
+            const optionLabel = document.createElement('label');
+            optionLabel.htmlFor = checkbox.id;
+            optionLabel.textContent = option.label;
+
+            wrapper.append(checkbox, optionLabel);
+            checkboxes.appendChild(wrapper);
+        });
+        container.appendChild(checkboxes);
+
+        this.multipleFields.add(name);
+        this.element.querySelector('.form-fields').appendChild(container);
+        return checkboxes;
+    }
+
+    /**
+     * Highlights the fields rejected by the server.
+     * 
+     * @param {Array<{field: string, message: string}>} errors - The invalid fields, as returned by the API.
+     * @param {Object} [fieldNames={}] - Maps API field names to the names of the form fields, when they differ.
+     */
+    showErrors(errors, fieldNames = {}) {
+        showFieldErrors(this.element, errors, fieldNames);
     }
 
     /**
@@ -1,3 +1,5 @@
+import { router } from '../Router.js';
+
 /**
  * BaseView class is a base class for creating views that display content
  * within a section element. It handles the creation of the section and title, 
@@ -10,13 +12,24 @@ export class BaseView {
      * Creates an instance of the BaseView.
      * 
      * @param {string} title - The title of the view.
+     * @param {Object} [state={}] - The initial state of the view, e.g. restored from the URL.
      */
-    constructor(title) {
+    constructor(title, state = {}) {
         this.element = this.createElement();
         this.title = title;
+        this.setup(state);
         this.init();
     }
 
+    /**
+     * This method can be overridden by subclasses to set up their state
+     * before the content is created. By default, it does nothing.
+     * 
+     * @param {Object} state - The initial state of the view.
+     */
+    setup(state) {
+    }
+
     /**
      * Creates the main HTML element (a section) for the view.
      * 
@@ -30,14 +43,14 @@ export class BaseView {
 
     /**
      * Initializes the view by creating the title and calling the method
-     * to create the content.
+     * to create the content. `ready` resolves once the content is created.
      */
     init() {
         const title = document.createElement('h2');
         title.textContent = this.title;
         this.element.appendChild(title);
 
-        this.createContent();
+        this.ready = Promise.resolve(this.createContent());
     }
 
     /**
@@ -47,6 +60,27 @@ export class BaseView {
     createContent() {
     }
 
+    /**
+     * This method can be overridden by subclasses to return the route that
+     * restores their current state, e.g. '/events/5/edit'. By default, it returns null.
+     * 
+     * @returns {string|null} The route path, with its query string.
+     */
+    getRoute() {
+        return null;
+    }
+
+    /**
+     * Records the current state of the view in the URL, so it can be shared,
+     * reloaded, and restored with back/forward.
+     */
+    updateRoute() {
+        const route = this.getRoute();
+        if (route) {
+            router.update(route);
+        }
+    }
+
     /**
      * This method can be overridden by subclasses to clean up or destroy 
      * the view when it is no longer needed. By default, it does nothing.
@@ -0,0 +1,103 @@
+import { toast } from './Toast.js';
+import { AuthService } from '../services/AuthService.js';
+
+/**
+ * CalendarSubscription class shows the address of a calendar feed, which calendar
+ * applications subscribe to so they keep following the events. The address carries a
+ * new calendar token of the account, created on request, as the server cannot show
+ * the previous one again.
+ *
+ * @class CalendarSubscription
+ */
+export class CalendarSubscription {
+    /**
+     * Creates an instance of the CalendarSubscription.
+     *
+     * @param {string} title - The title of the panel.
+     * @param {Function} getUrl - Returns the address of the feed for a calendar token.
+     * @param {Function} onClose - Callback called when the panel is closed.
+     */
+    constructor(title, getUrl, onClose) {
+        this.title = title;
+        this.getUrl = getUrl;
+        this.onClose = onClose;
+        this.element = this.createElement();
+    }
+
+    /**
+     * Creates the panel, with the button that creates the address.
+     *
+     * @returns {HTMLElement} The panel element.
+     */
+    createElement() {
+        const panel = document.createElement('div');
+        panel.className = 'form calendar-subscription';
+
+        const title = document.createElement('h3');
+        title.textContent = this.title;
+
+        const help = document.createElement('p');
+        help.className = 'import-help';
+        help.textContent = 'Adicione este endereço à sua aplicação de calendário para receber os eventos e as suas alterações. ' +
+            'Criar um novo endereço desativa o anterior, em todos os calendários onde foi adicionado.';
+
+        this.address = document.createElement('div');
+
+        const createBtn = document.createElement('button');
+        createBtn.type = 'button';
+        createBtn.className = 'btn-primary';
+        createBtn.textContent = 'Criar endereço';
+        createBtn.onclick = () => this.createAddress(createBtn);
+
+        const closeBtn = document.createElement('button');
+        closeBtn.type = 'button';
+        closeBtn.className = 'btn-secondary';
+        closeBtn.textContent = 'Fechar';
+        closeBtn.onclick = () => this.onClose();
+
+        const actions = document.createElement('div');
+        actions.className = 'form-actions';
+        actions.append(createBtn, closeBtn);
+
+        panel.append(title, help, this.address, actions);
+        return panel;
+    }
+
+    /**
+     * Creates a new calendar token and shows the address of the feed with it.
+     *
+     * @param {HTMLButtonElement} button - The button that creates the address, renamed once it exists.
+     */
+    async createAddress(button) {
+        try {
+            const url = this.getUrl(await AuthService.createCalendarToken());
+            this.address.textContent = '';
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.readOnly = true;
+            input.value = url;
+            input.onfocus = () => input.select();
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.textContent = 'Abrir na aplicação de calendário';
+
+            this.address.append(input, link);
+            button.textContent = 'Criar novo endereço';
+        } catch (error) {
+            console.error('Error creating calendar token:', error);
+            toast.error(`Erro ao criar o endereço do calendário: ${error.message}`);
+        }
+    }
+
+    /**
+     * Renders the panel inside a container, replacing its content.
+     *
+     * @param {HTMLElement} container - The container element.
+     */
+    show(container) {
+        container.innerHTML = '';
+        container.appendChild(this.element);
+    }
+}
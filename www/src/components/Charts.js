@@ -0,0 +1,91 @@
+const svgNamespace = 'http://www.w3.org/2000/svg';
+
+/**
+ * Creates an SVG element.
+ *
+ * @param {string} name - The name of the element.
+ * @param {Object} attributes - The attributes of the element.
+ * @returns {SVGElement} The element.
+ */
+export function svgElement(name, attributes) {
+    const element = document.createElementNS(svgNamespace, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+}
+
+/**
+ * Creates an SVG text element.
+ *
+ * @param {string} text - The text.
+ * @param {Object} attributes - The attributes of the element, such as its position.
+ * @returns {SVGElement} The element, with the class 'chart-label'.
+ */
+function svgText(text, attributes) {
+    const element = svgElement('text', { class: 'chart-label', ...attributes });
+    element.textContent = text;
+    return element;
+}
+
+/**
+ * Draws a vertical bar chart, with the label of each bar below it and its value above it.
+ *
+ * @param {Array<{label: string, value: number}>} items - The bars.
+ * @param {Object} [options] - The drawing options.
+ * @param {Function} [options.format=String] - Formats the values shown above the bars.
+ * @param {string} [options.title=''] - The accessible name of the chart.
+ * @returns {SVGElement} The SVG of the chart.
+ */
+export function barChart(items, { format = String, title = '' } = {}) {
+    const width = 600;
+    const height = 180;
+    const top = 18;
+    const bottom = 22;
+    const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart', role: 'img', 'aria-label': title });
+
+    const highest = Math.max(...items.map(item => item.value), 1);
+    const slot = width / Math.max(items.length, 1);
+    const barWidth = slot * 0.7;
+    items.forEach((item, index) => {
+        const x = index * slot + (slot - barWidth) / 2;
+        const barHeight = item.value / highest * (height - top - bottom);
+        const y = height - bottom - barHeight;
+        svg.append(
+            svgElement('rect', { x, y, width: barWidth, height: barHeight, class: 'chart-bar' }),
+            svgText(item.label, { x: x + barWidth / 2, y: height - 6, 'text-anchor': 'middle' })
+        );
+        if (item.value) {
+            svg.appendChild(svgText(format(item.value), { x: x + barWidth / 2, y: y - 4, 'text-anchor': 'middle' }));
+        }
+    });
+    return svg;
+}
+
+/**
+ * Draws a horizontal bar chart, one row per item, with the label on the left and the value on the right.
+ *
+ * @param {Array<{label: string, value: number}>} items - The bars.
+ * @param {Object} [options] - The drawing options.
+ * @param {Function} [options.format=String] - Formats the values shown after the bars.
+ * @param {string} [options.title=''] - The accessible name of the chart.
+ * @returns {SVGElement} The SVG of the chart.
+ */
+export function horizontalBarChart(items, { format = String, title = '' } = {}) {
+    const width = 600;
+    const rowHeight = 26;
+    const labelWidth = 160;
+    const valueWidth = 80;
+    const height = Math.max(items.length, 1) * rowHeight;
+    const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart', role: 'img', 'aria-label': title });
+
+    const highest = Math.max(...items.map(item => item.value), 1);
+    items.forEach((item, index) => {
+        const y = index * rowHeight;
+        const barWidth = item.value / highest * (width - labelWidth - valueWidth);
+        svg.append(
+            svgText(item.label, { x: labelWidth - 8, y: y + rowHeight / 2 + 4, 'text-anchor': 'end' }),
+            svgElement('rect', { x: labelWidth, y: y + 4, width: barWidth, height: rowHeight - 8, class: 'chart-bar' }),
+            svgText(format(item.value), { x: labelWidth + barWidth + 6, y: y + rowHeight / 2 + 4, 'text-anchor': 'start' })
+        );
+    });
+    return svg;
+}
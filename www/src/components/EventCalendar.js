@@ -0,0 +1,401 @@
+import { toast } from './Toast.js';
+import { EventStore } from '../models/Event.js';
+import { EventTypeStore, difficultyLabels, formatDuration } from '../models/EventType.js';
+import { AuthService } from '../services/AuthService.js';
+
+// Colours of the event types without a colour of their own, assigned in turn by type ID
+const typeColors = ['#009688', '#FF5722', '#3F51B5', '#8BC34A', '#9C27B0', '#FFC107', '#795548', '#E91E63'];
+const weekdays = ['Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb', 'Dom'];
+const dayLength = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the colour of an event type: its own, or one assigned by its ID.
+ *
+ * @param {number} typeId - The ID of the event type.
+ * @param {string|null} [color=null] - The colour of the event type, if it has one.
+ *
+ * @returns {string} The CSS colour.
+ */
+export function typeColor(typeId, color = null) {
+    return color || typeColors[(Math.max(1, typeId) - 1) % typeColors.length];
+}
+
+/**
+ * Converts a date to its day, as 'YYYY-MM-DD', the way the API stores event dates.
+ *
+ * @param {Date} date - The date.
+ *
+ * @returns {string} The day of the date.
+ */
+function dayKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Adds days to a day.
+ *
+ * @param {string} day - The day, as 'YYYY-MM-DD'.
+ * @param {number} days - The number of days to add, negative to go back.
+ *
+ * @returns {string} The resulting day.
+ */
+function addDays(day, days) {
+    return dayKey(new Date(Date.parse(day) + days * dayLength));
+}
+
+/**
+ * Returns the Monday of the week of a day.
+ *
+ * @param {string} day - The day, as 'YYYY-MM-DD'.
+ *
+ * @returns {string} The Monday of its week.
+ */
+function startOfWeek(day) {
+    return addDays(day, -((new Date(day).getUTCDay() + 6) % 7));
+}
+
+/**
+ * EventCalendar class shows the events in a month or week grid, coloured by event type.
+ * Clicking an event shows its details, and admins and organisers can drag an event
+ * to another day to reschedule it.
+ *
+ * @class EventCalendar
+ */
+export class EventCalendar {
+    /**
+     * Creates an instance of the EventCalendar.
+     *
+     * @param {Object} [options={}] - The options of the calendar.
+     * @param {string} [options.mode='month'] - The layout: 'month' or 'week'.
+     * @param {string} [options.date] - A day of the month or week to show, as 'YYYY-MM-DD'. Defaults to today.
+     * @param {Object} [options.filters={}] - Filters of the events, as accepted by EventStore.list (typeId, q).
+     * @param {Function} [options.onChange] - Callback called with `{ mode, date }` when moving to another month or week.
+     * @param {Function} [options.onOpen] - Callback called with the event to open from its details.
+     */
+    constructor({ mode = 'month', date = '', filters = {}, onChange = () => {}, onOpen = () => {} } = {}) {
+        this.mode = mode === 'week' ? 'week' : 'month';
+        this.date = date && !isNaN(Date.parse(date)) ? dayKey(new Date(date)) : dayKey(new Date());
+        this.filters = filters;
+        this.onChange = onChange;
+        this.onOpen = onOpen;
+        this.canReschedule = AuthService.hasRole('admin', 'organiser');
+        this.element = document.createElement('div');
+        this.element.className = 'calendar';
+        this.ready = this.render();
+    }
+
+    /**
+     * Returns the first and last day shown, whole weeks from Monday to Sunday.
+     *
+     * @returns {{from: string, to: string}} The days, as 'YYYY-MM-DD'.
+     */
+    getRange() {
+        if (this.mode === 'week') {
+            const from = startOfWeek(this.date);
+            return { from, to: addDays(from, 6) };
+        }
+        const first = `${this.date.slice(0, 7)}-01`;
+        const next = new Date(first);
+        next.setUTCMonth(next.getUTCMonth() + 1);
+        const last = addDays(dayKey(next), -1);
+        return { from: startOfWeek(first), to: addDays(startOfWeek(last), 6) };
+    }
+
+    /**
+     * Returns the title of the month or week shown, e.g. 'outubro de 2026'.
+     *
+     * @returns {string} The title.
+     */
+    getTitle() {
+        const format = (day, options) => new Date(day).toLocaleDateString('pt-PT', { timeZone: 'UTC', ...options });
+        if (this.mode === 'week') {
+            const { from, to } = this.getRange();
+            return `${format(from, { day: 'numeric', month: 'short' })} – ${format(to, { day: 'numeric', month: 'short', year: 'numeric' })}`;
+        }
+        return format(this.date, { month: 'long', year: 'numeric' });
+    }
+
+    /**
+     * Moves to another month or week, or changes the layout, and shows it.
+     *
+     * @param {Object} changes - The new `mode` and/or `date`.
+     */
+    go(changes) {
+        Object.assign(this, changes);
+        this.onChange({ mode: this.mode, date: this.date });
+        this.ready = this.render();
+    }
+
+    /**
+     * Moves one month or week backwards or forwards.
+     *
+     * @param {number} step - -1 to go back, 1 to go forward.
+     */
+    move(step) {
+        if (this.mode === 'week') {
+            this.go({ date: addDays(this.date, step * 7) });
+        } else {
+            const date = new Date(`${this.date.slice(0, 7)}-01`);
+            date.setUTCMonth(date.getUTCMonth() + step);
+            this.go({ date: dayKey(date) });
+        }
+    }
+
+    /**
+     * Fetches the events of the days shown and recreates the calendar.
+     *
+     * @returns {Promise<void>} A promise that resolves once the calendar is shown.
+     */
+    async render() {
+        const { from, to } = this.getRange();
+        let events = [];
+        let eventTypes = [];
+        try {
+            [{ items: events }, eventTypes] = await Promise.all([
+                EventStore.list({ ...this.filters, from, to, sort: 'date' }),
+                EventTypeStore.getAll()
+            ]);
+        } catch (error) {
+            console.error('Error fetching calendar events:', error);
+            toast.error(`Erro ao carregar o calendário: ${error.message}`);
+        }
+
+        this.element.textContent = '';
+        this.element.append(this.createToolbar(), this.createGrid(from, to, events), this.createLegend(eventTypes));
+
+        this.details = document.createElement('div');
+        this.details.className = 'calendar-details';
+        this.element.appendChild(this.details);
+    }
+
+    /**
+     * Creates the buttons to move between months or weeks and to change the layout.
+     *
+     * @returns {HTMLElement} The toolbar.
+     */
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'calendar-toolbar';
+
+        const button = (text, onclick, active = false) => {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.textContent = text;
+            element.onclick = onclick;
+            element.classList.toggle('active', active);
+            return element;
+        };
+
+        const title = document.createElement('h3');
+        title.textContent = this.getTitle();
+
+        const modes = document.createElement('div');
+        modes.className = 'calendar-modes';
+        modes.append(
+            button('Mês', () => this.go({ mode: 'month' }), this.mode === 'month'),
+            button('Semana', () => this.go({ mode: 'week' }), this.mode === 'week')
+        );
+
+        toolbar.append(
+            button('‹', () => this.move(-1)),
+            button('Hoje', () => this.go({ date: dayKey(new Date()) })),
+            button('›', () => this.move(1)),
+            title,
+            modes
+        );
+        return toolbar;
+    }
+
+    /**
+     * Creates the grid of days, with the events of each day.
+     *
+     * @param {string} from - The first day shown.
+     * @param {string} to - The last day shown.
+     * @param {Event[]} events - The events of the days shown.
+     *
+     * @returns {HTMLElement} The grid.
+     */
+    createGrid(from, to, events) {
+        const grid = document.createElement('div');
+        grid.className = `calendar-grid calendar-${this.mode}`;
+
+        weekdays.forEach(name => {
+            const header = document.createElement('div');
+            header.className = 'calendar-weekday';
+            header.textContent = name;
+            grid.appendChild(header);
+        });
+
+        const byDay = new Map();
+        events.forEach(event => {
+            const day = dayKey(event.date);
+            byDay.set(day, [...(byDay.get(day) || []), event]);
+        });
+
+        const today = dayKey(new Date());
+        const month = this.date.slice(0, 7);
+        for (let day = from; day <= to; day = addDays(day, 1)) {
+            const cell = document.createElement('div');
+            cell.className = 'calendar-day';
+            cell.classList.toggle('other-month', this.mode === 'month' && day.slice(0, 7) !== month);
+            cell.classList.toggle('today', day === today);
+
+            const number = document.createElement('span');
+            number.className = 'calendar-day-number';
+            number.textContent = Number(day.slice(8));
+            cell.appendChild(number);
+
+            (byDay.get(day) || []).forEach(event => cell.appendChild(this.createEventChip(event)));
+
+            if (this.canReschedule) {
+                this.makeDropTarget(cell, day);
+            }
+            grid.appendChild(cell);
+        }
+        return grid;
+    }
+
+    /**
+     * Creates the element of an event in the grid.
+     *
+     * @param {Event} event - The event.
+     *
+     * @returns {HTMLElement} The event element, coloured by its type.
+     */
+    createEventChip(event) {
+        const chip = document.createElement('div');
+        chip.className = 'calendar-event';
+        chip.style.backgroundColor = typeColor(event.typeId, event.typeColor);
+        chip.textContent = this.mode === 'week' ? `${event.name} (${event.typeName})` : event.name;
+        chip.title = `${event.name} - ${event.typeName}`;
+        chip.onclick = () => this.showDetails(event);
+
+        if (this.canReschedule) {
+            chip.draggable = true;
+            chip.ondragstart = (e) => {
+                this.dragged = event;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', String(event.id));
+            };
+            chip.ondragend = () => {
+                this.dragged = null;
+            };
+        }
+        return chip;
+    }
+
+    /**
+     * Lets events be dropped on a day, rescheduling them to that day.
+     *
+     * @param {HTMLElement} cell - The element of the day.
+     * @param {string} day - The day, as 'YYYY-MM-DD'.
+     */
+    makeDropTarget(cell, day) {
+        cell.ondragover = (e) => {
+            if (this.dragged) {
+                e.preventDefault();
+                cell.classList.add('drop-target');
+            }
+        };
+        cell.ondragleave = () => cell.classList.remove('drop-target');
+        cell.ondrop = (e) => {
+            e.preventDefault();
+            cell.classList.remove('drop-target');
+            const event = this.dragged;
+            this.dragged = null;
+            if (event && dayKey(event.date) !== day) {
+                this.reschedule(event, day);
+            }
+        };
+    }
+
+    /**
+     * Moves an event to another day through the API, keeping its other fields.
+     *
+     * @param {Event} event - The event to move.
+     * @param {string} day - The new day, as 'YYYY-MM-DD'.
+     */
+    async reschedule(event, day) {
+        try {
+            await EventStore.update(event.id, event.typeId, event.name, day, event.maxParticipants, event.feeCents);
+            toast.success(`"${event.name}" passou para ${new Date(day).toLocaleDateString('pt-PT', { timeZone: 'UTC' })}.`);
+        } catch (error) {
+            console.error('Error rescheduling event:', error);
+            toast.error(`Erro ao alterar a data do evento: ${error.message}`);
+        }
+        this.ready = this.render();
+    }
+
+    /**
+     * Creates the legend with the colour of each event type.
+     *
+     * @param {EventType[]} eventTypes - The event types.
+     *
+     * @returns {HTMLElement} The legend.
+     */
+    createLegend(eventTypes) {
+        const legend = document.createElement('div');
+        legend.className = 'calendar-legend';
+        eventTypes.forEach(type => {
+            const item = document.createElement('span');
+            const swatch = document.createElement('span');
+            swatch.className = 'calendar-swatch';
+            swatch.style.backgroundColor = typeColor(type.id, type.color);
+            item.append(swatch, type.label);
+            legend.appendChild(item);
+        });
+        return legend;
+    }
+
+    /**
+     * Shows the details of an event below the grid.
+     *
+     * @param {Event} event - The event.
+     */
+    showDetails(event) {
+        this.details.textContent = '';
+
+        const title = document.createElement('h3');
+        title.textContent = event.name;
+        title.style.borderLeftColor = typeColor(event.typeId, event.typeColor);
+
+        const list = document.createElement('dl');
+        const participants = event.maxParticipants === null
+            ? `${event.participants}`
+            : `${event.participants} / ${event.maxParticipants}`;
+        [
+            ['Tipo', event.typeIcon ? `${event.typeIcon} ${event.typeName}` : event.typeName],
+            ['Data', event.date.toLocaleDateString('pt-PT', { timeZone: 'UTC' })],
+            ['Dificuldade', difficultyLabels[event.typeDifficulty] || '-'],
+            ['Duração', formatDuration(event.typeDurationMinutes)],
+            ['Participantes', participants],
+            ['Em espera', `${event.waitlisted}`]
+        ].forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const description = document.createElement('dd');
+            description.textContent = value;
+            list.append(term, description);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'form-actions';
+
+        const openBtn = document.createElement('button');
+        openBtn.type = 'button';
+        openBtn.className = 'btn-primary';
+        openBtn.textContent = 'Abrir evento';
+        openBtn.onclick = () => this.onOpen(event);
+
+        const closeBtn = document.createElement('button');
+        closeBtn.type = 'button';
+        closeBtn.className = 'btn-secondary';
+        closeBtn.textContent = 'Fechar';
+        closeBtn.onclick = () => {
+            this.details.textContent = '';
+        };
+
+        actions.append(openBtn, closeBtn);
+        this.details.append(title, list, actions);
+    }
+}
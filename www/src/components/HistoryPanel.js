@@ -0,0 +1,214 @@
+import { toast } from './Toast.js';
+import { AuditStore, auditActionLabels } from '../models/Audit.js';
+import { registrationStatusLabels } from '../models/Event.js';
+import { memberStatusLabels } from '../models/Member.js';
+import { formatMoney } from '../models/Fee.js';
+
+// Most recent entries shown in the panel
+const historySize = 50;
+
+// Labels of the fields of the records, as named in the audit log
+const fieldLabels = {
+    name: 'Nome',
+    type_id: 'Tipo',
+    date: 'Data',
+    max_participants: 'Máximo de participantes',
+    fee_cents: 'Taxa',
+    series_id: 'Série',
+    closed_at: 'Fechado em',
+    route_name: 'Percurso',
+    distance_m: 'Distância (m)',
+    elevation_gain_m: 'Subida (m)',
+    parent_id: 'Tipo principal',
+    description: 'Descrição',
+    color: 'Cor',
+    icon: 'Ícone',
+    default_difficulty: 'Dificuldade',
+    default_duration_minutes: 'Duração (minutos)',
+    email: 'Email',
+    phone: 'Telefone',
+    birth_date: 'Data de nascimento',
+    membership_number: 'Nº de sócio',
+    join_date: 'Data de adesão',
+    emergency_contact_name: 'Contacto de emergência',
+    emergency_contact_phone: 'Telefone de emergência',
+    status: 'Estado',
+    preferred_event_types: 'Tipos de evento preferidos',
+    waitlisted: 'Lista de espera'
+};
+
+// Fields that change with every update, or are not edited, left out of the changes
+const ignoredFields = [
+    'id', 'created_at', 'updated_at', 'sequence', 'status_updated_at',
+    'start_lat', 'start_lon', 'end_lat', 'end_lon'
+];
+
+/**
+ * Formats a value of a field of the audit log.
+ *
+ * @param {string} field - The name of the field.
+ * @param {*} value - The value.
+ * @param {boolean} registration - Whether the value is of a registration, whose status has other labels.
+ * @returns {string} The formatted value.
+ */
+function formatValue(field, value, registration) {
+    if (value === null || value === undefined || value === '') {
+        return '(vazio)';
+    }
+    if (field === 'status') {
+        return (registration ? registrationStatusLabels : memberStatusLabels)[value] || value;
+    }
+    if (field === 'fee_cents') {
+        return formatMoney(value);
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'sim' : 'não';
+    }
+    if (Array.isArray(value)) {
+        return value.join(', ') || '(vazio)';
+    }
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+        return new Date(value).toLocaleString();
+    }
+    return String(value);
+}
+
+/**
+ * Describes the fields changed by an entry of the audit log, e.g. 'Nome: A → B'.
+ * Created and deleted records are not described field by field.
+ *
+ * @param {Object} entry - The entry, with `before_data` and `after_data`.
+ * @returns {string[]} One line per changed field.
+ */
+function describeChanges(entry) {
+    const registration = entry.related_entity === 'member';
+    if (!registration && entry.action !== 'update') {
+        return [];
+    }
+    const before = entry.before_data || {};
+    const after = entry.after_data || {};
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(field => !ignoredFields.includes(field))
+        .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null));
+
+    return fields.map(field => {
+        const label = fieldLabels[field] || field;
+        return `${label}: ${formatValue(field, before[field], registration)} → ${formatValue(field, after[field], registration)}`;
+    });
+}
+
+/**
+ * HistoryPanel class shows the change history of a member, an event or an event type,
+ * from the audit log: when, who, what was done and the fields that changed. The history
+ * of members and events also has the registrations between them.
+ *
+ * @class HistoryPanel
+ */
+export class HistoryPanel {
+    /**
+     * Creates an instance of the HistoryPanel.
+     *
+     * @param {string} entity - 'member', 'event' or 'eventType'.
+     * @param {number} id - The ID of the record.
+     */
+    constructor(entity, id) {
+        this.entity = entity;
+        this.id = id;
+        this.element = this.createElement();
+    }
+
+    /**
+     * Creates the panel, with the history filled in once it is loaded.
+     *
+     * @returns {HTMLElement} The panel element.
+     */
+    createElement() {
+        const panel = document.createElement('div');
+        panel.className = 'events-panel history-panel';
+
+        const title = document.createElement('h3');
+        title.textContent = 'Histórico';
+
+        this.content = document.createElement('div');
+        this.content.textContent = 'A carregar...';
+
+        panel.append(title, this.content);
+        this.load();
+        return panel;
+    }
+
+    /**
+     * Loads the most recent entries of the history and shows them in a table.
+     */
+    async load() {
+        try {
+            const { items, total } = await AuditStore.getHistory(this.entity, this.id, { pageSize: historySize });
+            this.content.textContent = '';
+
+            if (!items.length) {
+                this.content.textContent = 'Ainda não há alterações registadas.';
+                return;
+            }
+
+            const table = document.createElement('table');
+            table.className = 'data-table';
+
+            const headerRow = document.createElement('tr');
+            ['Data', 'Utilizador', 'Ação', 'Alterações'].forEach(text => {
+                const th = document.createElement('th');
+                th.textContent = text;
+                headerRow.appendChild(th);
+            });
+            const thead = document.createElement('thead');
+            thead.appendChild(headerRow);
+
+            const tbody = document.createElement('tbody');
+            items.forEach(entry => tbody.appendChild(this.createRow(entry)));
+            table.append(thead, tbody);
+            this.content.appendChild(table);
+
+            if (total > items.length) {
+                const note = document.createElement('p');
+                note.className = 'list-note';
+                note.textContent = `A mostrar as ${items.length} alterações mais recentes de ${total}.`;
+                this.content.appendChild(note);
+            }
+        } catch (error) {
+            console.error('Error fetching history:', error);
+            this.content.textContent = '';
+            toast.error(`Erro ao carregar o histórico: ${error.message}`);
+        }
+    }
+
+    /**
+     * Creates the row of an entry. Registrations name the other record: the member in the
+     * history of an event, and the event in the history of a member.
+     *
+     * @param {Object} entry - The entry of the audit log.
+     * @returns {HTMLTableRowElement} The row.
+     */
+    createRow(entry) {
+        let action = auditActionLabels[entry.action] || entry.action;
+        if (entry.related_entity === 'member' && this.entity === 'event') {
+            action += ` - ${entry.member_name || `Membro ${entry.related_id}`}`;
+        } else if (entry.entity === 'event' && this.entity === 'member') {
+            action += ` - ${entry.event_name || `Evento ${entry.entity_id}`}`;
+        }
+
+        const row = document.createElement('tr');
+        [
+            new Date(entry.created_at).toLocaleString(),
+            entry.actor || 'Sistema',
+            action,
+            describeChanges(entry).join('\n') || '-'
+        ].forEach((text, index) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            if (index === 3) {
+                cell.className = 'history-changes';
+            }
+            row.appendChild(cell);
+        });
+        return row;
+    }
+}
@@ -0,0 +1,191 @@
+import { toast } from './Toast.js';
+
+/**
+ * ImportWizard class guides the import of a CSV or JSON file in two steps:
+ * the file is first checked by the server without creating anything, showing
+ * the records that would be refused and why, and then imported on confirmation.
+ *
+ * @class ImportWizard
+ */
+export class ImportWizard {
+    /**
+     * Creates an instance of the ImportWizard.
+     *
+     * @param {string} title - The title of the wizard.
+     * @param {Object} store - The store that imports the records, with an `importFile(format, content, dryRun)` method.
+     * @param {string} help - The description of the columns the file must have.
+     * @param {Function} onImported - Callback called after the records are imported.
+     * @param {Function} onCancel - Callback called when the wizard is closed without importing.
+     */
+    constructor(title, store, help, onImported, onCancel) {
+        this.title = title;
+        this.store = store;
+        this.help = help;
+        this.onImported = onImported;
+        this.onCancel = onCancel;
+        this.file = null;  // { format, content } of the chosen file
+        this.element = this.createElement();
+    }
+
+    /**
+     * Creates the first step: the explanation of the file and the file input.
+     *
+     * @returns {HTMLElement} The wizard element.
+     */
+    createElement() {
+        const wizard = document.createElement('div');
+        wizard.className = 'form import-wizard';
+
+        const title = document.createElement('h3');
+        title.textContent = this.title;
+
+        const help = document.createElement('p');
+        help.className = 'import-help';
+        help.textContent = this.help;
+
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.csv,.json,text/csv,application/json';
+        input.onchange = () => this.readFile(input.files[0]);
+
+        this.result = document.createElement('div');
+        this.result.className = 'import-result';
+
+        this.actions = document.createElement('div');
+        this.actions.className = 'form-actions';
+
+        wizard.append(title, help, input, this.result, this.actions);
+        this.showActions();
+        return wizard;
+    }
+
+    /**
+     * Shows the buttons of the current step.
+     *
+     * @param {Object|null} [checked=null] - The result of the check, once the file was checked.
+     */
+    showActions(checked = null) {
+        this.actions.textContent = '';
+
+        const button = (text, className, onclick, disabled = false) => {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.textContent = text;
+            element.className = className;
+            element.disabled = disabled;
+            element.onclick = onclick;
+            return element;
+        };
+
+        if (checked) {
+            this.actions.appendChild(button(`Importar ${checked.valid} registos`, 'btn-primary', () => this.runImport(), checked.valid === 0));
+        } else {
+            this.actions.appendChild(button('Verificar', 'btn-primary', () => this.check(), !this.file));
+        }
+        this.actions.appendChild(button('Cancelar', 'btn-secondary', () => this.onCancel()));
+    }
+
+    /**
+     * Reads the chosen file, recognising JSON files by their extension.
+     *
+     * @param {File} file - The chosen file.
+     */
+    async readFile(file) {
+        this.file = null;
+        this.result.textContent = '';
+        if (file) {
+            try {
+                this.file = {
+                    format: file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv',
+                    content: await file.text()
+                };
+            } catch (error) {
+                console.error('Error reading file:', error);
+                toast.error(`Erro ao ler o ficheiro: ${error.message}`);
+            }
+        }
+        this.showActions();
+    }
+
+    /**
+     * Checks the file without importing it, and shows the records that would be refused.
+     */
+    async check() {
+        try {
+            const checked = await this.store.importFile(this.file.format, this.file.content, true);
+            this.showResult(checked);
+            this.showActions(checked);
+        } catch (error) {
+            console.error('Error checking import:', error);
+            toast.error(`Erro ao verificar o ficheiro: ${error.message}`);
+        }
+    }
+
+    /**
+     * Imports the valid records of the file.
+     */
+    async runImport() {
+        try {
+            const result = await this.store.importFile(this.file.format, this.file.content);
+            toast.success(`${result.imported} registos importados.`);
+            if (result.errors.length) {
+                toast.warning(`${result.total - result.valid} registos não foram importados.`);
+            }
+            this.onImported();
+        } catch (error) {
+            console.error('Error importing:', error);
+            toast.error(`Erro ao importar: ${error.message}`);
+        }
+    }
+
+    /**
+     * Shows the number of valid records and the errors of the refused ones.
+     *
+     * @param {Object} checked - The result of the check: total, valid and errors.
+     */
+    showResult(checked) {
+        this.result.textContent = '';
+
+        const summary = document.createElement('p');
+        summary.textContent = `${checked.total} registos no ficheiro, ${checked.valid} válidos.`;
+        this.result.appendChild(summary);
+
+        if (checked.errors.length) {
+            const table = document.createElement('table');
+            table.className = 'data-table';
+
+            const headerRow = document.createElement('tr');
+            ['Registo', 'Campo', 'Erro'].forEach(text => {
+                const th = document.createElement('th');
+                th.textContent = text;
+                headerRow.appendChild(th);
+            });
+            const thead = document.createElement('thead');
+            thead.appendChild(headerRow);
+
+            const tbody = document.createElement('tbody');
+            checked.errors.forEach(({ row, field, message }) => {
+                const tr = document.createElement('tr');
+                [row, field, message].forEach(text => {
+                    const td = document.createElement('td');
+                    td.textContent = text;
+                    tr.appendChild(td);
+                });
+                tbody.appendChild(tr);
+            });
+
+            table.append(thead, tbody);
+            this.result.appendChild(table);
+        }
+    }
+
+    /**
+     * Shows the wizard inside a container, replacing its content.
+     *
+     * @param {HTMLElement} container - The container element.
+     */
+    show(container) {
+        container.innerHTML = '';
+        container.appendChild(this.element);
+    }
+}
@@ -1,7 +1,11 @@
+import { AuthService } from '../services/AuthService.js';
+import { router } from '../Router.js';
+
 /**
  * Navigation class creates and manages a navigation bar with tabs for
- * different sections (Membros, Eventos, and Tipos de Eventos). It allows
- * switching between these sections and highlights the active tab.
+ * different sections (Membros, Eventos, Tipos de Eventos, Calendário, Estatísticas and, for admins, Quotas and Lixo). The tabs
+ * change the route, and the app highlights the tab of the current section.
+ * It also shows the logged in account and a button to log out.
  * 
  * @class Navigation
  */
@@ -9,7 +13,7 @@ export class Navigation {
     /**
      * Creates an instance of the Navigation class.
      * 
-     * @param {Object} app - The application object that provides methods to show different sections.
+     * @param {Object} app - The application object, which logs out.
      */
     constructor(app) {
         this.app = app;
@@ -26,42 +30,56 @@ export class Navigation {
 
     /**
      * Creates the HTML structure for the navigation bar with buttons for
-     * different sections and attaches click event listeners to switch views.
+     * different sections. Each button goes to the route of its section.
      * 
      * @returns {HTMLElement} The navigation element containing buttons.
      */
     createElement() {
         const nav = document.createElement('nav');
         nav.className = 'nav-tabs';
+
+        this.buttons = {};
+        [
+            { section: 'members', label: 'Membros' },
+            { section: 'events', label: 'Eventos' },
+            { section: 'event-types', label: 'Tipos de Eventos' },
+            { section: 'calendar', label: 'Calendário' },
+            { section: 'stats', label: 'Estatísticas' },
+            { section: 'fees', label: 'Quotas', roles: ['admin'] },
+            { section: 'trash', label: 'Lixo', roles: ['admin'] }
+        ].filter(({ roles }) => !roles || AuthService.hasRole(...roles)).forEach(({ section, label }) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.onclick = () => router.navigate(`/${section}`);
+            this.buttons[section] = button;
+            nav.appendChild(button);
+        });
         
-        const membersBtn = document.createElement('button');
-        membersBtn.textContent = 'Membros';
-        membersBtn.onclick = () => {
-            this.setActiveButton(membersBtn);
-            this.app.showMembers();
-        };
-        
-        const eventsBtn = document.createElement('button');
-        eventsBtn.textContent = 'Eventos';
-        eventsBtn.onclick = () => {
-            this.setActiveButton(eventsBtn);
-            this.app.showEvents();
-        };
-        
-        const eventTypesBtn = document.createElement('button');
-        eventTypesBtn.textContent = 'Tipos de Eventos';
-        eventTypesBtn.onclick = () => {
-            this.setActiveButton(eventTypesBtn);
-            this.app.showEventTypes();
-        };
-        
-        nav.append(membersBtn, eventsBtn, eventTypesBtn);
-        
-        this.setActiveButton(membersBtn);
+        const account = document.createElement('span');
+        account.className = 'nav-account';
+        account.textContent = AuthService.account ? (AuthService.account.memberName || AuthService.account.username) : '';
+
+        const logoutBtn = document.createElement('button');
+        logoutBtn.className = 'nav-logout';
+        logoutBtn.textContent = 'Sair';
+        logoutBtn.onclick = () => this.app.logout();
+
+        nav.append(account, logoutBtn);
         
         return nav;
     }
 
+    /**
+     * Highlights the tab of a section, e.g. after going to one of its routes.
+     * 
+     * @param {string} section - The section: 'members', 'events', 'event-types', 'calendar', 'stats', 'fees' or 'trash'.
+     */
+    setActive(section) {
+        if (this.buttons[section]) {
+            this.setActiveButton(this.buttons[section]);
+        }
+    }
+
     /**
      * Sets the specified button as the active one by adding the 'active' class
      * and removing it from all other buttons.
@@ -70,10 +88,10 @@ export class Navigation {
      */
     setActiveButton(activeButton) {
         if (this.element) {
-            this.element.querySelectorAll('button').forEach(button => {
+            this.element.querySelectorAll('button:not(.nav-logout)').forEach(button => {
                 button.classList.remove('active');
             });
-            activeButton.classList.add('active');
         }
+        activeButton.classList.add('active');
     }
 }
\ No newline at end of file
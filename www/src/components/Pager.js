@@ -0,0 +1,57 @@
+/**
+ * Pager class creates the controls to move between the pages of a list.
+ *
+ * @class Pager
+ */
+export class Pager {
+    /**
+     * Creates an instance of the Pager.
+     *
+     * @param {number} page - The current page, starting at 1.
+     * @param {number} pageSize - The number of items per page.
+     * @param {number} total - The total number of items.
+     * @param {Function} onPageChange - Callback called with the page to show.
+     */
+    constructor(page, pageSize, total, onPageChange) {
+        this.page = page;
+        this.pageSize = pageSize;
+        this.total = total;
+        this.onPageChange = onPageChange;
+        this.element = this.createElement();
+    }
+
+    /**
+     * Returns the number of pages, at least 1.
+     *
+     * @returns {number} The number of pages.
+     */
+    get pageCount() {
+        return Math.max(1, Math.ceil(this.total / this.pageSize));
+    }
+
+    /**
+     * Creates the previous and next buttons and the page indicator.
+     *
+     * @returns {HTMLElement} The pager element.
+     */
+    createElement() {
+        const pager = document.createElement('div');
+        pager.className = 'pager';
+
+        const previousBtn = document.createElement('button');
+        previousBtn.textContent = '« Anterior';
+        previousBtn.disabled = this.page <= 1;
+        previousBtn.onclick = () => this.onPageChange(this.page - 1);
+
+        const info = document.createElement('span');
+        info.textContent = `Página ${this.page} de ${this.pageCount} (${this.total} resultados)`;
+
+        const nextBtn = document.createElement('button');
+        nextBtn.textContent = 'Seguinte »';
+        nextBtn.disabled = this.page >= this.pageCount;
+        nextBtn.onclick = () => this.onPageChange(this.page + 1);
+
+        pager.append(previousBtn, info, nextBtn);
+        return pager;
+    }
+}
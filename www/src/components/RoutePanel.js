@@ -0,0 +1,250 @@
+import { toast } from './Toast.js';
+import { EventStore } from '../models/Event.js';
+import { AuthService } from '../services/AuthService.js';
+import { svgElement } from './Charts.js';
+
+// Size of the elevation profile, in SVG units, and the space left for the axis labels
+const profileWidth = 600;
+const profileHeight = 160;
+const margin = { top: 10, right: 10, bottom: 24, left: 44 };
+
+/**
+ * Formats a distance in metres as kilometres, e.g. '42.3 km'.
+ *
+ * @param {number|null} metres - The distance.
+ * @returns {string} The formatted distance, or '-' when there is none.
+ */
+export function formatDistance(metres) {
+    return metres === null || metres === undefined ? '-' : `${(metres / 1000).toFixed(1)} km`;
+}
+
+/**
+ * Formats an elevation gain in metres, e.g. '850 m'.
+ *
+ * @param {number|null} metres - The elevation gain.
+ * @returns {string} The formatted elevation, or '-' when there is none.
+ */
+export function formatElevation(metres) {
+    return metres === null || metres === undefined ? '-' : `${metres} m`;
+}
+
+/**
+ * Draws the elevation profile of a route: the elevation along the distance, as a filled line.
+ *
+ * @param {Array<{distance: number, elevation: number}>} profile - The points of the profile, in metres.
+ * @returns {SVGElement} The SVG of the profile.
+ */
+export function elevationProfile(profile) {
+    const svg = svgElement('svg', {
+        viewBox: `0 0 ${profileWidth} ${profileHeight}`,
+        class: 'elevation-profile',
+        role: 'img',
+        'aria-label': 'Perfil de elevação'
+    });
+
+    const totalDistance = profile[profile.length - 1].distance || 1;
+    const elevations = profile.map(point => point.elevation);
+    const lowest = Math.min(...elevations);
+    const highest = Math.max(...elevations, lowest + 10);  // Flat routes still get some height
+
+    const width = profileWidth - margin.left - margin.right;
+    const height = profileHeight - margin.top - margin.bottom;
+    const x = (distance) => margin.left + distance / totalDistance * width;
+    const y = (elevation) => margin.top + (highest - elevation) / (highest - lowest) * height;
+
+    const line = profile.map(point => `${x(point.distance).toFixed(1)},${y(point.elevation).toFixed(1)}`).join(' L');
+    const bottom = margin.top + height;
+    svg.append(
+        svgElement('path', { d: `M${x(0)},${bottom} L${line} L${x(totalDistance)},${bottom} Z`, class: 'profile-area' }),
+        svgElement('path', { d: `M${line}`, class: 'profile-line' })
+    );
+
+    // Lowest and highest elevations on the left, distance at the start and the end below
+    const label = (text, attributes) => {
+        const element = svgElement('text', { class: 'profile-label', ...attributes });
+        element.textContent = text;
+        return element;
+    };
+    svg.append(
+        label(`${highest} m`, { x: margin.left - 6, y: margin.top + 4, 'text-anchor': 'end' }),
+        label(`${lowest} m`, { x: margin.left - 6, y: bottom, 'text-anchor': 'end' }),
+        label('0 km', { x: margin.left, y: profileHeight - 6, 'text-anchor': 'start' }),
+        label(formatDistance(totalDistance), { x: margin.left + width, y: profileHeight - 6, 'text-anchor': 'end' })
+    );
+    return svg;
+}
+
+/**
+ * RoutePanel class shows the route of an event: its distance, climb, start and end,
+ * and the elevation profile. Admins and organisers can upload a GPX file or remove it.
+ *
+ * @class RoutePanel
+ */
+export class RoutePanel {
+    /**
+     * Creates an instance of the RoutePanel.
+     *
+     * @param {Event} event - The event.
+     * @param {Function} onChange - Callback called after the route is uploaded or removed.
+     */
+    constructor(event, onChange) {
+        this.event = event;
+        this.onChange = onChange;
+        this.canManage = AuthService.hasRole('admin', 'organiser');
+        this.element = this.createElement();
+    }
+
+    /**
+     * Creates the panel, with the profile loaded when the event has a route.
+     *
+     * @returns {HTMLElement} The panel element.
+     */
+    createElement() {
+        const panel = document.createElement('div');
+        panel.className = 'events-panel route-panel';
+
+        const title = document.createElement('h3');
+        title.textContent = `Percurso - ${this.event.name}`;
+
+        const header = document.createElement('div');
+        header.className = 'panel-header';
+        header.append(title, this.createActions());
+        panel.appendChild(header);
+
+        if (!this.event.hasRoute()) {
+            const empty = document.createElement('p');
+            empty.textContent = this.canManage
+                ? 'O evento ainda não tem percurso. Carregue um ficheiro GPX para o adicionar.'
+                : 'O evento ainda não tem percurso.';
+            panel.appendChild(empty);
+            return panel;
+        }
+
+        const summary = document.createElement('dl');
+        summary.className = 'route-summary';
+        const coordinates = (point) => point ? `${point.lat.toFixed(5)}, ${point.lon.toFixed(5)}` : '-';
+        [
+            ['Distância', formatDistance(this.event.distance)],
+            ['Desnível positivo', formatElevation(this.event.elevationGain)],
+            ['Partida', coordinates(this.event.start)],
+            ['Chegada', coordinates(this.event.end)]
+        ].forEach(([term, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = term;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            summary.append(dt, dd);
+        });
+        panel.appendChild(summary);
+
+        this.profile = document.createElement('div');
+        this.profile.className = 'route-profile';
+        panel.appendChild(this.profile);
+        this.loadProfile();
+
+        return panel;
+    }
+
+    /**
+     * Creates the buttons to download, upload and remove the GPX file.
+     *
+     * @returns {HTMLElement} The buttons.
+     */
+    createActions() {
+        const actions = document.createElement('div');
+        actions.className = 'route-actions';
+
+        if (this.event.hasRoute()) {
+            const downloadBtn = document.createElement('button');
+            downloadBtn.textContent = 'Descarregar GPX';
+            downloadBtn.className = 'btn-secondary';
+            downloadBtn.onclick = () => this.download();
+            actions.appendChild(downloadBtn);
+        }
+
+        if (this.canManage) {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.gpx,application/gpx+xml';
+            input.hidden = true;
+            input.onchange = () => input.files[0] && this.upload(input.files[0]);
+
+            const uploadBtn = document.createElement('button');
+            uploadBtn.textContent = this.event.hasRoute() ? 'Substituir GPX' : 'Carregar GPX';
+            uploadBtn.className = 'btn-secondary';
+            uploadBtn.onclick = () => input.click();
+            actions.append(input, uploadBtn);
+
+            if (this.event.hasRoute()) {
+                const removeBtn = document.createElement('button');
+                removeBtn.textContent = 'Remover percurso';
+                removeBtn.className = 'btn-secondary';
+                removeBtn.onclick = () => this.remove();
+                actions.appendChild(removeBtn);
+            }
+        }
+        return actions;
+    }
+
+    /**
+     * Loads the elevation profile of the route and draws it.
+     */
+    async loadProfile() {
+        try {
+            const route = await EventStore.getRoute(this.event.id);
+            if (route.profile.length > 1) {
+                this.profile.appendChild(elevationProfile(route.profile));
+            } else {
+                this.profile.textContent = 'O ficheiro GPX não tem elevações.';
+            }
+        } catch (error) {
+            console.error('Error fetching route:', error);
+            toast.error(`Erro ao carregar o percurso: ${error.message}`);
+        }
+    }
+
+    /**
+     * Uploads a GPX file as the route of the event.
+     *
+     * @param {File} file - The chosen file.
+     */
+    async upload(file) {
+        try {
+            const route = await EventStore.uploadRoute(this.event.id, file);
+            toast.success(`Percurso carregado: ${formatDistance(route.distance_m)}.`);
+            this.onChange();
+        } catch (error) {
+            console.error('Error uploading route:', error);
+            toast.error(`Erro ao carregar o ficheiro GPX: ${error.message}`);
+        }
+    }
+
+    /**
+     * Downloads the GPX file of the route.
+     */
+    async download() {
+        try {
+            await EventStore.downloadRoute(this.event);
+        } catch (error) {
+            console.error('Error downloading route:', error);
+            toast.error(`Erro ao descarregar o percurso: ${error.message}`);
+        }
+    }
+
+    /**
+     * Removes the route of the event, after confirmation.
+     */
+    async remove() {
+        if (!confirm('Tem certeza que deseja remover o percurso deste evento?')) {
+            return;
+        }
+        try {
+            await EventStore.deleteRoute(this.event.id);
+            toast.success('Percurso removido.');
+            this.onChange();
+        } catch (error) {
+            console.error('Error removing route:', error);
+            toast.error(`Erro ao remover o percurso: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,55 @@
+/**
+ * SortableHeader class creates the header of a data table whose columns
+ * can be sorted by clicking them. Clicking the sorted column again
+ * reverses the order.
+ *
+ * @class SortableHeader
+ */
+export class SortableHeader {
+    /**
+     * Creates an instance of the SortableHeader.
+     *
+     * @param {Array<{label: string, sort: string|null}>} columns - The columns, with the sort key sent to the server (null if the column cannot be sorted).
+     * @param {string} sort - The sort key of the column currently sorted.
+     * @param {string} order - The current order, 'asc' or 'desc'.
+     * @param {Function} onSort - Callback called with the new sort key and order.
+     */
+    constructor(columns, sort, order, onSort) {
+        this.columns = columns;
+        this.sort = sort;
+        this.order = order;
+        this.onSort = onSort;
+        this.element = this.createElement();
+    }
+
+    /**
+     * Creates the table header, marking the sorted column with an arrow.
+     *
+     * @returns {HTMLElement} The thead element.
+     */
+    createElement() {
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+
+        this.columns.forEach(column => {
+            const th = document.createElement('th');
+            th.textContent = column.label;
+
+            if (column.sort) {
+                th.className = 'sortable';
+                if (column.sort === this.sort) {
+                    th.textContent += this.order === 'desc' ? ' ▼' : ' ▲';
+                }
+                th.onclick = () => {
+                    const order = column.sort === this.sort && this.order === 'asc' ? 'desc' : 'asc';
+                    this.onSort(column.sort, order);
+                };
+            }
+
+            headerRow.appendChild(th);
+        });
+
+        thead.appendChild(headerRow);
+        return thead;
+    }
+}
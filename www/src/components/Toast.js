@@ -0,0 +1,88 @@
+/**
+ * Shows short messages at the corner of the page, replacing the browser's alert().
+ * Messages close by themselves after a few seconds, or when clicked.
+ *
+ * @class ToastManager
+ */
+class ToastManager {
+    /**
+     * Creates an instance of the ToastManager. The container is only added
+     * to the page when the first message is shown.
+     */
+    constructor() {
+        this.container = null;
+    }
+
+    /**
+     * Returns the element holding the messages, creating it if needed.
+     *
+     * @returns {HTMLElement} The container of the messages.
+     */
+    getContainer() {
+        if (!this.container || !this.container.isConnected) {
+            this.container = document.createElement('div');
+            this.container.className = 'toast-container';
+            this.container.setAttribute('role', 'status');
+            this.container.setAttribute('aria-live', 'polite');
+            document.body.appendChild(this.container);
+        }
+        return this.container;
+    }
+
+    /**
+     * Shows a message.
+     *
+     * @param {string} message - The text of the message.
+     * @param {string} [type='info'] - The kind of message: 'success', 'error', 'warning' or 'info'.
+     * @param {number} [duration=5000] - The time, in milliseconds, the message stays visible.
+     */
+    show(message, type = 'info', duration = 5000) {
+        const toast = document.createElement('div');
+        toast.className = `toast toast-${type}`;
+        toast.textContent = message;
+
+        const close = () => toast.remove();
+        toast.onclick = close;
+        setTimeout(close, duration);
+
+        this.getContainer().appendChild(toast);
+    }
+
+    /**
+     * Shows a success message.
+     *
+     * @param {string} message - The text of the message.
+     */
+    success(message) {
+        this.show(message, 'success');
+    }
+
+    /**
+     * Shows an error message, which stays visible longer.
+     *
+     * @param {string} message - The text of the message.
+     */
+    error(message) {
+        this.show(message, 'error', 8000);
+    }
+
+    /**
+     * Shows a warning, such as a missing selection.
+     *
+     * @param {string} message - The text of the message.
+     */
+    warning(message) {
+        this.show(message, 'warning');
+    }
+
+    /**
+     * Shows an informative message.
+     *
+     * @param {string} message - The text of the message.
+     */
+    info(message) {
+        this.show(message, 'info');
+    }
+}
+
+export const toast = new ToastManager();
@@ -20,10 +20,10 @@ class EventManager {
      * Displays the event creation form and hides the events list.
      * Prepares the form for creating a new event.
      */
-    create() {
+    async create() {
         const form = document.getElementById('event-form');
         
-        const formContent = this.createFormElements();
+        const formContent = await this.createFormElements();
         form.appendChild(formContent);
         
         document.getElementById('events-list').classList.add('hidden');
@@ -34,35 +34,39 @@ class EventManager {
      * Displays the event editing form for the selected event.
      * If no event is selected, an error message is shown.
      */
-    edit() {
+    async edit() {
         if (!this.selectedEventId) {
             this.showError("Selecione um evento para editar");
             return;
         }
 
-        const event = EventStore.findById(this.selectedEventId);
-        const form = document.getElementById('event-form');
-        
-        const formContent = this.createFormElements(event);
-        form.appendChild(formContent);
-        
-        document.getElementById('events-list').classList.add('hidden');
-        form.classList.remove('hidden');
+        try {
+            const event = await EventStore.findById(this.selectedEventId);
+            const form = document.getElementById('event-form');
+
+            const formContent = await this.createFormElements(event);
+            form.appendChild(formContent);
+
+            document.getElementById('events-list').classList.add('hidden');
+            form.classList.remove('hidden');
+        } catch (error) {
+            this.showError(error.message);
+        }
     }
 
     /**
      * Deletes the selected event. If no event is selected, an error message is shown.
      */
-    delete() {
+    async delete() {
         if (!this.selectedEventId) {
             this.showError("Selecione um evento para apagar");
             return;
         }
 
         try {
-            EventStore.delete(this.selectedEventId);
+            await EventStore.delete(this.selectedEventId);
             this.selectedEventId = null;
-            this.refreshList();
+            await this.refreshList();
         } catch (error) {
             this.showError(error.message);
         }
@@ -75,19 +79,19 @@ class EventManager {
      * 
      * @param {HTMLElement} form - The form element containing the event data.
      */
-    save(form) {
+    async save(form) {
         const typeId = parseInt(form.querySelector('[name="type"]').value);
-        const description = form.querySelector('[name="description"]').value;
+        const name = form.querySelector('[name="name"]').value;
         const date = form.querySelector('[name="date"]').value;
 
         try {
             if (this.selectedEventId) {
-                EventStore.update(this.selectedEventId, typeId, description, date);
+                await EventStore.update(this.selectedEventId, typeId, name, date);
             } else {
-                EventStore.add(typeId, description, date);
+                await EventStore.add(typeId, name, date);
             }
             this.cancel();
-            this.refreshList();
+            await this.refreshList();
         } catch (error) {
             this.showError(error.message);
         }
@@ -106,10 +110,10 @@ class EventManager {
      * Creates and returns the HTML form elements for creating or editing an event.
      * If an event is passed, it populates the form with its data.
      * 
-     * @param {Object|null} event - The event data to populate the form (if editing), or null (if creating).
-     * @returns {HTMLElement} The form elements container.
+     * @param {Event|null} event - The event data to populate the form (if editing), or null (if creating).
+     * @returns {Promise<HTMLElement>} The form elements container.
      */
-    createFormElements(event = null) {
+    async createFormElements(event = null) {
         const container = document.createElement('div');
 
         const typeGroup = document.createElement('div');
@@ -124,10 +128,10 @@ class EventManager {
         typeSelect.name = 'type';
         typeSelect.id = 'type';
 
-        EventTypeStore.getAll().forEach(type => {
+        (await EventTypeStore.getAll()).forEach(type => {
             const option = document.createElement('option');
             option.value = type.id;
-            option.textContent = type.description;
+            option.textContent = type.name;
             if (event && event.typeId === type.id) {
                 option.selected = true;
             }
@@ -137,22 +141,22 @@ class EventManager {
         typeGroup.appendChild(typeSelect);
         container.appendChild(typeGroup);
 
-        const descGroup = document.createElement('div');
-        descGroup.className = 'form-group';
+        const nameGroup = document.createElement('div');
+        nameGroup.className = 'form-group';
 
-        const descLabel = document.createElement('label');
-        descLabel.htmlFor = 'description';
-        descLabel.textContent = 'Descrição:';
-        descGroup.appendChild(descLabel);
+        const nameLabel = document.createElement('label');
+        nameLabel.htmlFor = 'name';
+        nameLabel.textContent = 'Nome:';
+        nameGroup.appendChild(nameLabel);
 
-        const descInput = document.createElement('input');
-        descInput.type = 'text';
-        descInput.name = 'description';
-        descInput.id = 'description';
-        descInput.value = event ? event.description : '';
-        descGroup.appendChild(descInput);
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.name = 'name';
+        nameInput.id = 'name';
+        nameInput.value = event ? event.name : '';
+        nameGroup.appendChild(nameInput);
 
-        container.appendChild(descGroup);
+        container.appendChild(nameGroup);
 
         const dateGroup = document.createElement('div');
         dateGroup.className = 'form-group';
@@ -195,20 +199,19 @@ class EventManager {
      * Refreshes the events list by re-rendering the event items.
      * Highlights the selected event if one is selected.
      */
-    refreshList() {
+    async refreshList() {
         const list = document.getElementById('events-list');
 
         list.innerHTML = '';
 
-        EventStore.getAll().forEach(event => {
+        (await EventStore.getAll()).forEach(event => {
             const item = document.createElement('div');
             item.className = 'list-item';
             if (event.id === this.selectedEventId) {
                 item.classList.add('selected');
             }
             
-            const type = EventTypeStore.findById(event.typeId);
-            item.textContent = `${event.description} (${type.description}) - ${event.date.toLocaleDateString()}`;
+            item.textContent = `${event.name} (${event.typeName}) - ${event.date.toLocaleDateString()}`;
             item.onclick = () => this.selectEvent(event.id);
             list.appendChild(item);
         });
@@ -221,7 +224,7 @@ class EventManager {
      */
     selectEvent(id) {
         this.selectedEventId = id;
-        this.refreshList();
+        return this.refreshList();
     }
 
     /**
@@ -21,48 +21,52 @@ class EventTypeManager {
         form.classList.remove('hidden');
     }
 
-    edit() {
+    async edit() {
         if (!this.selectedTypeId) {
             this.showError("Selecione um tipo de evento para editar");
             return;
         }
 
-        const type = EventTypeStore.findById(this.selectedTypeId);
-        const form = document.getElementById('event-type-form');
-        
-        const formContent = this.createFormElements(type);
-        form.appendChild(formContent);
-        
-        document.getElementById('event-types-list').classList.add('hidden');
-        form.classList.remove('hidden');
+        try {
+            const type = await EventTypeStore.findById(this.selectedTypeId);
+            const form = document.getElementById('event-type-form');
+
+            const formContent = this.createFormElements(type);
+            form.appendChild(formContent);
+
+            document.getElementById('event-types-list').classList.add('hidden');
+            form.classList.remove('hidden');
+        } catch (error) {
+            this.showError(error.message);
+        }
     }
 
-    delete() {
+    async delete() {
         if (!this.selectedTypeId) {
             this.showError("Selecione um tipo de evento para apagar");
             return;
         }
 
         try {
-            EventTypeStore.delete(this.selectedTypeId);
+            await EventTypeStore.delete(this.selectedTypeId);
             this.selectedTypeId = null;
-            this.refreshList();
+            await this.refreshList();
         } catch (error) {
             this.showError(error.message);
         }
     }
 
-    save(form) {
-        const description = form.querySelector('[name="description"]').value;
+    async save(form) {
+        const name = form.querySelector('[name="name"]').value;
 
         try {
             if (this.selectedTypeId) {
-                EventTypeStore.update(this.selectedTypeId, description);
+                await EventTypeStore.update(this.selectedTypeId, name);
             } else {
-                EventTypeStore.add(description);
+                await EventTypeStore.add(name);
             }
             this.cancel();
-            this.refreshList();
+            await this.refreshList();
         } catch (error) {
             this.showError(error.message);
         }
@@ -81,15 +85,15 @@ class EventTypeManager {
         formGroup.className = 'form-group';
 
         const label = document.createElement('label');
-        label.htmlFor = 'description';
-        label.textContent = 'Descrição:';
+        label.htmlFor = 'name';
+        label.textContent = 'Nome:';
         formGroup.appendChild(label);
 
         const input = document.createElement('input');
         input.type = 'text';
-        input.name = 'description';
-        input.id = 'description';
-        input.value = type ? type.description : '';
+        input.name = 'name';
+        input.id = 'name';
+        input.value = type ? type.name : '';
         formGroup.appendChild(input);
 
         container.appendChild(formGroup);
@@ -112,16 +116,18 @@ class EventTypeManager {
         return container;
     }
 
-    refreshList() {
+    async refreshList() {
         const list = document.getElementById('event-types-list');
 
-        EventTypeStore.getAll().forEach(type => {
+        list.innerHTML = '';
+
+        (await EventTypeStore.getAll()).forEach(type => {
             const item = document.createElement('div');
             item.className = 'list-item';
             if (type.id === this.selectedTypeId) {
                 item.classList.add('selected');
             }
-            item.textContent = type.description;
+            item.textContent = type.name;
             item.onclick = () => this.selectType(type.id);
             list.appendChild(item);
         });
@@ -129,7 +135,7 @@ class EventTypeManager {
 
     selectType(id) {
         this.selectedTypeId = id;
-        this.refreshList();
+        return this.refreshList();
     }
 
     showError(message) {
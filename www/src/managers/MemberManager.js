@@ -1,10 +1,9 @@
 import { MemberStore } from '../models/Member.js';
 import { EventTypeStore } from '../models/EventType.js';
-import { EventStore } from '../models/Event.js';
 
 /**
  * MemberManager class handles the creation, editing, deletion, and saving of members.
- * It also manages member preferences for event types and event registrations.
+ * It also manages member preferences for event types.
  * 
  * @class MemberManager
  */
@@ -13,65 +12,65 @@ class MemberManager {
         this.selectedMemberId = null;
     }
 
-    create() {
+    async create() {
         const form = document.getElementById('member-form');
         
-        const formContent = this.createFormElements();
+        const formContent = await this.createFormElements();
         form.appendChild(formContent);
         
         document.getElementById('members-list').classList.add('hidden');
         form.classList.remove('hidden');
     }
 
-    edit() {
+    async edit() {
         if (!this.selectedMemberId) {
             this.showError("Selecione um membro para editar");
             return;
         }
 
-        const member = MemberStore.findById(this.selectedMemberId);
-        const form = document.getElementById('member-form');
-        
-        const formContent = this.createFormElements(member);
-        form.appendChild(formContent);
-        
-        document.getElementById('members-list').classList.add('hidden');
-        form.classList.remove('hidden');
+        try {
+            const member = await MemberStore.findById(this.selectedMemberId);
+            const form = document.getElementById('member-form');
+
+            const formContent = await this.createFormElements(member);
+            form.appendChild(formContent);
+
+            document.getElementById('members-list').classList.add('hidden');
+            form.classList.remove('hidden');
+        } catch (error) {
+            this.showError(error.message);
+        }
     }
 
-    delete() {
+    async delete() {
         if (!this.selectedMemberId) {
             this.showError("Selecione um membro para apagar");
             return;
         }
 
         try {
-            MemberStore.delete(this.selectedMemberId);
+            await MemberStore.delete(this.selectedMemberId);
             this.selectedMemberId = null;
-            this.refreshList();
+            await this.refreshList();
         } catch (error) {
             this.showError(error.message);
         }
     }
 
-    save(form) {
-        const description = form.querySelector('[name="description"]').value;
+    async save(form) {
+        const name = form.querySelector('[name="name"]').value;
         const preferredTypes = Array.from(form.querySelectorAll('[name="preferred_types"]:checked'))
             .map(cb => parseInt(cb.value));
 
         try {
-            let member;
             if (this.selectedMemberId) {
-                member = MemberStore.update(this.selectedMemberId, description);
+                await MemberStore.update(this.selectedMemberId, name, preferredTypes);
             } else {
-                member = MemberStore.add(description);
+                await MemberStore.add(name, preferredTypes);
             }
 
-            member.preferredEventTypes.clear();
-            preferredTypes.forEach(typeId => member.addPreferredEventType(typeId));
-
             this.cancel();
-            this.refreshList();
+            await this.refreshList();
         } catch (error) {
             this.showError(error.message);
         }
@@ -83,25 +82,25 @@ class MemberManager {
         this.selectedMemberId = null;
     }
 
-    createFormElements(member = null) {
+    async createFormElements(member = null) {
         const container = document.createElement('div');
 
-        const descGroup = document.createElement('div');
-        descGroup.className = 'form-group';
+        const nameGroup = document.createElement('div');
+        nameGroup.className = 'form-group';
 
-        const descLabel = document.createElement('label');
-        descLabel.htmlFor = 'description';
-        descLabel.textContent = 'Descrição:';
-        descGroup.appendChild(descLabel);
+        const nameLabel = document.createElement('label');
+        nameLabel.htmlFor = 'name';
+        nameLabel.textContent = 'Nome:';
+        nameGroup.appendChild(nameLabel);
 
-        const descInput = document.createElement('input');
-        descInput.type = 'text';
-        descInput.name = 'description';
-        descInput.id = 'description';
-        descInput.value = member ? member.description : '';
-        descGroup.appendChild(descInput);
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.name = 'name';
+        nameInput.id = 'name';
+        nameInput.value = member ? member.name : '';
+        nameGroup.appendChild(nameInput);
 
-        container.appendChild(descGroup);
+        container.appendChild(nameGroup);
 
         const typesGroup = document.createElement('div');
         typesGroup.className = 'form-group';
@@ -110,7 +109,7 @@ class MemberManager {
         typesLabel.textContent = 'Tipos de Eventos Preferidos:';
         typesGroup.appendChild(typesLabel);
 
-        EventTypeStore.getAll().forEach(type => {
+        (await EventTypeStore.getAll()).forEach(type => {
             const checkboxDiv = document.createElement('div');
             
             const checkbox = document.createElement('input');
@@ -118,13 +117,13 @@ class MemberManager {
             checkbox.name = 'preferred_types';
             checkbox.value = type.id;
             checkbox.id = `type_${type.id}`;
-            if (member && member.preferredEventTypes.has(type.id)) {
+            if (member && member.prefers(type.id)) {
                 checkbox.checked = true;
             }
             
             const label = document.createElement('label');
             label.htmlFor = `type_${type.id}`;
-            label.textContent = type.description;
+            label.textContent = type.name;
             
             checkboxDiv.appendChild(checkbox);
             checkboxDiv.appendChild(label);
@@ -133,23 +132,6 @@ class MemberManager {
 
         container.appendChild(typesGroup);
 
-        if (member) {
-            const eventsGroup = document.createElement('div');
-            eventsGroup.className = 'form-group';
-
-            const registerButton = document.createElement('button');
-            registerButton.textContent = 'Inscrever em Evento';
-            registerButton.onclick = () => this.showEventRegistration(member);
-            eventsGroup.appendChild(registerButton);
-
-            const unregisterButton = document.createElement('button');
-            unregisterButton.textContent = 'Desinscrever de Evento';
-            unregisterButton.onclick = () => this.showEventUnregistration(member);
-            eventsGroup.appendChild(unregisterButton);
-
-            container.appendChild(eventsGroup);
-        }
-
         const actions = document.createElement('div');
         actions.className = 'form-actions';
 
@@ -168,97 +150,15 @@ class MemberManager {
         return container;
     }
 
-    showEventRegistration(member) {
-        const availableEvents = EventStore.getAvailableForMember(
-            member.id,
-            Array.from(member.preferredEventTypes)
-        );
-
-        if (availableEvents.length === 0) {
-            this.showError("Não existem eventos disponíveis para inscrição");
-            return;
-        }
-
-        const dialog = document.createElement('div');
-        dialog.className = 'modal';
-
-        const select = document.createElement('select');
-        availableEvents.forEach(event => {
-            const option = document.createElement('option');
-            option.value = event.id;
-            option.textContent = `${event.description} - ${event.date.toLocaleDateString()}`;
-            select.appendChild(option);
-        });
-
-        const acceptButton = document.createElement('button');
-        acceptButton.textContent = 'Aceitar';
-        acceptButton.onclick = () => {
-            const eventId = parseInt(select.value);
-            const event = EventStore.findById(eventId);
-            event.addParticipant(member.id);
-            member.addEvent(eventId);
-            dialog.remove();
-            this.refreshList();
-        };
-
-        const cancelButton = document.createElement('button');
-        cancelButton.textContent = 'Cancelar';
-        cancelButton.onclick = () => dialog.remove();
-
-        dialog.appendChild(select);
-        dialog.appendChild(acceptButton);
-        dialog.appendChild(cancelButton);
-
-        document.body.appendChild(dialog);
-    }
-
-    showEventUnregistration(member) {
-        const registeredEvents = Array.from(member.events)
-            .map(eventId => EventStore.findById(eventId))
-            .filter(event => event !== undefined);
-
-        if (registeredEvents.length === 0) {
-            this.showError("Membro não está inscrito em nenhum evento");
-            return;
-        }
-
-        const dialog = document.createElement('div');
-        dialog.className = 'modal';
-
-        const select = document.createElement('select');
-        registeredEvents.forEach(event => {
-            const option = document.createElement('option');
-            option.value = event.id;
-            option.textContent = `${event.description} - ${event.date.toLocaleDateString()}`;
-            select.appendChild(option);
-        });
-
-        const acceptButton = document.createElement('button');
-        acceptButton.textContent = 'Aceitar';
-        acceptButton.onclick = () => {
-            const eventId = parseInt(select.value);
-            const event = EventStore.findById(eventId);
-            event.removeParticipant(member.id);
-            member.removeEvent(eventId);
-            dialog.remove();
-            this.refreshList();
-        };
-
-        const cancelButton = document.createElement('button');
-        cancelButton.textContent = 'Cancelar';
-        cancelButton.onclick = () => dialog.remove();
+    async refreshList() {
+        const list = document.getElementById('members-list');
 
-        dialog.appendChild(select);
-        dialog.appendChild(acceptButton);
-        dialog.appendChild(cancelButton);
+        list.innerHTML = '';
 
-        document.body.appendChild(dialog);
-    }
-
-    refreshList() {
-        const list = document.getElementById('members-list');
+        const [members, eventTypes] = await Promise.all([MemberStore.getAll(), EventTypeStore.getAll()]);
+        const typeNames = new Map(eventTypes.map(type => [type.id, type.name]));
 
-        MemberStore.getAll().forEach(member => {
+        members.forEach(member => {
             const item = document.createElement('div');
             item.className = 'list-item';
             if (member.id === this.selectedMemberId) {
@@ -266,10 +166,10 @@ class MemberManager {
             }
             
             const preferredTypes = Array.from(member.preferredEventTypes)
-                .map(typeId => EventTypeStore.findById(typeId).description)
+                .map(typeId => typeNames.get(typeId))
                 .join(', ');
             
-            item.textContent = `${member.description} (Preferências: ${preferredTypes})`;
+            item.textContent = `${member.name} (Preferências: ${preferredTypes})`;
             item.onclick = () => this.selectMember(member.id);
             list.appendChild(item);
         });
@@ -277,7 +177,7 @@ class MemberManager {
 
     selectMember(id) {
         this.selectedMemberId = id;
-        this.refreshList();
+        return this.refreshList();
     }
 
     showError(message) {
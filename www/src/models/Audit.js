@@ -0,0 +1,39 @@
+import { api } from '../services/ApiClient.js';
+
+// Labels of the actions recorded in the audit log
+export const auditActionLabels = {
+    create: 'Criação',
+    update: 'Alteração',
+    delete: 'Eliminação',
+    register: 'Inscrição',
+    waitlist: 'Lista de espera',
+    unregister: 'Anulação da inscrição',
+    promote: 'Saída da lista de espera',
+    attendance: 'Presença',
+    restore: 'Restauro',
+    purge: 'Remoção definitiva'
+};
+
+/**
+ * Reads the audit log of the changes to members, events and event types using the backend API.
+ * Only admins can read it.
+ */
+class AuditStoreClass {
+    /**
+     * Retrieves the history of a record, newest first: its own changes and, for members and
+     * events, the registrations between them.
+     *
+     * @param {string} entity - 'member', 'event' or 'eventType'.
+     * @param {number} id - The ID of the record.
+     * @param {Object} [options] - Filters and pagination: from, to (dates, inclusive), page and pageSize.
+     *
+     * @returns {Promise<{items: Object[], total: number}>} The entries of the page, with the `actor`,
+     *   `action`, `before_data`, `after_data`, `ip` and `created_at`, and the total number of entries.
+     */
+    async getHistory(entity, id, options = {}) {
+        const { data, total } = await api.get('/audit', { entity, id, ...options });
+        return { items: data, total };
+    }
+}
+
+export const AuditStore = new AuditStoreClass();
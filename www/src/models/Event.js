@@ -1,4 +1,14 @@
-import { EventTypeStore } from './EventType.js';
+import { api } from '../services/ApiClient.js';
+
+/**
+ * Labels of the statuses of a registration in an event.
+ */
+export const registrationStatusLabels = {
+    registered: 'Inscrito',
+    attended: 'Presente',
+    'no-show': 'Faltou',
+    cancelled: 'Cancelado'
+};
 
 /**
  * Represents an event in the system.
@@ -11,13 +21,29 @@ export class Event {
      * @param {number} typeId - The ID of the event type.
      * @param {string} name - The name of the event.
      * @param {Date|string} date - The date of the event.
+     * @param {number|null} [maxParticipants=null] - The participants limit, or null for no limit.
      */
-    constructor(id, typeId, name, date) {
+    constructor(id, typeId, name, date, maxParticipants = null) {
         this.id = id;
         this.typeId = typeId;
         this.name = name;
         this.date = new Date(date);
-        this.participants = new Set();
+        this.maxParticipants = maxParticipants;
+        this.feeCents = null;           // Fee charged to each registered member, in cents; null when free
+        this.typeName = '';
+        this.typeColor = null;              // Colour and icon of the type, or of its parent type
+        this.typeIcon = null;
+        this.typeDifficulty = null;         // Difficulty and duration expected from the events of the type
+        this.typeDurationMinutes = null;
+        this.participants = 0;
+        this.waitlisted = 0;
+        this.routeName = null;      // Name of the GPX file of the route, null without a route
+        this.distance = null;       // Length of the route, in metres
+        this.elevationGain = null;  // Total climb of the route, in metres
+        this.start = null;          // { lat, lon } where the route starts
+        this.end = null;            // { lat, lon } where the route ends
+        this.seriesId = null;       // ID of the series of recurring events the event belongs to
+        this.series = null;         // Recurrence rule of the series, only sent with a single event
     }
 
     /**
@@ -32,7 +58,7 @@ export class Event {
      * @returns {boolean} Returns true if validation passes.
      */
     static validate(typeId, name, date) {
-        if (!EventTypeStore.findById(typeId)) {
+        if (!typeId) {
             throw new Error("Tipo de evento inválido");
         }
         if (!name || name.trim().length === 0) {
@@ -45,206 +71,304 @@ export class Event {
     }
 
     /**
-     * Converts the event instance to a JSON object.
+     * Converts the event instance to the JSON object expected by the API.
      * 
      * @returns {Object} The event in JSON format.
      */
     toJSON() {
         return {
             id: this.id,
-            typeId: this.typeId,
+            type_id: this.typeId,
             name: this.name,
             date: this.date.toISOString(),
-            participants: Array.from(this.participants)
+            max_participants: this.maxParticipants,
+            fee_cents: this.feeCents
         };
     }
 
     /**
-     * Creates an Event instance from a JSON object.
+     * Creates an Event instance from a JSON object returned by the API.
      * 
      * @param {Object} json - The JSON object containing event data.
      * 
      * @returns {Event} The created Event instance.
      */
     static fromJSON(json) {
-        const event = new Event(json.id, json.typeId, json.name, json.date);
-        event.participants = new Set(json.participants);
+        const event = new Event(json.id, json.type_id, json.name, json.date, json.max_participants ?? null);
+        event.feeCents = json.fee_cents ?? null;
+        event.typeName = json.type_name || '';
+        event.typeColor = json.type_color ?? null;
+        event.typeIcon = json.type_icon ?? null;
+        event.typeDifficulty = json.type_difficulty ?? null;
+        event.typeDurationMinutes = json.type_duration_minutes ?? null;
+        event.participants = json.participants ?? 0;
+        event.waitlisted = json.waitlisted ?? 0;
+        event.routeName = json.route_name ?? null;
+        event.distance = json.distance_m ?? null;
+        event.elevationGain = json.elevation_gain_m ?? null;
+        event.start = json.start_lat != null ? { lat: json.start_lat, lon: json.start_lon } : null;
+        event.end = json.end_lat != null ? { lat: json.end_lat, lon: json.end_lon } : null;
+        event.seriesId = json.series_id ?? null;
+        event.series = json.series ?? null;
         return event;
     }
 
     /**
-     * Adds a member as a participant of the event.
+     * Checks if the event has reached its participants limit.
      * 
-     * @param {number} memberId - The ID of the member to add as a participant.
+     * @returns {boolean} Returns true if no more members can be registered without going to the waitlist.
      */
-    addParticipant(memberId) {
-        this.participants.add(memberId);
+    isFull() {
+        return this.maxParticipants !== null && this.participants >= this.maxParticipants;
     }
 
     /**
-     * Removes a member from the event participants.
+     * Checks if a GPX route was uploaded for the event.
      * 
-     * @param {number} memberId - The ID of the member to remove.
+     * @returns {boolean} Returns true if the event has a route.
      */
-    removeParticipant(memberId) {
-        this.participants.delete(memberId);
+    hasRoute() {
+        return this.routeName !== null;
     }
 
     /**
-     * Checks if a member is a participant of the event.
+     * Checks if the event is one of a series of recurring events.
      * 
-     * @param {number} memberId - The ID of the member to check.
+     * @returns {boolean} Returns true if the event belongs to a series.
+     */
+    isRecurring() {
+        return this.seriesId !== null;
+    }
+
+    /**
+     * Checks if the day of the event has come, from when its attendance can be recorded.
      * 
-     * @returns {boolean} Returns true if the member is a participant.
+     * @returns {boolean} Returns true if the event is today or in the past.
      */
-    hasParticipant(memberId) {
-        return this.participants.has(memberId);
+    hasStarted() {
+        return this.date.toISOString().slice(0, 10) <= new Date().toISOString().slice(0, 10);
     }
 }
 
 /**
- * Manages a collection of events, including adding, updating, deleting, and retrieving events.
+ * Manages events using the backend API.
  */
 class EventStoreClass {
     /**
-     * Initializes the EventStoreClass, loading events from localStorage if available.
+     * Initializes the EventStoreClass with the path of the events resource.
      */
     constructor() {
-        this.events = [];
-        this.lastId = 0;
-        this.loadFromStorage();
+        this.path = '/events';
     }
 
     /**
-     * Loads events from localStorage and initializes the event list.
+     * Retrieves all events.
+     * 
+     * @returns {Promise<Event[]>} An array of all events.
      */
-    loadFromStorage() {
-        const stored = localStorage.getItem('events');
-        if (stored) {
-            const data = JSON.parse(stored);
-            this.lastId = data.lastId;
-            this.events = data.events.map(eventData => Event.fromJSON(eventData));
-        } else {
-            const today = new Date();
-            this.add(1, "Passeio na Cidade", new Date(today.setDate(today.getDate() + 7)));
-            this.add(2, "Competição Regional", new Date(today.setDate(today.getDate() + 14)));
-        }
+    async getAll() {
+        const { data } = await api.get(this.path);
+        return data.map(Event.fromJSON);
     }
 
     /**
-     * Saves the current events to localStorage.
+     * Retrieves one page of events.
+     * 
+     * @param {Object} [options] - Filters, sorting and pagination:
+     *   typeId, from, to, q, sort (id, type, name, date, participants, distance or elevation), order (asc or desc), page and pageSize.
+     * 
+     * @returns {Promise<{items: Event[], total: number, page: number, pageSize: number|null}>} The page and the total number of matching events.
      */
-    saveToStorage() {
-        localStorage.setItem('events', JSON.stringify({
-            lastId: this.lastId,
-            events: this.events.map(event => event.toJSON())
-        }));
+    async list(options = {}) {
+        const { data, total, page, pageSize } = await api.get(this.path, options);
+        return { items: data.map(Event.fromJSON), total, page, pageSize };
     }
 
     /**
-     * Adds a new event to the store after validating it.
+     * Finds an event by its ID.
+     * 
+     * @param {number} id - The ID of the event to find.
+     * 
+     * @returns {Promise<Event>} The found event.
+     */
+    async findById(id) {
+        return Event.fromJSON(await api.get(`${this.path}/${id}`));
+    }
+
+    /**
+     * Adds a new event after validating it.
      * 
      * @param {number} typeId - The ID of the event type.
      * @param {string} name - The name of the event.
      * @param {Date|string} date - The date of the event.
+     * @param {number|null} [maxParticipants=null] - The participants limit, or null for no limit.
+     * @param {number|null} [feeCents=null] - The fee of each participant, in cents, or null for a free event.
+     * @param {Object|null} [recurrence=null] - Repeats the event as a series: frequency ('weekly' or 'monthly'),
+     *   interval, byWeekday (1 is Monday), until, count and exceptions (days left out, as YYYY-MM-DD).
      * 
-     * @throws {Error} Throws an error if validation fails.
+     * @throws {Error} Throws an error if validation fails or the server refuses the event.
      * 
-     * @returns {Event} The newly added event.
+     * @returns {Promise<Object>} The created event; for a series, with `series_id` and the number of `events`.
      */
-    add(typeId, name, date) {
+    async add(typeId, name, date, maxParticipants = null, feeCents = null, recurrence = null) {
         Event.validate(typeId, name, date);
-        const event = new Event(++this.lastId, typeId, name, date);
-        this.events.push(event);
-        this.saveToStorage();
-        return event;
+        const event = new Event(null, typeId, name, date, maxParticipants);
+        event.feeCents = feeCents;
+        return api.post(this.path, { ...event.toJSON(), recurrence });
     }
 
     /**
-     * Updates an existing event in the store.
+     * Updates an existing event.
      * 
      * @param {number} id - The ID of the event to update.
      * @param {number} typeId - The new event type ID.
      * @param {string} name - The new event name.
      * @param {Date|string} date - The new event date.
+     * @param {number|null} [maxParticipants=null] - The new participants limit, or null for no limit.
+     * @param {number|null} [feeCents=null] - The new fee, in cents, or null for a free event.
+     * @param {string} [scope='this'] - For events of a series: 'this', 'following' (this event and the
+     *   following ones) or 'series'. A new date moves all the events by the same number of days.
      * 
-     * @throws {Error} Throws an error if the event is not found or validation fails.
-     * 
-     * @returns {Event} The updated event.
+     * @throws {Error} Throws an error if validation fails or the server refuses the changes.
      */
-    update(id, typeId, name, date) {
-        const event = this.findById(id);
-        if (!event) {
-            throw new Error("Evento não encontrado");
-        }
+    async update(id, typeId, name, date, maxParticipants = null, feeCents = null, scope = 'this') {
         Event.validate(typeId, name, date);
-        event.typeId = typeId;
-        event.name = name;
-        event.date = new Date(date);
-        this.saveToStorage();
-        return event;
+        const event = new Event(id, typeId, name, date, maxParticipants);
+        event.feeCents = feeCents;
+        await api.put(api.withQuery(`${this.path}/${id}`, { scope }), event.toJSON());
     }
 
     /**
-     * Deletes an event from the store by its ID.
+     * Deletes an event by its ID.
      * 
      * @param {number} id - The ID of the event to delete.
+     * @param {string} [scope='this'] - For events of a series: 'this', 'following' or 'series'.
+     * 
+     * @throws {Error} Throws an error if the server refuses the deletion.
      * 
-     * @throws {Error} Throws an error if the event is not found.
+     * @returns {Promise<number>} The number of deleted events.
      */
-    delete(id) {
-        const index = this.events.findIndex(e => e.id === id);
-        if (index === -1) {
-            throw new Error("Evento não encontrado");
-        }
+    async delete(id, scope = 'this') {
+        const { count } = await api.delete(api.withQuery(`${this.path}/${id}`, { scope }));
+        return count;
+    }
 
-        this.events.splice(index, 1);
+    /**
+     * Retrieves the members registered in an event, with the status of their registration.
+     * 
+     * @param {number} id - The ID of the event.
+     * 
+     * @returns {Promise<Array<{memberId: number, name: string, status: string}>>} The registrations,
+     *   with status 'registered', 'attended', 'no-show' or 'cancelled'.
+     */
+    async getAttendance(id) {
+        const data = await api.get(`${this.path}/${id}/attendance`);
+        return data.map(row => ({ memberId: row.member_id, name: row.name, status: row.status }));
+    }
 
-        this.events.forEach((event, idx) => {
-            event.id = idx + 1;
-        });
+    /**
+     * Records the attendance of the members of an event.
+     * 
+     * @param {number} id - The ID of the event.
+     * @param {Array<{memberId: number, status: string}>} attendance - The new status of each member.
+     * 
+     * @throws {Error} Throws an error if the server refuses the changes, e.g. before the day of the event.
+     * 
+     * @returns {Promise<number[]>} The IDs of the members promoted from the waitlist to the freed places.
+     */
+    async updateAttendance(id, attendance) {
+        const data = await api.patch(`${this.path}/${id}/attendance`, { attendance });
+        return data.promoted;
+    }
+
+    /**
+     * Retrieves the route of an event, with its elevation profile.
+     * 
+     * @param {number} id - The ID of the event.
+     * 
+     * @throws {Error} Throws an error if the event has no route.
+     * 
+     * @returns {Promise<{name: string, distance_m: number, elevation_gain_m: number|null, start: Object, end: Object,
+     *   profile: Array<{distance: number, elevation: number}>}>} The route, with distances and elevations in metres.
+     */
+    async getRoute(id) {
+        return api.get(`${this.path}/${id}/route`);
+    }
+
+    /**
+     * Uploads the GPX file of the route of an event, replacing the previous one.
+     * 
+     * @param {number} id - The ID of the event.
+     * @param {File} file - The GPX file.
+     * 
+     * @throws {Error} Throws an error if the server refuses the file.
+     * 
+     * @returns {Promise<Object>} The route, as in getRoute.
+     */
+    async uploadRoute(id, file) {
+        const body = new Blob([file], { type: 'application/gpx+xml' });
+        return api.put(api.withQuery(`${this.path}/${id}/route`, { name: file.name }), body);
+    }
 
-        this.lastId = this.events.length;
+    /**
+     * Removes the route of an event.
+     * 
+     * @param {number} id - The ID of the event.
+     * 
+     * @throws {Error} Throws an error if the server refuses the removal.
+     */
+    async deleteRoute(id) {
+        await api.delete(`${this.path}/${id}/route`);
+    }
 
-        this.saveToStorage();
+    /**
+     * Downloads the GPX file of the route of an event.
+     * 
+     * @param {Event} event - The event, with a route.
+     * 
+     * @throws {Error} Throws an error if the server refuses the download.
+     */
+    async downloadRoute(event) {
+        await api.download(`${this.path}/${event.id}/route.gpx`, {}, event.routeName);
     }
 
     /**
-     * Finds an event by its ID.
+     * Downloads every event as a CSV or JSON file.
      * 
-     * @param {number} id - The ID of the event to find.
+     * @param {string} [format='csv'] - The format of the file: 'csv' or 'json'.
      * 
-     * @returns {Event|null} The found event, or null if not found.
+     * @throws {Error} Throws an error if the server refuses the download.
      */
-    findById(id) {
-        return this.events.find(e => e.id === id);
+    async exportFile(format = 'csv') {
+        await api.download(`${this.path}/export`, { format }, `eventos.${format}`);
     }
 
     /**
-     * Retrieves all events in the store.
+     * Imports events from the content of a CSV or JSON file.
+     * 
+     * @param {string} format - The format of the file: 'csv' or 'json'.
+     * @param {string} content - The content of the file.
+     * @param {boolean} [dryRun=false] - Only check the records, without creating them.
+     * 
+     * @throws {Error} Throws an error if the server cannot read the file.
      * 
-     * @returns {Event[]} An array of all events.
+     * @returns {Promise<{total: number, valid: number, imported: number, errors: Array<{row: number, field: string, message: string}>}>} The result of the import.
      */
-    getAll() {
-        return [...this.events];
+    async importFile(format, content, dryRun = false) {
+        return api.post(`${this.path}/import${dryRun ? '?dryRun=true' : ''}`, { format, content });
     }
 
     /**
-     * Retrieves events that are available for a specific member based on their preferred event types.
+     * Returns the address calendar applications subscribe to, to follow the events.
      * 
-     * @param {number} memberId - The ID of the member.
-     * @param {number[]} preferredTypes - An array of preferred event type IDs.
+     * @param {string} token - The calendar token of the account.
+     * @param {number|string} [typeId=''] - Only include the events of this type.
      * 
-     * @returns {Event[]} An array of events that the member can join.
+     * @returns {string} The webcal:// address of the feed.
      */
-    getAvailableForMember(memberId, preferredTypes) {
-        const now = new Date();
-        return this.events.filter(event => {
-            return event.date > now &&
-                   preferredTypes.includes(event.typeId) &&
-                   !event.hasParticipant(memberId);
-        });
+    calendarUrl(token, typeId = '') {
+        return api.subscriptionUrl(`${this.path}.ics`, { typeId, token });
     }
 }
 
-export const EventStore = new EventStoreClass();
\ No newline at end of file
+export const EventStore = new EventStoreClass();
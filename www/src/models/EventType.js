@@ -1,31 +1,120 @@
+import { api } from '../services/ApiClient.js';
+
+// Labels of the difficulties of the events
+export const difficultyLabels = {
+    easy: 'Fácil',
+    moderate: 'Moderada',
+    hard: 'Difícil',
+    extreme: 'Muito difícil'
+};
+
+/**
+ * Formats a duration in minutes, e.g. '2h30'.
+ *
+ * @param {number|null} minutes - The duration.
+ * @returns {string} The formatted duration, or '-' when there is none.
+ */
+export function formatDuration(minutes) {
+    if (!minutes) {
+        return '-';
+    }
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (!hours) {
+        return `${rest} min`;
+    }
+    return rest ? `${hours}h${String(rest).padStart(2, '0')}` : `${hours}h`;
+}
+
 /**
- * Represents an event type (e.g., "Passeio", "Competição").
+ * Represents an event type (e.g., "Passeio", "Competição"), with its details and, for the
+ * child types (e.g., "Estrada" under "Competição"), its parent type.
  */
 export class EventType {
-    constructor(id, name) {
+    constructor(id, name, details = {}) {
         this.id = id;
         this.name = name;
+        this.parentId = details.parentId ?? null;
+        this.parentName = details.parentName ?? null;
+        this.description = details.description ?? null;
+        this.color = details.color ?? null;                     // '#RRGGBB'
+        this.icon = details.icon ?? null;                       // A short text, such as an emoji
+        this.defaultDifficulty = details.defaultDifficulty ?? null;     // A key of difficultyLabels
+        this.defaultDurationMinutes = details.defaultDurationMinutes ?? null;
     }
 
     static validate(name) {
         return name && name.trim().length > 0;
     }
 
+    /**
+     * Returns the name of the type with its icon, e.g. '🚵 BTT'.
+     *
+     * @returns {string} The label.
+     */
+    get label() {
+        return this.icon ? `${this.icon} ${this.name}` : this.name;
+    }
+
     toJSON() {
-        return { id: this.id, name: this.name };
+        return {
+            id: this.id,
+            name: this.name,
+            parent_id: this.parentId,
+            description: this.description,
+            color: this.color,
+            icon: this.icon,
+            default_difficulty: this.defaultDifficulty,
+            default_duration_minutes: this.defaultDurationMinutes
+        };
     }
 
     static fromJSON(json) {
-        return new EventType(json.id, json.name);
+        return new EventType(json.id, json.name, {
+            parentId: json.parent_id,
+            parentName: json.parent_name,
+            description: json.description,
+            color: json.color,
+            icon: json.icon,
+            defaultDifficulty: json.default_difficulty,
+            defaultDurationMinutes: json.default_duration_minutes
+        });
     }
 }
 
+// Details of an event type, as named in the API
+const detailFields = {
+    parentId: 'parent_id',
+    description: 'description',
+    color: 'color',
+    icon: 'icon',
+    defaultDifficulty: 'default_difficulty',
+    defaultDurationMinutes: 'default_duration_minutes'
+};
+
+/**
+ * Builds the body of a request to save an event type, with the details given.
+ *
+ * @param {string} name - The name of the event type.
+ * @param {Object} details - The details, named as in EventType.
+ * @returns {Object} The body, named as in the API.
+ */
+function requestBody(name, details) {
+    const body = { name };
+    Object.entries(detailFields).forEach(([key, field]) => {
+        if (Object.hasOwn(details, key)) {
+            body[field] = details[key] ?? null;
+        }
+    });
+    return body;
+}
+
 /**
  * Manages event types using backend API.
  */
 class EventTypeStoreClass {
     constructor() {
-        this.apiUrl = "http://localhost:3000/event-types"; // Backend API URL
+        this.path = "/event-types";
     }
 
     /**
@@ -33,101 +122,75 @@ class EventTypeStoreClass {
      * @returns {Promise<EventType[]>} List of event types.
      */
     async getAll() {
-        try {
-            const response = await fetch(this.apiUrl);
-            if (!response.ok) throw new Error("Failed to fetch event types");
-            const data = await response.json();
-            return data.map(EventType.fromJSON);
-        } catch (error) {
-            console.error("Error fetching event types:", error);
-            return [];
-        }
+        const { data } = await api.get(this.path);
+        return data.map(EventType.fromJSON);
     }
 
     /**
      * Fetch a single event type by ID.
      * @param {number} id
-     * @returns {Promise<EventType|null>}
+     * @returns {Promise<EventType>}
      */
     async findById(id) {
-        try {
-            const response = await fetch(`${this.apiUrl}/${id}`);
-            if (!response.ok) throw new Error("Event type not found");
-            return EventType.fromJSON(await response.json());
-        } catch (error) {
-            console.error(`Error fetching event type ${id}:`, error);
-            return null;
-        }
+        return EventType.fromJSON(await api.get(`${this.path}/${id}`));
     }
 
     /**
      * Create a new event type.
      * @param {string} name
-     * @returns {Promise<EventType|null>}
+     * @param {Object} [details] - parentId, description, color, icon, defaultDifficulty and defaultDurationMinutes.
+     * @returns {Promise<EventType>}
      */
-    async add(name) {
+    async add(name, details = {}) {
         if (!EventType.validate(name)) {
             throw new Error("Nome do tipo de evento é obrigatório");
         }
-        try {
-            const response = await fetch(this.apiUrl, {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({ name }),
-            });
-            if (!response.ok) throw new Error("Failed to add event type");
-            return EventType.fromJSON(await response.json());
-        } catch (error) {
-            console.error("Error adding event type:", error);
-            return null;
-        }
+        return EventType.fromJSON(await api.post(this.path, requestBody(name, details)));
     }
 
     /**
      * Update an existing event type.
      * @param {number} id
      * @param {string} name
-     * @returns {Promise<EventType|null>}
+     * @param {Object} [details] - The details to change: parentId, description, color, icon,
+     *   defaultDifficulty and defaultDurationMinutes. The ones left out are kept.
+     * @returns {Promise<EventType>}
      */
-    async update(id, name) {
+    async update(id, name, details = {}) {
         if (!EventType.validate(name)) {
             throw new Error("Nome do tipo de evento é obrigatório");
         }
-        try {
-            const response = await fetch(`${this.apiUrl}/${id}`, {
-                method: "PUT",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({ name }),
-            });
-            if (!response.ok) throw new Error("Failed to update event type");
-            return EventType.fromJSON(await response.json());
-        } catch (error) {
-            console.error(`Error updating event type ${id}:`, error);
-            return null;
-        }
+        return EventType.fromJSON(await api.put(`${this.path}/${id}`, requestBody(name, details)));
     }
 
     /**
      * Delete an event type.
      * @param {number} id
-     * @returns {Promise<boolean>}
+     * @returns {Promise<void>}
      */
     async delete(id) {
-        try {
-            const response = await fetch(`${this.apiUrl}/${id}`, {
-                method: "DELETE",
-                headers: {
-                    "Content-Type": "application/json"
-                }
-            });
-            if (!response.ok) throw new Error("Failed to delete event type");
-            return true;
-        } catch (error) {
-            console.error(`Error deleting event type ${id}:`, error);
-            return false;
-        }
+        await api.delete(`${this.path}/${id}`);
+    }
+
+    /**
+     * Download every event type as a CSV or JSON file.
+     * @param {string} [format='csv'] - 'csv' or 'json'.
+     * @returns {Promise<void>}
+     */
+    async exportFile(format = 'csv') {
+        await api.download(`${this.path}/export`, { format }, `tipos-de-evento.${format}`);
+    }
+
+    /**
+     * Import event types from the content of a CSV or JSON file.
+     * @param {string} format - 'csv' or 'json'.
+     * @param {string} content - The content of the file.
+     * @param {boolean} [dryRun=false] - Only check the records, without creating them.
+     * @returns {Promise<Object>} The result: total, valid, imported and errors.
+     */
+    async importFile(format, content, dryRun = false) {
+        return api.post(`${this.path}/import${dryRun ? '?dryRun=true' : ''}`, { format, content });
     }
-    
 }
 
 export const EventTypeStore = new EventTypeStoreClass();
@@ -0,0 +1,136 @@
+import { api } from '../services/ApiClient.js';
+
+// Labels of the payment methods accepted by the API
+export const paymentMethodLabels = {
+    cash: 'Numerário',
+    transfer: 'Transferência',
+    mbway: 'MB WAY',
+    card: 'Cartão',
+    other: 'Outro'
+};
+
+// Labels of the states of a charge, after the payments are applied to the oldest charges
+export const chargeStateLabels = {
+    paid: 'Paga',
+    due: 'Por pagar',
+    overdue: 'Em atraso',
+    upcoming: 'A vencer'
+};
+
+/**
+ * Formats an amount in cents as euros, e.g. '12,50 €'.
+ *
+ * @param {number|null} cents - The amount.
+ * @returns {string} The formatted amount, or '-' when there is none.
+ */
+export function formatMoney(cents) {
+    if (cents === null || cents === undefined) {
+        return '-';
+    }
+    return (cents / 100).toLocaleString('pt-PT', { style: 'currency', currency: 'EUR' });
+}
+
+/**
+ * Converts an amount typed in euros, with a comma or a dot, into cents.
+ *
+ * @param {string} text - The amount, e.g. '12,5'.
+ * @returns {number|null} The amount in cents, or null when the text is empty.
+ *
+ * @throws {Error} Throws an error if the text is not a valid amount.
+ */
+export function parseMoney(text) {
+    const value = String(text ?? '').trim().replace(',', '.');
+    if (value === '') {
+        return null;
+    }
+    const euros = Number(value);
+    if (!Number.isFinite(euros) || euros < 0) {
+        throw new Error('Valor inválido');
+    }
+    return Math.round(euros * 100);
+}
+
+/**
+ * Manages the membership fees and the payments of the members using the backend API.
+ * Amounts are in cents.
+ */
+class FeeStoreClass {
+    /**
+     * Retrieves one page of the balances of the members.
+     *
+     * @param {Object} [options] - Filters, sorting and pagination: state ('overdue', 'due' or 'all'), q,
+     *   sort (id, name, membershipNumber, due or overdue), order (asc or desc), page and pageSize.
+     *
+     * @returns {Promise<{items: Object[], total: number, page: number, pageSize: number|null, graceDays: number}>}
+     *   The members of the page, with `charged_cents`, `paid_cents`, `due_cents` and `overdue_cents`.
+     */
+    async getBalances(options = {}) {
+        const { data, total, page, pageSize, grace_days } = await api.get('/fees/balances', options);
+        return { items: data, total, page, pageSize, graceDays: grace_days };
+    }
+
+    /**
+     * Retrieves the balance of a member, with their charges and payments.
+     *
+     * @param {number} memberId - The ID of the member.
+     *
+     * @returns {Promise<Object>} The balance: the totals, `blocked`, the `charges` (membership fees and
+     *   event fees, each one with its `state`) and the `payments`.
+     */
+    async getBalance(memberId) {
+        return api.get(`/members/${memberId}/balance`);
+    }
+
+    /**
+     * Charges a membership fee to a member, or to every active member.
+     *
+     * @param {number|null} memberId - The ID of the member, or null for every active member.
+     * @param {Object} fee - The fee: periodStart, periodEnd, amountCents and dueDate.
+     *
+     * @throws {Error} Throws an error if the server refuses the fee.
+     *
+     * @returns {Promise<Object>} The created fee, or `{ created }` with the number of members charged.
+     */
+    async addFee(memberId, { periodStart, periodEnd, amountCents, dueDate }) {
+        const body = { period_start: periodStart, period_end: periodEnd, amount_cents: amountCents, due_date: dueDate };
+        return api.post(memberId ? `/members/${memberId}/fees` : '/fees', body);
+    }
+
+    /**
+     * Deletes a membership fee.
+     *
+     * @param {number} id - The ID of the fee.
+     *
+     * @throws {Error} Throws an error if the server refuses the deletion.
+     */
+    async deleteFee(id) {
+        await api.delete(`/fees/${id}`);
+    }
+
+    /**
+     * Records a payment of a member.
+     *
+     * @param {number} memberId - The ID of the member.
+     * @param {Object} payment - The payment: amountCents, date, method and reference.
+     *
+     * @throws {Error} Throws an error if the server refuses the payment.
+     *
+     * @returns {Promise<Object>} The recorded payment.
+     */
+    async addPayment(memberId, { amountCents, date, method, reference = null }) {
+        return api.post(`/members/${memberId}/payments`, { amount_cents: amountCents, date, method, reference });
+    }
+
+    /**
+     * Deletes a payment.
+     *
+     * @param {number} id - The ID of the payment.
+     *
+     * @throws {Error} Throws an error if the server refuses the deletion.
+     */
+    async deletePayment(id) {
+        await api.delete(`/payments/${id}`);
+    }
+}
+
+export const FeeStore = new FeeStoreClass();
@@ -1,5 +1,40 @@
+import { api } from '../services/ApiClient.js';
+import { Event } from './Event.js';
+
+// Labels of the membership statuses; only active members can register for events
+export const memberStatusLabels = {
+    active: 'Ativo',
+    suspended: 'Suspenso',
+    former: 'Antigo membro'
+};
+
+// Profile fields of a member, with the names the API uses
+const profileFields = {
+    email: 'email',
+    phone: 'phone',
+    birthDate: 'birth_date',
+    membershipNumber: 'membership_number',
+    joinDate: 'join_date',
+    emergencyContactName: 'emergency_contact_name',
+    emergencyContactPhone: 'emergency_contact_phone',
+    status: 'status'
+};
+
+/**
+ * Converts a profile to the fields expected by the API, leaving out the ones not given.
+ * 
+ * @param {Object} profile - The profile, with the names of the Member properties.
+ * 
+ * @returns {Object} The profile with the names of the API.
+ */
+function profileToJSON(profile) {
+    return Object.fromEntries(Object.entries(profileFields)
+        .filter(([property]) => profile[property] !== undefined)
+        .map(([property, field]) => [field, profile[property]]));
+}
+
 /**
- * Represents a member, with an ID, name, and preferred event types.
+ * Represents a member, with an ID, name, profile, and preferred event types.
  */
 export class Member {
     /**
@@ -12,6 +47,16 @@ export class Member {
         this.id = id;
         this.name = name;
         this.preferredEventTypes = new Set();
+        this.email = null;
+        this.phone = null;
+        this.birthDate = null;              // Days as YYYY-MM-DD
+        this.membershipNumber = null;
+        this.joinDate = null;
+        this.emergencyContactName = null;
+        this.emergencyContactPhone = null;
+        this.status = 'active';             // 'active', 'suspended' or 'former'
+        this.checkedEvents = 0;  // Events where the member's attendance was recorded
+        this.noShows = 0;        // Events the member was registered in and missed
     }
 
     /**
@@ -39,6 +84,7 @@ export class Member {
         return {
             id: this.id,
             name: this.name,
+            ...profileToJSON(this),
             preferredEventTypes: Array.from(this.preferredEventTypes)
         };
     }
@@ -53,151 +99,215 @@ export class Member {
     static fromJSON(json) {
         const member = new Member(json.id, json.name);
         member.preferredEventTypes = new Set(Array.isArray(json.preferredEventTypes) ? json.preferredEventTypes : []);
+        Object.entries(profileFields).forEach(([property, field]) => {
+            member[property] = json[field] ?? member[property];
+        });
+        member.checkedEvents = json.checked_events ?? 0;
+        member.noShows = json.no_shows ?? 0;
         return member;
     }
 
+    /**
+     * Checks if the member prefers an event type.
+     * 
+     * @param {number} typeId - The ID of the event type.
+     * 
+     * @returns {boolean} Returns true if the event type is one of the member's preferences.
+     */
+    prefers(typeId) {
+        return this.preferredEventTypes.has(typeId);
+    }
 
     /**
-     * Adds an event type to the member's preferred event types.
+     * Checks if the member is active, and so can register for events.
      * 
-     * @param {number} typeId - The ID of the event type to add.
+     * @returns {boolean} Returns true if the member is active.
      */
-    addPreferredEventType(typeId) {
-        this.preferredEventTypes.add(typeId);
+    isActive() {
+        return this.status === 'active';
     }
 
     /**
-     * Removes an event type from the member's preferred event types.
+     * Calculates the share of the events with recorded attendance that the member missed.
      * 
-     * @param {number} typeId - The ID of the event type to remove.
+     * @returns {number|null} The no-show rate, between 0 and 1, or null if no attendance was recorded.
      */
-    removePreferredEventType(typeId) {
-        this.preferredEventTypes.delete(typeId);
+    noShowRate() {
+        return this.checkedEvents ? this.noShows / this.checkedEvents : null;
     }
 }
 
 /**
- * Manages a collection of members, including adding, updating, deleting, and retrieving members.
+ * Manages members and their event registrations using the backend API.
  */
 class MemberStoreClass {
     /**
-     * Initializes the MemberStoreClass, loading members from localStorage if available.
+     * Initializes the MemberStoreClass with the path of the members resource.
      */
     constructor() {
-        this.members = [];
-        this.lastId = 0;
-        this.loadFromStorage();
+        this.path = '/members';
+    }
+
+    /**
+     * Retrieves all members.
+     * 
+     * @returns {Promise<Member[]>} An array of all members.
+     */
+    async getAll() {
+        const { data } = await api.get(this.path);
+        return data.map(Member.fromJSON);
     }
 
     /**
-     * Loads members from localStorage and initializes the member list.
+     * Retrieves one page of members.
+     * 
+     * @param {Object} [options] - Filters, sorting and pagination:
+     *   q (in the name, email or membership number), prefersType, status,
+     *   sort (id, name, membershipNumber, joinDate or status), order (asc or desc), page and pageSize.
+     * 
+     * @returns {Promise<{items: Member[], total: number, page: number, pageSize: number|null}>} The page and the total number of matching members.
      */
-    loadFromStorage() {
-        const stored = localStorage.getItem('members');
-        if (stored) {
-            const data = JSON.parse(stored);
-            this.lastId = data.lastId;
-            this.members = data.members.map(memberData => Member.fromJSON(memberData));
-        } else {
-            this.add("João Silva");
-            this.add("Maria Santos");
-        }
+    async list(options = {}) {
+        const { data, total, page, pageSize } = await api.get(this.path, options);
+        return { items: data.map(Member.fromJSON), total, page, pageSize };
     }
 
     /**
-     * Saves the current members to localStorage.
+     * Finds a member by their ID.
+     * 
+     * @param {number} id - The ID of the member to find.
+     * 
+     * @returns {Promise<Member>} The found member.
      */
-    saveToStorage() {
-        localStorage.setItem('members', JSON.stringify({
-            lastId: this.lastId,
-            members: this.members.map(member => member.toJSON())
-        }));
+    async findById(id) {
+        return Member.fromJSON(await api.get(`${this.path}/${id}`));
     }
 
     /**
-     * Adds a new member to the store after validating the name.
+     * Adds a new member after validating the name.
      * 
      * @param {string} name - The name of the new member.
+     * @param {number[]} [preferredTypes=[]] - The preferred event types (by type ID).
+     * @param {Object} [profile={}] - The profile: email, phone, birthDate, membershipNumber, joinDate,
+     *   emergencyContactName, emergencyContactPhone and status.
      * 
-     * @throws {Error} Throws an error if the name is invalid.
+     * @throws {Error} Throws an error if the name is invalid or the server refuses the member.
      * 
-     * @returns {Member} The newly added member.
+     * @returns {Promise<Member>} The newly added member.
      */
-    add(name) {
+    async add(name, preferredTypes = [], profile = {}) {
         Member.validate(name);
-        const member = new Member(++this.lastId, name);
-        this.members.push(member);
-        this.saveToStorage();
-        return member;
+        const data = await api.post(this.path, { name, ...profileToJSON(profile), preferredEventTypes: preferredTypes });
+        return Member.fromJSON(data.member);
     }
 
     /**
-     * Updates an existing member's details in the store.
+     * Updates an existing member's details.
      * 
      * @param {number} id - The ID of the member to update.
      * @param {string} name - The new name for the member.
      * @param {number[]} preferredTypes - The updated list of preferred event types (by type ID).
+     * @param {Object} [profile={}] - The profile fields to change, as in add; the ones left out are kept.
      * 
-     * @throws {Error} Throws an error if the member is not found or if the name is invalid.
+     * @throws {Error} Throws an error if the name is invalid or the server refuses the changes.
      * 
-     * @returns {Member} The updated member.
+     * @returns {Promise<Member>} The updated member.
      */
-    update(id, name, preferredTypes) {
-        const member = this.findById(id);
-        if (!member) {
-            throw new Error("Membro não encontrado");
-        }
+    async update(id, name, preferredTypes, profile = {}) {
         Member.validate(name);
-        member.name = name;
-        member.preferredEventTypes.clear();
-        preferredTypes.forEach(typeId => member.addPreferredEventType(typeId));
-        this.saveToStorage();
-        return member;
+        const data = await api.put(`${this.path}/${id}`, { name, ...profileToJSON(profile), preferredEventTypes: preferredTypes });
+        return Member.fromJSON(data);
     }
 
     /**
-     * Deletes a member from the store by their ID.
+     * Deletes a member by their ID.
      * 
      * @param {number} id - The ID of the member to delete.
      * 
-     * @throws {Error} Throws an error if the member is not found.
+     * @throws {Error} Throws an error if the server refuses the deletion.
      */
-    delete(id) {
-        const index = this.members.findIndex(m => m.id === id);
-        if (index === -1) {
-            throw new Error("Membro não encontrado");
-        }
+    async delete(id) {
+        await api.delete(`${this.path}/${id}`);
+    }
 
-        this.members.splice(index, 1);
+    /**
+     * Retrieves the events a member is registered in, including the ones
+     * where the member is on the waitlist (flagged with `waitlisted`).
+     * 
+     * @param {number} id - The ID of the member.
+     * 
+     * @returns {Promise<Array<{event: Event, waitlisted: boolean, status: string|null}>>} The member's registrations,
+     *   with the status of the registration ('registered', 'attended', 'no-show' or 'cancelled'), null on the waitlist.
+     */
+    async getEvents(id) {
+        const data = await api.get(`${this.path}/${id}/events`);
+        return data.map(json => ({ event: Event.fromJSON(json), waitlisted: Boolean(json.on_waitlist), status: json.status ?? null }));
+    }
 
-        this.members.forEach((member, idx) => {
-            member.id = idx + 1;
-        });
+    /**
+     * Registers a member in an event.
+     * 
+     * @param {number} id - The ID of the member.
+     * @param {number} eventId - The ID of the event.
+     * 
+     * @throws {Error} Throws an error if the server refuses the registration.
+     * 
+     * @returns {Promise<boolean>} Returns true if the event was full and the member went to the waitlist.
+     */
+    async registerToEvent(id, eventId) {
+        const data = await api.post(`${this.path}/${id}/events/${eventId}`);
+        return Boolean(data.waitlisted);
+    }
 
-        this.lastId = this.members.length;
+    /**
+     * Unregisters a member from an event, or removes them from its waitlist.
+     * 
+     * @param {number} id - The ID of the member.
+     * @param {number} eventId - The ID of the event.
+     * 
+     * @throws {Error} Throws an error if the registration is not found.
+     */
+    async unregisterFromEvent(id, eventId) {
+        await api.delete(`${this.path}/${id}/events/${eventId}`);
+    }
 
-        this.saveToStorage();
+    /**
+     * Downloads every member as a CSV or JSON file.
+     * 
+     * @param {string} [format='csv'] - The format of the file: 'csv' or 'json'.
+     * 
+     * @throws {Error} Throws an error if the server refuses the download.
+     */
+    async exportFile(format = 'csv') {
+        await api.download(`${this.path}/export`, { format }, `membros.${format}`);
     }
 
     /**
-     * Finds a member by their ID.
+     * Imports members from the content of a CSV or JSON file.
      * 
-     * @param {number} id - The ID of the member to find.
+     * @param {string} format - The format of the file: 'csv' or 'json'.
+     * @param {string} content - The content of the file.
+     * @param {boolean} [dryRun=false] - Only check the records, without creating them.
+     * 
+     * @throws {Error} Throws an error if the server cannot read the file.
      * 
-     * @returns {Member|null} The found member, or null if not found.
+     * @returns {Promise<{total: number, valid: number, imported: number, errors: Array<{row: number, field: string, message: string}>}>} The result of the import.
      */
-    findById(id) {
-        return this.members.find(m => m.id === id);
+    async importFile(format, content, dryRun = false) {
+        return api.post(`${this.path}/import${dryRun ? '?dryRun=true' : ''}`, { format, content });
     }
 
     /**
-     * Retrieves all members in the store.
+     * Returns the address calendar applications subscribe to, to follow the events of a member.
+     * 
+     * @param {number} id - The ID of the member.
+     * @param {string} token - The calendar token of the account.
      * 
-     * @returns {Member[]} An array of all members.
+     * @returns {string} The webcal:// address of the feed.
      */
-    getAll() {
-        return [...this.members];
+    calendarUrl(id, token) {
+        return api.subscriptionUrl(`${this.path}/${id}/events.ics`, { token });
     }
 }
 
-export const MemberStore = new MemberStoreClass();
\ No newline at end of file
+export const MemberStore = new MemberStoreClass();
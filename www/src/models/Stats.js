@@ -0,0 +1,36 @@
+import { api } from '../services/ApiClient.js';
+
+/**
+ * Retrieves the statistics of the rides of the members using the backend API.
+ * A ride is a registration in a past event, unless the member missed it or cancelled it.
+ */
+class StatsStoreClass {
+    /**
+     * Retrieves one page of the leaderboard of a season.
+     *
+     * @param {Object} [options] - Filters, sorting and pagination: season (a year), typeId,
+     *   sort (rank, name, events, distance, elevation or lastRide), order (asc or desc), page and pageSize.
+     *
+     * @returns {Promise<{items: Object[], total: number, page: number, pageSize: number|null, season: number}>}
+     *   The members of the page, with `position`, `events`, `distance_m`, `elevation_gain_m` and `last_ride`.
+     */
+    async getLeaderboard(options = {}) {
+        const { data, total, page, pageSize, season } = await api.get('/stats/leaderboard', options);
+        return { items: data, total, page, pageSize, season };
+    }
+
+    /**
+     * Retrieves the statistics of a member.
+     *
+     * @param {number} id - The ID of the member.
+     * @param {number|string} [season=''] - Only count the rides of this year.
+     *
+     * @returns {Promise<Object>} The statistics: `events`, `distance_m`, `elevation_gain_m`, `no_shows`,
+     *   `last_ride`, `streaks` (in weeks), `by_type` and `by_month`.
+     */
+    async getMemberStats(id, season = '') {
+        return api.get(`/members/${id}/stats`, { season });
+    }
+}
+
+export const StatsStore = new StatsStoreClass();
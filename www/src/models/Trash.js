@@ -0,0 +1,50 @@
+import { api } from '../services/ApiClient.js';
+
+// Labels of the kinds of records kept in the trash
+export const trashEntityLabels = {
+    member: 'Membro',
+    event: 'Evento',
+    eventType: 'Tipo de evento'
+};
+
+// API paths of the records of each kind
+const entityPaths = {
+    member: '/members',
+    event: '/events',
+    eventType: '/event-types'
+};
+
+/**
+ * Manages the trash of the deleted members, events and event types using the backend API.
+ * Only admins can see it.
+ */
+class TrashStoreClass {
+    /**
+     * Retrieves one page of the deleted records, the latest deleted first by default.
+     *
+     * @param {Object} [options] - Filters, sorting and pagination: entity ('member', 'event' or 'eventType'),
+     *   q, sort (id, name or deletedAt), order (asc or desc), page and pageSize.
+     *
+     * @returns {Promise<{items: Object[], total: number}>} The records of the page, with their `entity`,
+     *   `name`, `date` (of events), `deleted_at` and `purge_at`, and the total number of records.
+     */
+    async getAll(options = {}) {
+        const { data, total } = await api.get('/trash', options);
+        return { items: data, total };
+    }
+
+    /**
+     * Restores a deleted record, with its relationships.
+     *
+     * @param {string} entity - 'member', 'event' or 'eventType'.
+     * @param {number} id - The ID of the record.
+     *
+     * @returns {Promise<Object>} The answer of the API: for members and events, the number of
+     *   registrations (`registered`) and waitlist entries (`waitlisted`) restored.
+     */
+    async restore(entity, id) {
+        return api.post(`${entityPaths[entity]}/${id}/restore`);
+    }
+}
+
+export const TrashStore = new TrashStoreClass();
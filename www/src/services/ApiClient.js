@@ -0,0 +1,223 @@
+/**
+ * Error thrown when a request to the backend API fails.
+ */
+export class ApiError extends Error {
+    /**
+     * Creates an instance of an ApiError.
+     * 
+     * @param {string} message - The error message, as sent by the server when available.
+     * @param {number} status - The HTTP status code of the response (0 if the server could not be reached).
+     * @param {*} [body=null] - The parsed body of the error response, `{ error: { code, message, details } }`.
+     */
+    constructor(message, status, body = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.body = body;
+        this.code = body?.error?.code || null;
+        this.details = body?.error?.details ?? null;
+        this.errors = Array.isArray(this.details) ? this.details : [];  // Invalid fields, sent with status 422
+    }
+}
+
+/**
+ * Client for the backend REST API, shared by all the stores.
+ * Request bodies are sent as JSON, JSON responses are parsed and
+ * error responses are thrown as ApiError.
+ */
+export class ApiClient {
+    /**
+     * Creates an instance of the ApiClient.
+     * 
+     * @param {string} baseUrl - The base URL of the backend API.
+     */
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl;
+        this.token = null;           // Session token sent in the Authorization header
+        this.onUnauthorized = null;  // Called when the server rejects the session token
+    }
+
+    /**
+     * Sends a request to the API, with the session token when logged in.
+     * A 401 response to an authenticated request means the session ended,
+     * and is reported to `onUnauthorized` before the error is thrown.
+     * 
+     * @param {string} method - The HTTP method.
+     * @param {string} path - The path of the resource, starting with '/'.
+     * @param {Object|Blob} [body] - The data to send as JSON, or a file sent as it is, with its type.
+     * @param {boolean} [asBlob=false] - Whether to return the body as a Blob, for files.
+     * 
+     * @throws {ApiError} Throws an error if the server cannot be reached or answers with an error status.
+     * 
+     * @returns {Promise<*>} The parsed response body, or null if it is empty.
+     */
+    async request(method, path, body, asBlob = false) {
+        const options = { method, headers: {} };
+        if (this.token) {
+            options.headers['Authorization'] = `Bearer ${this.token}`;
+        }
+        if (body instanceof Blob) {
+            options.headers['Content-Type'] = body.type || 'application/octet-stream';
+            options.body = body;
+        } else if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}${path}`, options);
+        } catch (error) {
+            console.error(`Error requesting ${method} ${path}:`, error);
+            throw new ApiError('Não foi possível contactar o servidor', 0);
+        }
+
+        if (asBlob && response.ok) {
+            return response.blob();
+        }
+        const data = await this.parseBody(response);
+        if (response.status === 401 && this.token && this.onUnauthorized) {
+            this.onUnauthorized();
+        }
+        if (!response.ok) {
+            throw new ApiError(this.getErrorMessage(data, response), response.status, data);
+        }
+        return data;
+    }
+
+    /**
+     * Reads the body of a response, parsing it as JSON when possible.
+     * 
+     * @param {Response} response - The fetch response.
+     * 
+     * @returns {Promise<*>} The parsed body, the raw text if it is not JSON, or null if it is empty.
+     */
+    async parseBody(response) {
+        const text = await response.text();
+        if (!text) {
+            return null;
+        }
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text;
+        }
+    }
+
+    /**
+     * Extracts the error message sent by the server.
+     * 
+     * @param {*} data - The parsed body of the error response.
+     * @param {Response} response - The fetch response.
+     * 
+     * @returns {string} The error message.
+     */
+    getErrorMessage(data, response) {
+        if (typeof data === 'string') {
+            return data;
+        }
+        return data?.error?.message || data?.message || `Erro ${response.status}`;
+    }
+
+    /**
+     * Sends a GET request.
+     * @param {string} path - The path of the resource.
+     * @param {Object} [query] - Query string parameters. Empty, null and undefined values are left out.
+     * @returns {Promise<*>} The parsed response body.
+     */
+    get(path, query) {
+        return this.request('GET', this.withQuery(path, query));
+    }
+
+    /**
+     * Downloads a file, such as an export, and saves it on the user's computer.
+     * @param {string} path - The path of the file.
+     * @param {Object} [query] - Query string parameters. Empty, null and undefined values are left out.
+     * @param {string} filename - The name the file is saved with.
+     * @returns {Promise<void>} Resolves once the file is handed to the browser.
+     */
+    async download(path, query, filename) {
+        const blob = await this.request('GET', this.withQuery(path, query), undefined, true);
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Returns the webcal:// address of a calendar feed, which calendar applications
+     * subscribe to and read again from time to time.
+     * @param {string} path - The path of the feed.
+     * @param {Object} [query] - Query string parameters, with the calendar `token`.
+     * @returns {string} The address of the feed.
+     */
+    subscriptionUrl(path, query) {
+        return `${this.baseUrl}${this.withQuery(path, query)}`.replace(/^https?:/, 'webcal:');
+    }
+
+    /**
+     * Adds query string parameters to a path.
+     * @param {string} path - The path of the resource.
+     * @param {Object} [query] - Query string parameters. Empty, null and undefined values are left out.
+     * @returns {string} The path with its query string.
+     */
+    withQuery(path, query) {
+        const params = new URLSearchParams();
+        Object.entries(query || {}).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.append(key, value);
+            }
+        });
+        const queryString = params.toString();
+        return queryString ? `${path}?${queryString}` : path;
+    }
+
+    /**
+     * Sends a POST request.
+     * @param {string} path - The path of the resource.
+     * @param {Object} [body] - The data to send.
+     * @returns {Promise<*>} The parsed response body.
+     */
+    post(path, body) {
+        return this.request('POST', path, body);
+    }
+
+    /**
+     * Sends a PUT request.
+     * @param {string} path - The path of the resource.
+     * @param {Object|Blob} [body] - The data to send, or a file.
+     * @returns {Promise<*>} The parsed response body.
+     */
+    put(path, body) {
+        return this.request('PUT', path, body);
+    }
+
+    /**
+     * Sends a PATCH request.
+     * @param {string} path - The path of the resource.
+     * @param {Object} [body] - The data to send.
+     * @returns {Promise<*>} The parsed response body.
+     */
+    patch(path, body) {
+        return this.request('PATCH', path, body);
+    }
+
+    /**
+     * Sends a DELETE request.
+     * @param {string} path - The path of the resource.
+     * @returns {Promise<*>} The parsed response body.
+     */
+    delete(path) {
+        return this.request('DELETE', path);
+    }
+}
+
+/**
+ * The API client used by the application. The base URL can be set
+ * through the VITE_API_URL environment variable.
+ */
+export const api = new ApiClient(import.meta.env.VITE_API_URL || 'http://localhost:3000');
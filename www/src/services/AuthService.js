@@ -0,0 +1,102 @@
+import { api } from './ApiClient.js';
+
+const tokenKey = 'estsbike.token';
+
+/**
+ * Manages the login session of the user. The session token is kept in
+ * localStorage, so the session survives page reloads.
+ */
+class AuthServiceClass {
+    /**
+     * Initializes the service with the token saved by a previous login, if any.
+     */
+    constructor() {
+        this.account = null;
+        api.token = localStorage.getItem(tokenKey);
+    }
+
+    /**
+     * Logs in with a username and password.
+     *
+     * @param {string} username - The username.
+     * @param {string} password - The password.
+     *
+     * @throws {Error} Throws an error if the fields are empty or the credentials are invalid.
+     *
+     * @returns {Promise<Object>} The logged in account.
+     */
+    async login(username, password) {
+        if (!username || !username.trim() || !password) {
+            throw new Error('Utilizador e palavra-passe são obrigatórios');
+        }
+        const data = await api.post('/auth/login', { username: username.trim(), password });
+        localStorage.setItem(tokenKey, data.token);
+        api.token = data.token;
+        this.account = data.account;
+        return this.account;
+    }
+
+    /**
+     * Restores the session saved by a previous login.
+     *
+     * @returns {Promise<boolean>} Returns true if the saved session is still valid.
+     */
+    async restore() {
+        if (!api.token) {
+            return false;
+        }
+        try {
+            this.account = await api.get('/auth/me');
+            return true;
+        } catch (error) {
+            console.error('Error restoring session:', error);
+            this.clear();
+            return false;
+        }
+    }
+
+    /**
+     * Logs out, ending the session on the server.
+     */
+    async logout() {
+        try {
+            await api.post('/auth/logout');
+        } catch (error) {
+            console.error('Error logging out:', error);
+        }
+        this.clear();
+    }
+
+    /**
+     * Forgets the session locally.
+     */
+    clear() {
+        localStorage.removeItem(tokenKey);
+        api.token = null;
+        this.account = null;
+    }
+
+    /**
+     * Creates a new calendar token of the account, with which calendar applications read
+     * the calendar feeds. The previous token, if any, stops working.
+     *
+     * @returns {Promise<string>} The token, which the server does not keep and cannot show again.
+     */
+    async createCalendarToken() {
+        const { token } = await api.post('/auth/calendar-token');
+        return token;
+    }
+
+    /**
+     * Checks if the logged in account has one of the given roles.
+     *
+     * @param {...string} roles - The roles (admin, organiser or member).
+     *
+     * @returns {boolean} Returns true if the account has one of the roles.
+     */
+    hasRole(...roles) {
+        return Boolean(this.account) && roles.includes(this.account.role);
+    }
+}
+
+export const AuthService = new AuthServiceClass();
@@ -0,0 +1,98 @@
+import { BaseView } from '../components/BaseView.js';
+import { EventCalendar } from '../components/EventCalendar.js';
+import { toast } from '../components/Toast.js';
+import { EventTypeStore } from '../models/EventType.js';
+import { router } from '../Router.js';
+
+// Layout, day shown and filter, kept in the URL when they differ from these
+const defaultQuery = { mode: 'month', date: '', typeId: '' };
+
+/**
+ * Represents the calendar of the events, in month or week layout.
+ * Extends the BaseView class.
+ */
+export class CalendarView extends BaseView {
+    /**
+     * Creates an instance of the CalendarView class.
+     * @param {Object} [state={}] The state restored from the URL, with the query (mode, date and typeId).
+     */
+    constructor(state = {}) {
+        super('Calendário', state);
+    }
+
+    /**
+     * Sets up the layout, the day shown and the filter before the content is created.
+     * @param {Object} state The initial state of the view.
+     */
+    setup({ query = {} }) {
+        this.query = { ...defaultQuery, ...query };
+    }
+
+    /**
+     * Returns the route of the current state, e.g. '/calendar?mode=week&date=2026-10-12'.
+     * @returns {string} The route path, with its query string.
+     */
+    getRoute() {
+        return router.build('/calendar', this.query, defaultQuery);
+    }
+
+    /**
+     * Creates the filter by event type and the calendar.
+     */
+    createContent() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'list-toolbar';
+
+        const typeFilter = document.createElement('select');
+        typeFilter.onchange = () => this.applyFilter(typeFilter.value);
+        EventTypeStore.getAll().then(eventTypes => {
+            [{ id: '', name: 'Todos os tipos de evento' }, ...eventTypes].forEach(type => {
+                const option = document.createElement('option');
+                option.value = type.id;
+                option.textContent = type.name;
+                typeFilter.appendChild(option);
+            });
+            typeFilter.value = this.query.typeId;
+        }).catch(error => {
+            console.error('Error fetching event types:', error);
+            toast.error(`Erro ao carregar tipos de evento: ${error.message}`);
+        });
+        toolbar.appendChild(typeFilter);
+
+        const calendar = new EventCalendar({
+            mode: this.query.mode,
+            date: this.query.date,
+            filters: { typeId: this.query.typeId },
+            onChange: ({ mode, date }) => {
+                this.query = { ...this.query, mode, date };
+                this.updateRoute();
+            },
+            onOpen: (event) => router.navigate(`/events/${event.id}`)
+        });
+
+        const container = document.createElement('div');
+        container.className = 'view-container';
+        container.append(toolbar, calendar.element);
+        this.element.appendChild(container);
+    }
+
+    /**
+     * Shows only the events of one type.
+     * @param {string} typeId The ID of the event type, or an empty string to show every event.
+     */
+    applyFilter(typeId) {
+        this.query = { ...this.query, typeId };
+        this.refresh();
+        this.updateRoute();
+    }
+
+    /**
+     * Refreshes the content of the view by clearing and re-creating it.
+     */
+    refresh() {
+        while (this.element.firstChild) {
+            this.element.removeChild(this.element.firstChild);
+        }
+        this.init();
+    }
+}
@@ -1,6 +1,18 @@
 import { BaseView } from '../components/BaseView.js';
 import { BaseForm } from '../components/BaseForm.js';
-import { EventTypeStore } from '../models/EventType.js';
+import { ImportWizard } from '../components/ImportWizard.js';
+import { HistoryPanel } from '../components/HistoryPanel.js';
+import { toast } from '../components/Toast.js';
+import { typeColor } from '../components/EventCalendar.js';
+import { EventTypeStore, difficultyLabels, formatDuration } from '../models/EventType.js';
+import { AuthService } from '../services/AuthService.js';
+
+// Form fields of the details of an event type, by their API names, for the errors of the server
+const fieldNames = {
+    parent_id: 'parentId',
+    default_difficulty: 'defaultDifficulty',
+    default_duration_minutes: 'defaultDurationMinutes'
+};
 
 /**
  * Represents the view for managing event types, including listing, creating, editing, and deleting event types.
@@ -8,16 +20,58 @@ import { EventTypeStore } from '../models/EventType.js';
  */
 export class EventTypesView extends BaseView {
     /**
-     * Initializes the EventTypesView, setting the title and selectedId to null.
+     * Initializes the EventTypesView, setting the title and restoring the state from the URL.
+     * 
+     * @param {Object} [state={}] - The state restored from the URL: selectedId and form ('new' or 'edit').
+     */
+    constructor(state = {}) {
+        super('Tipos de Eventos', state);
+        if (state.form) {
+            this.ready.then(() => this.restoreForm(state.form));
+        }
+    }
+
+    /**
+     * Sets up the selected event type before the content is created.
+     * 
+     * @param {Object} state - The initial state of the view.
+     */
+    setup({ selectedId = null }) {
+        this.selectedId = selectedId;
+        this.form = null;
+    }
+
+    /**
+     * Returns the route of the current state, e.g. '/event-types/5/edit'.
+     * 
+     * @returns {string} The route path.
+     */
+    getRoute() {
+        if (this.form === 'new') {
+            return '/event-types/new';
+        }
+        if (this.selectedId) {
+            return `/event-types/${this.selectedId}${this.form === 'edit' ? '/edit' : ''}`;
+        }
+        return '/event-types';
+    }
+
+    /**
+     * Opens the form named in the URL once the content is created.
+     * 
+     * @param {string} form - 'new' to create an event type, or 'edit' to edit the selected one.
      */
-    constructor() {
-        super('Tipos de Eventos');
-        this.selectedId = null;
+    restoreForm(form) {
+        if (form === 'new') {
+            this.showForm();
+        } else if (form === 'edit') {
+            this.editSelected();
+        }
     }
 
     /**
      * Creates the content for the EventTypesView, which includes a table of event types and action buttons.
-     * The table lists the event types with their ID and name.
+     * The table lists the event types with their ID, name, main type, difficulty and duration.
      * The actions section includes buttons for creating, editing, and deleting event types.
      * 
      * @returns {Promise<void>} A promise that resolves once the content is fully created.
@@ -28,7 +82,7 @@ export class EventTypesView extends BaseView {
         
         const thead = document.createElement('thead');
         const headerRow = document.createElement('tr');
-        ['ID', 'Nome'].forEach(text => {
+        ['ID', 'Nome', 'Tipo principal', 'Dificuldade', 'Duração'].forEach(text => {
             const th = document.createElement('th');
             th.textContent = text;
             headerRow.appendChild(th);
@@ -38,7 +92,13 @@ export class EventTypesView extends BaseView {
 
         const tbody = document.createElement('tbody');
 
-        const eventTypes = await EventTypeStore.getAll();
+        let eventTypes = [];
+        try {
+            eventTypes = await EventTypeStore.getAll();
+        } catch (error) {
+            console.error('Error fetching event types:', error);
+            toast.error(`Erro ao carregar tipos de evento: ${error.message}`);
+        }
 
         eventTypes.forEach(type => {
             const row = document.createElement('tr');
@@ -47,13 +107,20 @@ export class EventTypesView extends BaseView {
                 row.classList.add('selected');
             }
 
-            const idCell = document.createElement('td');
-            idCell.textContent = type.id;
-            
-            const nameCell = document.createElement('td');
-            nameCell.textContent = type.name;
-
-            row.append(idCell, nameCell);
+            [
+                type.id,
+                type.label,
+                type.parentName || '-',
+                difficultyLabels[type.defaultDifficulty] || '-',
+                formatDuration(type.defaultDurationMinutes)
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            if (type.color) {
+                row.firstChild.style.borderLeft = `4px solid ${type.color}`;
+            }
             tbody.appendChild(row);
         });
 
@@ -74,7 +141,19 @@ export class EventTypesView extends BaseView {
         deleteBtn.textContent = 'Apagar';
         deleteBtn.onclick = () => this.deleteSelected();
 
-        actions.append(createBtn, editBtn, deleteBtn);
+        const importBtn = document.createElement('button');
+        importBtn.textContent = 'Importar';
+        importBtn.onclick = () => this.showImport();
+
+        const exportCsvBtn = document.createElement('button');
+        exportCsvBtn.textContent = 'Exportar CSV';
+        exportCsvBtn.onclick = () => this.exportFile('csv');
+
+        const exportJsonBtn = document.createElement('button');
+        exportJsonBtn.textContent = 'Exportar JSON';
+        exportJsonBtn.onclick = () => this.exportFile('json');
+
+        actions.append(createBtn, editBtn, deleteBtn, importBtn, exportCsvBtn, exportJsonBtn);
 
         const container = document.createElement('div');
         container.className = 'view-container';
@@ -84,41 +163,115 @@ export class EventTypesView extends BaseView {
         formContainer.id = 'form-container';
         
         this.element.append(container, formContainer);
+        this.eventTypes = eventTypes;
     }
 
     /**
      * Displays a form for creating or editing an event type.
+     * The main type can only be a type without a main type of its own, and types with
+     * subtypes cannot have one. Admins also see the history of the event type being edited.
      * 
      * @param {Object|null} type - The event type to edit, or null to create a new event type.
      */
     showForm(type = null) {
         const form = new BaseForm(
             type ? 'Editar Tipo de Evento' : 'Novo Tipo de Evento',
-            (data) => this.handleSubmit(data, type?.id),
+            (data) => this.handleSubmit(data, type?.id, form),
             () => this.hideForm()
         );
 
         form.addField('name', 'Nome', 'text', type?.name || '');
-        form.show(document.getElementById('form-container'));
+
+        const hasChildren = type && this.eventTypes.some(item => item.parentId === type.id);
+        const parents = this.eventTypes.filter(item => !item.parentId && item.id !== type?.id);
+        const parentField = form.addField('parentId', 'Tipo principal', 'select', type?.parentId ?? '', [
+            { value: '', label: 'Nenhum' },
+            ...parents.map(item => ({ value: item.id, label: item.name }))
+        ]);
+        parentField.disabled = hasChildren;
+
+        form.addField('description', 'Descrição', 'textarea', type?.description || '');
+        form.addField('color', 'Cor', 'color', type?.color || typeColor(type?.id || this.eventTypes.length + 1));
+        form.addField('icon', 'Ícone', 'text', type?.icon || '');
+        form.addField('defaultDifficulty', 'Dificuldade', 'select', type?.defaultDifficulty || '', [
+            { value: '', label: '-' },
+            ...Object.entries(difficultyLabels).map(([value, label]) => ({ value, label }))
+        ]);
+        form.addField('defaultDurationMinutes', 'Duração (minutos)', 'number', type?.defaultDurationMinutes ?? '');
+        const formContainer = this.element.querySelector('#form-container');
+        form.show(formContainer);
+        if (type && AuthService.hasRole('admin')) {
+            formContainer.appendChild(new HistoryPanel('eventType', type.id).element);
+        }
+        this.form = type ? 'edit' : 'new';
+        this.updateRoute();
+    }
+
+    /**
+     * Displays the wizard to import event types from a CSV or JSON file.
+     */
+    showImport() {
+        const wizard = new ImportWizard(
+            'Importar Tipos de Evento',
+            EventTypeStore,
+            'Colunas: name, parent (nome do tipo principal), description, color (#RRGGBB), icon, ' +
+                'default_difficulty (easy, moderate, hard ou extreme) e default_duration_minutes. ' +
+                'Tipos de evento com o nome de um tipo existente são recusados.',
+            () => {
+                this.hideForm();
+                this.refresh();
+            },
+            () => this.hideForm()
+        );
+        wizard.show(this.element.querySelector('#form-container'));
+    }
+
+    /**
+     * Downloads every event type as a CSV or JSON file.
+     * 
+     * @param {string} format - 'csv' or 'json'.
+     */
+    async exportFile(format) {
+        try {
+            await EventTypeStore.exportFile(format);
+        } catch (error) {
+            console.error('Error exporting event types:', error);
+            toast.error(`Erro ao exportar tipos de evento: ${error.message}`);
+        }
     }
 
     /**
      * Handles form submission for creating or editing an event type.
+     * Empty details are saved as empty, and the main type is kept when its field is disabled.
      * 
      * @param {Object} data - The data submitted in the form.
      * @param {number|null} id - The ID of the event type to edit, or null if creating a new event type.
+     * @param {BaseForm} [form] - The form, where the fields rejected by the server are highlighted.
      */
-    async handleSubmit(data, id = null) {
+    async handleSubmit(data, id = null, form = null) {
+        const details = {
+            description: data.description.trim() || null,
+            color: data.color || null,
+            icon: data.icon.trim() || null,
+            defaultDifficulty: data.defaultDifficulty || null,
+            defaultDurationMinutes: data.defaultDurationMinutes ? parseInt(data.defaultDurationMinutes) : null
+        };
+        if ('parentId' in data) {
+            details.parentId = data.parentId ? parseInt(data.parentId) : null;
+        }
         try {
             if (id) {
-                await EventTypeStore.update(id, data.name);
+                await EventTypeStore.update(id, data.name, details);
             } else {
-                await EventTypeStore.add(data.name);
+                await EventTypeStore.add(data.name, details);
             }
             this.hideForm();
             this.refresh();
         } catch (error) {
-            alert(error.message);
+            if (form && error.errors?.length) {
+                form.showErrors(error.errors, fieldNames);
+            }
+            toast.error(error.message);
         }
     }
 
@@ -126,12 +279,14 @@ export class EventTypesView extends BaseView {
      * Hides the form container by removing all child elements from it.
      */
     hideForm() {
-        const formContainer = document.getElementById('form-container');
+        const formContainer = this.element.querySelector('#form-container');
         if (formContainer) {
             while (formContainer.firstChild) {
                 formContainer.removeChild(formContainer.firstChild);
             }
         }
+        this.form = null;
+        this.updateRoute();
     }
 
     /**
@@ -140,12 +295,15 @@ export class EventTypesView extends BaseView {
      */
     async editSelected() {
         if (!this.selectedId) {
-            alert('Selecione um tipo de evento para editar');
+            toast.warning('Selecione um tipo de evento para editar');
             return;
         }
-        const type = await EventTypeStore.findById(this.selectedId);
-        if (type) {
+        try {
+            const type = await EventTypeStore.findById(this.selectedId);
             this.showForm(type);
+        } catch (error) {
+            console.error('Error fetching event type:', error);
+            toast.error(`Erro ao carregar tipo de evento: ${error.message}`);
         }
     }
 
@@ -156,13 +314,20 @@ export class EventTypesView extends BaseView {
      */
     async deleteSelected() {
         if (!this.selectedId) {
-            alert('Selecione um tipo de evento para apagar');
+            toast.warning('Selecione um tipo de evento para apagar');
             return;
         }
-        if (confirm('Tem certeza que deseja apagar este tipo de evento?')) {
-            await EventTypeStore.delete(this.selectedId);
-            this.selectedId = null;
-            this.refresh();
+        if (confirm('Tem certeza que deseja apagar este tipo de evento? Fica no Lixo, de onde pode ser restaurado.')) {
+            try {
+                await EventTypeStore.delete(this.selectedId);
+                this.selectedId = null;
+                this.form = null;
+                this.refresh();
+                this.updateRoute();
+            } catch (error) {
+                console.error('Error deleting event type:', error);
+                toast.error(`Erro ao apagar tipo de evento: ${error.message}`);
+            }
         }
     }
 
@@ -173,7 +338,9 @@ export class EventTypesView extends BaseView {
      */
     selectType(id) {
         this.selectedId = id;
+        this.form = null;
         this.refresh();
+        this.updateRoute();
     }
 
     /**
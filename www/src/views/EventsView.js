@@ -1,5 +1,32 @@
 import { BaseView } from '../components/BaseView.js';
 import { BaseForm } from '../components/BaseForm.js';
+import { SortableHeader } from '../components/SortableHeader.js';
+import { Pager } from '../components/Pager.js';
+import { toast } from '../components/Toast.js';
+import { EventStore } from '../models/Event.js';
+import { EventTypeStore } from '../models/EventType.js';
+import { EventCalendar } from '../components/EventCalendar.js';
+import { ImportWizard } from '../components/ImportWizard.js';
+import { CalendarSubscription } from '../components/CalendarSubscription.js';
+import { AttendanceSheet } from '../components/AttendanceSheet.js';
+import { RoutePanel, formatDistance, formatElevation } from '../components/RoutePanel.js';
+import { HistoryPanel } from '../components/HistoryPanel.js';
+import { formatMoney, parseMoney } from '../models/Fee.js';
+import { AuthService } from '../services/AuthService.js';
+import { router } from '../Router.js';
+
+// Search, filter, sorting and page sent to the API, and kept in the URL when they differ from these
+const defaultQuery = { q: '', typeId: '', sort: 'date', order: 'asc', page: 1 };
+// Whether the events are shown in the table or in the calendar, and the month or week of the calendar
+const defaultDisplay = { view: 'table', mode: 'month', date: '' };
+const pageSize = 10;
+const weekdayNames = ['Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb', 'Dom'];
+// Events of a series changed or deleted along with the selected one
+const seriesScopes = [
+    { value: 'this', label: 'Só este evento' },
+    { value: 'following', label: 'Este e os seguintes' },
+    { value: 'series', label: 'Toda a série' }
+];
 
 /**
  * Represents the view for managing events, including listing, creating, editing, and deleting events.
@@ -8,33 +35,167 @@ import { BaseForm } from '../components/BaseForm.js';
 export class EventsView extends BaseView {
     /**
      * Creates an instance of the EventsView class.
+     * @param {Object} [state={}] The state restored from the URL: selectedId, form ('new', 'edit' or 'attendance') and query,
+     * which also holds the display (view, mode and date).
+     */
+    constructor(state = {}) {
+        super('Eventos', state);
+        if (state.form) {
+            this.ready.then(() => this.restoreForm(state.form));
+        }
+    }
+
+    /**
+     * Sets up the selected event and the list query before the content is created.
+     * @param {Object} state The initial state of the view.
+     */
+    setup({ selectedId = null, query = {} }) {
+        const { view, mode, date, ...listQuery } = query;
+        this.selectedId = selectedId;  // Stores the currently selected event ID
+        this.form = null;              // 'new', 'edit' or 'attendance' while the form is open
+        this.display = { ...defaultDisplay, view: view === 'calendar' ? 'calendar' : 'table', mode: mode || 'month', date: date || '' };
+        this.query = {
+            ...defaultQuery,
+            ...listQuery,
+            page: Math.max(1, parseInt(listQuery.page) || 1)
+        };
+    }
+
+    /**
+     * Returns the route of the current state, e.g. '/events/5/edit?typeId=3'.
+     * @returns {string} The route path, with its query string.
      */
-    constructor() {
-        super('Eventos');
-        this.selectedId = null;  // Stores the currently selected event ID
+    getRoute() {
+        let path = '/events';
+        if (this.form === 'new') {
+            path += '/new';
+        } else if (this.selectedId) {
+            path += `/${this.selectedId}${this.form === 'edit' || this.form === 'attendance' ? `/${this.form}` : ''}`;
+        }
+        const display = this.display.view === 'calendar' ? this.display : {};
+        return router.build(path, { ...this.query, ...display }, { ...defaultQuery, ...defaultDisplay });
     }
 
     /**
-     * Creates the content for the events view, including a table with event data
-     * and action buttons for creating, editing, and deleting events.
+     * Opens the form named in the URL once the content is created.
+     * @param {string} form 'new' to create an event, 'edit' to edit the selected one,
+     * or 'attendance' to record who attended it.
+     */
+    restoreForm(form) {
+        if (form === 'new') {
+            this.showForm();
+        } else if (form === 'edit') {
+            this.editSelected();
+        } else if (form === 'attendance') {
+            this.showAttendance();
+        }
+    }
+
+    /**
+     * Creates the content for the events view, including a search box, the events
+     * in a table or a calendar, and action buttons for creating, editing, and deleting events.
      */
     createContent() {
+        const toolbar = this.createToolbar();
+        const events = this.display.view === 'calendar' ? [this.createCalendar()] : this.createTable();
+
+        // Action buttons for creating, editing, and deleting events
+        const actions = document.createElement('div');
+        actions.className = 'actions';
+
+        const createBtn = document.createElement('button');
+        createBtn.textContent = 'Criar';
+        createBtn.onclick = () => this.showForm();
+
+        const editBtn = document.createElement('button');
+        editBtn.textContent = 'Editar';
+        editBtn.onclick = () => this.editSelected();
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = 'Apagar';
+        deleteBtn.onclick = () => this.deleteSelected();
+
+        const attendanceBtn = document.createElement('button');
+        attendanceBtn.textContent = 'Presenças';
+        attendanceBtn.title = 'Registar os membros presentes no evento selecionado, a partir do dia do evento';
+        attendanceBtn.onclick = () => this.showAttendance();
+
+        const subscribeBtn = document.createElement('button');
+        subscribeBtn.textContent = 'Subscrever calendário';
+        subscribeBtn.title = 'Seguir os eventos (do tipo filtrado) numa aplicação de calendário';
+        subscribeBtn.onclick = () => this.showSubscription();
+
+        const importBtn = document.createElement('button');
+        importBtn.textContent = 'Importar';
+        importBtn.onclick = () => this.showImport();
+
+        const exportCsvBtn = document.createElement('button');
+        exportCsvBtn.textContent = 'Exportar CSV';
+        exportCsvBtn.onclick = () => this.exportFile('csv');
+
+        const exportJsonBtn = document.createElement('button');
+        exportJsonBtn.textContent = 'Exportar JSON';
+        exportJsonBtn.onclick = () => this.exportFile('json');
+
+        actions.append(createBtn, editBtn, deleteBtn, attendanceBtn, subscribeBtn, importBtn, exportCsvBtn, exportJsonBtn);
+
+        const container = document.createElement('div');
+        container.className = 'view-container';
+        container.append(toolbar, ...events, actions);
+
+        const formContainer = document.createElement('div');
+        formContainer.id = 'form-container';
+
+        this.element.append(container, formContainer);
+
+        if (this.selectedId && this.display.view === 'table') {
+            this.showRoutePanel(container);
+        }
+    }
+
+    /**
+     * Displays the route of the selected event below the list, with its elevation profile.
+     * @param {HTMLElement} container The element after which the panel is placed.
+     */
+    async showRoutePanel(container) {
+        try {
+            const event = await EventStore.findById(this.selectedId);
+            const panel = new RoutePanel(event, () => {
+                this.form = null;
+                this.refresh();
+                this.updateRoute();
+            });
+            container.after(panel.element);
+        } catch (error) {
+            console.error('Error fetching event:', error);
+            toast.error(`Erro ao carregar evento: ${error.message}`);
+        }
+    }
+
+    /**
+     * Creates the table with sortable columns showing one page of events, and its pager.
+     * @returns {HTMLElement[]} The table and the pager.
+     */
+    createTable() {
         const table = document.createElement('table');
         table.className = 'data-table';
-        
-        // Create table header with columns ID, Type, Name, Date
-        const thead = document.createElement('thead');
-        const headerRow = document.createElement('tr');
-        ['ID', 'Tipo', 'Nome', 'Data'].forEach(text => {
-            const th = document.createElement('th');
-            th.textContent = text;
-            headerRow.appendChild(th);
-        });
-        thead.appendChild(headerRow);
-        table.appendChild(thead);
+
+        // Create table header with columns ID, Type, Name, Date, Participants, Fee, Distance and Elevation
+        const columns = [
+            { label: 'ID', sort: 'id' },
+            { label: 'Tipo', sort: 'type' },
+            { label: 'Nome', sort: 'name' },
+            { label: 'Data', sort: 'date' },
+            { label: 'Participantes', sort: 'participants' },
+            { label: 'Taxa', sort: null },
+            { label: 'Distância', sort: 'distance' },
+            { label: 'Desnível', sort: 'elevation' }
+        ];
+        table.appendChild(new SortableHeader(columns, this.query.sort, this.query.order, (sort, order) => this.applyFilters({ sort, order })).element);
 
         const tbody = document.createElement('tbody');
-        this.fetchEvents().then(events => {
+        const pagerContainer = document.createElement('div');
+        EventStore.list({ ...this.query, pageSize }).then(({ items: events, total }) => {
             events.forEach(event => {
                 const row = document.createElement('tr');
                 row.onclick = () => this.selectEvent(event.id);
@@ -45,209 +206,343 @@ export class EventsView extends BaseView {
                 // Populate table row with event details
                 const idCell = document.createElement('td');
                 idCell.textContent = event.id;
-                
+
                 const typeCell = document.createElement('td');
-                typeCell.textContent = event.type_name || '';
-                
+                typeCell.textContent = event.typeIcon ? `${event.typeIcon} ${event.typeName}` : event.typeName;
+
                 const nameCell = document.createElement('td');
                 nameCell.textContent = event.name;
-                
+
                 const dateCell = document.createElement('td');
-                const eventDate = new Date(event.date);
-                dateCell.textContent = eventDate instanceof Date && !isNaN(eventDate) ? eventDate.toLocaleDateString() : 'Invalid Date';
+                dateCell.textContent = !isNaN(event.date) ? event.date.toLocaleDateString() : 'Invalid Date';
+
+                const participantsCell = document.createElement('td');
+                participantsCell.textContent = this.formatParticipants(event);
 
-                row.append(idCell, typeCell, nameCell, dateCell);
+                const feeCell = document.createElement('td');
+                feeCell.textContent = event.feeCents ? formatMoney(event.feeCents) : '-';
+
+                const distanceCell = document.createElement('td');
+                distanceCell.textContent = formatDistance(event.distance);
+
+                const elevationCell = document.createElement('td');
+                elevationCell.textContent = formatElevation(event.elevationGain);
+
+                row.append(idCell, typeCell, nameCell, dateCell, participantsCell, feeCell, distanceCell, elevationCell);
                 tbody.appendChild(row);
             });
+            pagerContainer.appendChild(new Pager(this.query.page, pageSize, total, (page) => this.goToPage(page)).element);
         }).catch(error => {
             console.error('Error fetching events:', error);
-            alert('Erro ao carregar eventos.');
+            toast.error(`Erro ao carregar eventos: ${error.message}`);
         });
 
         table.appendChild(tbody);
+        return [table, pagerContainer];
+    }
 
-        // Action buttons for creating, editing, and deleting events
-        const actions = document.createElement('div');
-        actions.className = 'actions';
+    /**
+     * Creates the calendar of the events matching the search and the filter.
+     * Opening an event from the calendar selects it in the table.
+     * @returns {HTMLElement} The calendar.
+     */
+    createCalendar() {
+        const calendar = new EventCalendar({
+            mode: this.display.mode,
+            date: this.display.date,
+            filters: { q: this.query.q, typeId: this.query.typeId },
+            onChange: ({ mode, date }) => {
+                this.display = { ...this.display, mode, date };
+                this.updateRoute();
+            },
+            onOpen: (event) => {
+                this.display = { ...this.display, view: 'table' };
+                this.selectEvent(event.id);
+            }
+        });
+        return calendar.element;
+    }
 
-        const createBtn = document.createElement('button');
-        createBtn.textContent = 'Criar';
-        createBtn.onclick = () => this.showForm();
+    /**
+     * Shows the address to subscribe to the events of the filtered event type, or to every event.
+     */
+    showSubscription() {
+        const typeId = this.query.typeId;
+        const subscription = new CalendarSubscription(
+            'Subscrever Calendário',
+            (token) => EventStore.calendarUrl(token, typeId),
+            () => this.hideForm()
+        );
+        subscription.show(this.element.querySelector('#form-container'));
+    }
 
-        const editBtn = document.createElement('button');
-        editBtn.textContent = 'Editar';
-        editBtn.onclick = () => this.editSelected();
+    /**
+     * Shows the wizard to import events from a CSV or JSON file.
+     */
+    showImport() {
+        const wizard = new ImportWizard(
+            'Importar Eventos',
+            EventStore,
+            'Colunas: type (nome do tipo de evento), name, date (AAAA-MM-DD) e max_participants (opcional). '
+                + 'Eventos com o nome e a data de um evento existente são recusados.',
+            () => {
+                this.hideForm();
+                this.refresh();
+            },
+            () => this.hideForm()
+        );
+        wizard.show(this.element.querySelector('#form-container'));
+    }
 
-        const deleteBtn = document.createElement('button');
-        deleteBtn.textContent = 'Apagar';
-        deleteBtn.onclick = () => this.deleteSelected();
+    /**
+     * Downloads every event as a CSV or JSON file.
+     * @param {string} format 'csv' or 'json'.
+     */
+    async exportFile(format) {
+        try {
+            await EventStore.exportFile(format);
+        } catch (error) {
+            console.error('Error exporting events:', error);
+            toast.error(`Erro ao exportar eventos: ${error.message}`);
+        }
+    }
+
+    /**
+     * Switches between the table and the calendar.
+     * @param {string} view 'table' or 'calendar'.
+     */
+    setDisplay(view) {
+        this.display = { ...this.display, view };
+        this.form = null;
+        this.refresh();
+        this.updateRoute();
+    }
 
-        actions.append(createBtn, editBtn, deleteBtn);
+    /**
+     * Creates the search box, which filters the events by name, the filter by event type
+     * and the buttons to switch between the table and the calendar.
+     * @returns {HTMLElement} The toolbar with the search box, the filter and the switch.
+     */
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'list-toolbar';
 
-        const container = document.createElement('div');
-        container.className = 'view-container';
-        container.append(table, actions);
+        const search = document.createElement('input');
+        search.type = 'search';
+        search.placeholder = 'Pesquisar eventos...';
+        search.value = this.query.q;
+        search.onchange = () => this.applyFilters({ q: search.value.trim() });
 
-        const formContainer = document.createElement('div');
-        formContainer.id = 'form-container';
-        
-        this.element.append(container, formContainer);
+        const typeFilter = document.createElement('select');
+        typeFilter.onchange = () => this.applyFilters({ typeId: typeFilter.value });
+        EventTypeStore.getAll().then(eventTypes => {
+            [{ id: '', name: 'Todos os tipos de evento' }, ...eventTypes].forEach(type => {
+                const option = document.createElement('option');
+                option.value = type.id;
+                option.textContent = type.name;
+                typeFilter.appendChild(option);
+            });
+            typeFilter.value = this.query.typeId;
+        }).catch(error => {
+            console.error('Error fetching event types:', error);
+        });
+
+        const display = document.createElement('div');
+        display.className = 'view-toggle';
+        [['table', 'Tabela'], ['calendar', 'Calendário']].forEach(([view, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.classList.toggle('active', this.display.view === view);
+            button.onclick = () => this.setDisplay(view);
+            display.appendChild(button);
+        });
+
+        toolbar.append(search, typeFilter, display);
+        return toolbar;
     }
 
     /**
-     * Fetches the list of events from the server.
-     * @returns {Promise<Array>} A promise that resolves to an array of events.
+     * Changes the search, filter or sorting of the events list, going back to the first page.
+     * @param {Object} changes The query parameters to change (q, typeId, sort or order).
      */
-    async fetchEvents() {
-        try {
-            const response = await fetch('http://localhost:3000/events');
-            if (!response.ok) {
-                throw new Error('Failed to fetch events');
-            }
-            const events = await response.json();
-            return events;
-        } catch (error) {
-            console.error('Error fetching events:', error);
-            alert('Erro ao carregar eventos.');
+    applyFilters(changes) {
+        this.query = { ...this.query, ...changes, page: 1 };
+        this.refresh();
+        this.updateRoute();
+    }
+
+    /**
+     * Shows a page of events.
+     * @param {number} page The page to show, starting at 1.
+     */
+    goToPage(page) {
+        this.query = { ...this.query, page };
+        this.refresh();
+        this.updateRoute();
+    }
+
+    /**
+     * Formats the occupation of an event, e.g. "12/20 (3 em espera)".
+     * Events without a participants limit only show the number of participants.
+     * @param {Event} event The event.
+     * @returns {string} The formatted occupation.
+     */
+    formatParticipants(event) {
+        let text = String(event.participants);
+        if (event.maxParticipants) {
+            text += `/${event.maxParticipants}`;
         }
+        if (event.waitlisted > 0) {
+            text += ` (${event.waitlisted} em espera)`;
+        }
+        return text;
     }
 
     /**
-     * Shows the form for creating or editing an event.
-     * @param {Object|null} event The event to edit, or null to create a new event.
+     * Shows the form for creating or editing an event, with the history of the event for admins.
+     * @param {Event|null} event The event to edit, or null to create a new event.
      */
     showForm(event = null) {
         const form = new BaseForm(
             event ? 'Editar Evento' : 'Novo Evento',
-            (data) => this.handleSubmit(data, event?.id),
+            (data) => this.handleSubmit(data, event?.id, form),
             () => this.hideForm()
         );
 
-        this.fetchEventTypes().then(eventTypes => {
+        EventTypeStore.getAll().then(eventTypes => {
             form.addField('typeId', 'Tipo', 'select', event?.typeId?.toString() || '', eventTypes.map(type => ({
                 value: type.id.toString(),
                 label: type.name
             })));
             form.addField('name', 'Nome', 'text', event?.name || '');
 
-            const eventDate = event?.date ? new Date(event.date) : null;
+            const eventDate = event?.date;
             form.addField('date', 'Data', 'date', eventDate && !isNaN(eventDate) ? eventDate.toISOString().split('T')[0] : '');
-            
-            form.show(document.getElementById('form-container'));
+            form.addField('maxParticipants', 'Máximo de Participantes (vazio para sem limite)', 'number', event?.maxParticipants?.toString() || '');
+            const fee = form.addField('fee', 'Taxa de inscrição em € (vazio para gratuito)', 'number', event?.feeCents ? (event.feeCents / 100).toFixed(2) : '');
+            fee.min = '0';
+            fee.step = '0.01';
+
+            if (!event) {
+                this.addRecurrenceFields(form);
+            } else if (event.isRecurring()) {
+                form.addField('scope', 'Aplicar a', 'select', 'this', seriesScopes);
+            }
+
+            const formContainer = this.element.querySelector('#form-container');
+            form.show(formContainer);
+            if (event && AuthService.hasRole('admin')) {
+                formContainer.appendChild(new HistoryPanel('event', event.id).element);
+            }
+            this.form = event ? 'edit' : 'new';
+            this.updateRoute();
         }).catch(error => {
             console.error('Error fetching event types:', error);
-            alert('Erro ao carregar tipos de evento.');
+            toast.error(`Erro ao carregar tipos de evento: ${error.message}`);
         });
     }
 
     /**
-     * Fetches the list of event types from the server.
-     * @returns {Promise<Array>} A promise that resolves to an array of event types.
+     * Adds the fields that repeat a new event as a series: the frequency, the interval,
+     * the weekdays of weekly series, the end of the series and the days left out.
+     * Only the fields that apply to the chosen frequency are shown.
+     * @param {BaseForm} form The form of the new event.
      */
-    async fetchEventTypes() {
-        try {
-            const response = await fetch('http://localhost:3000/event-types');
-            if (!response.ok) {
-                throw new Error('Failed to fetch event types');
-            }
-            const eventTypes = await response.json();
-            return eventTypes;
-        } catch (error) {
-            console.error('Error fetching event types:', error);
-            alert('Erro ao carregar tipos de evento.');
-        }
+    addRecurrenceFields(form) {
+        const frequency = form.addField('frequency', 'Repetir', 'select', '', [
+            { value: '', label: 'Não repete' },
+            { value: 'weekly', label: 'Semanalmente' },
+            { value: 'monthly', label: 'Mensalmente' }
+        ]);
+        const fields = [
+            form.addField('interval', 'A cada (semanas ou meses)', 'number', '1'),
+            form.addCheckboxes('byWeekday', 'Dias da semana (por omissão, o dia da data)', weekdayNames.map((name, index) => ({
+                value: String(index + 1),
+                label: name
+            }))),
+            form.addField('until', 'Até', 'date'),
+            form.addField('count', 'Número de eventos', 'number'),
+            form.addField('exceptions', 'Exceto nos dias (AAAA-MM-DD, separados por vírgulas)')
+        ].map(field => field.closest('.form-group'));
+        const [weekdays] = fields.slice(1);
+
+        const update = () => {
+            fields.forEach(group => {
+                group.hidden = !frequency.value;
+            });
+            weekdays.hidden = frequency.value !== 'weekly';
+        };
+        frequency.onchange = update;
+        update();
     }
 
     /**
-     * Handles form submission for creating or updating an event.
+     * Builds the recurrence rule sent to the API from the fields of the form.
      * @param {Object} data The form data.
-     * @param {number|null} id The ID of the event to update, or null for creating a new event.
+     * @returns {Object|null} The rule, or null when the event does not repeat.
      */
-    handleSubmit(data, id = null) {
-        try {
-            const typeId = parseInt(data.typeId);
-            const eventDate = new Date(data.date); 
-            if (id) {
-                this.updateEvent(id, typeId, data.name, eventDate);
-            } else {
-                this.createEvent(typeId, data.name, eventDate);
-            }
-        } catch (error) {
-            alert(error.message);
+    recurrenceRule(data) {
+        if (!data.frequency) {
+            return null;
+        }
+        const rule = { frequency: data.frequency, interval: parseInt(data.interval) || 1 };
+        if (data.frequency === 'weekly' && data.byWeekday?.length) {
+            rule.byWeekday = data.byWeekday.map(Number);
+        }
+        if (data.until) {
+            rule.until = data.until;
         }
+        if (data.count) {
+            rule.count = parseInt(data.count);
+        }
+        if (data.exceptions?.trim()) {
+            rule.exceptions = data.exceptions.split(',').map(day => day.trim()).filter(Boolean);
+        }
+        return rule;
     }
 
     /**
-     * Creates a new event by sending the data to the server.
-     * @param {number} typeId The type ID of the event.
-     * @param {string} name The name of the event.
-     * @param {Date} date The date of the event.
+     * Hides the form container by removing all child elements from it.
      */
-    async createEvent(typeId, name, date) {
-        const response = await fetch('http://localhost:3000/events', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ type_id: typeId, name, date })  
-        });
-    
-        if (response.ok) {
-            alert('Evento criado com sucesso!');
-            this.refresh();
-        } else {
-            alert('Erro ao criar evento.');
+    hideForm() {
+        const formContainer = this.element.querySelector('#form-container');
+        if (formContainer) {
+            while (formContainer.firstChild) {
+                formContainer.removeChild(formContainer.firstChild);
+            }
         }
+        this.form = null;
+        this.updateRoute();
     }
 
     /**
-     * Updates an existing event by sending the updated data to the server.
-     * @param {number} id The ID of the event to update.
-     * @param {number} typeId The type ID of the event.
-     * @param {string} name The name of the event.
-     * @param {Date} date The updated date of the event.
+     * Handles form submission for creating or updating an event.
+     * @param {Object} data The form data.
+     * @param {number|null} id The ID of the event to update, or null for creating a new event.
+     * @param {BaseForm} [form] The form, where the fields rejected by the server are highlighted.
      */
-    async updateEvent(id, typeId, name, date) {
+    async handleSubmit(data, id = null, form = null) {
         try {
-            const formattedDate = new Date(date).toISOString();  
-            const response = await fetch(`http://localhost:3000/events/${id}`, {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    type_id: typeId,  
-                    name: name,
-                    date: formattedDate,
-                }),
-            });
-    
-            const responseData = await response.json();  
-    
-            if (!response.ok) {
-                console.error('Error:', responseData.message || 'Unknown error');
-                alert(`Erro ao atualizar evento: ${responseData.message || 'Unknown error'}`);
-                return;
+            const typeId = parseInt(data.typeId);
+            const maxParticipants = data.maxParticipants ? parseInt(data.maxParticipants) : null;
+            const feeCents = parseMoney(data.fee);
+            if (id) {
+                await EventStore.update(id, typeId, data.name, data.date, maxParticipants, feeCents, data.scope);
+                toast.success(data.scope && data.scope !== 'this' ? 'Eventos da série atualizados com sucesso!' : 'Evento atualizado com sucesso!');
+            } else {
+                const created = await EventStore.add(typeId, data.name, data.date, maxParticipants, feeCents, this.recurrenceRule(data));
+                toast.success(created?.series_id ? `Série de ${created.events} eventos criada com sucesso!` : 'Evento criado com sucesso!');
             }
-    
-            alert('Evento atualizado com sucesso!');
+            this.form = null;
             this.refresh();
+            this.updateRoute();
         } catch (error) {
-            console.error('Error updating event:', error);
-            alert('Erro ao atualizar evento.');
-        }
-    }
-
-    /**
-     * Deletes an event by sending a delete request to the server.
-     * @param {number} id The ID of the event to delete.
-     */
-    async deleteEvent(id) {
-        const response = await fetch(`http://localhost:3000/events/${id}`, {
-            method: 'DELETE'
-        });
-
-        if (response.ok) {
-            alert('Evento apagado com sucesso!');
-            this.refresh();
-        } else {
-            alert('Erro ao apagar evento.');
+            console.error('Error saving event:', error);
+            if (form && error.errors?.length) {
+                form.showErrors(error.errors, { type_id: 'typeId', max_participants: 'maxParticipants', fee_cents: 'fee', recurrence: 'frequency' });
+            }
+            toast.error(`Erro ao gravar evento: ${error.message}`);
         }
     }
 
@@ -256,40 +551,123 @@ export class EventsView extends BaseView {
      */
     editSelected() {
         if (!this.selectedId) {
-            alert('Selecione um evento para editar');
+            toast.warning('Selecione um evento para editar');
             return;
         }
-        this.fetchEventById(this.selectedId).then(event => {
+        EventStore.findById(this.selectedId).then(event => {
             this.showForm(event);
         }).catch(error => {
             console.error('Error fetching event:', error);
-            alert('Erro ao carregar evento.');
+            toast.error(`Erro ao carregar evento: ${error.message}`);
         });
     }
 
     /**
-     * Fetches a specific event by its ID.
-     * @param {number} id The ID of the event.
-     * @returns {Promise<Object>} A promise that resolves to the event data.
+     * Opens the attendance sheet of the selected event, once its day has come.
      */
-    async fetchEventById(id) {
-        const response = await fetch(`http://localhost:3000/events/${id}`);
-        if (!response.ok) {
-            throw new Error('Event not found');
+    showAttendance() {
+        if (!this.selectedId) {
+            toast.warning('Selecione um evento para registar as presenças');
+            return;
         }
-        return await response.json();
+        EventStore.findById(this.selectedId).then(event => {
+            if (!event.hasStarted()) {
+                toast.warning('As presenças só podem ser registadas a partir do dia do evento');
+                return;
+            }
+            const sheet = new AttendanceSheet(
+                event,
+                () => {
+                    this.form = null;
+                    this.refresh();
+                    this.updateRoute();
+                },
+                () => this.hideForm()
+            );
+            sheet.show(this.element.querySelector('#form-container'));
+            this.form = 'attendance';
+            this.updateRoute();
+        }).catch(error => {
+            console.error('Error fetching event:', error);
+            toast.error(`Erro ao carregar evento: ${error.message}`);
+        });
     }
 
     /**
-     * Deletes the selected event.
+     * Deletes the selected event. For an event of a series, asks whether to delete
+     * only the event, the event and the following ones, or the whole series.
      */
-    deleteSelected() {
+    async deleteSelected() {
         if (!this.selectedId) {
-            alert('Selecione um evento para apagar');
+            toast.warning('Selecione um evento para apagar');
             return;
         }
-        if (confirm('Tem certeza que deseja apagar este evento?')) {
-            this.deleteEvent(this.selectedId);
+        let event;
+        try {
+            event = await EventStore.findById(this.selectedId);
+        } catch (error) {
+            console.error('Error fetching event:', error);
+            toast.error(`Erro ao carregar evento: ${error.message}`);
+            return;
+        }
+        if (event.isRecurring()) {
+            this.showDeleteScopes(event);
+        } else if (confirm('Tem certeza que deseja apagar este evento?')) {
+            await this.deleteEvent(event.id);
+        }
+    }
+
+    /**
+     * Shows the choice of the events of a series to delete along with the selected one.
+     * @param {Event} event The selected event.
+     */
+    showDeleteScopes(event) {
+        const panel = document.createElement('div');
+        panel.className = 'form series-scopes';
+
+        const title = document.createElement('h3');
+        title.textContent = `Apagar evento recorrente - ${event.name}`;
+        const text = document.createElement('p');
+        text.textContent = 'Este evento faz parte de uma série. Que eventos deseja apagar?';
+        panel.append(title, text);
+
+        const actions = document.createElement('div');
+        actions.className = 'form-actions';
+        seriesScopes.forEach(({ value, label }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.onclick = () => this.deleteEvent(event.id, value);
+            actions.appendChild(button);
+        });
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.textContent = 'Cancelar';
+        cancelBtn.onclick = () => this.hideForm();
+        actions.appendChild(cancelBtn);
+        panel.appendChild(actions);
+
+        const container = this.element.querySelector('#form-container');
+        container.innerHTML = '';
+        container.appendChild(panel);
+    }
+
+    /**
+     * Deletes an event, with the events of its series in the scope.
+     * @param {number} id The ID of the event.
+     * @param {string} [scope='this'] 'this', 'following' or 'series'.
+     */
+    async deleteEvent(id, scope = 'this') {
+        try {
+            const count = await EventStore.delete(id, scope);
+            toast.success(count > 1 ? `${count} eventos apagados com sucesso!` : 'Evento apagado com sucesso!');
+            this.selectedId = null;
+            this.form = null;
+            this.refresh();
+            this.updateRoute();
+        } catch (error) {
+            console.error('Error deleting event:', error);
+            toast.error(`Erro ao apagar evento: ${error.message}`);
         }
     }
 
@@ -299,11 +677,14 @@ export class EventsView extends BaseView {
      */
     selectEvent(id) {
         this.selectedId = id;
+        this.form = null;
         this.refresh();
+        this.updateRoute();
     }
 
     /**
      * Refreshes the content of the events view by clearing and re-creating it.
+     * An open form is closed.
      */
     refresh() {
         while (this.element.firstChild) {
@@ -0,0 +1,538 @@
+import { BaseView } from '../components/BaseView.js';
+import { BaseForm } from '../components/BaseForm.js';
+import { SortableHeader } from '../components/SortableHeader.js';
+import { Pager } from '../components/Pager.js';
+import { toast } from '../components/Toast.js';
+import { FeeStore, formatMoney, parseMoney, paymentMethodLabels, chargeStateLabels } from '../models/Fee.js';
+import { memberStatusLabels } from '../models/Member.js';
+import { router } from '../Router.js';
+
+// State filter, search, sorting and page of the balances, kept in the URL when they differ from these
+const defaultQuery = { state: 'overdue', q: '', sort: 'overdue', order: 'desc', page: 1 };
+const pageSize = 20;
+
+const stateFilters = [
+    { value: 'overdue', label: 'Com quotas em atraso' },
+    { value: 'due', label: 'Com valores por pagar' },
+    { value: 'all', label: 'Todos os membros com movimentos' }
+];
+
+/**
+ * Formats a day sent by the API (YYYY-MM-DD) in the format of the user's locale.
+ * @param {string|null} day The day.
+ * @returns {string} The formatted day, or '-' when there is none.
+ */
+function formatDay(day) {
+    return day ? new Date(`${day}T00:00:00`).toLocaleDateString() : '-';
+}
+
+/**
+ * Creates a table with a header row.
+ * @param {string[]} headers The labels of the columns.
+ * @returns {{table: HTMLTableElement, tbody: HTMLElement}} The table and its body.
+ */
+function createTable(headers) {
+    const table = document.createElement('table');
+    table.className = 'data-table';
+
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    headers.forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+
+    const tbody = document.createElement('tbody');
+    table.append(thead, tbody);
+    return { table, tbody };
+}
+
+/**
+ * Represents the membership fees: the balances of the members, by default the ones
+ * with overdue fees, and the charges and payments of the selected member. Admins
+ * record payments, charge fees to a member or to every active member, and delete them.
+ * Extends the BaseView class.
+ */
+export class FeesView extends BaseView {
+    /**
+     * Creates an instance of the FeesView class.
+     * @param {Object} [state={}] The state restored from the URL: selectedId (a member) and query.
+     */
+    constructor(state = {}) {
+        super('Quotas', state);
+    }
+
+    /**
+     * Sets up the selected member and the balances query before the content is created.
+     * @param {Object} state The initial state of the view.
+     */
+    setup({ selectedId = null, query = {} }) {
+        this.selectedId = selectedId;
+        this.query = {
+            ...defaultQuery,
+            ...query,
+            page: Math.max(1, parseInt(query.page) || 1)
+        };
+    }
+
+    /**
+     * Returns the route of the current state, e.g. '/fees/4?state=all'.
+     * @returns {string} The route path, with its query string.
+     */
+    getRoute() {
+        const path = this.selectedId ? `/fees/${this.selectedId}` : '/fees';
+        return router.build(path, this.query, defaultQuery);
+    }
+
+    /**
+     * Creates the filters, the balances table, the form container and, when a
+     * member is selected, the charges and payments of the member.
+     */
+    async createContent() {
+        const container = document.createElement('div');
+        container.className = 'view-container';
+        container.append(this.createToolbar(), ...this.createBalances());
+
+        const formContainer = document.createElement('div');
+        formContainer.id = 'form-container';
+        container.appendChild(formContainer);
+        this.element.appendChild(container);
+
+        if (this.selectedId) {
+            await this.showMemberBalance(container);
+        }
+    }
+
+    /**
+     * Creates the search box, the state filter and the button to charge a period to every active member.
+     * @returns {HTMLElement} The toolbar.
+     */
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'list-toolbar';
+
+        const search = document.createElement('input');
+        search.type = 'search';
+        search.placeholder = 'Pesquisar por nome ou número de sócio...';
+        search.value = this.query.q;
+        search.onchange = () => this.applyFilters({ q: search.value.trim() });
+
+        const stateFilter = document.createElement('select');
+        stateFilters.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            stateFilter.appendChild(option);
+        });
+        stateFilter.value = this.query.state;
+        stateFilter.onchange = () => this.applyFilters({ state: stateFilter.value });
+
+        const chargeBtn = document.createElement('button');
+        chargeBtn.textContent = 'Lançar quotas';
+        chargeBtn.className = 'btn-primary';
+        chargeBtn.onclick = () => this.showFeeForm(null);
+
+        toolbar.append(search, stateFilter, chargeBtn);
+        return toolbar;
+    }
+
+    /**
+     * Creates the balances table with sortable columns, and its pager.
+     * @returns {HTMLElement[]} The grace period note, the table and the pager.
+     */
+    createBalances() {
+        const note = document.createElement('p');
+        note.className = 'list-note';
+
+        const table = document.createElement('table');
+        table.className = 'data-table';
+
+        const columns = [
+            { label: 'Nº de sócio', sort: 'membershipNumber' },
+            { label: 'Nome', sort: 'name' },
+            { label: 'Estado', sort: null },
+            { label: 'Por pagar', sort: 'due' },
+            { label: 'Em atraso', sort: 'overdue' }
+        ];
+        table.appendChild(new SortableHeader(columns, this.query.sort, this.query.order, (sort, order) => this.applyFilters({ sort, order })).element);
+
+        const tbody = document.createElement('tbody');
+        const pagerContainer = document.createElement('div');
+        FeeStore.getBalances({ ...this.query, pageSize }).then(({ items, total, graceDays }) => {
+            note.textContent = `As quotas ficam em atraso ${graceDays} dias depois da data de pagamento. Membros com quotas em atraso não se podem inscrever em eventos.`;
+            if (!items.length) {
+                const row = document.createElement('tr');
+                const cell = document.createElement('td');
+                cell.colSpan = columns.length;
+                cell.textContent = this.query.state === 'overdue' ? 'Nenhum membro tem quotas em atraso.' : 'Nenhum membro encontrado.';
+                row.appendChild(cell);
+                tbody.appendChild(row);
+            }
+            items.forEach(member => {
+                const row = document.createElement('tr');
+                row.onclick = () => this.selectMember(member.id);
+                if (this.selectedId === member.id) {
+                    row.classList.add('selected');
+                }
+
+                [
+                    member.membership_number || '-',
+                    member.name,
+                    memberStatusLabels[member.status] || member.status,
+                    formatMoney(member.due_cents),
+                    formatMoney(member.overdue_cents)
+                ].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                tbody.appendChild(row);
+            });
+            pagerContainer.appendChild(new Pager(this.query.page, pageSize, total, (page) => this.goToPage(page)).element);
+        }).catch(error => {
+            console.error('Error fetching balances:', error);
+            toast.error(`Erro ao carregar as quotas: ${error.message}`);
+        });
+
+        table.appendChild(tbody);
+        return [note, table, pagerContainer];
+    }
+
+    /**
+     * Displays the balance of the selected member, with their charges and payments.
+     * @param {HTMLElement} container The element after which the panel is placed.
+     */
+    async showMemberBalance(container) {
+        let balance;
+        try {
+            balance = await FeeStore.getBalance(this.selectedId);
+        } catch (error) {
+            console.error('Error fetching balance:', error);
+            toast.error(`Erro ao carregar a conta do membro: ${error.message}`);
+            return;
+        }
+
+        const panel = document.createElement('div');
+        panel.className = 'events-panel fees-panel';
+
+        const title = document.createElement('h3');
+        title.textContent = `Conta - ${balance.member.name}`;
+
+        const actions = document.createElement('div');
+        actions.className = 'route-actions';
+        const paymentBtn = document.createElement('button');
+        paymentBtn.textContent = 'Registar pagamento';
+        paymentBtn.className = 'btn-primary';
+        paymentBtn.onclick = () => this.showPaymentForm(balance.member);
+        const feeBtn = document.createElement('button');
+        feeBtn.textContent = 'Adicionar quota';
+        feeBtn.className = 'btn-secondary';
+        feeBtn.onclick = () => this.showFeeForm(balance.member);
+        actions.append(paymentBtn, feeBtn);
+
+        const header = document.createElement('div');
+        header.className = 'panel-header';
+        header.append(title, actions);
+        panel.appendChild(header);
+
+        const summary = document.createElement('dl');
+        summary.className = 'route-summary';
+        [
+            ['Total cobrado', formatMoney(balance.charged_cents)],
+            ['Total pago', formatMoney(balance.paid_cents)],
+            ['Saldo', formatMoney(balance.balance_cents)],
+            ['Por pagar', formatMoney(balance.due_cents)],
+            ['Em atraso', formatMoney(balance.overdue_cents)]
+        ].forEach(([term, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = term;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            summary.append(dt, dd);
+        });
+        panel.appendChild(summary);
+
+        if (balance.blocked) {
+            const blocked = document.createElement('p');
+            blocked.className = 'fees-blocked';
+            blocked.textContent = 'O membro tem quotas em atraso e não se pode inscrever em eventos até as pagar.';
+            panel.appendChild(blocked);
+        }
+
+        panel.append(...this.createCharges(balance.charges), ...this.createPayments(balance.payments));
+        container.after(panel);
+    }
+
+    /**
+     * Creates the table of the charges of a member: membership fees and event fees.
+     * @param {Object[]} charges The charges, oldest first, with their state.
+     * @returns {HTMLElement[]} The title and the table, or a note when there are none.
+     */
+    createCharges(charges) {
+        const title = document.createElement('h4');
+        title.textContent = 'Cobranças';
+        if (!charges.length) {
+            const empty = document.createElement('p');
+            empty.textContent = 'O membro não tem quotas nem taxas de eventos.';
+            return [title, empty];
+        }
+
+        const { table, tbody } = createTable(['Descrição', 'Data de pagamento', 'Valor', 'Em falta', 'Estado', '']);
+        charges.forEach(charge => {
+            const row = document.createElement('tr');
+            const description = charge.kind === 'fee'
+                ? `Quota de ${formatDay(charge.period_start)} a ${formatDay(charge.period_end)}`
+                : `Evento: ${charge.name}`;
+            [
+                description,
+                formatDay(charge.due_date),
+                formatMoney(charge.amount_cents),
+                formatMoney(charge.outstanding_cents),
+                chargeStateLabels[charge.state]
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            row.lastChild.className = `charge-${charge.state}`;
+
+            const actionCell = document.createElement('td');
+            if (charge.kind === 'fee') {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.textContent = 'Apagar';
+                deleteBtn.className = 'btn-secondary';
+                deleteBtn.onclick = () => this.deleteFee(charge.id);
+                actionCell.appendChild(deleteBtn);
+            }
+            row.appendChild(actionCell);
+            tbody.appendChild(row);
+        });
+        return [title, table];
+    }
+
+    /**
+     * Creates the table of the payments of a member.
+     * @param {Object[]} payments The payments, oldest first.
+     * @returns {HTMLElement[]} The title and the table, or a note when there are none.
+     */
+    createPayments(payments) {
+        const title = document.createElement('h4');
+        title.textContent = 'Pagamentos';
+        if (!payments.length) {
+            const empty = document.createElement('p');
+            empty.textContent = 'O membro ainda não fez pagamentos.';
+            return [title, empty];
+        }
+
+        const { table, tbody } = createTable(['Data', 'Valor', 'Método', 'Referência', '']);
+        payments.forEach(payment => {
+            const row = document.createElement('tr');
+            [
+                formatDay(payment.date),
+                formatMoney(payment.amount_cents),
+                paymentMethodLabels[payment.method] || payment.method,
+                payment.reference || '-'
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            const actionCell = document.createElement('td');
+            const deleteBtn = document.createElement('button');
+            deleteBtn.textContent = 'Apagar';
+            deleteBtn.className = 'btn-secondary';
+            deleteBtn.onclick = () => this.deletePayment(payment.id);
+            actionCell.appendChild(deleteBtn);
+            row.appendChild(actionCell);
+            tbody.appendChild(row);
+        });
+        return [title, table];
+    }
+
+    /**
+     * Displays the form to record a payment of a member.
+     * @param {{id: number, name: string}} member The member.
+     */
+    showPaymentForm(member) {
+        const form = new BaseForm(
+            `Registar pagamento - ${member.name}`,
+            (data) => this.savePayment(member.id, data, form),
+            () => this.hideForm()
+        );
+        const amount = form.addField('amount', 'Valor (€)', 'number');
+        amount.min = '0.01';
+        amount.step = '0.01';
+        amount.required = true;
+        form.addField('date', 'Data', 'date', new Date().toISOString().slice(0, 10)).required = true;
+        form.addField('method', 'Método', 'select', 'transfer',
+            Object.entries(paymentMethodLabels).map(([value, label]) => ({ value, label })));
+        form.addField('reference', 'Referência (opcional)');
+        form.show(this.element.querySelector('#form-container'));
+    }
+
+    /**
+     * Displays the form to charge a membership fee to a member or, without a member,
+     * to every active member ("Lançar quotas"). Members already charged for the period are skipped.
+     * @param {{id: number, name: string}|null} member The member, or null for every active member.
+     */
+    showFeeForm(member) {
+        const year = new Date().getFullYear();
+        const form = new BaseForm(
+            member ? `Adicionar quota - ${member.name}` : 'Lançar quotas a todos os membros ativos',
+            (data) => this.saveFee(member?.id ?? null, data, form),
+            () => this.hideForm()
+        );
+        form.addField('periodStart', 'Início do período', 'date', `${year}-01-01`).required = true;
+        form.addField('periodEnd', 'Fim do período', 'date', `${year}-12-31`).required = true;
+        const amount = form.addField('amount', 'Valor (€)', 'number');
+        amount.min = '0';
+        amount.step = '0.01';
+        amount.required = true;
+        form.addField('dueDate', 'Data de pagamento', 'date', `${year}-01-31`).required = true;
+        form.show(this.element.querySelector('#form-container'));
+    }
+
+    /**
+     * Hides the form.
+     */
+    hideForm() {
+        const formContainer = this.element.querySelector('#form-container');
+        if (formContainer) {
+            formContainer.textContent = '';
+        }
+    }
+
+    /**
+     * Records a payment.
+     * @param {number} memberId The ID of the member.
+     * @param {Object} data The form data.
+     * @param {BaseForm} form The form, where the fields rejected by the server are highlighted.
+     */
+    async savePayment(memberId, data, form) {
+        try {
+            await FeeStore.addPayment(memberId, {
+                amountCents: parseMoney(data.amount),
+                date: data.date,
+                method: data.method,
+                reference: data.reference.trim() || null
+            });
+            toast.success('Pagamento registado com sucesso!');
+            this.refresh();
+        } catch (error) {
+            console.error('Error recording payment:', error);
+            if (error.errors?.length) {
+                form.showErrors(error.errors, { amount_cents: 'amount' });
+            }
+            toast.error(`Erro ao registar o pagamento: ${error.message}`);
+        }
+    }
+
+    /**
+     * Charges a membership fee to a member, or to every active member.
+     * @param {number|null} memberId The ID of the member, or null for every active member.
+     * @param {Object} data The form data.
+     * @param {BaseForm} form The form, where the fields rejected by the server are highlighted.
+     */
+    async saveFee(memberId, data, form) {
+        try {
+            const result = await FeeStore.addFee(memberId, {
+                periodStart: data.periodStart,
+                periodEnd: data.periodEnd,
+                amountCents: parseMoney(data.amount),
+                dueDate: data.dueDate
+            });
+            toast.success(memberId ? 'Quota adicionada com sucesso!' : `Quotas lançadas a ${result.created} membros.`);
+            this.refresh();
+        } catch (error) {
+            console.error('Error creating fee:', error);
+            if (error.errors?.length) {
+                form.showErrors(error.errors, {
+                    period_start: 'periodStart',
+                    period_end: 'periodEnd',
+                    amount_cents: 'amount',
+                    due_date: 'dueDate'
+                });
+            }
+            toast.error(`Erro ao lançar a quota: ${error.message}`);
+        }
+    }
+
+    /**
+     * Deletes a membership fee, after confirmation.
+     * @param {number} id The ID of the fee.
+     */
+    async deleteFee(id) {
+        if (!confirm('Tem certeza que deseja apagar esta quota?')) {
+            return;
+        }
+        try {
+            await FeeStore.deleteFee(id);
+            toast.success('Quota apagada.');
+            this.refresh();
+        } catch (error) {
+            console.error('Error deleting fee:', error);
+            toast.error(`Erro ao apagar a quota: ${error.message}`);
+        }
+    }
+
+    /**
+     * Deletes a payment, after confirmation.
+     * @param {number} id The ID of the payment.
+     */
+    async deletePayment(id) {
+        if (!confirm('Tem certeza que deseja apagar este pagamento?')) {
+            return;
+        }
+        try {
+            await FeeStore.deletePayment(id);
+            toast.success('Pagamento apagado.');
+            this.refresh();
+        } catch (error) {
+            console.error('Error deleting payment:', error);
+            toast.error(`Erro ao apagar o pagamento: ${error.message}`);
+        }
+    }
+
+    /**
+     * Changes the search, filter or sorting of the balances, going back to the first page.
+     * @param {Object} changes The query parameters to change (state, q, sort or order).
+     */
+    applyFilters(changes) {
+        this.query = { ...this.query, ...changes, page: 1 };
+        this.refresh();
+        this.updateRoute();
+    }
+
+    /**
+     * Shows a page of the balances.
+     * @param {number} page The page to show, starting at 1.
+     */
+    goToPage(page) {
+        this.query = { ...this.query, page };
+        this.refresh();
+        this.updateRoute();
+    }
+
+    /**
+     * Selects a member, showing their charges and payments.
+     * @param {number} id The ID of the member.
+     */
+    selectMember(id) {
+        this.selectedId = id;
+        this.refresh();
+        this.updateRoute();
+    }
+
+    /**
+     * Refreshes the content of the view by clearing and re-creating it.
+     */
+    refresh() {
+        while (this.element.firstChild) {
+            this.element.removeChild(this.element.firstChild);
+        }
+        this.init();
+    }
+}
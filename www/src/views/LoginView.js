@@ -0,0 +1,93 @@
+import { BaseView } from '../components/BaseView.js';
+import { toast } from '../components/Toast.js';
+import { AuthService } from '../services/AuthService.js';
+
+/**
+ * Represents the login screen, shown before the application while there is no session.
+ * Extends the BaseView class.
+ */
+export class LoginView extends BaseView {
+    /**
+     * Creates an instance of the LoginView class.
+     * @param {Function} onLogin Callback called after a successful login.
+     */
+    constructor(onLogin) {
+        super('Entrar');
+        this.onLogin = onLogin;
+    }
+
+    /**
+     * Creates the login form, with the username and password fields.
+     */
+    createContent() {
+        const form = document.createElement('form');
+        form.className = 'form login-form';
+
+        const fields = document.createElement('div');
+        fields.className = 'form-fields';
+        fields.append(
+            this.createField('username', 'Utilizador', 'text', 'username'),
+            this.createField('password', 'Palavra-passe', 'password', 'current-password')
+        );
+
+        const actions = document.createElement('div');
+        actions.className = 'form-actions';
+
+        const submitBtn = document.createElement('button');
+        submitBtn.type = 'submit';
+        submitBtn.textContent = 'Entrar';
+        actions.appendChild(submitBtn);
+
+        form.append(fields, actions);
+        form.onsubmit = (e) => {
+            e.preventDefault();
+            const data = Object.fromEntries(new FormData(form).entries());
+            this.handleSubmit(data, submitBtn);
+        };
+
+        this.element.appendChild(form);
+    }
+
+    /**
+     * Creates a labelled input of the login form.
+     * @param {string} name The name and ID of the input.
+     * @param {string} label The label text.
+     * @param {string} type The input type.
+     * @param {string} autocomplete The autocomplete hint for the browser.
+     * @returns {HTMLElement} The form group with the label and the input.
+     */
+    createField(name, label, type, autocomplete) {
+        const container = document.createElement('div');
+        container.className = 'form-group';
+
+        const labelElement = document.createElement('label');
+        labelElement.htmlFor = name;
+        labelElement.textContent = label;
+
+        const input = document.createElement('input');
+        input.type = type;
+        input.name = name;
+        input.id = name;
+        input.autocomplete = autocomplete;
+
+        container.append(labelElement, input);
+        return container;
+    }
+
+    /**
+     * Handles the submission of the login form.
+     * @param {Object} data The form data, with username and password.
+     * @param {HTMLButtonElement} submitBtn The submit button, disabled while logging in.
+     */
+    async handleSubmit(data, submitBtn) {
+        submitBtn.disabled = true;
+        try {
+            await AuthService.login(data.username, data.password);
+            this.onLogin();
+        } catch (error) {
+            console.error('Error logging in:', error);
+            toast.error(`Erro ao entrar: ${error.message}`);
+            submitBtn.disabled = false;
+        }
+    }
+}
@@ -1,6 +1,34 @@
 import { BaseView } from '../components/BaseView.js';
-import { MemberStore } from '../models/Member.js';
+import { showFieldErrors } from '../components/BaseForm.js';
+import { SortableHeader } from '../components/SortableHeader.js';
+import { Pager } from '../components/Pager.js';
+import { ImportWizard } from '../components/ImportWizard.js';
+import { HistoryPanel } from '../components/HistoryPanel.js';
+import { CalendarSubscription } from '../components/CalendarSubscription.js';
+import { toast } from '../components/Toast.js';
+import { MemberStore, memberStatusLabels } from '../models/Member.js';
+import { EventStore, registrationStatusLabels } from '../models/Event.js';
 import { EventTypeStore } from '../models/EventType.js';
+import { AuthService } from '../services/AuthService.js';
+import { router } from '../Router.js';
+
+// Search, filter, sorting and page sent to the API, and kept in the URL when they differ from these
+const defaultQuery = { q: '', prefersType: '', status: '', sort: 'name', order: 'asc', page: 1 };
+const pageSize = 10;
+
+// Profile fields of the member forms, with the name of each one in the API
+const profileInputs = [
+    { name: 'email', field: 'email', label: 'Email', type: 'email' },
+    { name: 'phone', field: 'phone', label: 'Telefone', type: 'tel' },
+    { name: 'birthDate', field: 'birth_date', label: 'Data de nascimento', type: 'date' },
+    { name: 'membershipNumber', field: 'membership_number', label: 'Número de sócio', type: 'text', adminOnly: true },
+    { name: 'joinDate', field: 'join_date', label: 'Data de inscrição', type: 'date', adminOnly: true },
+    { name: 'emergencyContactName', field: 'emergency_contact_name', label: 'Contacto de emergência', type: 'text' },
+    { name: 'emergencyContactPhone', field: 'emergency_contact_phone', label: 'Telefone de emergência', type: 'tel' },
+    { name: 'status', field: 'status', label: 'Estado', type: 'select', adminOnly: true }
+];
+// Maps the API field names to the names of the form fields, to highlight the rejected ones
+const profileFieldNames = Object.fromEntries(profileInputs.map(input => [input.field, input.name]));
 
 /**
  * Class that represents the view for managing members.
@@ -10,27 +38,55 @@ export class MembersView extends BaseView {
     /**
      * Creates an instance of the MembersView.
      * @constructor
+     * @param {Object} [state={}] - The state restored from the URL: selectedId, form ('new' or 'edit') and query.
      */
-    constructor() {
-        super('Membros');
-        this.selectedId = null;
-        this.members = [];
+    constructor(state = {}) {
+        super('Membros', state);
         this.selectMember = this.selectMember.bind(this);
+        if (state.form) {
+            this.ready.then(() => this.restoreForm(state.form));
+        }
     }
 
     /**
-     * Fetches all event types from the API.
-     * @returns {Array} List of event types.
+     * Sets up the selected member and the list query before the content is created.
+     * @param {Object} state - The initial state of the view.
      */
-    async fetchEventTypes() {
-        try {
-            const response = await fetch('http://localhost:3000/event-types');
-            if (!response.ok) throw new Error("Falha ao carregar tipos de evento.");
-            const data = await response.json();
-            return Array.isArray(data) ? data : [];
-        } catch (error) {
-            console.error("Erro ao buscar tipos de evento:", error);
-            return [];
+    setup({ selectedId = null, query = {} }) {
+        this.selectedId = selectedId;
+        this.selectedMember = null;
+        this.members = [];
+        this.form = null;
+        this.query = {
+            ...defaultQuery,
+            ...query,
+            page: Math.max(1, parseInt(query.page) || 1)
+        };
+    }
+
+    /**
+     * Returns the route of the current state, e.g. '/members/42?q=ana'.
+     * @returns {string} The route path, with its query string.
+     */
+    getRoute() {
+        let path = '/members';
+        if (this.form === 'new') {
+            path += '/new';
+        } else if (this.selectedId) {
+            path += `/${this.selectedId}${this.form === 'edit' ? '/edit' : ''}`;
+        }
+        return router.build(path, this.query, defaultQuery);
+    }
+
+    /**
+     * Opens the form named in the URL once the content is created.
+     * @param {string} form - 'new' to create a member, or 'edit' to edit the selected one.
+     */
+    restoreForm(form) {
+        if (form === 'new') {
+            this.showForm();
+        } else if (form === 'edit') {
+            this.editSelected();
         }
     }
 
@@ -40,38 +96,57 @@ export class MembersView extends BaseView {
     editSelected() {
         const selectedMember = this.getSelectedMember();
         if (!selectedMember) {
-            alert("Por favor, selecione um membro para editar.");
+            toast.warning("Por favor, selecione um membro para editar.");
             return;
         }
 
-        this.fetchEventTypes()
+        EventTypeStore.getAll()
             .then(eventTypes => {
                 this.showEditForm(selectedMember, eventTypes);
             })
             .catch(error => {
                 console.error("Erro ao obter tipos de evento:", error);
+                toast.error(`Erro ao carregar tipos de evento: ${error.message}`);
             });
     }
 
     /**
-     * Fetches the selected member from the list of members.
+     * Returns the selected member, loaded with the list of members.
      * @returns {Object|null} The selected member or null if no member is selected.
      */
     getSelectedMember() {
-        if (!this.members || this.members.length === 0) {
-            console.error("No members available to select.");
+        return this.selectedMember;
+    }
+
+    /**
+     * Finds the selected member in the current page, or loads it when it is on
+     * another page, e.g. when it was selected through a link.
+     * @returns {Promise<Member|null>} The selected member, or null if none is selected or it does not exist.
+     */
+    async loadSelectedMember() {
+        if (!this.selectedId) {
+            return null;
+        }
+        const member = this.members.find(member => member.id === this.selectedId);
+        if (member) {
+            return member;
+        }
+        try {
+            return await MemberStore.findById(this.selectedId);
+        } catch (error) {
+            console.error("Error fetching selected member:", error);
+            toast.error(`Erro ao carregar o membro ${this.selectedId}: ${error.message}`);
             return null;
         }
-        return this.members.find(member => member.id === this.selectedId);
     }
 
     /**
-     * Displays the edit form for the selected member.
-     * @param {Object} member - The member to be edited.
+     * Displays the edit form for the selected member, with the history of the member for admins.
+     * @param {Member} member - The member to be edited.
      * @param {Array} eventTypes - List of event types to display in checkboxes.
      */
     showEditForm(member, eventTypes) {
-        let formContainer = document.getElementById('form-container');
+        let formContainer = this.element.querySelector('#form-container');
         if (!formContainer) {
             formContainer = document.createElement('div');
             formContainer.id = 'form-container';
@@ -102,8 +177,6 @@ export class MembersView extends BaseView {
 
         formGroupName.append(nameLabel, nameInput);
 
-        const selectedMemberEventTypes = Array.isArray(member.preferredEventTypes) ? member.preferredEventTypes : [];
-
         const formGroupEvents = document.createElement('div');
         formGroupEvents.className = 'form-group';
 
@@ -112,6 +185,7 @@ export class MembersView extends BaseView {
 
         const eventSelectionContainer = document.createElement('div');
         eventSelectionContainer.className = 'checkboxes-container';
+        eventSelectionContainer.dataset.field = 'preferredEventTypes';
 
         eventTypes.forEach(eventType => {
             const checkboxWrapper = document.createElement('div');
@@ -120,7 +194,7 @@ export class MembersView extends BaseView {
             const checkbox = document.createElement('input');
             checkbox.type = 'checkbox';
             checkbox.value = eventType.id;
-            checkbox.checked = selectedMemberEventTypes.includes(eventType.id);
+            checkbox.checked = member.prefers(eventType.id);
             checkbox.id = `event-${eventType.id}`;
 
             const label = document.createElement('label');
@@ -148,8 +222,11 @@ export class MembersView extends BaseView {
         cancelBtn.onclick = () => this.cancelEdit();
 
         formActions.append(saveBtn, cancelBtn);
-        form.append(title, formGroupName, formGroupEvents, formActions);
+        form.append(title, formGroupName, ...this.createProfileFields(member), formGroupEvents, formActions);
         formContainer.appendChild(form);
+        if (AuthService.hasRole('admin')) {
+            formContainer.appendChild(new HistoryPanel('member', member.id).element);
+        }
 
         form.onsubmit = async (event) => {
             event.preventDefault();
@@ -160,54 +237,40 @@ export class MembersView extends BaseView {
             const updatedMember = {
                 id: member.id,
                 name: nameInput.value,
+                profile: this.readProfile(form),
                 preferredEventTypes: selectedEvents,
             };
 
-            await this.saveMember(updatedMember);
+            await this.saveMember(updatedMember, form);
         };
+
+        this.form = 'edit';
+        this.updateRoute();
     }
 
     /**
-     * Saves the updated member to the API.
+     * Saves the member to the API, creating it if it has no ID yet.
      * @param {Object} member - The member data to save.
+     * @param {HTMLFormElement} [form] - The form, where the fields rejected by the server are highlighted.
      */
-    async saveMember(member) {
-        if (member.id) {
-            try {
-                const response = await fetch(`http://localhost:3000/members/${member.id}`, {
-                    method: 'PUT',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(member),
-                });
-
-                if (response.ok) {
-                    alert('Membro atualizado com sucesso!');
-                    this.refresh();
-                } else {
-                    alert('Erro ao atualizar membro.');
-                }
-            } catch (error) {
-                console.error("Erro ao salvar as alterações:", error);
-                alert("Erro ao salvar as alterações.");
+    async saveMember(member, form = null) {
+        try {
+            if (member.id) {
+                await MemberStore.update(member.id, member.name, member.preferredEventTypes, member.profile);
+                toast.success('Membro atualizado com sucesso!');
+            } else {
+                await MemberStore.add(member.name, [], member.profile);
+                toast.success('Membro criado com sucesso!');
             }
-        } else {
-            try {
-                const response = await fetch('http://localhost:3000/members', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(member),
-                });
-
-                if (response.ok) {
-                    alert('Membro criado com sucesso!');
-                    this.refresh();
-                } else {
-                    alert('Erro ao criar membro.');
-                }
-            } catch (error) {
-                console.error("Erro ao criar membro:", error);
-                alert("Erro ao criar membro.");
+            this.form = null;
+            this.refresh();
+            this.updateRoute();
+        } catch (error) {
+            console.error("Erro ao gravar membro:", error);
+            if (form && error.errors?.length) {
+                showFieldErrors(form, error.errors, profileFieldNames);
             }
+            toast.error(`Erro ao gravar membro: ${error.message}`);
         }
     }
 
@@ -215,18 +278,20 @@ export class MembersView extends BaseView {
      * Cancels the member editing process by clearing the form.
      */
     cancelEdit() {
-        document.getElementById('form-container').innerHTML = '';
+        this.element.querySelector('#form-container').innerHTML = '';
+        this.form = null;
+        this.updateRoute();
     }
 
     /**
      * Shows the form to create a new member.
      */
     showForm() {
-        const formContainer = document.getElementById('form-container');
+        let formContainer = this.element.querySelector('#form-container');
         if (!formContainer) {
-            const newFormContainer = document.createElement('div');
-            newFormContainer.id = 'form-container';
-            this.element.appendChild(newFormContainer);
+            formContainer = document.createElement('div');
+            formContainer.id = 'form-container';
+            this.element.appendChild(formContainer);
         }
 
         formContainer.innerHTML = '';
@@ -266,7 +331,7 @@ export class MembersView extends BaseView {
         cancelBtn.onclick = () => this.cancelCreate();
 
         formActions.append(saveBtn, cancelBtn);
-        form.append(title, formGroupName, formActions);
+        form.append(title, formGroupName, ...this.createProfileFields(), formActions);
         formContainer.appendChild(form);
 
         form.onsubmit = async (event) => {
@@ -274,81 +339,208 @@ export class MembersView extends BaseView {
 
             const newMember = {
                 name: nameInput.value,
+                profile: this.readProfile(form),
             };
 
-            await this.saveMember(newMember);
+            await this.saveMember(newMember, form);
         };
+
+        this.form = 'new';
+        this.updateRoute();
+    }
+
+    /**
+     * Creates the profile fields of the member forms. The membership number, the join date
+     * and the status are only enabled for admins, since the API ignores them for others.
+     * @param {Member|null} [member=null] - The member being edited, or null for a new member.
+     * @returns {HTMLElement[]} The form groups of the fields.
+     */
+    createProfileFields(member = null) {
+        const isAdmin = AuthService.hasRole('admin');
+        return profileInputs.map(({ name, label, type, adminOnly }) => {
+            const formGroup = document.createElement('div');
+            formGroup.className = 'form-group';
+
+            const labelElement = document.createElement('label');
+            labelElement.textContent = label;
+            labelElement.htmlFor = `member-${name}`;
+
+            let input;
+            if (type === 'select') {
+                input = document.createElement('select');
+                Object.entries(memberStatusLabels).forEach(([value, text]) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = text;
+                    input.appendChild(option);
+                });
+            } else {
+                input = document.createElement('input');
+                input.type = type;
+            }
+            input.id = `member-${name}`;
+            input.name = name;
+            input.className = 'form-input';
+            input.value = member?.[name] ?? (name === 'status' ? 'active' : '');
+            input.disabled = Boolean(adminOnly) && !isAdmin;
+
+            formGroup.append(labelElement, input);
+            return formGroup;
+        });
+    }
+
+    /**
+     * Reads the profile fields of a member form, leaving out the disabled ones.
+     * @param {HTMLFormElement} form - The form.
+     * @returns {Object} The profile, with empty fields as empty strings, which clear them.
+     */
+    readProfile(form) {
+        return Object.fromEntries(profileInputs
+            .map(({ name }) => form.elements[name])
+            .filter(input => input && !input.disabled)
+            .map(input => [input.name, input.value.trim()]));
     }
 
     /**
      * Cancels the creation process by clearing the form.
      */
     cancelCreate() {
-        document.getElementById('form-container').innerHTML = '';
+        this.element.querySelector('#form-container').innerHTML = '';
+        this.form = null;
+        this.updateRoute();
     }
 
     /**
-     * Creates and renders the content for displaying members in a table.
+     * Shows the wizard to import members from a CSV or JSON file.
+     */
+    showImport() {
+        const wizard = new ImportWizard(
+            'Importar Membros',
+            MemberStore,
+            'Colunas: name (nome do membro), email, phone, birth_date, membership_number, join_date, '
+                + 'emergency_contact_name, emergency_contact_phone, status (active, suspended ou former) '
+                + 'e preferred_event_types (nomes dos tipos de evento preferidos, separados por "|"). '
+                + 'Membros com o nome de um membro existente são recusados.',
+            () => {
+                this.cancelCreate();
+                this.refresh();
+            },
+            () => this.cancelCreate()
+        );
+        wizard.show(this.element.querySelector('#form-container'));
+    }
+
+    /**
+     * Downloads every member as a CSV or JSON file.
+     * @param {string} format - 'csv' or 'json'.
+     */
+    async exportFile(format) {
+        try {
+            await MemberStore.exportFile(format);
+        } catch (error) {
+            console.error("Error exporting members:", error);
+            toast.error(`Erro ao exportar membros: ${error.message}`);
+        }
+    }
+
+    /**
+     * Creates and renders the content for displaying members in a table,
+     * with a search box, filters by preferred event type and by status, sortable columns and a pager.
      */
     async createContent() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'list-toolbar';
+
+        const search = document.createElement('input');
+        search.type = 'search';
+        search.placeholder = AuthService.hasRole('admin')
+            ? 'Pesquisar por nome, email ou número de sócio...'
+            : 'Pesquisar por nome ou número de sócio...';
+        search.value = this.query.q;
+        search.onchange = () => this.applyFilters({ q: search.value.trim() });
+
+        const typeFilter = document.createElement('select');
+        typeFilter.onchange = () => this.applyFilters({ prefersType: typeFilter.value });
+
+        const statusFilter = document.createElement('select');
+        [['', 'Todos os estados'], ...Object.entries(memberStatusLabels)].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            statusFilter.appendChild(option);
+        });
+        statusFilter.value = this.query.status;
+        statusFilter.onchange = () => this.applyFilters({ status: statusFilter.value });
+        toolbar.append(search, typeFilter, statusFilter);
+
         const table = document.createElement('table');
         table.className = 'data-table';
 
-        const thead = document.createElement('thead');
-        const headerRow = document.createElement('tr');
-        ['ID', 'Nome', 'Tipos de Eventos Preferidos'].forEach(text => {
-            const th = document.createElement('th');
-            th.textContent = text;
-            headerRow.appendChild(th);
-        });
-        thead.appendChild(headerRow);
-        table.appendChild(thead);
+        const columns = [
+            { label: 'ID', sort: 'id' },
+            { label: 'Nº de sócio', sort: 'membershipNumber' },
+            { label: 'Nome', sort: 'name' },
+            { label: 'Estado', sort: 'status' },
+            { label: 'Tipos de Eventos Preferidos', sort: null },
+            { label: 'Faltas', sort: null }
+        ];
+        table.appendChild(new SortableHeader(columns, this.query.sort, this.query.order, (sort, order) => this.applyFilters({ sort, order })).element);
 
         const tbody = document.createElement('tbody');
+        const pagerContainer = document.createElement('div');
 
         try {
-            const response = await this.fetchMembers();
-            console.log("Fetched response:", response);
-            const members = response.data;
-            if (Array.isArray(members)) {
-                this.members = members;
-                members.forEach(member => {
-                    const row = document.createElement('tr');
-                    row.onclick = () => this.selectMember(member.id);
-
-                    if (this.selectedId === member.id) {
-                        row.classList.add('selected');
-                    }
-
-                    const idCell = document.createElement('td');
-                    idCell.textContent = member.id;
-
-                    const nameCell = document.createElement('td');
-                    nameCell.textContent = member.name;
-
-                    const typesCell = document.createElement('td');
-                    const preferredTypes = member.preferredEventTypes
-                        ? member.preferredEventTypes
-                            .map(typeId => {
-                                const eventType = EventTypeStore.findById(typeId);
-                                return eventType ? eventType.name : '';
-                            })
-                            .filter(name => name)
-                            .join(', ')
-                        : '';
-
-                    typesCell.textContent = preferredTypes;
-
-                    row.append(idCell, nameCell, typesCell);
-                    tbody.appendChild(row);
-                });
-            } else {
-                throw new Error("Invalid response format: The 'data' field is not an array.");
-            }
+            const [{ items: members, total }, eventTypes] = await Promise.all([MemberStore.list({ ...this.query, pageSize }), EventTypeStore.getAll()]);
+            const typeNames = new Map(eventTypes.map(type => [type.id, type.name]));
+            this.members = members;
+            this.selectedMember = await this.loadSelectedMember();
+
+            [{ id: '', name: 'Todos os tipos de evento' }, ...eventTypes].forEach(type => {
+                const option = document.createElement('option');
+                option.value = type.id;
+                option.textContent = type.name;
+                typeFilter.appendChild(option);
+            });
+            typeFilter.value = this.query.prefersType;
+
+            pagerContainer.appendChild(new Pager(this.query.page, pageSize, total, (page) => this.goToPage(page)).element);
+
+            members.forEach(member => {
+                const row = document.createElement('tr');
+                row.onclick = () => this.selectMember(member.id);
+
+                if (this.selectedId === member.id) {
+                    row.classList.add('selected');
+                }
+
+                const idCell = document.createElement('td');
+                idCell.textContent = member.id;
+
+                const numberCell = document.createElement('td');
+                numberCell.textContent = member.membershipNumber || '-';
+
+                const nameCell = document.createElement('td');
+                nameCell.textContent = member.name;
+
+                const statusCell = document.createElement('td');
+                statusCell.textContent = memberStatusLabels[member.status] || member.status;
+
+                const typesCell = document.createElement('td');
+                typesCell.textContent = Array.from(member.preferredEventTypes)
+                    .map(typeId => typeNames.get(typeId))
+                    .filter(name => name)
+                    .join(', ');
 
+                const noShowsCell = document.createElement('td');
+                const rate = member.noShowRate();
+                noShowsCell.textContent = rate === null ? '-' : `${member.noShows} / ${member.checkedEvents} (${Math.round(rate * 100)}%)`;
+
+                row.append(idCell, numberCell, nameCell, statusCell, typesCell, noShowsCell);
+                tbody.appendChild(row);
+            });
         } catch (error) {
             console.error("Error fetching members:", error);
-            alert("Erro ao buscar membros.");
+            toast.error(`Erro ao buscar membros: ${error.message}`);
         }
 
         table.appendChild(tbody);
@@ -368,42 +560,253 @@ export class MembersView extends BaseView {
         deleteBtn.textContent = 'Apagar';
         deleteBtn.onclick = () => this.deleteSelected();
 
-        actions.append(createBtn, editBtn, deleteBtn);
+        const importBtn = document.createElement('button');
+        importBtn.textContent = 'Importar';
+        importBtn.onclick = () => this.showImport();
+
+        const exportCsvBtn = document.createElement('button');
+        exportCsvBtn.textContent = 'Exportar CSV';
+        exportCsvBtn.onclick = () => this.exportFile('csv');
+
+        const exportJsonBtn = document.createElement('button');
+        exportJsonBtn.textContent = 'Exportar JSON';
+        exportJsonBtn.onclick = () => this.exportFile('json');
+
+        actions.append(createBtn, editBtn, deleteBtn, importBtn, exportCsvBtn, exportJsonBtn);
 
         const container = document.createElement('div');
         container.className = 'view-container';
-        container.append(table, actions);
+        container.append(toolbar, table, pagerContainer, actions);
 
         const formContainer = document.createElement('div');
         formContainer.id = 'form-container';
 
         this.element.append(container, formContainer);
+
+        const selectedMember = this.getSelectedMember();
+        if (selectedMember && this.canManageRegistrations(selectedMember)) {
+            await this.showEventsPanel(selectedMember, container);
+        }
+    }
+
+    /**
+     * Changes the search, filter or sorting of the members list, going back to the first page.
+     * @param {Object} changes - The query parameters to change (q, prefersType, status, sort or order).
+     */
+    applyFilters(changes) {
+        this.query = { ...this.query, ...changes, page: 1 };
+        this.refresh();
+        this.updateRoute();
+    }
+
+    /**
+     * Shows a page of members.
+     * @param {number} page - The page to show, starting at 1.
+     */
+    goToPage(page) {
+        this.query = { ...this.query, page };
+        this.refresh();
+        this.updateRoute();
+    }
+
+    /**
+     * Checks if the logged in account can see and change the registrations of a member:
+     * admins and organisers for every member, other accounts only for their own member.
+     * @param {Member} member - The member.
+     * @returns {boolean} True if the events panel of the member can be shown.
+     */
+    canManageRegistrations(member) {
+        return AuthService.hasRole('admin', 'organiser') || AuthService.account?.memberId === member.id;
     }
 
     /**
-     * Fetches all members from the API.
-     * @returns {Object[]} List of members.
+     * Displays the panel with the events the member is registered in, allowing
+     * to register the member in an upcoming event or to unregister from one.
+     * @param {Member} member - The selected member.
+     * @param {HTMLElement} container - The element after which the panel is placed.
      */
-    async fetchMembers() {
+    async showEventsPanel(member, container) {
+        const panel = document.createElement('div');
+        panel.className = 'events-panel';
+
+        const title = document.createElement('h3');
+        title.textContent = `Eventos Inscritos - ${member.name}`;
+
+        const header = document.createElement('div');
+        header.className = 'panel-header';
+        header.appendChild(title);
+        panel.appendChild(header);
+
+        // Calendar tokens only open the feeds of the member of the account, or any member's for admins
+        if (AuthService.hasRole('admin') || AuthService.account?.memberId === member.id) {
+            const subscription = document.createElement('div');
+            const subscribeBtn = document.createElement('button');
+            subscribeBtn.textContent = 'Subscrever calendário';
+            subscribeBtn.className = 'btn-secondary';
+            subscribeBtn.onclick = () => this.showSubscription(member, subscription);
+            header.appendChild(subscribeBtn);
+            panel.appendChild(subscription);
+        }
+
+        let registrations = [];
+        let events = [];
         try {
-            const response = await fetch('http://localhost:3000/members');
-            const data = await response.json();
-            console.log('Raw response data:', data);
+            [registrations, events] = await Promise.all([
+                MemberStore.getEvents(member.id),
+                EventStore.getAll()
+            ]);
+        } catch (error) {
+            console.error("Error fetching member events:", error);
+            toast.error(`Erro ao carregar eventos do membro: ${error.message}`);
+        }
+
+        if (registrations.length > 0) {
+            const table = document.createElement('table');
+            table.className = 'data-table';
+
+            const thead = document.createElement('thead');
+            const headerRow = document.createElement('tr');
+            ['Tipo', 'Nome', 'Data', 'Estado', ''].forEach(text => {
+                const th = document.createElement('th');
+                th.textContent = text;
+                headerRow.appendChild(th);
+            });
+            thead.appendChild(headerRow);
+            table.appendChild(thead);
+
+            const tbody = document.createElement('tbody');
+            registrations.forEach(({ event, waitlisted, status }) => {
+                const row = document.createElement('tr');
+
+                const typeCell = document.createElement('td');
+                typeCell.textContent = event.typeName;
+
+                const nameCell = document.createElement('td');
+                nameCell.textContent = event.name;
+
+                const dateCell = document.createElement('td');
+                dateCell.textContent = event.date.toLocaleDateString();
+
+                const statusCell = document.createElement('td');
+                statusCell.textContent = waitlisted ? 'Em espera' : registrationStatusLabels[status] || 'Inscrito';
+
+                const actionCell = document.createElement('td');
+                // Cancelled registrations and the ones with their attendance recorded are kept
+                if (waitlisted || status === 'registered') {
+                    const unregisterBtn = document.createElement('button');
+                    unregisterBtn.textContent = 'Desinscrever';
+                    unregisterBtn.className = 'btn-secondary';
+                    unregisterBtn.onclick = () => this.unregisterFromEvent(member.id, event.id);
+                    actionCell.appendChild(unregisterBtn);
+                }
+
+                row.append(typeCell, nameCell, dateCell, statusCell, actionCell);
+                tbody.appendChild(row);
+            });
+            table.appendChild(tbody);
+            panel.appendChild(table);
+        } else {
+            const empty = document.createElement('p');
+            empty.textContent = 'O membro não está inscrito em nenhum evento.';
+            panel.appendChild(empty);
+        }
+
+        const now = new Date();
+        const registeredIds = registrations.filter(({ status }) => status !== 'cancelled').map(({ event }) => event.id);
+        const availableEvents = events.filter(event => event.date > now && !registeredIds.includes(event.id));
 
-            return data;
+        if (!member.isActive()) {
+            const inactive = document.createElement('p');
+            inactive.textContent = `Só membros ativos se podem inscrever em eventos (estado: ${memberStatusLabels[member.status]}).`;
+            panel.appendChild(inactive);
+        } else if (availableEvents.length > 0) {
+            const formGroup = document.createElement('div');
+            formGroup.className = 'form-group';
+
+            const label = document.createElement('label');
+            label.textContent = 'Inscrever em Evento';
+            label.htmlFor = 'member-event';
+
+            const select = document.createElement('select');
+            select.id = 'member-event';
+            availableEvents.forEach(event => {
+                const option = document.createElement('option');
+                option.value = event.id;
+                option.textContent = `${event.name} (${event.typeName}) - ${event.date.toLocaleDateString()}`;
+                select.appendChild(option);
+            });
+
+            const registerBtn = document.createElement('button');
+            registerBtn.textContent = 'Inscrever';
+            registerBtn.className = 'btn-primary';
+            registerBtn.onclick = () => this.registerToEvent(member.id, parseInt(select.value));
+
+            formGroup.append(label, select, registerBtn);
+            panel.appendChild(formGroup);
+        }
+
+        container.after(panel);
+    }
+
+    /**
+     * Registers a member in an event through the API.
+     * @param {number} memberId - The ID of the member.
+     * @param {number} eventId - The ID of the event.
+     */
+    async registerToEvent(memberId, eventId) {
+        try {
+            const waitlisted = await MemberStore.registerToEvent(memberId, eventId);
+            if (waitlisted) {
+                toast.info('O evento está cheio. O membro foi colocado em lista de espera.');
+            }
+            this.refresh();
+        } catch (error) {
+            console.error("Error registering member:", error);
+            toast.error(`Erro ao inscrever membro: ${error.message}`);
+        }
+    }
+
+    /**
+     * Unregisters a member from an event through the API.
+     * @param {number} memberId - The ID of the member.
+     * @param {number} eventId - The ID of the event.
+     */
+    async unregisterFromEvent(memberId, eventId) {
+        if (!confirm('Tem certeza que deseja desinscrever o membro deste evento?')) {
+            return;
+        }
+        try {
+            await MemberStore.unregisterFromEvent(memberId, eventId);
+            this.refresh();
         } catch (error) {
-            console.error('Error fetching members:', error);
-            throw error;
+            console.error("Error unregistering member:", error);
+            toast.error(`Erro ao desinscrever membro: ${error.message}`);
         }
     }
 
+    /**
+     * Shows the address to subscribe to the events of a member in a calendar application.
+     * @param {Member} member - The member.
+     * @param {HTMLElement} container - The element where the address is shown.
+     */
+    showSubscription(member, container) {
+        const subscription = new CalendarSubscription(
+            `Subscrever Calendário - ${member.name}`,
+            (token) => MemberStore.calendarUrl(member.id, token),
+            () => { container.textContent = ''; }
+        );
+        subscription.show(container);
+    }
+
     /**
      * Selects a member by their ID.
      * @param {number} id - The ID of the member to select.
      */
     selectMember(id) {
         this.selectedId = id;
+        this.form = null;
         this.refresh();
+        this.updateRoute();
     }
 
     /**
@@ -411,52 +814,28 @@ export class MembersView extends BaseView {
      */
     async deleteSelected() {
         if (!this.selectedId) {
-            alert('Selecione um membro para apagar');
+            toast.warning('Selecione um membro para apagar');
             return;
         }
-        if (confirm('Tem certeza que deseja apagar este membro?')) {
+        if (confirm('Tem certeza que deseja apagar este membro? Fica no Lixo, de onde pode ser restaurado com as suas inscrições.')) {
             try {
                 console.log("Deleting member:", this.selectedId);
-                await this.deleteMember(this.selectedId);
+                await MemberStore.delete(this.selectedId);
                 console.log("Member deleted from API");
                 this.selectedId = null;
+                this.form = null;
                 await this.refresh();
+                this.updateRoute();
             } catch (error) {
                 console.error("Delete error:", error);
-                alert(error.message);
+                toast.error(error.message);
             }
         }
     }
 
-    /**
-     * Deletes a member by ID from the API.
-     * @param {number} id - The ID of the member to delete.
-     */
-    async deleteMember(id) {
-        try {
-            const response = await fetch(`http://localhost:3000/members/${id}`, {
-                method: 'DELETE',
-            });
-
-            console.log('Delete Response:', response.status, response.statusText);
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('Delete failed:', errorText);
-                throw new Error('Failed to delete member');
-            }
-
-            this.members = this.members.filter(member => member.id !== id);
-
-            this.refresh();
-        } catch (error) {
-            console.error("Error deleting member:", error);
-            throw error;
-        }
-    }
-
     /**
      * Refreshes the view by removing old content and re-creating the content.
+     * An open form is closed.
      */
     async refresh() {
         while (this.element.firstChild) {
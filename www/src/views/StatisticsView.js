@@ -0,0 +1,269 @@
+import { BaseView } from '../components/BaseView.js';
+import { SortableHeader } from '../components/SortableHeader.js';
+import { Pager } from '../components/Pager.js';
+import { barChart, horizontalBarChart } from '../components/Charts.js';
+import { formatDistance, formatElevation } from '../components/RoutePanel.js';
+import { toast } from '../components/Toast.js';
+import { StatsStore } from '../models/Stats.js';
+import { EventTypeStore } from '../models/EventType.js';
+import { router } from '../Router.js';
+
+const currentSeason = String(new Date().getFullYear());
+// Season, filter, sorting and page of the leaderboard, kept in the URL when they differ from these
+const defaultQuery = { season: currentSeason, typeId: '', sort: 'rank', order: 'asc', page: 1 };
+const pageSize = 20;
+const seasonsShown = 10;
+const monthNames = ['Jan', 'Fev', 'Mar', 'Abr', 'Mai', 'Jun', 'Jul', 'Ago', 'Set', 'Out', 'Nov', 'Dez'];
+
+/**
+ * Formats a day sent by the API (YYYY-MM-DD) in the format of the user's locale.
+ * @param {string|null} day The day.
+ * @returns {string} The formatted day, or '-' when there is none.
+ */
+function formatDay(day) {
+    return day ? new Date(`${day}T00:00:00`).toLocaleDateString() : '-';
+}
+
+/**
+ * Represents the statistics of the rides: the leaderboard of a season and the
+ * statistics of the selected member, with charts by month and by event type.
+ * Extends the BaseView class.
+ */
+export class StatisticsView extends BaseView {
+    /**
+     * Creates an instance of the StatisticsView class.
+     * @param {Object} [state={}] The state restored from the URL: selectedId (a member) and query.
+     */
+    constructor(state = {}) {
+        super('Estatísticas', state);
+    }
+
+    /**
+     * Sets up the selected member and the leaderboard query before the content is created.
+     * @param {Object} state The initial state of the view.
+     */
+    setup({ selectedId = null, query = {} }) {
+        this.selectedId = selectedId;
+        this.query = {
+            ...defaultQuery,
+            ...query,
+            page: Math.max(1, parseInt(query.page) || 1)
+        };
+    }
+
+    /**
+     * Returns the route of the current state, e.g. '/stats/4?season=2025'.
+     * @returns {string} The route path, with its query string.
+     */
+    getRoute() {
+        const path = this.selectedId ? `/stats/${this.selectedId}` : '/stats';
+        return router.build(path, this.query, defaultQuery);
+    }
+
+    /**
+     * Creates the season and event type filters, the leaderboard and, when a
+     * member is selected, the statistics of the member.
+     */
+    async createContent() {
+        const container = document.createElement('div');
+        container.className = 'view-container';
+        container.append(this.createToolbar(), ...this.createLeaderboard());
+        this.element.appendChild(container);
+
+        if (this.selectedId) {
+            await this.showMemberStats(container);
+        }
+    }
+
+    /**
+     * Creates the filters by season and by event type.
+     * @returns {HTMLElement} The toolbar.
+     */
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'list-toolbar';
+
+        const seasonFilter = document.createElement('select');
+        Array.from({ length: seasonsShown }, (item, index) => String(Number(currentSeason) - index)).forEach(season => {
+            const option = document.createElement('option');
+            option.value = season;
+            option.textContent = `Época ${season}`;
+            seasonFilter.appendChild(option);
+        });
+        seasonFilter.value = this.query.season;
+        seasonFilter.onchange = () => this.applyFilters({ season: seasonFilter.value });
+
+        const typeFilter = document.createElement('select');
+        typeFilter.onchange = () => this.applyFilters({ typeId: typeFilter.value });
+        EventTypeStore.getAll().then(eventTypes => {
+            [{ id: '', name: 'Todos os tipos de evento' }, ...eventTypes].forEach(type => {
+                const option = document.createElement('option');
+                option.value = type.id;
+                option.textContent = type.name;
+                typeFilter.appendChild(option);
+            });
+            typeFilter.value = this.query.typeId;
+        }).catch(error => {
+            console.error('Error fetching event types:', error);
+            toast.error(`Erro ao carregar tipos de evento: ${error.message}`);
+        });
+
+        toolbar.append(seasonFilter, typeFilter);
+        return toolbar;
+    }
+
+    /**
+     * Creates the leaderboard table with sortable columns, and its pager.
+     * @returns {HTMLElement[]} The table and the pager.
+     */
+    createLeaderboard() {
+        const table = document.createElement('table');
+        table.className = 'data-table';
+
+        const columns = [
+            { label: '#', sort: 'rank' },
+            { label: 'Membro', sort: 'name' },
+            { label: 'Saídas', sort: 'events' },
+            { label: 'Distância', sort: 'distance' },
+            { label: 'Desnível', sort: 'elevation' },
+            { label: 'Última saída', sort: 'lastRide' }
+        ];
+        table.appendChild(new SortableHeader(columns, this.query.sort, this.query.order, (sort, order) => this.applyFilters({ sort, order })).element);
+
+        const tbody = document.createElement('tbody');
+        const pagerContainer = document.createElement('div');
+        StatsStore.getLeaderboard({ ...this.query, pageSize }).then(({ items, total }) => {
+            if (!items.length) {
+                const row = document.createElement('tr');
+                const cell = document.createElement('td');
+                cell.colSpan = columns.length;
+                cell.textContent = 'Nenhum membro participou em eventos nesta época.';
+                row.appendChild(cell);
+                tbody.appendChild(row);
+            }
+            items.forEach(member => {
+                const row = document.createElement('tr');
+                row.onclick = () => this.selectMember(member.id);
+                if (this.selectedId === member.id) {
+                    row.classList.add('selected');
+                }
+
+                [
+                    member.position,
+                    member.name,
+                    member.events,
+                    formatDistance(member.distance_m),
+                    formatElevation(member.elevation_gain_m),
+                    formatDay(member.last_ride)
+                ].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                tbody.appendChild(row);
+            });
+            pagerContainer.appendChild(new Pager(this.query.page, pageSize, total, (page) => this.goToPage(page)).element);
+        }).catch(error => {
+            console.error('Error fetching leaderboard:', error);
+            toast.error(`Erro ao carregar a classificação: ${error.message}`);
+        });
+
+        table.appendChild(tbody);
+        return [table, pagerContainer];
+    }
+
+    /**
+     * Displays the statistics of the selected member in the season: the totals,
+     * the streaks and the charts of rides by month and by event type.
+     * @param {HTMLElement} container The element after which the panel is placed.
+     */
+    async showMemberStats(container) {
+        let stats;
+        try {
+            stats = await StatsStore.getMemberStats(this.selectedId, this.query.season);
+        } catch (error) {
+            console.error('Error fetching member statistics:', error);
+            toast.error(`Erro ao carregar as estatísticas do membro: ${error.message}`);
+            return;
+        }
+
+        const panel = document.createElement('div');
+        panel.className = 'events-panel stats-panel';
+
+        const title = document.createElement('h3');
+        title.textContent = `${stats.member.name} - Época ${stats.season}`;
+        panel.appendChild(title);
+
+        const summary = document.createElement('dl');
+        summary.className = 'route-summary';
+        [
+            ['Saídas', stats.events],
+            ['Distância', formatDistance(stats.distance_m)],
+            ['Desnível positivo', formatElevation(stats.elevation_gain_m)],
+            ['Faltas', stats.no_shows],
+            ['Última saída', stats.last_ride ? `${stats.last_ride.name} (${formatDay(stats.last_ride.date)})` : '-'],
+            ['Semanas seguidas', `${stats.streaks.current_weeks} (melhor: ${stats.streaks.longest_weeks})`]
+        ].forEach(([term, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = term;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            summary.append(dt, dd);
+        });
+        panel.appendChild(summary);
+
+        const monthTitle = document.createElement('h4');
+        monthTitle.textContent = 'Saídas por mês';
+        const months = stats.by_month.map(({ month, events }) => ({ label: monthNames[parseInt(month.slice(5)) - 1], value: events }));
+        panel.append(monthTitle, barChart(months, { title: 'Saídas por mês' }));
+
+        if (stats.by_type.length) {
+            const typeTitle = document.createElement('h4');
+            typeTitle.textContent = 'Saídas por tipo de evento';
+            const types = stats.by_type.map(({ type_name, events }) => ({ label: type_name, value: events }));
+            panel.append(typeTitle, horizontalBarChart(types, { title: 'Saídas por tipo de evento' }));
+        }
+
+        container.after(panel);
+    }
+
+    /**
+     * Changes the season, filter or sorting of the leaderboard, going back to the first page.
+     * @param {Object} changes The query parameters to change (season, typeId, sort or order).
+     */
+    applyFilters(changes) {
+        this.query = { ...this.query, ...changes, page: 1 };
+        this.refresh();
+        this.updateRoute();
+    }
+
+    /**
+     * Shows a page of the leaderboard.
+     * @param {number} page The page to show, starting at 1.
+     */
+    goToPage(page) {
+        this.query = { ...this.query, page };
+        this.refresh();
+        this.updateRoute();
+    }
+
+    /**
+     * Selects a member of the leaderboard, showing their statistics.
+     * @param {number} id The ID of the member.
+     */
+    selectMember(id) {
+        this.selectedId = id;
+        this.refresh();
+        this.updateRoute();
+    }
+
+    /**
+     * Refreshes the content of the view by clearing and re-creating it.
+     */
+    refresh() {
+        while (this.element.firstChild) {
+            this.element.removeChild(this.element.firstChild);
+        }
+        this.init();
+    }
+}
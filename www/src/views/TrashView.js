@@ -0,0 +1,218 @@
+import { BaseView } from '../components/BaseView.js';
+import { SortableHeader } from '../components/SortableHeader.js';
+import { Pager } from '../components/Pager.js';
+import { toast } from '../components/Toast.js';
+import { TrashStore, trashEntityLabels } from '../models/Trash.js';
+import { router } from '../Router.js';
+
+// Kind filter, search, sorting and page of the trash, kept in the URL when they differ from these
+const defaultQuery = { entity: '', q: '', sort: 'deletedAt', order: 'desc', page: 1 };
+const pageSize = 20;
+
+const entityFilters = [
+    { value: '', label: 'Tudo' },
+    { value: 'member', label: 'Membros' },
+    { value: 'event', label: 'Eventos' },
+    { value: 'eventType', label: 'Tipos de evento' }
+];
+
+/**
+ * Represents the trash: the members, events and event types deleted in the last days,
+ * with the day each one is removed for good. Admins restore them from here, along with
+ * the registrations of the members and events.
+ * Extends the BaseView class.
+ */
+export class TrashView extends BaseView {
+    /**
+     * Creates an instance of the TrashView class.
+     * @param {Object} [state={}] The state restored from the URL: query.
+     */
+    constructor(state = {}) {
+        super('Lixo', state);
+    }
+
+    /**
+     * Sets up the query of the trash before the content is created.
+     * @param {Object} state The initial state of the view.
+     */
+    setup({ query = {} }) {
+        this.query = {
+            ...defaultQuery,
+            ...query,
+            page: Math.max(1, parseInt(query.page) || 1)
+        };
+    }
+
+    /**
+     * Returns the route of the current state, e.g. '/trash?entity=event'.
+     * @returns {string} The route path, with its query string.
+     */
+    getRoute() {
+        return router.build('/trash', this.query, defaultQuery);
+    }
+
+    /**
+     * Creates the filters and the table of the deleted records.
+     */
+    createContent() {
+        const container = document.createElement('div');
+        container.className = 'view-container';
+        container.append(this.createToolbar(), ...this.createTable());
+        this.element.appendChild(container);
+    }
+
+    /**
+     * Creates the search box and the filter of the kind of record.
+     * @returns {HTMLElement} The toolbar.
+     */
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'list-toolbar';
+
+        const search = document.createElement('input');
+        search.type = 'search';
+        search.placeholder = 'Pesquisar por nome...';
+        search.value = this.query.q;
+        search.onchange = () => this.applyFilters({ q: search.value.trim() });
+
+        const entityFilter = document.createElement('select');
+        entityFilters.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            entityFilter.appendChild(option);
+        });
+        entityFilter.value = this.query.entity;
+        entityFilter.onchange = () => this.applyFilters({ entity: entityFilter.value });
+
+        toolbar.append(search, entityFilter);
+        return toolbar;
+    }
+
+    /**
+     * Creates the table of the deleted records with sortable columns, and its pager.
+     * @returns {HTMLElement[]} The note on the purge, the table and the pager.
+     */
+    createTable() {
+        const note = document.createElement('p');
+        note.className = 'list-note';
+        note.textContent = 'Os registos apagados ficam no lixo até à data de remoção, e depois são removidos de vez. ' +
+            'Ao restaurar um membro ou um evento, as suas inscrições voltam; quem já não tiver lugar fica na lista de espera.';
+
+        const table = document.createElement('table');
+        table.className = 'data-table';
+
+        const columns = [
+            { label: 'Tipo', sort: null },
+            { label: 'Nome', sort: 'name' },
+            { label: 'Apagado em', sort: 'deletedAt' },
+            { label: 'Removido a', sort: null },
+            { label: '', sort: null }
+        ];
+        table.appendChild(new SortableHeader(columns, this.query.sort, this.query.order, (sort, order) => this.applyFilters({ sort, order })).element);
+
+        const tbody = document.createElement('tbody');
+        const pagerContainer = document.createElement('div');
+        TrashStore.getAll({ ...this.query, pageSize }).then(({ items, total }) => {
+            if (!items.length) {
+                const row = document.createElement('tr');
+                const cell = document.createElement('td');
+                cell.colSpan = columns.length;
+                cell.textContent = 'O lixo está vazio.';
+                row.appendChild(cell);
+                tbody.appendChild(row);
+            }
+            items.forEach(item => tbody.appendChild(this.createRow(item)));
+            pagerContainer.appendChild(new Pager(this.query.page, pageSize, total, (page) => this.goToPage(page)).element);
+        }).catch(error => {
+            console.error('Error fetching trash:', error);
+            toast.error(`Erro ao carregar o lixo: ${error.message}`);
+        });
+
+        table.appendChild(tbody);
+        return [note, table, pagerContainer];
+    }
+
+    /**
+     * Creates the row of a deleted record, with the button to restore it.
+     * Events are named with their date.
+     * @param {Object} item The deleted record.
+     * @returns {HTMLTableRowElement} The row.
+     */
+    createRow(item) {
+        const row = document.createElement('tr');
+        const name = item.date ? `${item.name} (${new Date(item.date).toLocaleDateString()})` : item.name;
+        [
+            trashEntityLabels[item.entity] || item.entity,
+            name,
+            new Date(item.deleted_at).toLocaleString(),
+            new Date(item.purge_at).toLocaleDateString()
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+
+        const actionCell = document.createElement('td');
+        const restoreBtn = document.createElement('button');
+        restoreBtn.textContent = 'Restaurar';
+        restoreBtn.className = 'btn-secondary';
+        restoreBtn.onclick = () => this.restore(item);
+        actionCell.appendChild(restoreBtn);
+        row.appendChild(actionCell);
+        return row;
+    }
+
+    /**
+     * Restores a deleted record, telling how many registrations came back with it.
+     * @param {Object} item The deleted record, with its `entity` and `id`.
+     */
+    async restore(item) {
+        try {
+            const result = await TrashStore.restore(item.entity, item.id);
+            const registrations = result.registered !== undefined
+                ? ` Inscrições restauradas: ${result.registered}; na lista de espera: ${result.waitlisted}.`
+                : '';
+            toast.success(`${trashEntityLabels[item.entity]} "${item.name}" restaurado.${registrations}`);
+            this.refresh();
+        } catch (error) {
+            console.error('Error restoring from trash:', error);
+            const messages = {
+                EVENT_TYPE_DELETED: 'O tipo do evento também está no lixo: restaure-o primeiro.',
+                PARENT_TYPE_DELETED: 'O tipo principal também está no lixo: restaure-o primeiro.'
+            };
+            const message = messages[error.code] || error.message;
+            toast.error(`Erro ao restaurar: ${message}`);
+        }
+    }
+
+    /**
+     * Changes the search, filter or sorting of the trash, going back to the first page.
+     * @param {Object} changes The query parameters to change (entity, q, sort or order).
+     */
+    applyFilters(changes) {
+        this.query = { ...this.query, ...changes, page: 1 };
+        this.refresh();
+        this.updateRoute();
+    }
+
+    /**
+     * Shows a page of the trash.
+     * @param {number} page The page to show, starting at 1.
+     */
+    goToPage(page) {
+        this.query = { ...this.query, page };
+        this.refresh();
+        this.updateRoute();
+    }
+
+    /**
+     * Refreshes the content of the view by clearing and re-creating it.
+     */
+    refresh() {
+        while (this.element.firstChild) {
+            this.element.removeChild(this.element.firstChild);
+        }
+        this.init();
+    }
+}